@@ -0,0 +1,110 @@
+/**
+ * Kenya Counties for Salyte Beacon
+ * The 47 counties with their bundled (simplified) boundaries, and matching of the free-text
+ * county names stored on stations, readings and reports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BOUNDARIES_FILE = path.join(__dirname, '..', 'data', 'kenya-counties.geojson');
+
+// GeoJSON FeatureCollection, one feature per county with properties { code, key, name }
+const COUNTY_BOUNDARIES = JSON.parse(fs.readFileSync(BOUNDARIES_FILE, 'utf8'));
+
+// Other names for counties, after normalizeCountyKey
+const COUNTY_ALIASES = {
+    'nairobi-city': 'nairobi',
+    'elegeyo-marakwet': 'elgeyo-marakwet',
+    'elgeyo': 'elgeyo-marakwet',
+    'taita': 'taita-taveta',
+    'tharaka': 'tharaka-nithi',
+    'homabay': 'homa-bay',
+    'transnzoia': 'trans-nzoia',
+    'uasingishu': 'uasin-gishu'
+};
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Counties in IEBC code order, with area (km², from the bundled boundaries) and bounds
+ */
+const COUNTIES = COUNTY_BOUNDARIES.features.map(feature => ({
+    code: feature.properties.code,
+    key: feature.properties.key,
+    name: feature.properties.name,
+    areaKm2: Math.round(geometryArea(feature.geometry)),
+    bounds: geometryBounds(feature.geometry)
+}));
+
+const COUNTY_KEYS = COUNTIES.map(county => county.key);
+
+/**
+ * Lowercase, hyphenated form of a county name: "Murang'a County" becomes "muranga"
+ */
+function normalizeCountyKey(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/['`’]/g, '')
+        .replace(/\bcounty\b/g, '')
+        .replace(/[^a-z]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Key of the county a stored name refers to, or null if it is not a Kenyan county
+ */
+function matchCounty(value) {
+    const key = normalizeCountyKey(value);
+    const matched = COUNTY_ALIASES[key] || key;
+    
+    return COUNTY_KEYS.includes(matched) ? matched : null;
+}
+
+function findCounty(value) {
+    const key = matchCounty(value);
+    return key ? COUNTIES.find(county => county.key === key) : null;
+}
+
+/**
+ * Area of a Polygon or MultiPolygon in km², on a spherical Earth
+ */
+function geometryArea(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    
+    return polygons.reduce((total, [outer, ...holes]) =>
+        total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+}
+
+function ringArea(ring) {
+    const radians = degrees => degrees * Math.PI / 180;
+    let area = 0;
+    
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lng1, lat1] = ring[i];
+        const [lng2, lat2] = ring[i + 1];
+        area += radians(lng2 - lng1) * (2 + Math.sin(radians(lat1)) + Math.sin(radians(lat2)));
+    }
+    
+    return Math.abs(area * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+/**
+ * [west, south, east, north] of a Polygon or MultiPolygon
+ */
+function geometryBounds(geometry) {
+    const points = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates).flat(2);
+    const lngs = points.map(([lng]) => lng);
+    const lats = points.map(([, lat]) => lat);
+    
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+module.exports = {
+    COUNTY_BOUNDARIES,
+    COUNTIES,
+    COUNTY_KEYS,
+    normalizeCountyKey,
+    matchCounty,
+    findCounty
+};
@@ -192,9 +192,11 @@ async function createSampleData() {
     
     // Import models
     const User = require('../models/user');
+    const Station = require('../models/Station');
     const Sensor = require('../models/Sensor');
     const DataPoint = require('../models/DataPoint');
     const Report = require('../models/Report');
+    const { PARAMETERS } = require('./parameters');
     
     // Create sample users
     const sampleUsers = [
@@ -217,55 +219,61 @@ async function createSampleData() {
     const users = await User.insertMany(sampleUsers);
     console.log(`📝 Created ${users.length} sample users`);
     
-    // Create sample sensors
-    const sampleSensors = [
-        {
-            name: 'pH Meter Pro',
-            type: 'pH',
-            price: 89.99,
-            vendorLink: 'https://amazon.com/ph-meter',
-            description: 'Professional pH meter for water testing'
-        },
-        {
-            name: 'TDS Digital Tester',
-            type: 'TDS',
-            price: 24.99,
-            vendorLink: 'https://jumia.co.ke/tds-meter',
-            description: 'Digital TDS meter for measuring dissolved solids'
-        },
-        {
-            name: 'Turbidity Sensor',
-            type: 'Turbidity',
-            price: 156.50,
-            vendorLink: 'https://amazon.com/turbidity-sensor',
-            description: 'Accurate turbidity measurement device'
-        }
+    // Create sample monitoring stations
+    const locations = [
+        { lat: -1.2921, lng: 36.8219, name: 'Nairobi Central', code: 'NBO-CENTRAL', sourceType: 'tap' },
+        { lat: -1.3031, lng: 36.8073, name: 'Karen', code: 'NBO-KAREN', sourceType: 'borehole' },
+        { lat: -1.2741, lng: 36.8160, name: 'Westlands', code: 'NBO-WESTLANDS', sourceType: 'tap' }
     ];
     
+    const stations = await Station.insertMany(locations.map(location => ({
+        code: location.code,
+        name: `${location.name} Station`,
+        sourceType: location.sourceType,
+        locationName: location.name,
+        county: 'nairobi',
+        location: {
+            type: 'Point',
+            coordinates: [location.lng, location.lat]
+        },
+        owner: users[1]._id,
+        organization: 'Water Authority',
+        status: 'online'
+    })));
+    console.log(`📡 Created ${stations.length} sample stations`);
+    
+    // Create sample sensor channels
+    const sampleSensors = [];
+    stations.forEach(station => {
+        ['ph', 'tds', 'turbidity'].forEach(parameter => {
+            sampleSensors.push({
+                station: station._id,
+                parameter: parameter,
+                unit: PARAMETERS[parameter].unit,
+                manufacturer: 'Salyte Labs'
+            });
+        });
+    });
+    
     const sensors = await Sensor.insertMany(sampleSensors);
-    console.log(`🔬 Created ${sensors.length} sample sensors`);
+    console.log(`🔬 Created ${sensors.length} sample sensor channels`);
     
     // Create sample data points
     const sampleDataPoints = [];
-    const locations = [
-        { lat: -1.2921, lng: 36.8219, name: 'Nairobi Central' },
-        { lat: -1.3031, lng: 36.8073, name: 'Karen' },
-        { lat: -1.2741, lng: 36.8160, name: 'Westlands' }
-    ];
     
     for (let i = 0; i < 50; i++) {
-        const location = locations[i % locations.length];
         const sensor = sensors[i % sensors.length];
+        const station = stations.find(s => s._id.equals(sensor.station));
         
         let value;
-        switch (sensor.type) {
-            case 'pH':
+        switch (sensor.parameter) {
+            case 'ph':
                 value = 6.5 + Math.random() * 2; // pH between 6.5-8.5
                 break;
-            case 'TDS':
+            case 'tds':
                 value = 100 + Math.random() * 400; // TDS between 100-500 ppm
                 break;
-            case 'Turbidity':
+            case 'turbidity':
                 value = Math.random() * 10; // Turbidity between 0-10 NTU
                 break;
             default:
@@ -273,14 +281,14 @@ async function createSampleData() {
         }
         
         sampleDataPoints.push({
-            sensorId: sensor._id,
+            station: station._id,
+            sensor: sensor._id,
+            parameter: sensor.parameter,
             value: Math.round(value * 100) / 100,
+            unit: sensor.unit,
             timestamp: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000), // Random time in last 30 days
-            location: {
-                type: 'Point',
-                coordinates: [location.lng, location.lat]
-            },
-            locationName: location.name
+            location: station.location,
+            county: station.county
         });
     }
     
@@ -290,26 +298,40 @@ async function createSampleData() {
     // Create sample reports
     const sampleReports = [
         {
-            user: users[0]._id,
+            trackingId: 'WR-20250115-0001',
+            reporter: users[0]._id,
+            type: 'contamination',
+            title: 'Water Contamination in Nairobi River',
             location: {
                 type: 'Point',
                 coordinates: [36.8219, -1.2921]
             },
             locationName: 'Nairobi River',
+            county: 'nairobi',
             description: 'Water has strange smell and color. Possible contamination.',
-            status: 'pending',
-            category: 'contamination'
+            severity: 'high',
+            priority: 'urgent',
+            affectedPeople: 150,
+            reporterName: 'John Doe',
+            status: 'submitted'
         },
         {
-            user: users[1]._id,
+            trackingId: 'WR-20250115-0002',
+            reporter: users[1]._id,
+            type: 'quality',
+            title: 'Water Quality Issues in Karen Borehole',
             location: {
                 type: 'Point',
                 coordinates: [36.8073, -1.3031]
             },
             locationName: 'Karen Borehole',
+            county: 'nairobi',
             description: 'Borehole water tested safe for consumption.',
+            severity: 'low',
+            priority: 'normal',
+            reporterName: 'Water Authority',
             status: 'resolved',
-            category: 'safe-source'
+            resolvedAt: new Date()
         }
     ];
     
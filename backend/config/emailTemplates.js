@@ -0,0 +1,334 @@
+/**
+ * Email Templates for Salyte Beacon
+ * Localized subject and body text for every email the platform sends
+ */
+
+/**
+ * Templates by key, then language
+ * Each language entry builds the subject, body paragraphs and call-to-action label
+ * from the template data. Every template has an English version, used as the fallback.
+ *
+ * `category` decides which user preference gates the email: account emails are always
+ * sent, notifications only to users with email notifications on.
+ */
+const EMAIL_TEMPLATES = {
+    passwordReset: {
+        category: 'account',
+        en: {
+            subject: () => 'Reset your Salyte Beacon password',
+            body: data => [
+                `Hello ${data.name},`,
+                'We received a request to reset the password for your Salyte Beacon account. ' +
+                    'The link below is valid for one hour.',
+                'If you did not ask for this, you can ignore this email and your password will stay the same.'
+            ],
+            action: 'Reset password'
+        },
+        sw: {
+            subject: () => 'Badilisha nenosiri lako la Salyte Beacon',
+            body: data => [
+                `Habari ${data.name},`,
+                'Tumepokea ombi la kubadilisha nenosiri la akaunti yako ya Salyte Beacon. ' +
+                    'Kiungo kilicho hapa chini kitafanya kazi kwa saa moja.',
+                'Ikiwa hukuomba hili, puuza barua pepe hii na nenosiri lako halitabadilika.'
+            ],
+            action: 'Badilisha nenosiri'
+        },
+        fr: {
+            subject: () => 'Réinitialisez votre mot de passe Salyte Beacon',
+            body: data => [
+                `Bonjour ${data.name},`,
+                'Nous avons reçu une demande de réinitialisation du mot de passe de votre compte Salyte Beacon. ' +
+                    'Le lien ci-dessous est valable une heure.',
+                'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email : votre mot de passe restera inchangé.'
+            ],
+            action: 'Réinitialiser le mot de passe'
+        },
+        es: {
+            subject: () => 'Restablece tu contraseña de Salyte Beacon',
+            body: data => [
+                `Hola ${data.name},`,
+                'Hemos recibido una solicitud para restablecer la contraseña de tu cuenta de Salyte Beacon. ' +
+                    'El enlace de abajo es válido durante una hora.',
+                'Si no lo solicitaste, ignora este correo y tu contraseña seguirá siendo la misma.'
+            ],
+            action: 'Restablecer contraseña'
+        }
+    },
+    
+    emailVerification: {
+        category: 'account',
+        en: {
+            subject: () => 'Confirm your email for Salyte Beacon',
+            body: data => [
+                `Welcome to Salyte Beacon, ${data.name}!`,
+                'Please confirm your email address so we can keep you informed about water safety in your area. ' +
+                    'The link below is valid for 24 hours.'
+            ],
+            action: 'Confirm email'
+        },
+        sw: {
+            subject: () => 'Thibitisha barua pepe yako ya Salyte Beacon',
+            body: data => [
+                `Karibu Salyte Beacon, ${data.name}!`,
+                'Tafadhali thibitisha anwani yako ya barua pepe ili tukujulishe kuhusu usalama wa maji katika eneo lako. ' +
+                    'Kiungo kilicho hapa chini kitafanya kazi kwa saa 24.'
+            ],
+            action: 'Thibitisha barua pepe'
+        },
+        fr: {
+            subject: () => 'Confirmez votre email pour Salyte Beacon',
+            body: data => [
+                `Bienvenue sur Salyte Beacon, ${data.name} !`,
+                'Merci de confirmer votre adresse email afin que nous puissions vous informer sur la sécurité de l\'eau ' +
+                    'dans votre région. Le lien ci-dessous est valable 24 heures.'
+            ],
+            action: 'Confirmer l\'email'
+        },
+        es: {
+            subject: () => 'Confirma tu correo para Salyte Beacon',
+            body: data => [
+                `¡Bienvenido a Salyte Beacon, ${data.name}!`,
+                'Confirma tu dirección de correo para que podamos informarte sobre la seguridad del agua en tu zona. ' +
+                    'El enlace de abajo es válido durante 24 horas.'
+            ],
+            action: 'Confirmar correo'
+        }
+    },
+    
+    reportStatus: {
+        category: 'notification',
+        en: {
+            subject: data => `Report ${data.trackingId} is now ${data.status}`,
+            body: data => [
+                `Hello ${data.name},`,
+                `Water report "${data.title}" (${data.trackingId}) has moved from ${data.previousStatus} to ${data.status}.`,
+                `Reason given: ${data.reason}`,
+                'You can follow its progress on the reporting page with your tracking ID.'
+            ],
+            action: 'Track report'
+        },
+        sw: {
+            subject: data => `Ripoti ${data.trackingId} sasa iko katika hali ya ${data.status}`,
+            body: data => [
+                `Habari ${data.name},`,
+                `Ripoti ya maji "${data.title}" (${data.trackingId}) imehamishwa kutoka ${data.previousStatus} hadi ${data.status}.`,
+                `Sababu: ${data.reason}`,
+                'Unaweza kufuatilia maendeleo yake kwenye ukurasa wa ripoti kwa kutumia nambari yako ya ufuatiliaji.'
+            ],
+            action: 'Fuatilia ripoti'
+        },
+        fr: {
+            subject: data => `Le signalement ${data.trackingId} est maintenant ${data.status}`,
+            body: data => [
+                `Bonjour ${data.name},`,
+                `Le signalement "${data.title}" (${data.trackingId}) est passé de ${data.previousStatus} à ${data.status}.`,
+                `Motif : ${data.reason}`,
+                'Vous pouvez suivre son avancement sur la page des signalements avec votre numéro de suivi.'
+            ],
+            action: 'Suivre le signalement'
+        },
+        es: {
+            subject: data => `El reporte ${data.trackingId} ahora está ${data.status}`,
+            body: data => [
+                `Hola ${data.name},`,
+                `El reporte de agua "${data.title}" (${data.trackingId}) pasó de ${data.previousStatus} a ${data.status}.`,
+                `Motivo: ${data.reason}`,
+                'Puedes seguir su progreso en la página de reportes con tu número de seguimiento.'
+            ],
+            action: 'Seguir reporte'
+        }
+    },
+    
+    reportComment: {
+        category: 'notification',
+        en: {
+            subject: data => `New update on report ${data.trackingId}`,
+            body: data => [
+                `Hello ${data.name},`,
+                `${data.authorName} posted an update on water report "${data.title}" (${data.trackingId}):`,
+                data.text
+            ],
+            action: 'Track report'
+        },
+        sw: {
+            subject: data => `Taarifa mpya kuhusu ripoti ${data.trackingId}`,
+            body: data => [
+                `Habari ${data.name},`,
+                `${data.authorName} ameweka taarifa mpya kuhusu ripoti ya maji "${data.title}" (${data.trackingId}):`,
+                data.text
+            ],
+            action: 'Fuatilia ripoti'
+        },
+        fr: {
+            subject: data => `Nouvelle mise à jour du signalement ${data.trackingId}`,
+            body: data => [
+                `Bonjour ${data.name},`,
+                `${data.authorName} a publié une mise à jour sur le signalement "${data.title}" (${data.trackingId}) :`,
+                data.text
+            ],
+            action: 'Suivre le signalement'
+        },
+        es: {
+            subject: data => `Nueva actualización del reporte ${data.trackingId}`,
+            body: data => [
+                `Hola ${data.name},`,
+                `${data.authorName} publicó una actualización del reporte de agua "${data.title}" (${data.trackingId}):`,
+                data.text
+            ],
+            action: 'Seguir reporte'
+        }
+    },
+    
+    subscriptionConfirm: {
+        category: 'account',
+        en: {
+            subject: data => `Confirm updates for report ${data.trackingId}`,
+            body: data => [
+                `Hello ${data.name},`,
+                `Someone asked to send updates on water report "${data.title}" (${data.trackingId}) to this address. ` +
+                    'Confirm below to start receiving them.',
+                'If this wasn\'t you, ignore this email and you won\'t hear from us.'
+            ],
+            action: 'Confirm updates'
+        },
+        sw: {
+            subject: data => `Thibitisha taarifa za ripoti ${data.trackingId}`,
+            body: data => [
+                `Habari ${data.name},`,
+                `Mtu ameomba taarifa za ripoti ya maji "${data.title}" (${data.trackingId}) zitumwe kwa anwani hii. ` +
+                    'Thibitisha hapa chini ili uanze kuzipokea.',
+                'Ikiwa si wewe, puuza barua pepe hii na hutapokea chochote kutoka kwetu.'
+            ],
+            action: 'Thibitisha taarifa'
+        },
+        fr: {
+            subject: data => `Confirmez le suivi du signalement ${data.trackingId}`,
+            body: data => [
+                `Bonjour ${data.name},`,
+                `Quelqu'un a demandé à recevoir à cette adresse les mises à jour du signalement "${data.title}" ` +
+                    `(${data.trackingId}). Confirmez ci-dessous pour commencer à les recevoir.`,
+                'Si ce n\'est pas vous, ignorez cet email et vous ne recevrez rien de notre part.'
+            ],
+            action: 'Confirmer le suivi'
+        },
+        es: {
+            subject: data => `Confirma las actualizaciones del reporte ${data.trackingId}`,
+            body: data => [
+                `Hola ${data.name},`,
+                `Alguien pidió enviar a esta dirección las actualizaciones del reporte de agua "${data.title}" ` +
+                    `(${data.trackingId}). Confirma abajo para empezar a recibirlas.`,
+                'Si no fuiste tú, ignora este correo y no volverás a saber de nosotros.'
+            ],
+            action: 'Confirmar actualizaciones'
+        }
+    },
+    
+    alertOpened: {
+        category: 'notification',
+        en: {
+            subject: data => `[${data.priority}] ${data.title} at ${data.stationName}`,
+            body: data => [
+                `Hello ${data.name},`,
+                `A new alert was raised at ${data.stationName}${data.county ? ` (${data.county})` : ''}.`,
+                data.message,
+                'Please review it on the dashboard and acknowledge it once someone is handling it.'
+            ],
+            action: 'Open dashboard'
+        },
+        sw: {
+            subject: data => `[${data.priority}] ${data.title} katika ${data.stationName}`,
+            body: data => [
+                `Habari ${data.name},`,
+                `Tahadhari mpya imetolewa katika ${data.stationName}${data.county ? ` (${data.county})` : ''}.`,
+                data.message,
+                'Tafadhali ikague kwenye dashibodi na uithibitishe mara mtu anapoishughulikia.'
+            ],
+            action: 'Fungua dashibodi'
+        },
+        fr: {
+            subject: data => `[${data.priority}] ${data.title} à ${data.stationName}`,
+            body: data => [
+                `Bonjour ${data.name},`,
+                `Une nouvelle alerte a été levée à ${data.stationName}${data.county ? ` (${data.county})` : ''}.`,
+                data.message,
+                'Merci de la consulter sur le tableau de bord et de l\'acquitter dès que quelqu\'un s\'en occupe.'
+            ],
+            action: 'Ouvrir le tableau de bord'
+        },
+        es: {
+            subject: data => `[${data.priority}] ${data.title} en ${data.stationName}`,
+            body: data => [
+                `Hola ${data.name},`,
+                `Se ha generado una nueva alerta en ${data.stationName}${data.county ? ` (${data.county})` : ''}.`,
+                data.message,
+                'Revísala en el panel y reconócela en cuanto alguien se encargue de ella.'
+            ],
+            action: 'Abrir panel'
+        }
+    },
+    
+    alertEscalation: {
+        category: 'notification',
+        en: {
+            subject: data => `[${data.priority}] ${data.title} at ${data.stationName}`,
+            body: data => [
+                `Hello ${data.name},`,
+                `An alert at ${data.stationName}${data.county ? ` (${data.county})` : ''} has not been acknowledged ` +
+                    `after ${data.openFor} and has been escalated to you.`,
+                data.message,
+                'Please review it on the dashboard and acknowledge it once someone is handling it.'
+            ],
+            action: 'Open dashboard'
+        },
+        sw: {
+            subject: data => `[${data.priority}] ${data.title} katika ${data.stationName}`,
+            body: data => [
+                `Habari ${data.name},`,
+                `Tahadhari katika ${data.stationName}${data.county ? ` (${data.county})` : ''} haijathibitishwa ` +
+                    `baada ya ${data.openFor} na imepandishwa kwako.`,
+                data.message,
+                'Tafadhali ikague kwenye dashibodi na uithibitishe mara mtu anapoishughulikia.'
+            ],
+            action: 'Fungua dashibodi'
+        },
+        fr: {
+            subject: data => `[${data.priority}] ${data.title} à ${data.stationName}`,
+            body: data => [
+                `Bonjour ${data.name},`,
+                `Une alerte à ${data.stationName}${data.county ? ` (${data.county})` : ''} n'a pas été prise en charge ` +
+                    `après ${data.openFor} et vous a été transmise.`,
+                data.message,
+                'Merci de la consulter sur le tableau de bord et de l\'acquitter dès que quelqu\'un s\'en occupe.'
+            ],
+            action: 'Ouvrir le tableau de bord'
+        },
+        es: {
+            subject: data => `[${data.priority}] ${data.title} en ${data.stationName}`,
+            body: data => [
+                `Hola ${data.name},`,
+                `Una alerta en ${data.stationName}${data.county ? ` (${data.county})` : ''} no ha sido reconocida ` +
+                    `después de ${data.openFor} y se te ha escalado.`,
+                data.message,
+                'Revísala en el panel y reconócela en cuanto alguien se encargue de ella.'
+            ],
+            action: 'Abrir panel'
+        }
+    }
+};
+
+const TEMPLATE_KEYS = Object.keys(EMAIL_TEMPLATES);
+
+// Label for the unsubscribe link added to emails sent for a subscription
+const UNSUBSCRIBE_LABELS = {
+    en: 'Stop these emails',
+    sw: 'Sitisha barua pepe hizi',
+    fr: 'Ne plus recevoir ces emails',
+    es: 'Dejar de recibir estos correos'
+};
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    TEMPLATE_KEYS,
+    UNSUBSCRIBE_LABELS
+};
@@ -0,0 +1,46 @@
+/**
+ * Alert Escalation Defaults for Salyte Beacon
+ * Who is brought in, and when, if an open alert is not acknowledged
+ */
+
+/**
+ * Escalation targets
+ * County officers are government accounts whose location is the alert's county;
+ * regional admins are admin accounts.
+ */
+const ESCALATION_TARGETS = {
+    'organization': 'Managers of the station\'s organization',
+    'county-officer': 'County water officers',
+    'regional-admin': 'Regional administrators'
+};
+
+const TARGET_KEYS = Object.keys(ESCALATION_TARGETS);
+
+/**
+ * Default policy per alert priority
+ * Each step fires once the alert has been open, unacknowledged, for `afterMinutes`.
+ */
+const DEFAULT_POLICIES = {
+    critical: [
+        { afterMinutes: 30, target: 'county-officer' },
+        { afterMinutes: 120, target: 'regional-admin' }
+    ],
+    high: [
+        { afterMinutes: 120, target: 'county-officer' },
+        { afterMinutes: 480, target: 'regional-admin' }
+    ],
+    medium: [
+        { afterMinutes: 1440, target: 'county-officer' }
+    ],
+    low: []
+};
+
+// How often the scheduler checks for due escalation steps
+const CHECK_INTERVAL_MS = (parseInt(process.env.ESCALATION_CHECK_SECONDS) || 60) * 1000;
+
+module.exports = {
+    ESCALATION_TARGETS,
+    TARGET_KEYS,
+    DEFAULT_POLICIES,
+    CHECK_INTERVAL_MS
+};
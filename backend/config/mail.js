@@ -0,0 +1,56 @@
+/**
+ * Email Delivery Settings for Salyte Beacon
+ * Transport selection, sender address and retry schedule for outgoing email
+ */
+
+const path = require('path');
+
+/**
+ * Transports, selected with MAIL_TRANSPORT
+ * console prints messages to the server log; file writes .eml files to MAIL_DIR
+ * for local development; smtp delivers through SMTP_HOST.
+ */
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Salyte Beacon <no-reply@salyte-beacon.org>';
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '../mail-outbox');
+
+const SMTP = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+};
+
+// Base URL for links in emails
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Languages with email templates; anything else falls back to English
+const MAIL_LANGUAGES = ['en', 'sw', 'fr', 'es'];
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Minutes to wait before each retry of a failed send
+ * A message is given up on after its first attempt plus one attempt per delay.
+ */
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+
+// How often the queue is checked for messages that are due
+const QUEUE_INTERVAL_MS = (parseInt(process.env.MAIL_QUEUE_SECONDS) || 15) * 1000;
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    MAIL_DIR,
+    SMTP,
+    APP_URL,
+    MAIL_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    RETRY_DELAYS_MINUTES,
+    QUEUE_INTERVAL_MS
+};
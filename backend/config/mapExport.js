@@ -0,0 +1,40 @@
+/**
+ * Map Export Settings for Salyte Beacon
+ * Download formats for map data, the most features per export for each subscription plan,
+ * and the license notice included in every export
+ */
+
+/**
+ * Formats, selected with ?format=
+ */
+const EXPORT_FORMATS = {
+    geojson: { name: 'GeoJSON', contentType: 'application/geo+json', extension: 'geojson' },
+    kml: { name: 'KML (Google Earth)', contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    csv: { name: 'CSV with latitude and longitude', contentType: 'text/csv', extension: 'csv' },
+    shapefile: { name: 'Zipped Shapefile', contentType: 'application/zip', extension: 'zip' }
+};
+
+const EXPORT_FORMAT_KEYS = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Most features in one export per subscription plan; anonymous users get the smallest cap and
+ * lapsed paid plans count as free
+ */
+const EXPORT_LIMITS = {
+    anonymous: 500,
+    free: 2000,
+    basic: 10000,
+    premium: 50000,
+    enterprise: 100000
+};
+
+// Included in every export; set MAP_DATA_LICENSE to the terms your deployment publishes data under
+const MAP_DATA_LICENSE = process.env.MAP_DATA_LICENSE ||
+    'Salyte Beacon map data, available under the Creative Commons Attribution 4.0 International license (CC BY 4.0, https://creativecommons.org/licenses/by/4.0/). Credit "Salyte Beacon contributors" when you share or publish it. Community reports are unverified unless their status says otherwise.';
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_FORMAT_KEYS,
+    EXPORT_LIMITS,
+    MAP_DATA_LICENSE
+};
@@ -0,0 +1,89 @@
+/**
+ * Map Layer Defaults for Salyte Beacon
+ * Built-in layers of the interactive map; admins can change them and add their own
+ */
+
+/**
+ * Data a layer can show
+ */
+const LAYER_SOURCES = {
+    stations: 'Monitoring stations and water points',
+    reports: 'Community water reports'
+};
+
+const SOURCE_KEYS = Object.keys(LAYER_SOURCES);
+
+/**
+ * Fields a layer's query can filter on, per source
+ * Every field is a list of accepted values, except days (reports submitted in the last N days).
+ */
+const QUERY_FIELDS = {
+    stations: ['quality', 'sourceType', 'status', 'county'],
+    reports: ['reportType', 'severity', 'status', 'county', 'days']
+};
+
+/**
+ * Built-in layers
+ * A feature belongs to the first layer (lowest order) whose query it matches, so the
+ * catch-all water quality layer comes last.
+ */
+const DEFAULT_LAYERS = [
+    {
+        key: 'safeBoreholes',
+        name: 'Safe Boreholes',
+        color: '#198754',
+        icon: 'fa-check-circle',
+        source: 'stations',
+        query: { sourceType: ['borehole'], quality: ['safe'] },
+        defaultVisible: true,
+        order: 10
+    },
+    {
+        key: 'contaminated',
+        name: 'Contaminated Areas',
+        color: '#dc3545',
+        icon: 'fa-exclamation-triangle',
+        source: 'stations',
+        query: { quality: ['critical'] },
+        defaultVisible: true,
+        order: 20
+    },
+    {
+        key: 'treatmentPlants',
+        name: 'Treatment Plants',
+        color: '#0dcaf0',
+        icon: 'fa-industry',
+        source: 'stations',
+        query: { sourceType: ['treatment-plant'] },
+        defaultVisible: false,
+        order: 30
+    },
+    {
+        key: 'activeProjects',
+        name: 'Active Projects',
+        description: 'Water points under construction or maintenance',
+        color: '#ffc107',
+        icon: 'fa-hammer',
+        source: 'stations',
+        query: { status: ['maintenance'] },
+        defaultVisible: false,
+        order: 40
+    },
+    {
+        key: 'waterQuality',
+        name: 'Water Quality Points',
+        color: '#0d6efd',
+        icon: 'fa-tint',
+        source: 'stations',
+        query: {},
+        defaultVisible: true,
+        order: 100
+    }
+];
+
+module.exports = {
+    LAYER_SOURCES,
+    SOURCE_KEYS,
+    QUERY_FIELDS,
+    DEFAULT_LAYERS
+};
@@ -0,0 +1,164 @@
+/**
+ * Water Quality Parameter Definitions for Salyte Beacon
+ * Canonical parameter keys, units and physically plausible ranges for telemetry validation
+ */
+
+/**
+ * Known parameters
+ * `range` is the physically plausible range used to reject faulty readings,
+ * not a safety limit. Safety limits live in the standards registry (config/standards.js).
+ */
+const PARAMETERS = {
+    ph: {
+        name: 'pH Level',
+        unit: 'pH',
+        range: [0, 14]
+    },
+    dissolvedOxygen: {
+        name: 'Dissolved Oxygen',
+        unit: 'mg/L',
+        range: [0, 25]
+    },
+    turbidity: {
+        name: 'Turbidity',
+        unit: 'NTU',
+        range: [0, 4000]
+    },
+    temperature: {
+        name: 'Temperature',
+        unit: '°C',
+        range: [-5, 60]
+    },
+    conductivity: {
+        name: 'Conductivity',
+        unit: 'µS/cm',
+        range: [0, 100000]
+    },
+    coliform: {
+        name: 'Total Coliform',
+        unit: 'CFU/100ml',
+        range: [0, 1000000]
+    },
+    tds: {
+        name: 'Total Dissolved Solids',
+        unit: 'mg/L',
+        range: [0, 50000]
+    },
+    chlorine: {
+        name: 'Free Chlorine',
+        unit: 'mg/L',
+        range: [0, 20]
+    },
+    nitrate: {
+        name: 'Nitrate',
+        unit: 'mg/L',
+        range: [0, 1000]
+    },
+    fluoride: {
+        name: 'Fluoride',
+        unit: 'mg/L',
+        range: [0, 50]
+    }
+};
+
+const PARAMETER_KEYS = Object.keys(PARAMETERS);
+
+/**
+ * Accepted alternative units, keyed by parameter and normalised unit
+ * Each entry converts a value into the parameter's canonical unit.
+ */
+const UNIT_CONVERSIONS = {
+    temperature: {
+        'c': value => value,
+        'f': value => (value - 32) * 5 / 9,
+        'k': value => value - 273.15
+    },
+    conductivity: {
+        'us/cm': value => value,
+        'ms/cm': value => value * 1000,
+        'ms/m': value => value * 10
+    },
+    dissolvedOxygen: { 'mg/l': value => value, 'ppm': value => value },
+    tds: { 'mg/l': value => value, 'ppm': value => value, 'g/l': value => value * 1000 },
+    chlorine: { 'mg/l': value => value, 'ppm': value => value },
+    nitrate: { 'mg/l': value => value, 'ppm': value => value },
+    fluoride: { 'mg/l': value => value, 'ppm': value => value },
+    coliform: { 'cfu/100ml': value => value, 'mpn/100ml': value => value },
+    turbidity: { 'ntu': value => value, 'fnu': value => value },
+    ph: { 'ph': value => value, '': value => value }
+};
+
+/**
+ * Normalise a unit string for comparison ("µS/cm", "uS / cm" and "μs/cm" all match)
+ */
+function normalizeUnit(unit) {
+    return String(unit || '')
+        .toLowerCase()
+        .replace(/\s+/g, '')
+        .replace(/[µμ]/g, 'u')
+        .replace(/^(°|deg(rees)?)/, '')
+        .replace(/^celsius$/, 'c')
+        .replace(/^fahrenheit$/, 'f');
+}
+
+/**
+ * Definition of a parameter, or null for unknown keys (including inherited ones like "constructor")
+ */
+function getParameter(parameter) {
+    return typeof parameter === 'string' && Object.hasOwn(PARAMETERS, parameter) ? PARAMETERS[parameter] : null;
+}
+
+/**
+ * Convert a value given in `unit` into the parameter's canonical unit
+ * Returns { value } or { error }. A missing unit means the canonical unit.
+ */
+function convertToCanonicalUnit(parameter, value, unit) {
+    const definition = getParameter(parameter);
+    
+    if (!definition) {
+        return { error: `Unknown parameter: ${parameter}` };
+    }
+    
+    if (!unit || normalizeUnit(unit) === normalizeUnit(definition.unit)) {
+        return { value };
+    }
+    
+    const conversions = UNIT_CONVERSIONS[parameter] || {};
+    const convert = Object.hasOwn(conversions, normalizeUnit(unit)) ? conversions[normalizeUnit(unit)] : null;
+    if (!convert) {
+        return { error: `Unit ${unit} is not supported for ${parameter} (expected ${definition.unit})` };
+    }
+    
+    return { value: convert(value) };
+}
+
+/**
+ * Validate a single reading value for a parameter
+ * Returns an error message, or null when the value is acceptable.
+ */
+function validateParameterValue(parameter, value) {
+    const definition = getParameter(parameter);
+    
+    if (!definition) {
+        return `Unknown parameter: ${parameter}`;
+    }
+    
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `Value for ${parameter} must be a number`;
+    }
+    
+    const [min, max] = definition.range;
+    if (value < min || value > max) {
+        return `Value ${value} for ${parameter} is outside the plausible range ${min}-${max} ${definition.unit}`;
+    }
+    
+    return null;
+}
+
+module.exports = {
+    PARAMETERS,
+    PARAMETER_KEYS,
+    validateParameterValue,
+    normalizeUnit,
+    convertToCanonicalUnit
+};
@@ -0,0 +1,74 @@
+/**
+ * SMS Delivery Settings for Salyte Beacon
+ * Provider selection, credentials, opt-out keywords and per-recipient limits for text messages
+ */
+
+/**
+ * Providers, selected with SMS_PROVIDER
+ * mock logs messages and accepts simple JSON webhooks for local testing;
+ * africastalking and twilio call the real gateways.
+ */
+const SMS_PROVIDERS = ['mock', 'africastalking', 'twilio'];
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || 'mock';
+
+const AFRICASTALKING = {
+    username: process.env.AT_USERNAME || 'sandbox',
+    apiKey: process.env.AT_API_KEY,
+    senderId: process.env.AT_SENDER_ID
+};
+
+const TWILIO = {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID
+};
+
+// Shared secret providers must send as ?secret= on webhook URLs; only the mock provider's webhooks work without it
+const SMS_WEBHOOK_SECRET = process.env.SMS_WEBHOOK_SECRET;
+
+// Public address of the API as the provider calls it (e.g. https://api.example.org), used to check
+// Twilio's request signatures behind a proxy; defaults to the address the request arrived on
+const SMS_WEBHOOK_BASE_URL = (process.env.SMS_WEBHOOK_BASE_URL || '').replace(/\/+$/, '');
+
+// Country code added to local numbers such as 0712 345 678
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '254';
+
+/**
+ * Inbound keywords, matched against the whole message ignoring case
+ * Swahili "acha" (stop) and "anza" (start) are accepted alongside the carrier-standard words.
+ */
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'ACHA'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES', 'ANZA'];
+
+// Messages one recipient may be sent per rolling hour; further messages wait for a free slot
+const MAX_PER_RECIPIENT_PER_HOUR = parseInt(process.env.SMS_MAX_PER_HOUR) || 5;
+
+// Longest message body, three concatenated SMS segments
+const MAX_LENGTH = 459;
+
+/**
+ * Minutes to wait before each retry of a failed send
+ * A message is given up on after its first attempt plus one attempt per delay.
+ */
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+
+// How often the queue is checked for messages that are due
+const QUEUE_INTERVAL_MS = (parseInt(process.env.SMS_QUEUE_SECONDS) || 15) * 1000;
+
+module.exports = {
+    SMS_PROVIDERS,
+    SMS_PROVIDER,
+    AFRICASTALKING,
+    TWILIO,
+    SMS_WEBHOOK_SECRET,
+    SMS_WEBHOOK_BASE_URL,
+    DEFAULT_COUNTRY_CODE,
+    OPT_OUT_KEYWORDS,
+    OPT_IN_KEYWORDS,
+    MAX_PER_RECIPIENT_PER_HOUR,
+    MAX_LENGTH,
+    RETRY_DELAYS_MINUTES,
+    QUEUE_INTERVAL_MS
+};
@@ -0,0 +1,77 @@
+/**
+ * SMS Templates for Salyte Beacon
+ * Short localized text messages; every message ends with how to opt out
+ */
+
+/**
+ * Templates by key, then language, each building the message text from the template data
+ * Every template has an English version, used as the fallback. Keyword replies are sent
+ * even to opted-out numbers, so the sender learns their keyword worked.
+ */
+const SMS_TEMPLATES = {
+    reportStatus: {
+        en: data => `Salyte Beacon: report ${data.trackingId} is now ${data.status}. ${data.reason}. Reply STOP to opt out.`,
+        sw: data => `Salyte Beacon: ripoti ${data.trackingId} sasa iko ${data.status}. ${data.reason}. Jibu ACHA kusitisha.`,
+        fr: data => `Salyte Beacon : signalement ${data.trackingId} maintenant ${data.status}. ${data.reason}. Répondez STOP pour arrêter.`,
+        es: data => `Salyte Beacon: reporte ${data.trackingId} ahora ${data.status}. ${data.reason}. Responde STOP para cancelar.`
+    },
+    
+    reportComment: {
+        en: data => `Salyte Beacon: update on report ${data.trackingId} from ${data.authorName}: ${data.text} Reply STOP to opt out.`,
+        sw: data => `Salyte Beacon: taarifa ya ripoti ${data.trackingId} kutoka ${data.authorName}: ${data.text} Jibu ACHA kusitisha.`,
+        fr: data => `Salyte Beacon : mise à jour du signalement ${data.trackingId} par ${data.authorName} : ${data.text} Répondez STOP pour arrêter.`,
+        es: data => `Salyte Beacon: actualización del reporte ${data.trackingId} de ${data.authorName}: ${data.text} Responde STOP para cancelar.`
+    },
+    
+    subscriptionCode: {
+        en: data => `Salyte Beacon: your code to follow report ${data.trackingId} is ${data.code}. It expires in 15 minutes.`,
+        sw: data => `Salyte Beacon: nambari yako ya kufuatilia ripoti ${data.trackingId} ni ${data.code}. Itaisha baada ya dakika 15.`,
+        fr: data => `Salyte Beacon : votre code pour suivre le signalement ${data.trackingId} est ${data.code}. Il expire dans 15 minutes.`,
+        es: data => `Salyte Beacon: tu código para seguir el reporte ${data.trackingId} es ${data.code}. Caduca en 15 minutos.`
+    },
+    
+    alertOpened: {
+        en: data => `Salyte Beacon ${data.priority.toUpperCase()} alert: ${data.title} at ${data.stationName}. ` +
+            `See the dashboard. Reply STOP to opt out.`,
+        sw: data => `Tahadhari ya Salyte Beacon (${data.priority}): ${data.title} katika ${data.stationName}. ` +
+            `Angalia dashibodi. Jibu ACHA kusitisha.`,
+        fr: data => `Alerte Salyte Beacon ${data.priority} : ${data.title} à ${data.stationName}. ` +
+            `Voir le tableau de bord. Répondez STOP pour arrêter.`,
+        es: data => `Alerta Salyte Beacon ${data.priority}: ${data.title} en ${data.stationName}. ` +
+            `Consulta el panel. Responde STOP para cancelar.`
+    },
+    
+    alertEscalation: {
+        en: data => `Salyte Beacon ${data.priority.toUpperCase()} alert: ${data.title} at ${data.stationName}, ` +
+            `unacknowledged for ${data.openFor}. Reply STOP to opt out.`,
+        sw: data => `Tahadhari ya Salyte Beacon (${data.priority}): ${data.title} katika ${data.stationName}, ` +
+            `haijathibitishwa kwa ${data.openFor}. Jibu ACHA kusitisha.`,
+        fr: data => `Alerte Salyte Beacon ${data.priority} : ${data.title} à ${data.stationName}, ` +
+            `non prise en charge depuis ${data.openFor}. Répondez STOP pour arrêter.`,
+        es: data => `Alerta Salyte Beacon ${data.priority}: ${data.title} en ${data.stationName}, ` +
+            `sin reconocer desde hace ${data.openFor}. Responde STOP para cancelar.`
+    },
+    
+    optedOut: {
+        keywordReply: true,
+        en: () => 'Salyte Beacon: you will no longer receive text messages from us. Reply START to opt back in.',
+        sw: () => 'Salyte Beacon: hutapokea tena jumbe kutoka kwetu. Jibu ANZA kujiunga tena.',
+        fr: () => 'Salyte Beacon : vous ne recevrez plus de SMS de notre part. Répondez START pour vous réabonner.',
+        es: () => 'Salyte Beacon: ya no recibirás mensajes nuestros. Responde START para volver a suscribirte.'
+    },
+    
+    optedIn: {
+        keywordReply: true,
+        en: () => 'Salyte Beacon: text messages are back on. Reply STOP to opt out at any time.',
+        sw: () => 'Salyte Beacon: jumbe zimerejeshwa. Jibu ACHA kusitisha wakati wowote.',
+        fr: () => 'Salyte Beacon : les SMS sont réactivés. Répondez STOP pour arrêter à tout moment.',
+        es: () => 'Salyte Beacon: los mensajes están activados de nuevo. Responde STOP para cancelar cuando quieras.'
+    }
+};
+
+const SMS_TEMPLATE_KEYS = Object.keys(SMS_TEMPLATES);
+
+module.exports = {
+    SMS_TEMPLATES,
+    SMS_TEMPLATE_KEYS
+};
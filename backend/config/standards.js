@@ -0,0 +1,171 @@
+/**
+ * Water Quality Standards Registry for Salyte Beacon
+ * Limit sets per standard and the safe/warning/critical classification built on them
+ */
+
+const { PARAMETERS } = require('./parameters');
+
+/**
+ * Limit sets
+ * For each parameter, `safe` is the range that meets the standard and `acceptable`
+ * the range that needs attention but is not yet a health risk. A reading outside
+ * `acceptable` is critical. Parameters a standard does not cover are not classified.
+ * Dissolved oxygen is not a drinking-water limit; all sets use the same ambient guidance.
+ */
+const STANDARDS = {
+    who: {
+        name: 'WHO Guidelines for Drinking-water Quality',
+        authority: 'World Health Organization',
+        reference: 'https://www.who.int/publications/i/item/9789241549950',
+        limits: {
+            ph: { safe: [6.5, 8.5], acceptable: [6, 9] },
+            dissolvedOxygen: { safe: [6, Infinity], acceptable: [4, Infinity] },
+            turbidity: { safe: [0, 1], acceptable: [0, 5] },
+            coliform: { safe: [0, 0], acceptable: [0, 10] },
+            tds: { safe: [0, 600], acceptable: [0, 1000] },
+            chlorine: { safe: [0.2, 5], acceptable: [0, 5] },
+            nitrate: { safe: [0, 50], acceptable: [0, 50] },
+            fluoride: { safe: [0, 1.5], acceptable: [0, 4] }
+        }
+    },
+    kebs: {
+        name: 'KEBS KS EAS 12 Potable Water',
+        authority: 'Kenya Bureau of Standards',
+        reference: 'https://www.kebs.org',
+        limits: {
+            ph: { safe: [6.5, 8.5], acceptable: [6, 9] },
+            dissolvedOxygen: { safe: [6, Infinity], acceptable: [4, Infinity] },
+            turbidity: { safe: [0, 5], acceptable: [0, 25] },
+            conductivity: { safe: [0, 1500], acceptable: [0, 2500] },
+            coliform: { safe: [0, 0], acceptable: [0, 10] },
+            tds: { safe: [0, 1000], acceptable: [0, 1500] },
+            chlorine: { safe: [0.2, 0.5], acceptable: [0, 5] },
+            nitrate: { safe: [0, 45], acceptable: [0, 45] },
+            fluoride: { safe: [0, 1.5], acceptable: [0, 4] }
+        }
+    },
+    epa: {
+        name: 'US EPA National Drinking Water Regulations',
+        authority: 'US Environmental Protection Agency',
+        reference: 'https://www.epa.gov/ground-water-and-drinking-water/national-primary-drinking-water-regulations',
+        limits: {
+            ph: { safe: [6.5, 8.5], acceptable: [6, 9] },
+            dissolvedOxygen: { safe: [6, Infinity], acceptable: [4, Infinity] },
+            turbidity: { safe: [0, 0.3], acceptable: [0, 1] },
+            coliform: { safe: [0, 0], acceptable: [0, 0] },
+            tds: { safe: [0, 500], acceptable: [0, 1000] },
+            chlorine: { safe: [0.2, 4], acceptable: [0, 4] },
+            nitrate: { safe: [0, 44], acceptable: [0, 44] },
+            fluoride: { safe: [0, 2], acceptable: [0, 4] }
+        }
+    }
+};
+
+const STANDARD_KEYS = Object.keys(STANDARDS);
+
+const DEFAULT_STANDARD = STANDARD_KEYS.includes(process.env.WATER_QUALITY_STANDARD)
+    ? process.env.WATER_QUALITY_STANDARD
+    : 'who';
+
+// Quality classes from best to worst; 'unknown' means nothing to classify
+const QUALITY_CLASSES = ['unknown', 'safe', 'warning', 'critical'];
+
+/**
+ * Get a standard by key, falling back to the default standard
+ */
+function getStandard(key) {
+    return Object.hasOwn(STANDARDS, key) ? STANDARDS[key] : STANDARDS[DEFAULT_STANDARD];
+}
+
+/**
+ * A standard's limits for one parameter, or null when it does not cover the parameter
+ */
+function getLimits(parameter, standardKey = DEFAULT_STANDARD) {
+    const { limits } = getStandard(standardKey);
+    return Object.hasOwn(limits, parameter) ? limits[parameter] : null;
+}
+
+/**
+ * Classify one reading as 'safe', 'warning' or 'critical' under a standard
+ * Returns null for parameters the standard does not cover.
+ */
+function classifyValue(parameter, value, standardKey = DEFAULT_STANDARD) {
+    const limits = getLimits(parameter, standardKey);
+    
+    if (!limits || typeof value !== 'number' || !Number.isFinite(value)) {
+        return null;
+    }
+    
+    const within = ([min, max]) => value >= min && value <= max;
+    
+    if (within(limits.safe)) return 'safe';
+    if (within(limits.acceptable)) return 'warning';
+    return 'critical';
+}
+
+/**
+ * Classify a set of readings ({ parameter: value }) by their worst parameter
+ */
+function classifyReadings(values, standardKey = DEFAULT_STANDARD) {
+    return Object.entries(values).reduce((worst, [parameter, value]) => {
+        const quality = classifyValue(parameter, value, standardKey);
+        return quality && QUALITY_CLASSES.indexOf(quality) > QUALITY_CLASSES.indexOf(worst) ? quality : worst;
+    }, 'unknown');
+}
+
+/**
+ * Describe a standard's safe range in words, e.g. "6.5-8.5" or "at most 5 NTU"
+ */
+function describeLimit(parameter, standardKey = DEFAULT_STANDARD) {
+    const limits = getLimits(parameter, standardKey);
+    if (!limits) return null;
+    
+    const [min, max] = limits.safe;
+    const unit = PARAMETERS[parameter].unit === 'pH' ? '' : ` ${PARAMETERS[parameter].unit}`;
+    
+    if (max === Infinity) return `at least ${min}${unit}`;
+    if (min === 0 && max === 0) return 'none detected';
+    if (min === 0) return `at most ${max}${unit}`;
+    return `${min}-${max}${unit}`;
+}
+
+/**
+ * Serialisable view of a standard for API responses (Infinity becomes null)
+ */
+function serializeStandard(key) {
+    const standard = STANDARDS[key];
+    const limits = {};
+    
+    Object.entries(standard.limits).forEach(([parameter, { safe, acceptable }]) => {
+        const toJSON = ([min, max]) => [min, max === Infinity ? null : max];
+        
+        limits[parameter] = {
+            name: PARAMETERS[parameter].name,
+            unit: PARAMETERS[parameter].unit,
+            safe: toJSON(safe),
+            acceptable: toJSON(acceptable),
+            description: describeLimit(parameter, key)
+        };
+    });
+    
+    return {
+        key: key,
+        name: standard.name,
+        authority: standard.authority,
+        reference: standard.reference,
+        isDefault: key === DEFAULT_STANDARD,
+        limits: limits
+    };
+}
+
+module.exports = {
+    STANDARDS,
+    STANDARD_KEYS,
+    DEFAULT_STANDARD,
+    QUALITY_CLASSES,
+    getStandard,
+    classifyValue,
+    classifyReadings,
+    describeLimit,
+    serializeStandard
+};
@@ -5,6 +5,10 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const DeviceKey = require('../models/DeviceKey');
+
+// Roles that register and operate monitoring stations and act for their organizations
+const MANAGER_ROLES = ['organization', 'researcher', 'government', 'ngo', 'admin'];
 
 /**
  * Middleware to authenticate JWT tokens
@@ -110,6 +114,101 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Device API key authentication middleware
+ * For field sensors; the key is bound to one station and must carry every listed scope
+ */
+const deviceAuth = (...scopes) => {
+    return async (req, res, next) => {
+        try {
+            const apiKey = getDeviceKey(req);
+            
+            if (!apiKey) {
+                return res.status(401).json({
+                    error: 'Access denied',
+                    message: 'No device key provided'
+                });
+            }
+            
+            const deviceKey = await DeviceKey.authenticate(apiKey);
+            if (!deviceKey) {
+                return res.status(401).json({
+                    error: 'Invalid device key',
+                    message: 'Device key is invalid, expired or revoked'
+                });
+            }
+            
+            const missingScope = scopes.find(scope => !deviceKey.hasScope(scope));
+            if (missingScope) {
+                return res.status(403).json({
+                    error: 'Access forbidden',
+                    message: `Device key lacks the ${missingScope} scope`
+                });
+            }
+            
+            // Attach device to request
+            req.device = {
+                keyId: deviceKey.keyId,
+                stationId: deviceKey.station,
+                scopes: deviceKey.scopes
+            };
+            req.user = null;
+            req.userDoc = null;
+            
+            // Update key usage
+            await DeviceKey.updateOne(
+                { _id: deviceKey._id },
+                { lastUsedAt: new Date(), lastUsedIp: req.ip }
+            );
+            
+            next();
+            
+        } catch (error) {
+            console.error('Device auth middleware error:', error);
+            res.status(500).json({
+                error: 'Authentication error',
+                message: 'Unable to authenticate device'
+            });
+        }
+    };
+};
+
+/**
+ * Accepts either a device API key (with the given scopes) or a user JWT
+ */
+const deviceOrUserAuth = (...scopes) => {
+    const authenticateDevice = deviceAuth(...scopes);
+    
+    return (req, res, next) => {
+        if (getDeviceKey(req)) {
+            return authenticateDevice(req, res, next);
+        }
+        return auth(req, res, next);
+    };
+};
+
+/**
+ * Read a device key from the X-Device-Key header or an "ApiKey" Authorization header
+ */
+function getDeviceKey(req) {
+    const authorization = req.header('Authorization');
+    if (authorization && authorization.startsWith('ApiKey ')) {
+        return authorization.replace('ApiKey ', '').trim();
+    }
+    return req.header('x-device-key');
+}
+
+/**
+ * Check whether a request may submit readings for a station:
+ * a device key bound to it, or a manager account that manages it
+ */
+function canSubmitReadings(req, station) {
+    if (req.device) {
+        return req.device.stationId.toString() === station._id.toString();
+    }
+    return !!req.user && MANAGER_ROLES.includes(req.user.role) && station.isManagedBy(req.user);
+}
+
 /**
  * Role-based authorization middleware
  */
@@ -262,8 +361,12 @@ const userRateLimit = (maxRequests = 60, windowMinutes = 60) => {
 };
 
 module.exports = {
+    MANAGER_ROLES,
+    canSubmitReadings,
     auth,
     optionalAuth,
+    deviceAuth,
+    deviceOrUserAuth,
     authorize,
     requirePermission,
     checkApiQuota,
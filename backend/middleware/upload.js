@@ -0,0 +1,63 @@
+/**
+ * Upload Middleware for Salyte Beacon
+ * Multer configuration for report photo and CSV data uploads
+ */
+
+const multer = require('multer');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB, matches the global LIMIT_FILE_SIZE handler
+const MAX_FILES = 5;
+// No HEIC: sharp's prebuilt binaries cannot decode it (iOS converts to JPEG for these types)
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+// Browsers report CSV files inconsistently, so the .csv extension is accepted as well
+const ALLOWED_CSV_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+/**
+ * Photo upload middleware
+ * Files are kept in memory so they can be processed before anything is written to storage
+ */
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: MAX_FILES
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype.toLowerCase())) {
+            const error = new Error(`${file.originalname} is not a supported image format`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * CSV upload middleware for historical data imports (single file)
+ */
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = ALLOWED_CSV_TYPES.includes(file.mimetype.toLowerCase()) ||
+                      file.originalname.toLowerCase().endsWith('.csv');
+        
+        if (!isCsv) {
+            const error = new Error(`${file.originalname} is not a CSV file`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+module.exports = {
+    photoUpload,
+    csvUpload,
+    MAX_FILES,
+    ALLOWED_IMAGE_TYPES
+};
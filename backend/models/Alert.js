@@ -0,0 +1,476 @@
+/**
+ * Alert Model for Salyte Beacon
+ * Station alerts opened, updated and closed by the alert rules engine
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { PARAMETER_KEYS } = require('../config/parameters');
+
+const ALERT_STATUSES = ['open', 'closed'];
+const ALERT_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const RULE_SOURCES = ['standard', 'threshold', 'rate-of-change'];
+const CLOSE_REASONS = ['recovered', 'rule-removed'];
+const HISTORY_EVENTS = ['acknowledged', 'escalated', 'escalation-step', 'closed'];
+
+const alertSchema = new Schema({
+    station: {
+        type: Schema.Types.ObjectId,
+        ref: 'Station',
+        required: [true, 'Station is required']
+    },
+    
+    county: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    
+    organizationKey: {
+        type: String
+    },
+    
+    // Rule that raised the alert: "standard:<parameter>" or "rule:<id>"
+    ruleKey: {
+        type: String,
+        required: true
+    },
+    
+    ruleType: {
+        type: String,
+        enum: RULE_SOURCES,
+        required: true
+    },
+    
+    rule: {
+        type: Schema.Types.ObjectId,
+        ref: 'AlertRule'
+    },
+    
+    standard: {
+        type: String
+    },
+    
+    parameter: {
+        type: String,
+        enum: PARAMETER_KEYS,
+        required: true
+    },
+    
+    priority: {
+        type: String,
+        enum: ALERT_PRIORITIES,
+        default: 'high'
+    },
+    
+    title: {
+        type: String,
+        required: true,
+        maxLength: 200
+    },
+    
+    message: {
+        type: String,
+        maxLength: 500
+    },
+    
+    // Reading that last triggered the alert
+    value: {
+        type: Number
+    },
+    
+    unit: {
+        type: String
+    },
+    
+    status: {
+        type: String,
+        enum: ALERT_STATUSES,
+        default: 'open'
+    },
+    
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    lastTriggeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    triggerCount: {
+        type: Number,
+        default: 1
+    },
+    
+    closedAt: {
+        type: Date
+    },
+    
+    closeReason: {
+        type: String,
+        enum: CLOSE_REASONS
+    },
+    
+    // Team workflow
+    acknowledgement: {
+        by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        byName: {
+            type: String,
+            trim: true
+        },
+        comment: {
+            type: String,
+            trim: true,
+            maxLength: [500, 'Comment cannot exceed 500 characters']
+        },
+        at: {
+            type: Date
+        }
+    },
+    
+    escalations: [{
+        from: {
+            type: String,
+            enum: ALERT_PRIORITIES
+        },
+        to: {
+            type: String,
+            enum: ALERT_PRIORITIES,
+            required: true
+        },
+        reason: {
+            type: String,
+            required: [true, 'Escalation reason is required'],
+            trim: true,
+            maxLength: [500, 'Reason cannot exceed 500 characters']
+        },
+        by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        byName: {
+            type: String,
+            trim: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
+    // Users who have read the alert since its priority last rose
+    readBy: [{
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    
+    // Number of escalation policy steps already taken at the current priority
+    escalationLevel: {
+        type: Number,
+        default: 0
+    },
+    
+    // When the alert reached its current priority; policy steps are timed from here
+    escalationStartedAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    // Audit trail of team actions, escalation steps and closing
+    history: [{
+        event: {
+            type: String,
+            enum: HISTORY_EVENTS,
+            required: true
+        },
+        by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        byName: {
+            type: String,
+            trim: true
+        },
+        priority: {
+            type: String,
+            enum: ALERT_PRIORITIES
+        },
+        // Escalation steps: who the alert went to
+        target: {
+            type: String
+        },
+        recipients: [{
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        note: {
+            type: String,
+            trim: true,
+            maxLength: 500
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'alerts',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+// At most one open alert per station and rule
+alertSchema.index(
+    { station: 1, ruleKey: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+alertSchema.index({ status: 1, priority: 1, lastTriggeredAt: -1 });
+alertSchema.index({ county: 1, status: 1 });
+alertSchema.index({ rule: 1, status: 1 });
+alertSchema.index({ readBy: 1 });
+alertSchema.index({ status: 1, priority: 1, escalationLevel: 1, escalationStartedAt: 1 });
+
+// Virtual for how long the alert has been (or was) open, in milliseconds
+alertSchema.virtual('durationMs').get(function() {
+    if (!this.openedAt) return null;
+    return (this.closedAt || new Date()).getTime() - this.openedAt.getTime();
+});
+
+// Virtual for whether someone on the team has acknowledged the alert
+alertSchema.virtual('isAcknowledged').get(function() {
+    return !!this.acknowledgement?.at;
+});
+
+// Instance methods
+alertSchema.methods.toJSON = function() {
+    const alert = this.toObject();
+    
+    delete alert.__v;
+    delete alert.organizationKey;
+    delete alert.readBy;
+    
+    return alert;
+};
+
+/**
+ * Representation for one user, with their read state
+ * Acknowledgements, escalations and history name team members and hold their comments, so they
+ * are left out unless `showWorkflow` is set for users who may act on the alert.
+ */
+alertSchema.methods.toJSONFor = function(user, { showWorkflow = false } = {}) {
+    const alert = this.toJSON();
+    alert.isRead = user ? this.isReadBy(user.userId) : false;
+    
+    if (!showWorkflow) {
+        delete alert.acknowledgement;
+        delete alert.escalations;
+        delete alert.history;
+    }
+    
+    return alert;
+};
+
+alertSchema.methods.isReadBy = function(userId) {
+    return this.readBy.some(id => id.toString() === userId.toString());
+};
+
+alertSchema.methods.markReadBy = function(userId) {
+    if (!this.isReadBy(userId)) {
+        this.readBy.push(userId);
+    }
+    return this;
+};
+
+/**
+ * Record who acknowledged the alert (not saved)
+ */
+alertSchema.methods.acknowledge = function(user, comment) {
+    if (this.status !== 'open') {
+        throw workflowError('Only open alerts can be acknowledged', 409);
+    }
+    
+    if (this.isAcknowledged) {
+        throw workflowError(`Alert was already acknowledged by ${this.acknowledgement.byName || 'a team member'}`, 409);
+    }
+    
+    this.acknowledgement = {
+        by: user?._id,
+        byName: user?.fullName,
+        comment: comment,
+        at: new Date()
+    };
+    
+    this.history.push({
+        event: 'acknowledged',
+        by: user?._id,
+        byName: user?.fullName,
+        priority: this.priority,
+        note: comment,
+        at: this.acknowledgement.at
+    });
+    
+    if (user) this.markReadBy(user._id);
+    
+    return this;
+};
+
+/**
+ * Acknowledge the alert and save the acknowledgement, unless someone else acknowledged it or it
+ * closed since it was loaded
+ * Returns false when the alert was left unchanged in the database.
+ */
+alertSchema.methods.claimAcknowledgement = async function(user, comment) {
+    this.acknowledge(user, comment);
+    await this.validate();
+    
+    const { acknowledgement, history } = this.toObject({ virtuals: false });
+    const result = await this.constructor.updateOne(
+        { _id: this._id, status: 'open', 'acknowledgement.at': { $exists: false } },
+        {
+            $set: { acknowledgement: acknowledgement },
+            $push: { history: history[history.length - 1] },
+            ...(user && { $addToSet: { readBy: user._id } })
+        }
+    );
+    
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Raise the alert to a higher priority, by default the next tier (not saved)
+ */
+alertSchema.methods.escalate = function(priority, { user, reason } = {}) {
+    const current = ALERT_PRIORITIES.indexOf(this.priority);
+    const target = priority || ALERT_PRIORITIES[current + 1];
+    
+    if (this.status !== 'open') {
+        throw workflowError('Only open alerts can be escalated', 409);
+    }
+    
+    if (!target) {
+        throw workflowError('Alert is already at the highest priority', 409);
+    }
+    
+    if (!ALERT_PRIORITIES.includes(target)) {
+        throw workflowError(`Priority must be one of: ${ALERT_PRIORITIES.join(', ')}`, 400);
+    }
+    
+    if (ALERT_PRIORITIES.indexOf(target) <= current) {
+        throw workflowError(`Alert is already ${this.priority} priority; escalate to a higher tier`, 400);
+    }
+    
+    this.escalations.push({
+        from: this.priority,
+        to: target,
+        reason: reason,
+        by: user?._id,
+        byName: user?.fullName,
+        at: new Date()
+    });
+    
+    this.history.push({
+        event: 'escalated',
+        by: user?._id,
+        byName: user?.fullName,
+        priority: target,
+        note: reason,
+        at: new Date()
+    });
+    
+    this.updatePriority(target);
+    if (user) this.markReadBy(user._id);
+    
+    return this;
+};
+
+/**
+ * Escalate the alert and save the escalation, unless its priority changed or it closed since it
+ * was loaded
+ * Returns false when the alert was left unchanged in the database.
+ */
+alertSchema.methods.claimEscalation = async function(priority, { user, reason } = {}) {
+    const previousPriority = this.priority;
+    this.escalate(priority, { user, reason });
+    await this.validate();
+    
+    const { escalations, history } = this.toObject({ virtuals: false });
+    const result = await this.constructor.updateOne(
+        { _id: this._id, status: 'open', priority: previousPriority },
+        {
+            $set: {
+                priority: this.priority,
+                readBy: this.readBy,
+                escalationLevel: this.escalationLevel,
+                escalationStartedAt: this.escalationStartedAt
+            },
+            $push: {
+                escalations: escalations[escalations.length - 1],
+                history: history[history.length - 1]
+            }
+        }
+    );
+    
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Set the priority; rising priorities mark the alert unread for everyone
+ * A new priority below the highest escalation is ignored, so escalations stick.
+ * Any change restarts the escalation policy of the new priority from its first step.
+ */
+alertSchema.methods.updatePriority = function(priority) {
+    const escalated = this.escalations.length > 0 ? this.escalations[this.escalations.length - 1].to : null;
+    const rank = key => ALERT_PRIORITIES.indexOf(key);
+    const next = escalated && rank(escalated) > rank(priority) ? escalated : priority;
+    
+    if (rank(next) > rank(this.priority)) {
+        this.readBy = [];
+    }
+    
+    if (next !== this.priority) {
+        this.escalationLevel = 0;
+        this.escalationStartedAt = new Date();
+    }
+    
+    this.priority = next;
+    return this;
+};
+
+/**
+ * Close the alert (not saved)
+ */
+alertSchema.methods.close = function(reason = 'recovered') {
+    this.status = 'closed';
+    this.closedAt = new Date();
+    this.closeReason = reason;
+    this.history.push({ event: 'closed', note: reason, at: this.closedAt });
+    return this;
+};
+
+function workflowError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Static methods
+alertSchema.statics.findOpenForStation = function(stationId) {
+    return this.find({ station: stationId, status: 'open' });
+};
+
+alertSchema.statics.STATUSES = ALERT_STATUSES;
+alertSchema.statics.PRIORITIES = ALERT_PRIORITIES;
+
+// Create and export the model
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
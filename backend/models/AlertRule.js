@@ -0,0 +1,192 @@
+/**
+ * Alert Rule Model for Salyte Beacon
+ * Per-organization threshold and rate-of-change rules evaluated against incoming readings
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Organization = require('./Organization');
+const { PARAMETER_KEYS, PARAMETERS } = require('../config/parameters');
+
+const RULE_TYPES = ['threshold', 'rate-of-change'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const OPERATOR_LABELS = {
+    gt: 'above',
+    gte: 'at or above',
+    lt: 'below',
+    lte: 'at or below'
+};
+
+const alertRuleSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxLength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    
+    // Organization whose stations the rule applies to
+    organization: {
+        type: String,
+        required: [true, 'Organization is required'],
+        trim: true
+    },
+    
+    organizationKey: {
+        type: String,
+        required: true
+    },
+    
+    type: {
+        type: String,
+        enum: RULE_TYPES,
+        required: [true, 'Rule type is required']
+    },
+    
+    parameter: {
+        type: String,
+        enum: PARAMETER_KEYS,
+        required: [true, 'Parameter is required']
+    },
+    
+    // Threshold rules: value compared with the operator for `consecutive` readings in a row
+    operator: {
+        type: String,
+        enum: OPERATORS
+    },
+    
+    value: {
+        type: Number
+    },
+    
+    consecutive: {
+        type: Number,
+        default: 1,
+        min: [1, 'Consecutive readings must be at least 1'],
+        max: [100, 'Consecutive readings cannot exceed 100']
+    },
+    
+    // Rate-of-change rules: largest allowed change within the window
+    maxChange: {
+        type: Number,
+        min: [0, 'Maximum change cannot be negative']
+    },
+    
+    windowMinutes: {
+        type: Number,
+        min: [1, 'Window must be at least 1 minute'],
+        max: [10080, 'Window cannot exceed 7 days']
+    },
+    
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'high'
+    },
+    
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'alert_rules',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+alertRuleSchema.index({ organizationKey: 1, enabled: 1 });
+
+// Pre-validate middleware
+alertRuleSchema.pre('validate', function(next) {
+    if (this.organization) {
+        this.organizationKey = Organization.toNameKey(this.organization);
+    }
+    
+    if (this.type === 'threshold') {
+        if (!OPERATORS.includes(this.operator)) {
+            this.invalidate('operator', `Operator must be one of: ${OPERATORS.join(', ')}`);
+        }
+        if (typeof this.value !== 'number' || !Number.isFinite(this.value)) {
+            this.invalidate('value', 'Threshold value is required');
+        }
+    }
+    
+    if (this.type === 'rate-of-change') {
+        if (typeof this.maxChange !== 'number' || !Number.isFinite(this.maxChange)) {
+            this.invalidate('maxChange', 'Maximum change is required');
+        }
+        if (!this.windowMinutes) {
+            this.invalidate('windowMinutes', 'Window is required');
+        }
+    }
+    
+    next();
+});
+
+// Virtual for a readable condition, e.g. "pH Level above 8.5 for 3 consecutive readings"
+alertRuleSchema.virtual('condition').get(function() {
+    const parameter = PARAMETERS[this.parameter];
+    if (!parameter) return null;
+    
+    const unit = parameter.unit === 'pH' ? '' : ` ${parameter.unit}`;
+    
+    if (this.type === 'rate-of-change') {
+        return `${parameter.name} changes by more than ${this.maxChange}${unit} within ${this.windowMinutes} min`;
+    }
+    
+    const persistence = this.consecutive > 1 ? ` for ${this.consecutive} consecutive readings` : '';
+    return `${parameter.name} ${OPERATOR_LABELS[this.operator]} ${this.value}${unit}${persistence}`;
+});
+
+// Instance methods
+alertRuleSchema.methods.toJSON = function() {
+    const rule = this.toObject();
+    
+    delete rule.__v;
+    delete rule.organizationKey;
+    
+    return rule;
+};
+
+/**
+ * Check whether a value breaks a threshold rule's condition
+ */
+alertRuleSchema.methods.isBreachedBy = function(value) {
+    switch (this.operator) {
+        case 'gt': return value > this.value;
+        case 'gte': return value >= this.value;
+        case 'lt': return value < this.value;
+        case 'lte': return value <= this.value;
+        default: return false;
+    }
+};
+
+// Static methods
+alertRuleSchema.statics.findActiveFor = function(organization) {
+    if (!organization) return Promise.resolve([]);
+    
+    return this.find({
+        organizationKey: Organization.toNameKey(organization),
+        enabled: true
+    });
+};
+
+alertRuleSchema.statics.TYPES = RULE_TYPES;
+alertRuleSchema.statics.OPERATORS = OPERATORS;
+alertRuleSchema.statics.PRIORITIES = PRIORITIES;
+
+// Create and export the model
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+module.exports = AlertRule;
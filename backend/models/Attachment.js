@@ -0,0 +1,118 @@
+/**
+ * Attachment Model for Salyte Beacon
+ * Uploaded report photos; files live in the storage service, this holds their metadata
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const attachmentSchema = new Schema({
+    // Owning report, set once the report referencing this attachment is saved
+    report: {
+        type: Schema.Types.ObjectId,
+        ref: 'Report',
+        default: null
+    },
+    
+    uploadedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    // File Details
+    originalName: {
+        type: String,
+        required: [true, 'File name is required'],
+        trim: true,
+        maxLength: [255, 'File name cannot exceed 255 characters']
+    },
+    
+    mimeType: {
+        type: String,
+        required: true
+    },
+    
+    size: {
+        type: Number,
+        required: true
+    },
+    
+    width: {
+        type: Number
+    },
+    
+    height: {
+        type: Number
+    },
+    
+    // Whether the original carried EXIF metadata (stripped from public copies)
+    hadExif: {
+        type: Boolean,
+        default: false
+    },
+    
+    // Storage keys for each rendition
+    storageKeys: {
+        original: {
+            type: String,
+            required: true
+        },
+        public: {
+            type: String,
+            required: true
+        },
+        thumbnail: {
+            type: String,
+            required: true
+        }
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'attachments',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+attachmentSchema.index({ report: 1 });
+attachmentSchema.index({ createdAt: -1 });
+
+// Virtual for public image URL
+attachmentSchema.virtual('url').get(function() {
+    return `/api/attachments/${this._id}`;
+});
+
+// Virtual for thumbnail URL
+attachmentSchema.virtual('thumbnailUrl').get(function() {
+    return `/api/attachments/${this._id}/thumbnail`;
+});
+
+// Instance methods
+attachmentSchema.methods.toJSON = function() {
+    const attachment = this.toObject();
+    
+    // Storage layout is an implementation detail
+    delete attachment.storageKeys;
+    delete attachment.__v;
+    
+    return attachment;
+};
+
+/**
+ * Reference stored on the report for this attachment
+ */
+attachmentSchema.methods.toPhotoReference = function() {
+    return {
+        attachment: this._id,
+        name: this.originalName,
+        size: this.size,
+        url: this.url,
+        thumbnailUrl: this.thumbnailUrl
+    };
+};
+
+// Create and export the model
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
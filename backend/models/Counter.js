@@ -0,0 +1,40 @@
+/**
+ * Counter Model for Salyte Beacon
+ * Atomic named sequences, used for human-readable identifiers such as report tracking IDs
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const counterSchema = new Schema({
+    // Sequence name, e.g. "report-20250115"
+    _id: {
+        type: String,
+        required: true
+    },
+    
+    seq: {
+        type: Number,
+        default: 0
+    }
+
+}, {
+    collection: 'counters',
+    versionKey: false
+});
+
+// Static methods
+counterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    
+    return counter.seq;
+};
+
+// Create and export the model
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
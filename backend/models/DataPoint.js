@@ -0,0 +1,186 @@
+/**
+ * DataPoint Model for Salyte Beacon
+ * Timestamped telemetry readings from station sensor channels
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { PARAMETER_KEYS } = require('../config/parameters');
+
+const dataPointSchema = new Schema({
+    station: {
+        type: Schema.Types.ObjectId,
+        ref: 'Station',
+        required: [true, 'Station is required']
+    },
+    
+    sensor: {
+        type: Schema.Types.ObjectId,
+        ref: 'Sensor'
+    },
+    
+    parameter: {
+        type: String,
+        required: [true, 'Parameter is required'],
+        enum: PARAMETER_KEYS
+    },
+    
+    value: {
+        type: Number,
+        required: [true, 'Value is required']
+    },
+    
+    unit: {
+        type: String,
+        trim: true
+    },
+    
+    timestamp: {
+        type: Date,
+        required: [true, 'Timestamp is required']
+    },
+    
+    // Copied from the station so readings can be queried geographically
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number] // [longitude, latitude]
+        }
+    },
+    
+    county: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    
+    source: {
+        type: String,
+        enum: ['sensor', 'manual', 'upload'],
+        default: 'sensor'
+    }
+
+}, {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false },
+    collection: 'datapoints'
+});
+
+// Indexes for better performance; the unique index also drops re-sent readings
+dataPointSchema.index({ station: 1, parameter: 1, timestamp: -1 }, { unique: true });
+dataPointSchema.index({ parameter: 1, timestamp: -1 });
+dataPointSchema.index({ county: 1, timestamp: -1 });
+dataPointSchema.index({ location: '2dsphere' });
+
+// Instance methods
+dataPointSchema.methods.toJSON = function() {
+    const dataPoint = this.toObject();
+    
+    delete dataPoint.__v;
+    
+    return dataPoint;
+};
+
+// Static methods
+/**
+ * Aggregate readings into time buckets with min, max, mean and count
+ * Buckets are grouped per parameter, and per station when `byStation` is set.
+ * Requires MongoDB 5.0+ for $dateTrunc.
+ */
+dataPointSchema.statics.aggregateBuckets = function(match, { interval = 'day', timezone = 'UTC', byStation = false } = {}) {
+    const groupId = {
+        parameter: '$parameter',
+        bucket: {
+            $dateTrunc: {
+                date: '$timestamp',
+                unit: interval,
+                timezone: timezone,
+                startOfWeek: 'monday'
+            }
+        }
+    };
+    
+    if (byStation) {
+        groupId.station = '$station';
+    }
+    
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: groupId,
+                min: { $min: '$value' },
+                max: { $max: '$value' },
+                mean: { $avg: '$value' },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.parameter': 1, '_id.station': 1, '_id.bucket': 1 } }
+    ]);
+};
+
+/**
+ * Latest value per station and parameter among readings matching `match`
+ * Returns a Map of station ID to { parameter: value }.
+ */
+dataPointSchema.statics.latestValues = async function(match) {
+    const results = await this.aggregate([
+        { $match: match },
+        { $sort: { timestamp: 1 } },
+        {
+            $group: {
+                _id: { station: '$station', parameter: '$parameter' },
+                value: { $last: '$value' }
+            }
+        }
+    ]).allowDiskUse(true);
+    
+    const valuesByStation = new Map();
+    results.forEach(({ _id, value }) => {
+        const stationId = _id.station.toString();
+        if (!valuesByStation.has(stationId)) {
+            valuesByStation.set(stationId, {});
+        }
+        valuesByStation.get(stationId)[_id.parameter] = value;
+    });
+    
+    return valuesByStation;
+};
+
+/**
+ * Mean value per parameter among readings matching `match`, grouped by a field
+ * such as station or county. Returns a Map of group key to { parameter: mean }.
+ */
+dataPointSchema.statics.averageValues = async function(match, groupField) {
+    const results = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { key: `$${groupField}`, parameter: '$parameter' },
+                mean: { $avg: '$value' }
+            }
+        }
+    ]);
+    
+    const valuesByKey = new Map();
+    results.forEach(({ _id, mean }) => {
+        const key = String(_id.key);
+        if (!valuesByKey.has(key)) {
+            valuesByKey.set(key, {});
+        }
+        valuesByKey.get(key)[_id.parameter] = mean;
+    });
+    
+    return valuesByKey;
+};
+
+dataPointSchema.statics.INTERVALS = ['hour', 'day', 'week', 'month'];
+
+// Create and export the model
+const DataPoint = mongoose.model('DataPoint', dataPointSchema);
+
+module.exports = DataPoint;
@@ -0,0 +1,170 @@
+/**
+ * DeviceKey Model for Salyte Beacon
+ * Per-device API keys for field sensors; each key is bound to one station and stored hashed
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const KEY_PREFIX = 'sbk';
+// Only scopes a route checks belong here; readings are public, so devices only need to write
+const DEVICE_SCOPES = ['readings:write'];
+
+const deviceKeySchema = new Schema({
+    station: {
+        type: Schema.Types.ObjectId,
+        ref: 'Station',
+        required: [true, 'Station is required']
+    },
+    
+    name: {
+        type: String,
+        required: [true, 'Device name is required'],
+        trim: true,
+        maxLength: [100, 'Device name cannot exceed 100 characters']
+    },
+    
+    // Public part of the key, used to look it up
+    keyId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    
+    // SHA-256 of the secret part; the key itself is only shown once
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    
+    scopes: {
+        type: [{
+            type: String,
+            enum: DEVICE_SCOPES
+        }],
+        default: ['readings:write']
+    },
+    
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    // Usage
+    lastUsedAt: {
+        type: Date
+    },
+    
+    lastUsedIp: {
+        type: String
+    },
+    
+    // Lifecycle
+    expiresAt: {
+        type: Date
+    },
+    
+    revokedAt: {
+        type: Date
+    },
+    
+    revokedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'devicekeys'
+});
+
+// Indexes for better performance
+deviceKeySchema.index({ station: 1, revokedAt: 1 });
+
+// Virtual for key status
+deviceKeySchema.virtual('isActive').get(function() {
+    if (this.revokedAt) return false;
+    if (this.expiresAt && this.expiresAt < new Date()) return false;
+    return true;
+});
+
+// Instance methods
+deviceKeySchema.methods.toJSON = function() {
+    const deviceKey = this.toObject({ virtuals: true });
+    
+    delete deviceKey.keyHash;
+    delete deviceKey.__v;
+    delete deviceKey.id;
+    
+    return deviceKey;
+};
+
+deviceKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+/**
+ * Check the secret part of a key (requires the document to be loaded with +keyHash)
+ */
+deviceKeySchema.methods.verifySecret = function(secret) {
+    const hash = Buffer.from(hashSecret(secret));
+    const expected = Buffer.from(this.keyHash);
+    return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+};
+
+// Static methods
+
+/**
+ * Create a key for a station; returns the saved document and the plaintext key
+ */
+deviceKeySchema.statics.issue = async function({ station, name, scopes, expiresAt, createdBy }) {
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    
+    const deviceKey = await this.create({
+        station,
+        name,
+        keyId,
+        keyHash: hashSecret(secret),
+        scopes,
+        expiresAt,
+        createdBy
+    });
+    
+    return {
+        deviceKey,
+        apiKey: `${KEY_PREFIX}_${keyId}_${secret}`
+    };
+};
+
+/**
+ * Find the active key matching a plaintext API key, or null
+ */
+deviceKeySchema.statics.authenticate = async function(apiKey) {
+    const [prefix, keyId, secret] = String(apiKey).split('_');
+    if (prefix !== KEY_PREFIX || !keyId || !secret) return null;
+    
+    const deviceKey = await this.findOne({ keyId }).select('+keyHash');
+    if (!deviceKey || !deviceKey.isActive || !deviceKey.verifySecret(secret)) {
+        return null;
+    }
+    
+    return deviceKey;
+};
+
+deviceKeySchema.statics.SCOPES = DEVICE_SCOPES;
+
+/**
+ * Hash the secret part of a key
+ * Keys are long random strings, so a fast hash is sufficient
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Create and export the model
+const DeviceKey = mongoose.model('DeviceKey', deviceKeySchema);
+
+module.exports = DeviceKey;
@@ -0,0 +1,190 @@
+/**
+ * Email Message Model for Salyte Beacon
+ * Outgoing email queue; messages are rendered when queued and retried until sent
+ * Bodies can hold sign-in links (password reset, email verification), so they are only kept until
+ * the message is sent or given up on.
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { TEMPLATE_KEYS } = require('../config/emailTemplates');
+const { RETRY_DELAYS_MINUTES } = require('../config/mail');
+
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Statuses of messages still waiting to go out, which keep their bodies
+const PENDING_STATUSES = ['queued', 'sending'];
+
+const emailMessageSchema = new Schema({
+    to: {
+        type: String,
+        required: [true, 'Recipient is required'],
+        lowercase: true,
+        trim: true
+    },
+    
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    template: {
+        type: String,
+        enum: TEMPLATE_KEYS,
+        required: true
+    },
+    
+    language: {
+        type: String,
+        default: 'en'
+    },
+    
+    subject: {
+        type: String,
+        required: true
+    },
+    
+    text: {
+        type: String,
+        required: function() {
+            return PENDING_STATUSES.includes(this.status);
+        }
+    },
+    
+    html: {
+        type: String
+    },
+    
+    // One-click unsubscribe link, sent as the List-Unsubscribe header
+    unsubscribeUrl: {
+        type: String
+    },
+    
+    status: {
+        type: String,
+        enum: MESSAGE_STATUSES,
+        default: 'queued'
+    },
+    
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    // When the current send attempt started, to recover messages from a crashed worker
+    lockedAt: {
+        type: Date
+    },
+    
+    lastError: {
+        type: String
+    },
+    
+    transport: {
+        type: String
+    },
+    
+    messageId: {
+        type: String
+    },
+    
+    sentAt: {
+        type: Date
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'email_messages'
+});
+
+// Indexes for better performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ user: 1, createdAt: -1 });
+
+// Instance methods
+emailMessageSchema.methods.toJSON = function() {
+    const message = this.toObject();
+    
+    delete message.__v;
+    
+    return message;
+};
+
+/**
+ * Record a successful send (not saved)
+ */
+emailMessageSchema.methods.markSent = function(transport, messageId) {
+    this.status = 'sent';
+    this.transport = transport;
+    this.messageId = messageId;
+    this.sentAt = new Date();
+    this.lockedAt = undefined;
+    this.lastError = undefined;
+    this.clearBody();
+    return this;
+};
+
+/**
+ * Record a failed attempt and schedule the next one, or give up (not saved)
+ */
+emailMessageSchema.methods.markFailed = function(error) {
+    const delay = RETRY_DELAYS_MINUTES[this.attempts - 1];
+    
+    this.lastError = String(error?.message || error).slice(0, 500);
+    this.lockedAt = undefined;
+    
+    if (delay === undefined) {
+        this.status = 'failed';
+        this.clearBody();
+    } else {
+        this.status = 'queued';
+        this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+    
+    return this;
+};
+
+/**
+ * Drop the rendered body once it is no longer needed for sending (not saved)
+ */
+emailMessageSchema.methods.clearBody = function() {
+    this.text = undefined;
+    this.html = undefined;
+    return this;
+};
+
+// Static methods
+/**
+ * Claim the next due message for sending, counting the attempt
+ */
+emailMessageSchema.statics.claimNext = function(now = new Date()) {
+    return this.findOneAndUpdate(
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Put messages stuck in sending (e.g. after a crash) back in the queue
+ */
+emailMessageSchema.statics.releaseStale = async function(olderThanMs, now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - olderThanMs) } },
+        { $set: { status: 'queued', nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+    );
+    return result.modifiedCount;
+};
+
+emailMessageSchema.statics.STATUSES = MESSAGE_STATUSES;
+
+// Create and export the model
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
@@ -0,0 +1,89 @@
+/**
+ * Escalation Policy Model for Salyte Beacon
+ * Time-based escalation steps for unacknowledged alerts, one policy per alert priority
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { TARGET_KEYS, DEFAULT_POLICIES } = require('../config/escalation');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const escalationPolicySchema = new Schema({
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        required: [true, 'Priority is required'],
+        unique: true
+    },
+    
+    steps: [{
+        afterMinutes: {
+            type: Number,
+            required: [true, 'Step delay is required'],
+            min: [1, 'Step delay must be at least 1 minute'],
+            max: [43200, 'Step delay cannot exceed 30 days']
+        },
+        target: {
+            type: String,
+            enum: TARGET_KEYS,
+            required: [true, 'Step target is required']
+        },
+        _id: false
+    }],
+    
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'escalation_policies'
+});
+
+// Pre-validate middleware
+escalationPolicySchema.pre('validate', function(next) {
+    const delays = this.steps.map(step => step.afterMinutes);
+    
+    if (delays.some((delay, index) => index > 0 && delay <= delays[index - 1])) {
+        this.invalidate('steps', 'Step delays must increase from one step to the next');
+    }
+    
+    next();
+});
+
+// Instance methods
+escalationPolicySchema.methods.toJSON = function() {
+    const policy = this.toObject();
+    
+    delete policy.__v;
+    
+    return policy;
+};
+
+// Static methods
+/**
+ * Steps per priority, using the defaults for priorities without a stored policy
+ */
+escalationPolicySchema.statics.loadAll = async function() {
+    const stored = await this.find();
+    const policies = {};
+    
+    PRIORITIES.forEach(priority => {
+        const policy = stored.find(candidate => candidate.priority === priority);
+        policies[priority] = policy
+            ? policy.steps.map(({ afterMinutes, target }) => ({ afterMinutes, target }))
+            : DEFAULT_POLICIES[priority];
+    });
+    
+    return policies;
+};
+
+escalationPolicySchema.statics.PRIORITIES = PRIORITIES;
+
+// Create and export the model
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+
+module.exports = EscalationPolicy;
@@ -0,0 +1,126 @@
+/**
+ * Import Job Model for Salyte Beacon
+ * Tracks asynchronous CSV imports of historical water quality data
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const IMPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// Only the first errors are kept on the job; `errorCount` holds the total
+const MAX_STORED_ERRORS = 500;
+
+const importJobSchema = new Schema({
+    uploadedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Uploader is required']
+    },
+    
+    // File Details
+    fileName: {
+        type: String,
+        trim: true,
+        maxLength: [255, 'File name cannot exceed 255 characters']
+    },
+    
+    fileSize: {
+        type: Number
+    },
+    
+    // Column mapping and defaults supplied with the upload
+    options: {
+        mapping: {
+            type: Schema.Types.Mixed
+        },
+        units: {
+            type: Schema.Types.Mixed
+        },
+        station: {
+            type: String,
+            trim: true
+        }
+    },
+    
+    // Progress
+    status: {
+        type: String,
+        enum: IMPORT_STATUSES,
+        default: 'queued'
+    },
+    
+    totals: {
+        rows: { type: Number, default: 0 },
+        readings: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        stored: { type: Number, default: 0 },
+        duplicates: { type: Number, default: 0 }
+    },
+    
+    // Row-level problems, numbered as in the file (the header is row 1)
+    rowErrors: [{
+        _id: false,
+        row: Number,
+        column: String,
+        message: String
+    }],
+    
+    errorCount: {
+        type: Number,
+        default: 0
+    },
+    
+    failureReason: {
+        type: String
+    },
+    
+    startedAt: {
+        type: Date
+    },
+    
+    completedAt: {
+        type: Date
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'import_jobs'
+});
+
+// Indexes for better performance
+importJobSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// Instance methods
+importJobSchema.methods.toJSON = function() {
+    const job = this.toObject();
+    
+    delete job.__v;
+    
+    return job;
+};
+
+/**
+ * Record row errors, keeping at most MAX_STORED_ERRORS on the document
+ */
+importJobSchema.methods.addRowErrors = function(errors) {
+    const room = Math.max(MAX_STORED_ERRORS - this.rowErrors.length, 0);
+    
+    this.rowErrors.push(...errors.slice(0, room));
+    this.errorCount += errors.length;
+    
+    return this;
+};
+
+importJobSchema.methods.isOwnedBy = function(userId) {
+    return !!(userId && this.uploadedBy.toString() === userId.toString());
+};
+
+// Static methods
+importJobSchema.statics.STATUSES = IMPORT_STATUSES;
+importJobSchema.statics.MAX_STORED_ERRORS = MAX_STORED_ERRORS;
+
+// Create and export the model
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
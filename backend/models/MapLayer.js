@@ -0,0 +1,190 @@
+/**
+ * Map Layer Model for Salyte Beacon
+ * Admin-defined map layers, and changes to the built-in ones, keyed like the defaults
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Station = require('./Station');
+const Report = require('./Report');
+const User = require('./user');
+const { SOURCE_KEYS, QUERY_FIELDS, DEFAULT_LAYERS } = require('../config/mapLayers');
+const { QUALITY_CLASSES } = require('../config/standards');
+
+const USER_ROLES = User.schema.path('role').enumValues;
+
+const ALL_QUERY_FIELDS = [...new Set(Object.values(QUERY_FIELDS).flat())];
+
+// Statuses a layer's query may name, per source
+const STATUSES_BY_SOURCE = {
+    stations: Station.STATUSES,
+    reports: Report.STATUSES
+};
+
+const mapLayerSchema = new Schema({
+    key: {
+        type: String,
+        required: [true, 'Layer key is required'],
+        unique: true,
+        trim: true,
+        match: [/^[a-zA-Z][a-zA-Z0-9-]{1,39}$/, 'Layer key must be 2-40 letters, digits or hyphens, starting with a letter']
+    },
+    
+    name: {
+        type: String,
+        required: [true, 'Layer name is required'],
+        trim: true,
+        maxLength: [60, 'Layer name cannot exceed 60 characters']
+    },
+    
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [300, 'Description cannot exceed 300 characters']
+    },
+    
+    color: {
+        type: String,
+        default: '#0d6efd',
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color such as #0d6efd']
+    },
+    
+    // Font Awesome icon name
+    icon: {
+        type: String,
+        default: 'fa-map-marker-alt',
+        match: [/^fa-[a-z0-9-]+$/, 'Icon must be a Font Awesome icon name such as fa-tint']
+    },
+    
+    source: {
+        type: String,
+        enum: SOURCE_KEYS,
+        default: 'stations'
+    },
+    
+    // Which features of the source belong to the layer; empty fields match everything
+    query: {
+        quality: [{ type: String, enum: QUALITY_CLASSES }],
+        sourceType: [{ type: String, enum: Station.SOURCE_TYPES }],
+        status: [{ type: String, trim: true }],
+        county: [{ type: String, lowercase: true, trim: true }],
+        reportType: [{ type: String, enum: Report.TYPES }],
+        severity: [{ type: String, enum: Report.SEVERITIES }],
+        days: {
+            type: Number,
+            min: [1, 'Days must be at least 1'],
+            max: [3650, 'Days cannot exceed 3650']
+        }
+    },
+    
+    defaultVisible: {
+        type: Boolean,
+        default: true
+    },
+    
+    // Roles that can see the layer; empty means everyone, signed in or not
+    roles: [{
+        type: String,
+        enum: USER_ROLES
+    }],
+    
+    order: {
+        type: Number,
+        default: 50
+    },
+    
+    // Disabled layers are hidden from everyone, including built-in layers switched off by an admin
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'map_layers'
+});
+
+// Pre-validate middleware
+mapLayerSchema.pre('validate', function(next) {
+    const allowed = QUERY_FIELDS[this.source] || [];
+    
+    ALL_QUERY_FIELDS.forEach(field => {
+        const value = this.query?.[field];
+        const isSet = Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null;
+        
+        if (isSet && !allowed.includes(field)) {
+            this.invalidate(`query.${field}`, `A ${this.source} layer cannot filter on ${field}`);
+        }
+    });
+    
+    const statuses = STATUSES_BY_SOURCE[this.source] || [];
+    (this.query?.status || []).forEach(status => {
+        if (!statuses.includes(status)) {
+            this.invalidate('query.status', `Status must be one of: ${statuses.join(', ')}`);
+        }
+    });
+    
+    next();
+});
+
+// Instance methods
+mapLayerSchema.methods.toJSON = function() {
+    const layer = this.toObject();
+    
+    delete layer.__v;
+    
+    return layer;
+};
+
+// Static methods
+/**
+ * Every layer, built-in and custom, as plain definitions sorted by order
+ * A stored layer with a built-in key replaces that built-in layer.
+ */
+mapLayerSchema.statics.loadAll = async function() {
+    const stored = await this.find();
+    const storedKeys = new Set(stored.map(layer => layer.key));
+    const builtInKeys = new Set(DEFAULT_LAYERS.map(layer => layer.key));
+    
+    const layers = [
+        ...DEFAULT_LAYERS
+            .filter(layer => !storedKeys.has(layer.key))
+            .map(layer => ({ roles: [], enabled: true, ...layer, isBuiltIn: true, isCustomized: false })),
+        ...stored.map(layer => ({
+            ...compactLayer(layer),
+            isBuiltIn: builtInKeys.has(layer.key),
+            isCustomized: builtInKeys.has(layer.key)
+        }))
+    ];
+    
+    return layers.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+};
+
+/**
+ * Plain layer definition with only the query fields that are set
+ */
+function compactLayer(layer) {
+    const { _id, __v, createdAt, updatedAt, updatedBy, query = {}, ...definition } = layer.toObject();
+    const compactQuery = {};
+    
+    Object.entries(query).forEach(([field, value]) => {
+        if (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null) {
+            compactQuery[field] = value;
+        }
+    });
+    
+    return { ...definition, query: compactQuery, updatedAt };
+}
+
+mapLayerSchema.statics.ROLES = USER_ROLES;
+
+// Create and export the model
+const MapLayer = mongoose.model('MapLayer', mapLayerSchema);
+
+module.exports = MapLayer;
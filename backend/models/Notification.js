@@ -0,0 +1,79 @@
+/**
+ * Notification Model for Salyte Beacon
+ * In-app notifications shown to signed-in users
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const NOTIFICATION_TYPES = ['report-status', 'report-comment', 'water-point-review'];
+
+const notificationSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    
+    title: {
+        type: String,
+        required: true,
+        maxLength: 200
+    },
+    
+    message: {
+        type: String,
+        maxLength: 1000
+    },
+    
+    // Page the notification opens
+    link: {
+        type: String
+    },
+    
+    report: {
+        type: Schema.Types.ObjectId,
+        ref: 'Report'
+    },
+    
+    readAt: {
+        type: Date
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'notifications',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Virtual for whether the user has seen the notification
+notificationSchema.virtual('isRead').get(function() {
+    return !!this.readAt;
+});
+
+// Instance methods
+notificationSchema.methods.toJSON = function() {
+    const notification = this.toObject();
+    
+    delete notification.__v;
+    
+    return notification;
+};
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+// Create and export the model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
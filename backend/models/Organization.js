@@ -0,0 +1,96 @@
+/**
+ * Organization Model for Salyte Beacon
+ * Per-organization settings and members, matched by name to stations
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { STANDARD_KEYS, DEFAULT_STANDARD } = require('../config/standards');
+
+const organizationSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Organization name is required'],
+        trim: true,
+        maxLength: [100, 'Organization name cannot exceed 100 characters']
+    },
+    
+    // Lowercased name, used for matching stations
+    nameKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    
+    // Accounts that act for the organization; managed by admins
+    members: [{
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    
+    // Settings
+    waterStandard: {
+        type: String,
+        enum: STANDARD_KEYS,
+        default: DEFAULT_STANDARD
+    },
+    
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'organizations'
+});
+
+// Indexes for better performance
+organizationSchema.index({ members: 1 });
+
+// Pre-validate middleware
+organizationSchema.pre('validate', function(next) {
+    if (this.name) {
+        this.nameKey = toNameKey(this.name);
+    }
+    next();
+});
+
+// Instance methods
+organizationSchema.methods.toJSON = function() {
+    const organization = this.toObject();
+    
+    delete organization.__v;
+    delete organization.nameKey;
+    
+    return organization;
+};
+
+// Static methods
+organizationSchema.statics.findByName = function(name) {
+    return this.findOne({ nameKey: toNameKey(name) });
+};
+
+/**
+ * Map organization names to their chosen standard
+ * Names without settings are left out; callers fall back to the default standard.
+ */
+organizationSchema.statics.standardsFor = async function(names) {
+    const nameKeys = [...new Set(names.filter(Boolean).map(toNameKey))];
+    if (nameKeys.length === 0) return new Map();
+    
+    const organizations = await this.find({ nameKey: { $in: nameKeys } }).select('nameKey waterStandard');
+    return new Map(organizations.map(organization => [organization.nameKey, organization.waterStandard]));
+};
+
+organizationSchema.statics.toNameKey = toNameKey;
+
+function toNameKey(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Create and export the model
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
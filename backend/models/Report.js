@@ -0,0 +1,481 @@
+/**
+ * Report Model for Salyte Beacon
+ * Defines community water report schema with GeoJSON location, reporter and photo fields
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Counter = require('./Counter');
+
+const REPORT_TYPES = ['contamination', 'shortage', 'quality', 'infrastructure'];
+const REPORT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const REPORT_PRIORITIES = ['normal', 'high', 'urgent'];
+const REPORT_STATUSES = ['submitted', 'investigating', 'in-progress', 'resolved'];
+
+// Allowed status transitions; reports only ever move forward
+const STATUS_TRANSITIONS = {
+    submitted: ['investigating', 'resolved'],
+    investigating: ['in-progress', 'resolved'],
+    'in-progress': ['resolved'],
+    resolved: []
+};
+
+const reportSchema = new Schema({
+    // Identification
+    trackingId: {
+        type: String,
+        required: [true, 'Tracking ID is required'],
+        unique: true,
+        trim: true
+    },
+    
+    // Client-generated ID, used to de-duplicate reports synced from offline storage
+    clientId: {
+        type: String,
+        trim: true
+    },
+    
+    // Report Details
+    type: {
+        type: String,
+        required: [true, 'Report type is required'],
+        enum: REPORT_TYPES
+    },
+    
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        maxLength: [200, 'Title cannot exceed 200 characters']
+    },
+    
+    description: {
+        type: String,
+        required: [true, 'Description is required'],
+        trim: true,
+        maxLength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    
+    severity: {
+        type: String,
+        required: [true, 'Severity is required'],
+        enum: REPORT_SEVERITIES
+    },
+    
+    priority: {
+        type: String,
+        enum: REPORT_PRIORITIES,
+        default: 'normal'
+    },
+    
+    affectedPeople: {
+        type: Number,
+        min: [0, 'Affected people cannot be negative'],
+        default: 0
+    },
+    
+    incidentDate: {
+        type: Date
+    },
+    
+    additionalInfo: {
+        type: String,
+        trim: true,
+        maxLength: [1000, 'Additional information cannot exceed 1000 characters']
+    },
+    
+    reportedElsewhere: {
+        type: Boolean,
+        default: false
+    },
+    
+    // Location
+    locationName: {
+        type: String,
+        required: [true, 'Location name is required'],
+        trim: true,
+        maxLength: [200, 'Location name cannot exceed 200 characters']
+    },
+    
+    county: {
+        type: String,
+        required: [true, 'County is required'],
+        lowercase: true,
+        trim: true
+    },
+    
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: [true, 'Coordinates are required'],
+            validate: {
+                validator: function(value) {
+                    return value.length === 2 &&
+                           value[0] >= -180 && value[0] <= 180 &&
+                           value[1] >= -90 && value[1] <= 90;
+                },
+                message: 'Coordinates must be a valid [longitude, latitude] pair'
+            }
+        }
+    },
+    
+    // Reporter
+    reporter: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    reporterName: {
+        type: String,
+        trim: true,
+        maxLength: [100, 'Reporter name cannot exceed 100 characters']
+    },
+    
+    reporterPhone: {
+        type: String,
+        trim: true
+    },
+    
+    reporterEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    
+    isAnonymous: {
+        type: Boolean,
+        default: false
+    },
+    
+    allowFollowUp: {
+        type: Boolean,
+        default: false
+    },
+    
+    // Lets reporters without an account follow up on their report
+    followUpTokenHash: {
+        type: String,
+        select: false
+    },
+    
+    // Attachments, uploaded separately through /api/attachments
+    photos: [{
+        attachment: {
+            type: Schema.Types.ObjectId,
+            ref: 'Attachment',
+            required: true
+        },
+        name: {
+            type: String,
+            trim: true
+        },
+        size: {
+            type: Number
+        },
+        url: {
+            type: String
+        },
+        thumbnailUrl: {
+            type: String
+        }
+    }],
+    
+    // Status
+    status: {
+        type: String,
+        enum: REPORT_STATUSES,
+        default: 'submitted'
+    },
+    
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    resolvedAt: {
+        type: Date
+    },
+    
+    // Audit trail of every status change
+    statusHistory: [{
+        from: {
+            type: String,
+            enum: REPORT_STATUSES
+        },
+        to: {
+            type: String,
+            enum: REPORT_STATUSES,
+            required: true
+        },
+        changedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedByName: {
+            type: String,
+            trim: true
+        },
+        changedByRole: {
+            type: String
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxLength: [500, 'Reason cannot exceed 500 characters']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
+    // Staff notes and reporter follow-ups; only public notes are shown on tracking pages
+    notes: [{
+        text: {
+            type: String,
+            required: true,
+            trim: true,
+            maxLength: [1000, 'Note cannot exceed 1000 characters']
+        },
+        isPublic: {
+            type: Boolean,
+            default: false
+        },
+        source: {
+            type: String,
+            enum: ['staff', 'reporter'],
+            default: 'staff'
+        },
+        author: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        authorName: {
+            type: String,
+            trim: true
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'reports',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+reportSchema.index({ location: '2dsphere' });
+reportSchema.index({ status: 1, submittedAt: -1 });
+reportSchema.index({ county: 1, submittedAt: -1 });
+reportSchema.index({ type: 1 });
+reportSchema.index({ reporter: 1 });
+reportSchema.index({ clientId: 1 }, { sparse: true });
+reportSchema.index({ title: 'text', description: 'text', locationName: 'text' });
+
+// Virtual for [latitude, longitude] pair, as used by the Leaflet frontend
+reportSchema.virtual('coordinates').get(function() {
+    if (!this.location || !this.location.coordinates || this.location.coordinates.length !== 2) {
+        return null;
+    }
+    return [this.location.coordinates[1], this.location.coordinates[0]];
+});
+
+// Pre-save middleware
+reportSchema.pre('save', function(next) {
+    // Anonymous reports never keep contact details
+    if (this.isAnonymous) {
+        this.reporterName = undefined;
+        this.reporterPhone = undefined;
+        this.reporterEmail = undefined;
+    }
+    
+    // Open the audit trail with the initial submission
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            to: this.status,
+            reason: 'Report submitted',
+            changedAt: this.submittedAt
+        });
+    }
+    
+    next();
+});
+
+// Instance methods
+reportSchema.methods.toJSON = function() {
+    const report = this.toObject();
+    
+    delete report.__v;
+    delete report.followUpTokenHash;
+    
+    return report;
+};
+
+/**
+ * Public representation of a report, without reporter contact details
+ */
+reportSchema.methods.toPublicJSON = function() {
+    const report = this.toJSON();
+    
+    delete report.reporterPhone;
+    delete report.reporterEmail;
+    delete report.reporter;
+    
+    report.statusHistory = (report.statusHistory || []).map(({ changedBy, ...entry }) => entry);
+    report.notes = (report.notes || [])
+        .filter(note => note.isPublic)
+        .map(({ author, ...note }) => note);
+    
+    if (report.isAnonymous) {
+        delete report.reporterName;
+    }
+    
+    return report;
+};
+
+/**
+ * Redacted view for the public tracking page: progress only, no reporter details
+ */
+reportSchema.methods.toTrackingJSON = function() {
+    return {
+        trackingId: this.trackingId,
+        title: this.title,
+        type: this.type,
+        severity: this.severity,
+        status: this.status,
+        county: this.county,
+        locationName: this.locationName,
+        submittedAt: this.submittedAt,
+        resolvedAt: this.resolvedAt,
+        lastUpdated: this.updatedAt,
+        timeline: this.statusHistory.map(entry => ({
+            status: entry.to,
+            changedAt: entry.changedAt
+        })),
+        publicNotes: this.notes
+            .filter(note => note.isPublic)
+            .map(note => ({
+                text: note.text,
+                createdAt: note.createdAt
+            }))
+    };
+};
+
+/**
+ * Generate a new follow-up token; only its hash is stored
+ */
+reportSchema.methods.issueFollowUpToken = function() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.followUpTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    return token;
+};
+
+/**
+ * Check a follow-up token (requires the document to be loaded with +followUpTokenHash)
+ */
+reportSchema.methods.verifyFollowUpToken = function(token) {
+    if (!token || !this.followUpTokenHash) return false;
+    
+    const hash = Buffer.from(crypto.createHash('sha256').update(String(token)).digest('hex'));
+    const expected = Buffer.from(this.followUpTokenHash);
+    return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+};
+
+reportSchema.methods.isOwnedBy = function(userId) {
+    return !!(this.reporter && userId && this.reporter.toString() === userId.toString());
+};
+
+reportSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the report to a new status, recording who made the change and why
+ */
+reportSchema.methods.transitionTo = function(status, { user, reason } = {}) {
+    if (!REPORT_STATUSES.includes(status)) {
+        const error = new Error(`Unknown status: ${status}`);
+        error.status = 400;
+        throw error;
+    }
+    
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot move report from ${this.status} to ${status}`);
+        error.status = 409;
+        throw error;
+    }
+    
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy: user?._id,
+        changedByName: user?.fullName,
+        changedByRole: user?.role,
+        reason: reason,
+        changedAt: new Date()
+    });
+    
+    this.status = status;
+    if (status === 'resolved') {
+        this.resolvedAt = new Date();
+    }
+    
+    return this;
+};
+
+/**
+ * Move the report to a new status and save the change, unless its status changed since it was loaded
+ * Returns the updated report, or null when someone else changed the status first.
+ */
+reportSchema.methods.claimTransition = async function(status, { user, reason } = {}) {
+    const previousStatus = this.status;
+    this.transitionTo(status, { user, reason });
+    await this.validate();
+    
+    const { statusHistory } = this.toObject({ virtuals: false });
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: previousStatus },
+        {
+            $set: { status: this.status, ...(this.status === 'resolved' && { resolvedAt: this.resolvedAt }) },
+            $push: { statusHistory: statusHistory[statusHistory.length - 1] }
+        },
+        { new: true }
+    );
+};
+
+// Static methods
+reportSchema.statics.findByTrackingId = function(trackingId) {
+    return this.findOne({ trackingId: trackingId.toUpperCase().trim() });
+};
+
+/**
+ * Generate the next tracking ID for the day (WR-YYYYMMDD-NNNN)
+ */
+reportSchema.statics.generateTrackingId = async function(date = new Date()) {
+    const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const seq = await Counter.next(`report-${datePart}`);
+    
+    return `WR-${datePart}-${String(seq).padStart(4, '0')}`;
+};
+
+reportSchema.statics.TYPES = REPORT_TYPES;
+reportSchema.statics.SEVERITIES = REPORT_SEVERITIES;
+reportSchema.statics.PRIORITIES = REPORT_PRIORITIES;
+reportSchema.statics.STATUSES = REPORT_STATUSES;
+reportSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Create and export the model
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,266 @@
+/**
+ * Report Subscription Model for Salyte Beacon
+ * People following a report's progress by email, SMS or in-app notification
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { Schema } = mongoose;
+
+const SUBSCRIPTION_STATUSES = ['pending', 'active', 'unsubscribed'];
+const CHANNELS = ['email', 'sms', 'inApp'];
+
+// Wrong SMS codes allowed before a new code must be requested
+const MAX_CODE_ATTEMPTS = 5;
+
+const reportSubscriptionSchema = new Schema({
+    report: {
+        type: Schema.Types.ObjectId,
+        ref: 'Report',
+        required: [true, 'Report is required']
+    },
+    
+    // Signed-in subscribers; guests are identified by their email or phone
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+    },
+    
+    // E.164 format (+254712345678)
+    phone: {
+        type: String,
+        trim: true
+    },
+    
+    channels: {
+        email: {
+            type: Boolean,
+            default: false
+        },
+        sms: {
+            type: Boolean,
+            default: false
+        },
+        inApp: {
+            type: Boolean,
+            default: false
+        }
+    },
+    
+    language: {
+        type: String,
+        default: 'en'
+    },
+    
+    status: {
+        type: String,
+        enum: SUBSCRIPTION_STATUSES,
+        default: 'pending'
+    },
+    
+    // Contact details are only used once their owner confirms them
+    emailConfirmed: {
+        type: Boolean,
+        default: false
+    },
+    
+    phoneConfirmed: {
+        type: Boolean,
+        default: false
+    },
+    
+    emailTokenHash: {
+        type: String,
+        select: false
+    },
+    
+    phoneCodeHash: {
+        type: String,
+        select: false
+    },
+    
+    phoneCodeExpires: {
+        type: Date,
+        select: false
+    },
+    
+    phoneCodeAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    
+    unsubscribedAt: {
+        type: Date
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'report_subscriptions',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+reportSubscriptionSchema.index({ report: 1, status: 1 });
+reportSubscriptionSchema.index({ user: 1, status: 1 });
+reportSubscriptionSchema.index({ report: 1, email: 1 });
+reportSubscriptionSchema.index({ report: 1, phone: 1 });
+
+// Virtual for the channels notifications actually go out on
+reportSubscriptionSchema.virtual('activeChannels').get(function() {
+    return CHANNELS.filter(channel => this.isChannelReady(channel));
+});
+
+// Instance methods
+reportSubscriptionSchema.methods.toJSON = function() {
+    const subscription = this.toObject();
+    
+    delete subscription.__v;
+    delete subscription.emailTokenHash;
+    delete subscription.phoneCodeHash;
+    delete subscription.phoneCodeExpires;
+    delete subscription.phoneCodeAttempts;
+    
+    return subscription;
+};
+
+/**
+ * Whether notifications can go out on a channel: chosen, and its contact confirmed
+ */
+reportSubscriptionSchema.methods.isChannelReady = function(channel) {
+    if (this.status === 'unsubscribed' || !this.channels?.[channel]) return false;
+    
+    switch (channel) {
+        case 'email':
+            return !!this.email && this.emailConfirmed;
+        case 'sms':
+            return !!this.phone && this.phoneConfirmed;
+        case 'inApp':
+            return !!this.user;
+        default:
+            return false;
+    }
+};
+
+/**
+ * Active once any chosen channel is ready, pending until then (not saved)
+ */
+reportSubscriptionSchema.methods.refreshStatus = function() {
+    if (this.status !== 'unsubscribed') {
+        this.status = CHANNELS.some(channel => this.isChannelReady(channel)) ? 'active' : 'pending';
+    }
+    return this;
+};
+
+/**
+ * Issue a token for the email confirmation link (not saved)
+ */
+reportSubscriptionSchema.methods.createEmailToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailTokenHash = hashSecret(token);
+    return token;
+};
+
+/**
+ * Issue a six-digit code to confirm the phone by SMS, valid for 15 minutes (not saved)
+ */
+reportSubscriptionSchema.methods.createPhoneCode = function() {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    this.phoneCodeHash = hashSecret(`${this._id}:${code}`);
+    this.phoneCodeExpires = new Date(Date.now() + 15 * 60 * 1000);
+    this.phoneCodeAttempts = 0;
+    return code;
+};
+
+/**
+ * Check an SMS code, confirming the phone when it matches (not saved)
+ * Requires phoneCodeHash, phoneCodeExpires and phoneCodeAttempts to be selected.
+ */
+reportSubscriptionSchema.methods.confirmPhoneCode = function(code) {
+    if (!this.phoneCodeHash || !this.phoneCodeExpires || this.phoneCodeExpires < new Date() ||
+        this.phoneCodeAttempts >= MAX_CODE_ATTEMPTS) {
+        return false;
+    }
+    
+    const given = Buffer.from(hashSecret(`${this._id}:${String(code).trim()}`));
+    const expected = Buffer.from(this.phoneCodeHash);
+    
+    if (!crypto.timingSafeEqual(given, expected)) {
+        this.phoneCodeAttempts += 1;
+        return false;
+    }
+    
+    this.phoneConfirmed = true;
+    this.phoneCodeHash = undefined;
+    this.phoneCodeExpires = undefined;
+    this.phoneCodeAttempts = 0;
+    this.refreshStatus();
+    return true;
+};
+
+/**
+ * Token for one-click unsubscribe links, derived from the subscription ID so it never expires
+ */
+reportSubscriptionSchema.methods.unsubscribeToken = function() {
+    return crypto.createHmac('sha256', unsubscribeSecret()).update(this._id.toString()).digest('hex');
+};
+
+reportSubscriptionSchema.methods.verifyUnsubscribeToken = function(token) {
+    const given = Buffer.from(String(token || ''));
+    const expected = Buffer.from(this.unsubscribeToken());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+reportSubscriptionSchema.methods.unsubscribe = function() {
+    this.status = 'unsubscribed';
+    this.unsubscribedAt = new Date();
+    return this;
+};
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function unsubscribeSecret() {
+    return `${process.env.JWT_SECRET || 'salyte-beacon-secret-key'}:report-unsubscribe`;
+}
+
+// Static methods
+reportSubscriptionSchema.statics.findByEmailToken = function(token) {
+    return this.findOne({ emailTokenHash: hashSecret(token) });
+};
+
+/**
+ * Existing subscription to a report that a requester may reuse: a signed-in user's own, otherwise
+ * a guest subscription matching every contact given. Other users' subscriptions are never returned.
+ */
+reportSubscriptionSchema.statics.findExisting = async function(reportId, { user, email, phone }) {
+    if (user) {
+        const own = await this.findOne({ report: reportId, user: user }).sort({ updatedAt: -1 });
+        if (own) return own;
+    }
+    
+    const contacts = {};
+    if (email) contacts.email = email.toLowerCase().trim();
+    if (phone) contacts.phone = phone;
+    
+    if (Object.keys(contacts).length === 0) return null;
+    
+    return this.findOne({ report: reportId, user: null, ...contacts }).sort({ updatedAt: -1 });
+};
+
+reportSubscriptionSchema.statics.CHANNELS = CHANNELS;
+reportSubscriptionSchema.statics.STATUSES = SUBSCRIPTION_STATUSES;
+
+// Create and export the model
+const ReportSubscription = mongoose.model('ReportSubscription', reportSubscriptionSchema);
+
+module.exports = ReportSubscription;
@@ -0,0 +1,92 @@
+/**
+ * Sensor Model for Salyte Beacon
+ * Sensor channels: one measured parameter on one monitoring station
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { PARAMETERS, PARAMETER_KEYS } = require('../config/parameters');
+
+const sensorSchema = new Schema({
+    station: {
+        type: Schema.Types.ObjectId,
+        ref: 'Station',
+        required: [true, 'Station is required']
+    },
+    
+    parameter: {
+        type: String,
+        required: [true, 'Parameter is required'],
+        enum: PARAMETER_KEYS
+    },
+    
+    unit: {
+        type: String,
+        trim: true
+    },
+    
+    // Hardware Details
+    model: {
+        type: String,
+        trim: true,
+        maxLength: [100, 'Model cannot exceed 100 characters']
+    },
+    
+    manufacturer: {
+        type: String,
+        trim: true,
+        maxLength: [100, 'Manufacturer cannot exceed 100 characters']
+    },
+    
+    serialNumber: {
+        type: String,
+        trim: true
+    },
+    
+    // Operation
+    status: {
+        type: String,
+        enum: ['active', 'inactive', 'faulty'],
+        default: 'active'
+    },
+    
+    calibratedAt: {
+        type: Date
+    },
+    
+    lastReadingAt: {
+        type: Date
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'sensors'
+});
+
+// One channel per parameter per station
+sensorSchema.index({ station: 1, parameter: 1 }, { unique: true });
+
+// Pre-save middleware
+sensorSchema.pre('save', function(next) {
+    // Default to the canonical unit for the parameter
+    if (!this.unit) {
+        this.unit = PARAMETERS[this.parameter]?.unit;
+    }
+    
+    next();
+});
+
+// Instance methods
+sensorSchema.methods.toJSON = function() {
+    const sensor = this.toObject();
+    
+    delete sensor.__v;
+    
+    return sensor;
+};
+
+// Create and export the model
+const Sensor = mongoose.model('Sensor', sensorSchema);
+
+module.exports = Sensor;
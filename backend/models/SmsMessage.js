@@ -0,0 +1,199 @@
+/**
+ * SMS Message Model for Salyte Beacon
+ * Outgoing text message queue with delivery receipts, plus the messages people send in
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const { SMS_TEMPLATE_KEYS } = require('../config/smsTemplates');
+const { RETRY_DELAYS_MINUTES } = require('../config/sms');
+
+const DIRECTIONS = ['outbound', 'inbound'];
+
+/**
+ * Outbound: queued → sending → sent → delivered | undelivered, or failed after the last retry,
+ * or cancelled when the recipient opted out before it went. Inbound messages are received.
+ */
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'cancelled', 'received'];
+
+const smsMessageSchema = new Schema({
+    direction: {
+        type: String,
+        enum: DIRECTIONS,
+        default: 'outbound'
+    },
+    
+    // The other party, in E.164 format (+254712345678)
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true
+    },
+    
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    template: {
+        type: String,
+        enum: SMS_TEMPLATE_KEYS
+    },
+    
+    language: {
+        type: String
+    },
+    
+    body: {
+        type: String,
+        required: true
+    },
+    
+    status: {
+        type: String,
+        enum: MESSAGE_STATUSES,
+        default: 'queued'
+    },
+    
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    
+    // When the current send attempt started, to recover messages from a crashed worker
+    lockedAt: {
+        type: Date
+    },
+    
+    lastError: {
+        type: String
+    },
+    
+    provider: {
+        type: String
+    },
+    
+    providerMessageId: {
+        type: String
+    },
+    
+    sentAt: {
+        type: Date
+    },
+    
+    deliveredAt: {
+        type: Date
+    },
+    
+    // Inbound: opt-out or opt-in keyword found in the message, if any
+    keyword: {
+        type: String
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'sms_messages'
+});
+
+// Indexes for better performance
+smsMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+smsMessageSchema.index({ phone: 1, direction: 1, sentAt: -1 });
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 }, { sparse: true });
+
+// Instance methods
+smsMessageSchema.methods.toJSON = function() {
+    const message = this.toObject();
+    
+    delete message.__v;
+    
+    return message;
+};
+
+/**
+ * Record that the provider accepted the message (not saved)
+ */
+smsMessageSchema.methods.markSent = function(provider, providerMessageId) {
+    this.status = 'sent';
+    this.provider = provider;
+    this.providerMessageId = providerMessageId;
+    this.sentAt = new Date();
+    this.lockedAt = undefined;
+    this.lastError = undefined;
+    return this;
+};
+
+/**
+ * Record a failed attempt and schedule the next one, or give up (not saved)
+ */
+smsMessageSchema.methods.markFailed = function(error) {
+    const delay = RETRY_DELAYS_MINUTES[this.attempts - 1];
+    
+    this.lastError = String(error?.message || error).slice(0, 500);
+    this.lockedAt = undefined;
+    
+    if (delay === undefined) {
+        this.status = 'failed';
+    } else {
+        this.status = 'queued';
+        this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+    
+    return this;
+};
+
+/**
+ * Put a claimed message back in the queue without counting the attempt (not saved)
+ */
+smsMessageSchema.methods.defer = function(until) {
+    this.status = 'queued';
+    this.attempts = Math.max(this.attempts - 1, 0);
+    this.nextAttemptAt = until;
+    this.lockedAt = undefined;
+    return this;
+};
+
+// Static methods
+/**
+ * Claim the next due outbound message for sending, counting the attempt
+ */
+smsMessageSchema.statics.claimNext = function(now = new Date()) {
+    return this.findOneAndUpdate(
+        { direction: 'outbound', status: 'queued', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Put messages stuck in sending (e.g. after a crash) back in the queue
+ */
+smsMessageSchema.statics.releaseStale = async function(olderThanMs, now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - olderThanMs) } },
+        { $set: { status: 'queued', nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Send times of messages that went to a number since a given time, oldest first
+ */
+smsMessageSchema.statics.sentTimesSince = async function(phone, since) {
+    const messages = await this.find({ direction: 'outbound', phone: phone, sentAt: { $gte: since } })
+        .sort({ sentAt: 1 })
+        .select('sentAt');
+    return messages.map(message => message.sentAt);
+};
+
+smsMessageSchema.statics.STATUSES = MESSAGE_STATUSES;
+
+// Create and export the model
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+module.exports = SmsMessage;
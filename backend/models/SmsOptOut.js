@@ -0,0 +1,62 @@
+/**
+ * SMS Opt-Out Model for Salyte Beacon
+ * Phone numbers that replied with an opt-out keyword and must not be texted
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const smsOptOutSchema = new Schema({
+    // E.164 format (+254712345678)
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        unique: true,
+        trim: true
+    },
+    
+    keyword: {
+        type: String
+    },
+    
+    optedOutAt: {
+        type: Date,
+        default: Date.now
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'sms_opt_outs'
+});
+
+// Instance methods
+smsOptOutSchema.methods.toJSON = function() {
+    const optOut = this.toObject();
+    
+    delete optOut.__v;
+    
+    return optOut;
+};
+
+// Static methods
+smsOptOutSchema.statics.isOptedOut = async function(phone) {
+    return !!(await this.exists({ phone: phone }));
+};
+
+smsOptOutSchema.statics.optOut = function(phone, keyword) {
+    return this.findOneAndUpdate(
+        { phone: phone },
+        { $set: { keyword: keyword, optedOutAt: new Date() } },
+        { upsert: true, new: true }
+    );
+};
+
+smsOptOutSchema.statics.optIn = async function(phone) {
+    const result = await this.deleteOne({ phone: phone });
+    return result.deletedCount > 0;
+};
+
+// Create and export the model
+const SmsOptOut = mongoose.model('SmsOptOut', smsOptOutSchema);
+
+module.exports = SmsOptOut;
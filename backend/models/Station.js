@@ -0,0 +1,274 @@
+/**
+ * Station Model for Salyte Beacon
+ * Monitoring stations (water points fitted with sensors) with GeoJSON location and latest readings
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Organization = require('./Organization');
+const { DEFAULT_STANDARD, QUALITY_CLASSES, getStandard, classifyReadings } = require('../config/standards');
+
+const SOURCE_TYPES = ['borehole', 'well', 'spring', 'river', 'lake', 'dam', 'reservoir', 'tap', 'treatment-plant', 'other'];
+const STATION_STATUSES = ['online', 'offline', 'maintenance', 'decommissioned'];
+
+// Latest readings older than this no longer count towards the station's quality class
+const STALE_READING_MS = 30 * 24 * 60 * 60 * 1000;
+
+const stationSchema = new Schema({
+    // Identification
+    code: {
+        type: String,
+        required: [true, 'Station code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxLength: [30, 'Station code cannot exceed 30 characters']
+    },
+    
+    name: {
+        type: String,
+        required: [true, 'Station name is required'],
+        trim: true,
+        maxLength: [100, 'Station name cannot exceed 100 characters']
+    },
+    
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Description cannot exceed 500 characters']
+    },
+    
+    sourceType: {
+        type: String,
+        enum: SOURCE_TYPES,
+        default: 'other'
+    },
+    
+    // Location
+    locationName: {
+        type: String,
+        trim: true,
+        maxLength: [200, 'Location name cannot exceed 200 characters']
+    },
+    
+    county: {
+        type: String,
+        required: [true, 'County is required'],
+        lowercase: true,
+        trim: true
+    },
+    
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: [true, 'Coordinates are required'],
+            validate: {
+                validator: function(value) {
+                    return value.length === 2 &&
+                           value[0] >= -180 && value[0] <= 180 &&
+                           value[1] >= -90 && value[1] <= 90;
+                },
+                message: 'Coordinates must be a valid [longitude, latitude] pair'
+            }
+        }
+    },
+    
+    // Ownership
+    organization: {
+        type: String,
+        trim: true,
+        maxLength: [100, 'Organization name cannot exceed 100 characters']
+    },
+    
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    
+    // Operation
+    status: {
+        type: String,
+        enum: STATION_STATUSES,
+        default: 'offline'
+    },
+    
+    installedAt: {
+        type: Date
+    },
+    
+    lastReadingAt: {
+        type: Date
+    },
+    
+    // Most recent value per parameter, kept in sync by telemetry ingestion
+    latestReadings: {
+        type: Map,
+        of: new Schema({
+            value: Number,
+            unit: String,
+            timestamp: Date
+        }, { _id: false }),
+        default: {}
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'stations',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+stationSchema.index({ location: '2dsphere' });
+stationSchema.index({ county: 1, status: 1 });
+stationSchema.index({ owner: 1 });
+stationSchema.index({ name: 'text', locationName: 'text' });
+
+// Virtuals for latitude/longitude, as used by the Leaflet frontend
+stationSchema.virtual('lat').get(function() {
+    return this.location?.coordinates?.[1];
+});
+
+stationSchema.virtual('lng').get(function() {
+    return this.location?.coordinates?.[0];
+});
+
+// Standard used to classify this station's readings, set per request by applyStandards
+stationSchema.virtual('waterStandard').get(function() {
+    return this.$locals.waterStandard || DEFAULT_STANDARD;
+});
+
+// Virtual for the overall quality class of recent latest readings
+stationSchema.virtual('waterQuality').get(function() {
+    const cutoff = Date.now() - STALE_READING_MS;
+    const values = {};
+    
+    (this.latestReadings || new Map()).forEach((reading, parameter) => {
+        if (reading.timestamp && reading.timestamp.getTime() >= cutoff) {
+            values[parameter] = reading.value;
+        }
+    });
+    
+    return classifyReadings(values, this.waterStandard);
+});
+
+// Instance methods
+stationSchema.methods.toJSON = function() {
+    const station = this.toObject();
+    
+    delete station.__v;
+    
+    return station;
+};
+
+/**
+ * Check whether a user may manage this station (owner or admin)
+ */
+stationSchema.methods.isManagedBy = function(user) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return !!(this.owner && this.owner.toString() === user.userId.toString());
+};
+
+// Static methods
+/**
+ * Set each station's water standard from its organization's settings
+ */
+stationSchema.statics.applyStandards = async function(stations) {
+    const standards = await Organization.standardsFor(stations.map(station => station.organization));
+    
+    stations.forEach(station => {
+        if (station.organization) {
+            station.$locals.waterStandard = standards.get(Organization.toNameKey(station.organization));
+        }
+    });
+    
+    return stations;
+};
+
+/**
+ * Aggregation expression for the waterQuality virtual of the stations matching `filter`,
+ * each classified under its organization's standard as applyStandards would
+ */
+stationSchema.statics.waterQualityExpression = async function(filter, now = new Date()) {
+    const names = (await this.distinct('organization', filter)).filter(Boolean);
+    const standards = await Organization.standardsFor(names);
+    const namesByStandard = new Map();
+    
+    names.forEach(name => {
+        const key = standards.get(Organization.toNameKey(name));
+        if (!key || getStandard(key) === getStandard(DEFAULT_STANDARD)) return;
+        namesByStandard.set(key, [...(namesByStandard.get(key) || []), name]);
+    });
+    
+    const cutoff = new Date(now.getTime() - STALE_READING_MS);
+    const branches = [...namesByStandard].map(([key, organizations]) => ({
+        case: { $in: ['$organization', organizations] },
+        then: qualityRankExpression(key, cutoff)
+    }));
+    const rank = branches.length > 0
+        ? { $switch: { branches, default: qualityRankExpression(DEFAULT_STANDARD, cutoff) } }
+        : qualityRankExpression(DEFAULT_STANDARD, cutoff);
+    
+    return { $arrayElemAt: [QUALITY_CLASSES, rank] };
+};
+
+/**
+ * Index in QUALITY_CLASSES of a station's worst recent latest reading under a standard,
+ * matching classifyReadings
+ */
+function qualityRankExpression(standardKey, cutoff) {
+    const ranks = Object.entries(getStandard(standardKey).limits).map(([parameter, limits]) => {
+        const value = `$latestReadings.${parameter}.value`;
+        const within = ([min, max]) => ({
+            $and: [{ $gte: [value, min] }, max === Infinity ? true : { $lte: [value, max] }]
+        });
+        
+        return {
+            $cond: [
+                { $and: [{ $isNumber: value }, { $gte: [`$latestReadings.${parameter}.timestamp`, cutoff] }] },
+                {
+                    $switch: {
+                        branches: [
+                            { case: within(limits.safe), then: QUALITY_CLASSES.indexOf('safe') },
+                            { case: within(limits.acceptable), then: QUALITY_CLASSES.indexOf('warning') }
+                        ],
+                        default: QUALITY_CLASSES.indexOf('critical')
+                    }
+                },
+                QUALITY_CLASSES.indexOf('unknown')
+            ]
+        };
+    });
+    
+    return { $max: ranks };
+}
+
+// Both lookups resolve to null for anything but text, as they are given raw request values
+stationSchema.statics.findByCode = function(code) {
+    if (typeof code !== 'string') return Promise.resolve(null);
+    return this.findOne({ code: code.toUpperCase().trim() });
+};
+
+stationSchema.statics.findByIdOrCode = function(id) {
+    if (typeof id !== 'string') return Promise.resolve(null);
+    if (/^[0-9a-fA-F]{24}$/.test(id)) {
+        return this.findById(id);
+    }
+    return this.findByCode(id);
+};
+
+stationSchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+stationSchema.statics.STATUSES = STATION_STATUSES;
+stationSchema.statics.STALE_READING_MS = STALE_READING_MS;
+
+// Create and export the model
+const Station = mongoose.model('Station', stationSchema);
+
+module.exports = Station;
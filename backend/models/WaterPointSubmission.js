@@ -0,0 +1,187 @@
+/**
+ * Water Point Submission Model for Salyte Beacon
+ * Water points added by map users, held for review before they appear on the map
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Station = require('./Station');
+
+const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected', 'merged'];
+
+// Fields a reviewer may correct when approving
+const REVIEW_CORRECTIONS = ['name', 'sourceType', 'locationName', 'county'];
+const REPORTED_QUALITIES = ['safe', 'warning', 'critical', 'unknown'];
+
+// Parameters a submitter can give test results for
+const TEST_PARAMETERS = ['ph', 'tds', 'turbidity'];
+
+const waterPointSubmissionSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Water point name is required'],
+        trim: true,
+        maxLength: [100, 'Name cannot exceed 100 characters']
+    },
+    
+    sourceType: {
+        type: String,
+        enum: Station.SOURCE_TYPES,
+        required: [true, 'Water source type is required']
+    },
+    
+    // Quality as judged by the submitter; measured quality comes from test results once approved
+    reportedQuality: {
+        type: String,
+        enum: REPORTED_QUALITIES,
+        default: 'unknown'
+    },
+    
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Description cannot exceed 500 characters']
+    },
+    
+    locationName: {
+        type: String,
+        trim: true,
+        maxLength: [200, 'Location name cannot exceed 200 characters']
+    },
+    
+    // Optional at submission; a reviewer must set it before approving
+    county: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: [true, 'Coordinates are required']
+        }
+    },
+    
+    testResults: {
+        ph: Number,
+        tds: Number,
+        turbidity: Number
+    },
+    
+    submittedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Submitter is required']
+    },
+    
+    // Review
+    status: {
+        type: String,
+        enum: SUBMISSION_STATUSES,
+        default: 'pending'
+    },
+    
+    review: {
+        reviewedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: {
+            type: Date
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxLength: [500, 'Reason cannot exceed 500 characters']
+        }
+    },
+    
+    // Station created on approval, or the existing station it was merged into
+    station: {
+        type: Schema.Types.ObjectId,
+        ref: 'Station'
+    }
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'water_point_submissions'
+});
+
+// Indexes for better performance
+waterPointSubmissionSchema.index({ status: 1, createdAt: 1 });
+waterPointSubmissionSchema.index({ submittedBy: 1, createdAt: -1 });
+waterPointSubmissionSchema.index({ location: '2dsphere' });
+
+// Instance methods
+waterPointSubmissionSchema.methods.toJSON = function() {
+    const submission = this.toObject();
+    
+    delete submission.__v;
+    
+    return submission;
+};
+
+/**
+ * Test results as readings for the telemetry service, taken when the point was submitted
+ */
+waterPointSubmissionSchema.methods.toReadings = function() {
+    return TEST_PARAMETERS
+        .filter(parameter => typeof this.testResults?.[parameter] === 'number')
+        .map(parameter => ({
+            parameter,
+            value: this.testResults[parameter],
+            timestamp: this.createdAt
+        }));
+};
+
+/**
+ * Record and save a reviewer's decision, with any corrections made to the document, only if the
+ * submission is still pending; returns false when another reviewer decided first
+ */
+waterPointSubmissionSchema.methods.claimReview = async function(status, reviewerId, reason) {
+    this.status = status;
+    this.review = {
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reason: reason
+    };
+    
+    const update = { status: this.status, review: this.review };
+    REVIEW_CORRECTIONS.filter(field => this.isModified(field)).forEach(field => {
+        update[field] = this[field];
+    });
+    
+    const result = await this.constructor.updateOne({ _id: this._id, status: 'pending' }, { $set: update });
+    return result.matchedCount === 1;
+};
+
+/**
+ * Put a claimed submission back in the review queue, e.g. when creating its station failed
+ */
+waterPointSubmissionSchema.methods.releaseReview = async function() {
+    await this.constructor.updateOne(
+        { _id: this._id, status: this.status },
+        { $set: { status: 'pending' }, $unset: { review: 1 } }
+    );
+    
+    this.status = 'pending';
+    this.review = undefined;
+    return this;
+};
+
+waterPointSubmissionSchema.statics.STATUSES = SUBMISSION_STATUSES;
+waterPointSubmissionSchema.statics.REVIEW_CORRECTIONS = REVIEW_CORRECTIONS;
+waterPointSubmissionSchema.statics.REPORTED_QUALITIES = REPORTED_QUALITIES;
+waterPointSubmissionSchema.statics.TEST_PARAMETERS = TEST_PARAMETERS;
+
+// Create and export the model
+const WaterPointSubmission = mongoose.model('WaterPointSubmission', waterPointSubmissionSchema);
+
+module.exports = WaterPointSubmission;
@@ -96,6 +96,10 @@ const userSchema = new Schema({
             type: Boolean,
             default: true
         },
+        smsNotifications: {
+            type: Boolean,
+            default: false
+        },
         dataSharing: {
             type: Boolean,
             default: false
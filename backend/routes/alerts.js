@@ -0,0 +1,724 @@
+/**
+ * Alert Routes for Salyte Beacon
+ * Station alerts raised by the rules engine and per-organization alert rules
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Station = require('../models/Station');
+const Organization = require('../models/Organization');
+
+// Import middleware
+const { auth, optionalAuth, authorize, MANAGER_ROLES } = require('../middleware/auth');
+
+// Import services
+const { closeRuleAlerts } = require('../services/alerts');
+const { organizationsOf, isMemberOf, resolveOrganization } = require('../services/organizations');
+const { PARAMETER_KEYS } = require('../config/parameters');
+const { DEFAULT_STANDARD, serializeStandard } = require('../config/standards');
+const { ESCALATION_TARGETS, DEFAULT_POLICIES } = require('../config/escalation');
+
+// Roles allowed to act on any organization's alerts
+const STAFF_ROLES = ['government', 'ngo', 'admin'];
+
+// Fields that can be set when creating or updating a rule
+const RULE_FIELDS = ['name', 'type', 'parameter', 'operator', 'value', 'consecutive', 'maxChange', 'windowMinutes', 'priority', 'enabled'];
+
+// Rule fields whose change invalidates its open alerts
+const CONDITION_FIELDS = ['type', 'parameter', 'operator', 'value', 'consecutive', 'maxChange', 'windowMinutes', 'enabled'];
+
+// Station fields included with each alert
+const STATION_SUMMARY = 'code name county locationName location organization';
+
+/**
+ * @route   GET /api/alerts
+ * @desc    Get station alerts with priority counts and, when signed in, read state.
+ *          Query: status (open, closed or all; default open), station, county,
+ *          priority (comma-separated), parameter, acknowledged (true/false), unread (true)
+ * @access  Public
+ */
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        
+        const { query, error } = await buildAlertQuery(req);
+        if (error) {
+            return res.status(error.status).json({
+                error: error.error,
+                message: error.message
+            });
+        }
+        
+        const [alerts, total, priorityCounts, unreadCount, showWorkflow] = await Promise.all([
+            Alert.find(query)
+                .sort({ lastTriggeredAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('station', STATION_SUMMARY),
+            Alert.countDocuments(query),
+            Alert.aggregate([
+                { $match: query },
+                { $group: { _id: '$priority', count: { $sum: 1 } } }
+            ]),
+            req.user
+                ? Alert.countDocuments({ ...query, readBy: { $ne: req.user.userId } })
+                : null,
+            workflowVisibility(req)
+        ]);
+        
+        const counts = Object.fromEntries(Alert.PRIORITIES.map(key => [key, 0]));
+        priorityCounts.forEach(({ _id, count }) => {
+            counts[_id] = count;
+        });
+        
+        res.json({
+            success: true,
+            alerts: alerts.map(alert => alert.toJSONFor(req.user, { showWorkflow: showWorkflow(alert) })),
+            counts: counts,
+            unreadCount: unreadCount,
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+    
+    } catch (error) {
+        console.error('Alert list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alerts',
+            message: 'Unable to retrieve alerts'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/alerts/rules
+ * @desc    Get the alert rules of the current user's organization
+ * @access  Private (manager roles; admins may name any organization)
+ */
+router.get('/rules', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { name, status, error, message } = await resolveOrganization(req);
+        
+        if (!name) {
+            return res.status(status).json({ error, message });
+        }
+        
+        const [organization, rules] = await Promise.all([
+            Organization.findByName(name),
+            AlertRule.find({ organizationKey: Organization.toNameKey(name) }).sort({ parameter: 1, createdAt: 1 })
+        ]);
+        
+        const standard = organization ? organization.waterStandard : DEFAULT_STANDARD;
+        
+        res.json({
+            success: true,
+            organization: organization ? organization.name : name,
+            // Readings outside the standard's limits always raise alerts in addition to these rules
+            standard: {
+                key: standard,
+                name: serializeStandard(standard).name
+            },
+            rules: rules
+        });
+    
+    } catch (error) {
+        console.error('Alert rule list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alert rules',
+            message: 'Unable to retrieve alert rules'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/alerts/rules
+ * @desc    Create an alert rule for the organization's stations
+ * @access  Private (manager roles; admins may name any organization)
+ */
+router.post('/rules', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { name, status, error, message } = await resolveOrganization(req);
+        
+        if (!name) {
+            return res.status(status).json({ error, message });
+        }
+        
+        const rule = new AlertRule({
+            organization: name,
+            createdBy: req.user.userId
+        });
+        
+        RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                rule[field] = req.body[field];
+            }
+        });
+        
+        await rule.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Alert rule created successfully',
+            rule: rule
+        });
+        
+        console.log(`🚨 Alert rule created for ${rule.organization}: ${rule.condition}`);
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Alert rule creation error:', error);
+        res.status(500).json({
+            error: 'Failed to create alert rule',
+            message: 'Unable to create alert rule. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/alerts/rules/:ruleId
+ * @desc    Update an alert rule; disabling it closes its open alerts
+ * @access  Private (manager roles of the rule's organization, or admin)
+ */
+router.put('/rules/:ruleId', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const rule = await findManagedRule(req, res);
+        if (!rule) return;
+        
+        RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                rule[field] = req.body[field];
+            }
+        });
+        
+        const conditionChanged = CONDITION_FIELDS.some(field => rule.isModified(field));
+        await rule.save();
+        
+        // Open alerts describe the old condition; the next reading reopens them if still breached
+        const closedAlerts = conditionChanged ? await closeRuleAlerts(rule._id) : 0;
+        
+        res.json({
+            success: true,
+            message: 'Alert rule updated successfully',
+            rule: rule,
+            closedAlerts: closedAlerts
+        });
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Alert rule update error:', error);
+        res.status(500).json({
+            error: 'Failed to update alert rule',
+            message: 'Unable to update alert rule. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/alerts/rules/:ruleId
+ * @desc    Delete an alert rule and close its open alerts
+ * @access  Private (manager roles of the rule's organization, or admin)
+ */
+router.delete('/rules/:ruleId', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const rule = await findManagedRule(req, res);
+        if (!rule) return;
+        
+        await rule.deleteOne();
+        const closedAlerts = await closeRuleAlerts(rule._id);
+        
+        res.json({
+            success: true,
+            message: 'Alert rule deleted successfully',
+            closedAlerts: closedAlerts
+        });
+    
+    } catch (error) {
+        console.error('Alert rule deletion error:', error);
+        res.status(500).json({
+            error: 'Failed to delete alert rule',
+            message: 'Unable to delete alert rule. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/alerts/escalation-policies
+ * @desc    Get the escalation steps for unacknowledged alerts of each priority
+ * @access  Private (manager roles)
+ */
+router.get('/escalation-policies', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const stored = await EscalationPolicy.find();
+        
+        res.json({
+            success: true,
+            targets: ESCALATION_TARGETS,
+            policies: EscalationPolicy.PRIORITIES.map(priority => {
+                const policy = stored.find(candidate => candidate.priority === priority);
+                return {
+                    priority: priority,
+                    steps: policy ? policy.steps : DEFAULT_POLICIES[priority],
+                    isDefault: !policy,
+                    updatedAt: policy ? policy.updatedAt : null
+                };
+            })
+        });
+    
+    } catch (error) {
+        console.error('Escalation policy list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch escalation policies',
+            message: 'Unable to retrieve escalation policies'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/alerts/escalation-policies/:priority
+ * @desc    Replace the escalation steps for a priority ({ steps: [{ afterMinutes, target }] });
+ *          an empty list turns escalation off for that priority
+ * @access  Private (admin only)
+ */
+router.put('/escalation-policies/:priority', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { priority } = req.params;
+        const { steps } = req.body;
+        
+        if (!EscalationPolicy.PRIORITIES.includes(priority)) {
+            return res.status(404).json({
+                error: 'Unknown priority',
+                message: `Priority must be one of: ${EscalationPolicy.PRIORITIES.join(', ')}`
+            });
+        }
+        
+        if (!Array.isArray(steps) || steps.some(step => !step || typeof step !== 'object' || Array.isArray(step))) {
+            return res.status(400).json({
+                error: 'Invalid steps',
+                message: 'Steps must be a list of { afterMinutes, target }'
+            });
+        }
+        
+        const policy = await EscalationPolicy.findOne({ priority }) || new EscalationPolicy({ priority });
+        policy.steps = steps.map(({ afterMinutes, target }) => ({ afterMinutes, target }));
+        policy.updatedBy = req.user.userId;
+        await policy.save();
+        
+        res.json({
+            success: true,
+            message: `Escalation policy for ${priority} alerts updated`,
+            policy: policy
+        });
+        
+        console.log(`⏰ Escalation policy for ${priority} alerts updated by ${req.user.email}`);
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Escalation policy update error:', error);
+        res.status(500).json({
+            error: 'Failed to update escalation policy',
+            message: 'Unable to update escalation policy. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/alerts/read-all
+ * @desc    Mark all open alerts matching the filters as read for the current user.
+ *          Body or query: the filters accepted by GET /api/alerts
+ * @access  Private
+ */
+router.post('/read-all', auth, async (req, res) => {
+    try {
+        const { query, error } = await buildAlertQuery(req, { ...req.query, ...req.body, unread: 'true' });
+        if (error) {
+            return res.status(error.status).json({
+                error: error.error,
+                message: error.message
+            });
+        }
+        
+        const result = await Alert.updateMany(query, { $addToSet: { readBy: req.user.userId } });
+        
+        res.json({
+            success: true,
+            message: `${result.modifiedCount} alert(s) marked as read`,
+            marked: result.modifiedCount
+        });
+    
+    } catch (error) {
+        console.error('Alert read-all error:', error);
+        res.status(500).json({
+            error: 'Failed to mark alerts as read',
+            message: 'Unable to update read state. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/alerts/:id
+ * @desc    Get one alert
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const alert = await findAlert(req.params.id)
+            .populate('station', STATION_SUMMARY)
+            .populate('rule');
+        
+        if (!alert) {
+            return res.status(404).json({
+                error: 'Alert not found',
+                message: 'No alert exists with this ID'
+            });
+        }
+        
+        const showWorkflow = await workflowVisibility(req);
+        
+        res.json({
+            success: true,
+            alert: alert.toJSONFor(req.user, { showWorkflow: showWorkflow(alert) })
+        });
+        
+    } catch (error) {
+        console.error('Alert fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alert',
+            message: 'Unable to retrieve alert'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/alerts/:id/read
+ * @desc    Mark an alert as read for the current user
+ * @access  Private
+ */
+router.post('/:id/read', auth, async (req, res) => {
+    try {
+        const alert = await findAlert(req.params.id);
+        
+        if (!alert) {
+            return res.status(404).json({
+                error: 'Alert not found',
+                message: 'No alert exists with this ID'
+            });
+        }
+        
+        // Atomic, so concurrent reads by teammates are not lost
+        await Alert.updateOne({ _id: alert._id }, { $addToSet: { readBy: req.user.userId } });
+        
+        res.json({
+            success: true,
+            message: 'Alert marked as read'
+        });
+    
+    } catch (error) {
+        console.error('Alert read error:', error);
+        res.status(500).json({
+            error: 'Failed to mark alert as read',
+            message: 'Unable to update read state. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/alerts/:id/acknowledge
+ * @desc    Acknowledge an open alert on behalf of the team, with an optional comment
+ * @access  Private (manager roles of the station's organization; government, NGO and admin for any)
+ */
+router.post('/:id/acknowledge', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { comment } = req.body;
+        
+        if (comment !== undefined && typeof comment !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid comment',
+                message: 'Comment must be text'
+            });
+        }
+        
+        const alert = await findActionableAlert(req, res);
+        if (!alert) return;
+        
+        if (!await alert.claimAcknowledgement(req.userDoc, comment?.trim() || undefined)) {
+            return res.status(409).json({
+                error: 'Cannot acknowledge alert',
+                message: 'Alert was acknowledged or closed by someone else in the meantime'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Alert acknowledged',
+            alert: alert.toJSONFor(req.user, { showWorkflow: true })
+        });
+        
+        console.log(`✅ Alert ${alert._id} acknowledged by ${req.user.email}`);
+    
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Cannot acknowledge alert',
+                message: error.message
+            });
+        }
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Alert acknowledge error:', error);
+        res.status(500).json({
+            error: 'Failed to acknowledge alert',
+            message: 'Unable to acknowledge alert. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/alerts/:id/escalate
+ * @desc    Escalate an open alert to a higher priority (default: the next tier); a reason is required
+ * @access  Private (manager roles of the station's organization; government, NGO and admin for any)
+ */
+router.post('/:id/escalate', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { priority, reason } = req.body;
+        
+        if (!reason || typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({
+                error: 'Reason required',
+                message: 'Explain why the alert is being escalated'
+            });
+        }
+        
+        const alert = await findActionableAlert(req, res);
+        if (!alert) return;
+        
+        const previousPriority = alert.priority;
+        if (!await alert.claimEscalation(priority, { user: req.userDoc, reason: reason.trim() })) {
+            return res.status(409).json({
+                error: 'Cannot escalate alert',
+                message: 'Alert priority changed or the alert closed in the meantime; reload it and try again'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `Alert escalated to ${alert.priority} priority`,
+            alert: alert.toJSONFor(req.user, { showWorkflow: true })
+        });
+        
+        console.log(`⏫ Alert ${alert._id}: ${previousPriority} → ${alert.priority} by ${req.user.email}`);
+    
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Cannot escalate alert',
+                message: error.message
+            });
+        }
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Alert escalate error:', error);
+        res.status(500).json({
+            error: 'Failed to escalate alert',
+            message: 'Unable to escalate alert. Please try again.'
+        });
+    }
+});
+
+/**
+ * Build the alert query from list filters
+ * Returns { query } or { error: { status, error, message } }.
+ */
+async function buildAlertQuery(req, filters = req.query) {
+    const { station, county, priority, acknowledged, unread } = filters;
+    const status = filters.status === undefined ? 'open' : String(filters.status);
+    const parameter = filters.parameter === undefined ? '' : String(filters.parameter);
+    const query = {};
+    
+    if (status !== 'all' && !Alert.STATUSES.includes(status)) {
+        return {
+            error: {
+                status: 400,
+                error: 'Invalid status',
+                message: `Status must be one of: ${Alert.STATUSES.join(', ')}, all`
+            }
+        };
+    }
+    
+    if (parameter && !PARAMETER_KEYS.includes(parameter)) {
+        return {
+            error: {
+                status: 400,
+                error: 'Invalid parameter',
+                message: `Parameter must be one of: ${PARAMETER_KEYS.join(', ')}`
+            }
+        };
+    }
+    
+    if (status !== 'all') query.status = status;
+    if (county) query.county = String(county).toLowerCase();
+    if (parameter) query.parameter = parameter;
+    
+    if (priority) {
+        const priorities = String(priority).split(',').map(value => value.trim());
+        
+        if (priorities.some(value => !Alert.PRIORITIES.includes(value))) {
+            return {
+                error: {
+                    status: 400,
+                    error: 'Invalid priority',
+                    message: `Priority must be one of: ${Alert.PRIORITIES.join(', ')}`
+                }
+            };
+        }
+        
+        query.priority = { $in: priorities };
+    }
+    
+    if (acknowledged === 'true') query['acknowledgement.at'] = { $exists: true };
+    if (acknowledged === 'false') query['acknowledgement.at'] = { $exists: false };
+    
+    if (unread === 'true' && req.user) {
+        query.readBy = { $ne: req.user.userId };
+    }
+    
+    if (station) {
+        const stationDoc = await Station.findByIdOrCode(String(station));
+        
+        if (!stationDoc) {
+            return {
+                error: {
+                    status: 404,
+                    error: 'Station not found',
+                    message: 'No station exists with this ID'
+                }
+            };
+        }
+        
+        query.station = stationDoc._id;
+    }
+    
+    return { query };
+}
+
+/**
+ * Find an alert by ID; malformed IDs find nothing
+ */
+function findAlert(id) {
+    return Alert.findOne({ _id: /^[0-9a-fA-F]{24}$/.test(id) ? id : null });
+}
+
+/**
+ * Load the alert named in the URL if the user may act on it; sends the error response otherwise
+ * Staff may act on any alert, other managers on their own organization's stations.
+ */
+async function findActionableAlert(req, res) {
+    const alert = await findAlert(req.params.id);
+    
+    if (!alert) {
+        res.status(404).json({
+            error: 'Alert not found',
+            message: 'No alert exists with this ID'
+        });
+        return null;
+    }
+    
+    const allowed = STAFF_ROLES.includes(req.user.role) ||
+        await isMemberOf(req.user.userId, alert.organizationKey);
+    
+    if (!allowed) {
+        res.status(403).json({
+            error: 'Access forbidden',
+            message: 'You can only act on alerts for your organization\'s stations'
+        });
+        return null;
+    }
+    
+    return alert;
+}
+
+/**
+ * Which alerts the user may see team workflow details for (acknowledgement, escalations, history)
+ * Staff see them on every alert, other managers on their organizations' alerts.
+ * Returns a function of the alert.
+ */
+async function workflowVisibility(req) {
+    if (!req.user || !MANAGER_ROLES.includes(req.user.role)) return () => false;
+    if (STAFF_ROLES.includes(req.user.role)) return () => true;
+    
+    const organizationKeys = new Set((await organizationsOf(req.user.userId)).map(Organization.toNameKey));
+    return alert => organizationKeys.has(alert.organizationKey);
+}
+
+/**
+ * Load the rule named in the URL if the user may manage it; sends the error response otherwise
+ */
+async function findManagedRule(req, res) {
+    const rule = /^[0-9a-fA-F]{24}$/.test(req.params.ruleId)
+        ? await AlertRule.findById(req.params.ruleId)
+        : null;
+    
+    if (!rule) {
+        res.status(404).json({
+            error: 'Alert rule not found',
+            message: 'No alert rule exists with this ID'
+        });
+        return null;
+    }
+    
+    const allowed = req.user.role === 'admin' ||
+        await isMemberOf(req.user.userId, rule.organizationKey);
+    
+    if (!allowed) {
+        res.status(403).json({
+            error: 'Access forbidden',
+            message: 'You can only manage your own organization\'s alert rules'
+        });
+        return null;
+    }
+    
+    return rule;
+}
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Attachment Routes for Salyte Beacon
+ * Handles report photo uploads and serving of stored images
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const router = express.Router();
+
+// Import models
+const Attachment = require('../models/Attachment');
+
+// Import middleware
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
+const { photoUpload, MAX_FILES } = require('../middleware/upload');
+const ratelimiter = require('../middleware/ratelimiter');
+
+// Import services
+const { getStorage } = require('../services/storage');
+const { processPhoto } = require('../services/photos');
+
+// Roles allowed to access original (unstripped) photos and delete any attachment
+const STAFF_ROLES = ['government', 'ngo', 'admin'];
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload report photos (multipart field "photos")
+ * @access  Public (linked to the user when authenticated)
+ */
+router.post('/', ratelimiter(30, 15), optionalAuth, photoUpload.array('photos', MAX_FILES), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'No files uploaded',
+                message: 'Please attach at least one photo'
+            });
+        }
+        
+        // Process every file before writing anything to storage
+        const processed = [];
+        for (const file of req.files) {
+            try {
+                processed.push({ file, renditions: await processPhoto(file.buffer) });
+            } catch (processingError) {
+                return res.status(415).json({
+                    error: 'Unsupported image',
+                    message: `${file.originalname} could not be read as an image`
+                });
+            }
+        }
+        
+        const storage = getStorage();
+        const attachments = [];
+        
+        for (const { file, renditions } of processed) {
+            const id = new mongoose.Types.ObjectId();
+            const prefix = `reports/${new Date().toISOString().slice(0, 7)}/${id}`;
+            const extension = path.extname(file.originalname).toLowerCase() || `.${renditions.format}`;
+            
+            const storageKeys = {
+                original: await storage.save(`${prefix}/original${extension}`, renditions.original),
+                public: await storage.save(`${prefix}/public.jpg`, renditions.public),
+                thumbnail: await storage.save(`${prefix}/thumbnail.jpg`, renditions.thumbnail)
+            };
+            
+            const attachment = await Attachment.create({
+                _id: id,
+                uploadedBy: req.user?.userId,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                width: renditions.width,
+                height: renditions.height,
+                hadExif: renditions.hadExif,
+                storageKeys
+            });
+            
+            attachments.push(attachment);
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: `${attachments.length} photo(s) uploaded`,
+            attachments: attachments
+        });
+    
+    } catch (error) {
+        console.error('Attachment upload error:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'Unable to upload photos. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/attachments/:id
+ * @desc    Get public copy of a photo (EXIF stripped)
+ * @access  Public
+ */
+router.get('/:id', (req, res) => sendRendition(req, res, 'public'));
+
+/**
+ * @route   GET /api/attachments/:id/thumbnail
+ * @desc    Get photo thumbnail
+ * @access  Public
+ */
+router.get('/:id/thumbnail', (req, res) => sendRendition(req, res, 'thumbnail'));
+
+/**
+ * @route   GET /api/attachments/:id/original
+ * @desc    Get original photo with metadata intact
+ * @access  Private (government, ngo, admin)
+ */
+router.get('/:id/original', auth, authorize(...STAFF_ROLES), (req, res) => sendRendition(req, res, 'original'));
+
+/**
+ * @route   DELETE /api/attachments/:id
+ * @desc    Delete an attachment and its stored files
+ * @access  Private (uploader while unattached, or staff)
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const attachment = await findAttachment(req.params.id);
+        
+        if (!attachment) {
+            return res.status(404).json({
+                error: 'Attachment not found',
+                message: 'No attachment exists with this ID'
+            });
+        }
+        
+        const isUploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user.userId.toString();
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        
+        if (!isStaff && !(isUploader && !attachment.report)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You cannot delete this attachment'
+            });
+        }
+        
+        const storage = getStorage();
+        await Promise.all(Object.values(attachment.toObject().storageKeys).map(key => storage.remove(key)));
+        await attachment.deleteOne();
+        
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+        });
+    
+    } catch (error) {
+        console.error('Attachment deletion error:', error);
+        res.status(500).json({
+            error: 'Failed to delete attachment',
+            message: 'Unable to delete attachment'
+        });
+    }
+});
+
+/**
+ * Stream one rendition of an attachment
+ */
+async function sendRendition(req, res, rendition) {
+    try {
+        const attachment = await findAttachment(req.params.id);
+        
+        if (!attachment) {
+            return res.status(404).json({
+                error: 'Attachment not found',
+                message: 'No attachment exists with this ID'
+            });
+        }
+        
+        const key = attachment.storageKeys[rendition];
+        const storage = getStorage();
+        
+        if (!(await storage.exists(key))) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: 'The stored file for this attachment is missing'
+            });
+        }
+        
+        res.set({
+            'Content-Type': rendition === 'original' ? attachment.mimeType : 'image/jpeg',
+            'Cache-Control': rendition === 'original' ? 'private, no-store' : 'public, max-age=86400'
+        });
+        
+        storage.createReadStream(key)
+            .on('error', (streamError) => {
+                console.error('Attachment stream error:', streamError);
+                res.destroy(streamError);
+            })
+            .pipe(res);
+    
+    } catch (error) {
+        console.error('Attachment fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch attachment',
+            message: 'Unable to retrieve attachment'
+        });
+    }
+}
+
+/**
+ * Find an attachment by ID, ignoring malformed IDs
+ */
+function findAttachment(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return Promise.resolve(null);
+    }
+    return Attachment.findById(id);
+}
+
+module.exports = router;
@@ -5,6 +5,7 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
 
@@ -15,6 +16,10 @@ const User = require('../models/user.js');
 const { auth } = require('../middleware/auth');
 const ratelimiter = require('../middleware/ratelimiter');
 
+// Import services
+const { emailUser } = require('../services/mail');
+const { APP_URL } = require('../config/mail');
+
 /**
  * @route   POST /api/auth/signup
  * @desc    Register new user
@@ -85,6 +90,13 @@ router.post('/signup', ratelimiter(5, 15), async (req, res) => {
         // Save user to database
         await newUser.save();
         
+        // Email a link to confirm the address; the account can be used meanwhile
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+        
         // Generate JWT token
         const payload = {
             userId: newUser._id,
@@ -295,14 +307,16 @@ router.post('/forgot-password', ratelimiter(3, 60), async (req, res) => {
             { expiresIn: '1h' }
         );
         
-        // Save reset token to user (in production, you'd send email here)
+        // Save reset token to user
         user.passwordResetToken = resetToken;
         user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
         await user.save();
         
-        // Mock email sending (in production, integrate with email service)
+        await emailUser(user, 'passwordReset', {
+            url: `${APP_URL}/login.html?reset=${resetToken}`
+        });
+        
         console.log(`📧 Password reset requested for: ${email}`);
-        console.log(`🔗 Reset link: http://localhost:3000/reset-password?token=${resetToken}`);
         
         res.json({
             success: true,
@@ -353,7 +367,7 @@ router.post('/reset-password', async (req, res) => {
         }
         
         // Find user and check token
-        const user = await User.findById(decoded.userId);
+        const user = await User.findById(decoded.userId).select('+passwordResetToken +passwordResetExpires');
         if (!user || user.passwordResetToken !== token) {
             return res.status(401).json({
                 error: 'Invalid token',
@@ -395,6 +409,100 @@ router.post('/reset-password', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Confirm an email address from the emailed link, then continue to the login page
+ * @access  Public
+ */
+router.get('/verify-email', ratelimiter(20, 15), async (req, res) => {
+    try {
+        const user = await verifyEmailToken(req.query.token);
+        res.redirect(`${APP_URL}/login.html?verified=${user ? 1 : 0}`);
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.redirect(`${APP_URL}/login.html?verified=0`);
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', ratelimiter(20, 15), async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                error: 'Missing token',
+                message: 'Verification token is required'
+            });
+        }
+        
+        const user = await verifyEmailToken(token);
+        
+        if (!user) {
+            return res.status(400).json({
+                error: 'Invalid token',
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Email address confirmed'
+        });
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            error: 'Verification failed',
+            message: 'Unable to verify email address. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', auth, ratelimiter(3, 60), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'User profile not found'
+            });
+        }
+        
+        if (user.isVerified) {
+            return res.status(409).json({
+                error: 'Already verified',
+                message: 'This email address is already confirmed'
+            });
+        }
+        
+        await sendVerificationEmail(user);
+        
+        res.json({
+            success: true,
+            message: `A new verification link has been sent to ${user.email}`
+        });
+        
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            error: 'Failed to send verification',
+            message: 'Unable to send a verification email. Please try again.'
+        });
+    }
+});
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
@@ -590,6 +698,50 @@ router.delete('/account', auth, async (req, res) => {
     }
 });
 
+/**
+ * Issue a new email verification token and email the link (saves the user)
+ * Only a hash of the token is stored.
+ */
+async function sendVerificationEmail(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    user.emailVerificationToken = hashToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    await user.save();
+    
+    return emailUser(user, 'emailVerification', {
+        url: `${APP_URL}/api/auth/verify-email?token=${token}`
+    });
+}
+
+/**
+ * Mark the user owning a valid verification token as verified
+ * Returns the user, or null if the token is unknown or expired.
+ */
+async function verifyEmailToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    
+    const user = await User.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+    });
+    
+    if (!user) return null;
+    
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    
+    console.log(`✅ Email verified: ${user.email}`);
+    
+    return user;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 module.exports = router;
 
 console.log("AUTH ROUTE DIR:", __dirname);
@@ -9,14 +9,28 @@ const router = express.Router();
 // Import middleware
 const { auth } = require('../middleware/auth');
 
+// Import configuration
+const { STANDARD_KEYS, DEFAULT_STANDARD, getStandard, describeLimit } = require('../config/standards');
+
+// Import services
+const { parseNearestQuery, findNearestSafeSources, DEFAULT_MAX_DISTANCE_KM, MAX_TEST_AGE_DAYS } = require('../services/safeSources');
+
+// Questions about where to find water nearby
+const NEAREST_WATER_PATTERN = /\b(nearest|closest|nearby|near me|close to me|around me)\b/;
+const WATER_SOURCE_PATTERN = /\b(water|source|borehole|well|tap|spring|kiosk)s?\b/;
+
+// Sources listed in an answer
+const NEAREST_ANSWER_COUNT = 3;
+
 /**
  * @route   POST /api/chat
- * @desc    Send message to AI assistant
+ * @desc    Send message to AI assistant. Body: message, chatId, context, standard, and
+ *          location ({ latitude, longitude }) for questions about the nearest safe water
  * @access  Private (optional - can be public for demo)
  */
 router.post('/', async (req, res) => {
     try {
-        const { message, chatId, context } = req.body;
+        const { message, chatId, context, standard, location } = req.body;
         
         // Input validation
         if (!message || message.trim().length === 0) {
@@ -34,7 +48,7 @@ router.post('/', async (req, res) => {
         }
         
         // Process message and generate AI response
-        const aiResponse = await generateAIResponse(message, context);
+        const aiResponse = await generateAIResponse(message, context, STANDARD_KEYS.includes(standard) ? standard : DEFAULT_STANDARD, location);
         
         // Mock chat ID generation
         const newChatId = chatId || `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -197,25 +211,33 @@ router.delete('/:id', auth, async (req, res) => {
 
 /**
  * Generate AI response (mock implementation)
- * In production, this would integrate with actual AI/ML services
+ * In production, this would integrate with actual AI/ML services.
+ * Limits quoted in answers come from the standards registry, and nearest safe water from the map.
  */
-async function generateAIResponse(message, context = []) {
+async function generateAIResponse(message, context = [], standardKey = DEFAULT_STANDARD, location = null) {
     // Simulate processing delay
     await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500));
     
     const lowercaseMessage = message.toLowerCase();
+    const standard = getStandard(standardKey);
+    const standardSource = {
+        title: standard.name,
+        url: standard.reference,
+        type: 'Official Guidelines',
+        description: `${standard.authority} drinking water quality limits`
+    };
+    
+    // Where to find safe water nearby
+    if (NEAREST_WATER_PATTERN.test(lowercaseMessage) && WATER_SOURCE_PATTERN.test(lowercaseMessage)) {
+        return answerNearestSafeWater(location);
+    }
     
     // Water quality responses
     if (lowercaseMessage.includes('ph') || lowercaseMessage.includes('acidity') || lowercaseMessage.includes('alkaline')) {
         return {
-            answer: `The pH level is a crucial indicator of water quality. For drinking water, the WHO recommends a pH range of 6.5-8.5. pH below 6.5 indicates acidic water which can corrode pipes and leach metals, while pH above 8.5 indicates alkaline water which can cause scaling and bitter taste. Regular pH testing helps ensure water safety and system longevity.`,
+            answer: `The pH level is a crucial indicator of water quality. Under the ${standard.name}, drinking water should have a pH of ${describeLimit('ph', standardKey)}. pH below ${standard.limits.ph.safe[0]} indicates acidic water which can corrode pipes and leach metals, while pH above ${standard.limits.ph.safe[1]} indicates alkaline water which can cause scaling and bitter taste. Regular pH testing helps ensure water safety and system longevity.`,
             sources: [
-                {
-                    title: 'WHO Guidelines for Drinking-water Quality',
-                    url: 'https://www.who.int/publications/i/item/9789241549950',
-                    type: 'Official Guidelines',
-                    description: 'World Health Organization standards for water quality parameters including pH'
-                },
+                standardSource,
                 {
                     title: 'EPA Water Quality Standards',
                     url: 'https://www.epa.gov/standards-water-body-activities',
@@ -230,8 +252,9 @@ async function generateAIResponse(message, context = []) {
     
     if (lowercaseMessage.includes('tds') || lowercaseMessage.includes('dissolved solids') || lowercaseMessage.includes('minerals')) {
         return {
-            answer: `Total Dissolved Solids (TDS) measures the concentration of dissolved substances in water, including minerals, salts, and metals. The WHO suggests TDS levels below 1000 mg/L for drinking water, with optimal taste typically between 300-500 mg/L. High TDS doesn't necessarily indicate unsafe water, but very high levels (>1000 mg/L) may affect taste and could indicate contamination.`,
+            answer: `Total Dissolved Solids (TDS) measures the concentration of dissolved substances in water, including minerals, salts, and metals. Under the ${standard.name}, drinking water should have TDS of ${describeLimit('tds', standardKey)}, with optimal taste typically between 300-500 mg/L. High TDS doesn't necessarily indicate unsafe water, but levels above ${standard.limits.tds.acceptable[1]} mg/L may affect taste and could indicate contamination.`,
             sources: [
+                standardSource,
                 {
                     title: 'WHO TDS Standards',
                     url: 'https://www.who.int/water_sanitation_health/dwq/chemicals/tds.pdf',
@@ -290,8 +313,9 @@ async function generateAIResponse(message, context = []) {
     
     if (lowercaseMessage.includes('turbidity') || lowercaseMessage.includes('cloudy') || lowercaseMessage.includes('clear') || lowercaseMessage.includes('visibility')) {
         return {
-            answer: `Turbidity measures water clarity and is expressed in Nephelometric Turbidity Units (NTU). The WHO recommends turbidity below 1 NTU for drinking water, with levels above 4 NTU being easily visible. High turbidity can indicate contamination, interfere with disinfection, and harbor pathogens. Turbidimeters provide accurate measurements, while visual assessment can detect obvious cloudiness.`,
+            answer: `Turbidity measures water clarity and is expressed in Nephelometric Turbidity Units (NTU). Under the ${standard.name}, drinking water should have turbidity of ${describeLimit('turbidity', standardKey)}, and levels above 4 NTU are easily visible. High turbidity can indicate contamination, interfere with disinfection, and harbor pathogens. Turbidimeters provide accurate measurements, while visual assessment can detect obvious cloudiness.`,
             sources: [
+                standardSource,
                 {
                     title: 'WHO Turbidity Guidelines',
                     url: 'https://www.who.int/water_sanitation_health/dwq/chemicals/turbidity/en/',
@@ -336,4 +360,50 @@ async function generateAIResponse(message, context = []) {
     };
 }
 
+/**
+ * Answer "where is the closest safe water?" from the sources tested safe near the user
+ */
+async function answerNearestSafeWater(location) {
+    const mapSource = {
+        title: 'Salyte Beacon Interactive Map',
+        url: '/cartomap.html',
+        type: 'Live Monitoring Data',
+        description: `Water sources tested safe in the last ${MAX_TEST_AGE_DAYS} days`
+    };
+    
+    const nearestQuery = parseNearestQuery({ lat: location?.latitude, lng: location?.longitude, limit: NEAREST_ANSWER_COUNT });
+    if (nearestQuery.error) {
+        return {
+            answer: 'To find the closest safe water I need your location. Please allow location access and ask again, or use "Find Safe Water" on the interactive map.',
+            sources: [mapSource],
+            confidence: 0.9,
+            tokensUsed: 60
+        };
+    }
+    
+    const sources = await findNearestSafeSources(nearestQuery);
+    if (sources.length === 0) {
+        return {
+            answer: `I couldn't find a water source tested safe in the last ${MAX_TEST_AGE_DAYS} days within ${DEFAULT_MAX_DISTANCE_KM} km of you. Until you can reach a tested source, boil water for at least 1 minute or treat it with chlorine before drinking, and check the interactive map for updates.`,
+            sources: [mapSource],
+            confidence: 0.9,
+            tokensUsed: 90
+        };
+    }
+    
+    const lines = sources.map((source, index) =>
+        `${index + 1}. ${source.name} (${source.sourceType.replace('-', ' ')}) - ${formatDistance(source.distance)} away, last tested ${source.lastTestedAt.toISOString().slice(0, 10)}, currently ${source.status}`);
+    
+    return {
+        answer: `The closest water sources currently tested safe are:\n${lines.join('\n')}\nOpen the interactive map for directions. Quality can change, so check the latest results before you travel.`,
+        sources: [mapSource],
+        confidence: 0.95,
+        tokensUsed: 120
+    };
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
 module.exports = router;
\ No newline at end of file
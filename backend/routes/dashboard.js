@@ -1,9 +1,948 @@
+/**
+ * Dashboard Routes for Salyte Beacon
+ * Handles dashboard data and bulk uploads of historical water quality data
+ */
+
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 
+// Import models
+const DataPoint = require('../models/DataPoint');
+const ImportJob = require('../models/ImportJob');
+const Report = require('../models/Report');
+const Station = require('../models/Station');
+
+// Import middleware
+const { auth, authorize, MANAGER_ROLES } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
+
+// Import services
+const { checkColumns, prepareImport, buildPreview, startImport } = require('../services/csvImport');
+const { buildCountyMetrics, findCountyDetail, toCountyFeatureCollection } = require('../services/countyStats');
+const { WQI_PARAMETERS, computeWqi } = require('../services/wqi');
+const { PARAMETERS, PARAMETER_KEYS } = require('../config/parameters');
+const { STANDARDS, STANDARD_KEYS, DEFAULT_STANDARD, classifyReadings } = require('../config/standards');
+const { COUNTIES, findCounty } = require('../config/counties');
+
+// Trend buckets are aligned to local midnight in Kenya unless another timezone is requested
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+const MAX_BUCKETS = 1000;
+const MAX_RANGE_DAYS = 3650;
+
+// Approximate bucket lengths, used to cap the number of buckets per series
+const INTERVAL_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
 // Example: GET /api/dashboard
 router.get('/', (req, res) => {
-  res.json({ message: 'Dashboard API is working!' });
+    res.json({ message: 'Dashboard API is working!' });
+});
+
+/**
+ * @route   GET /api/dashboard/stats
+ * @desc    Station quality, report and coverage statistics.
+ *          Query: county, days or from/to (default last 30 days), standard (overrides
+ *          each station's organization standard)
+ * @access  Public
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const county = req.query.county ? String(req.query.county).toLowerCase().trim() : null;
+        
+        const standard = req.query.standard || null;
+        if (standard && !STANDARD_KEYS.includes(standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const stationQuery = { status: { $ne: 'decommissioned' } };
+        const classifiedParameters = new Set(Object.values(STANDARDS).flatMap(({ limits }) => Object.keys(limits)));
+        const readingQuery = {
+            parameter: { $in: [...classifiedParameters] },
+            timestamp: { $gte: range.from, $lte: range.to }
+        };
+        const reportQuery = { submittedAt: { $gte: range.from, $lte: range.to } };
+        
+        if (county) {
+            stationQuery.county = county;
+            readingQuery.county = county;
+            reportQuery.county = county;
+        }
+        
+        const [stations, latestValues, reportsByStatus, criticalReports, responseTimes] = await Promise.all([
+            Station.find(stationQuery).select('status county organization'),
+            DataPoint.latestValues(readingQuery),
+            Report.aggregate([
+                { $match: reportQuery },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Report.countDocuments({ ...reportQuery, status: { $ne: 'resolved' }, severity: 'critical' }),
+            // Response time is the time from submission to the first status change
+            Report.aggregate([
+                { $match: { ...reportQuery, 'statusHistory.1': { $exists: true } } },
+                {
+                    $group: {
+                        _id: null,
+                        averageMs: {
+                            $avg: { $subtract: [{ $arrayElemAt: ['$statusHistory.changedAt', 1] }, '$submittedAt'] }
+                        },
+                        count: { $sum: 1 }
+                    }
+                }
+            ])
+        ]);
+        
+        // Stations are classified by the latest value of each parameter within the range,
+        // under their organization's standard unless one was requested
+        await Station.applyStandards(stations);
+        
+        const stationsByQuality = { safe: 0, warning: 0, critical: 0, unknown: 0 };
+        const stationsByStatus = {};
+        let reportingStations = 0;
+        
+        stations.forEach(station => {
+            const values = latestValues.get(station.id);
+            if (values) reportingStations++;
+            
+            stationsByQuality[classifyReadings(values || {}, standard || station.waterStandard)]++;
+            stationsByStatus[station.status] = (stationsByStatus[station.status] || 0) + 1;
+        });
+        
+        const reportCounts = {};
+        reportsByStatus.forEach(({ _id, count }) => {
+            reportCounts[_id] = count;
+        });
+        
+        const totalReports = reportsByStatus.reduce((sum, { count }) => sum + count, 0);
+        const averageResponseHours = responseTimes[0]
+            ? Math.round(responseTimes[0].averageMs / (60 * 60 * 1000) * 10) / 10
+            : null;
+        
+        res.json({
+            success: true,
+            filters: {
+                county: county,
+                standard: standard,
+                from: range.from,
+                to: range.to
+            },
+            stats: {
+                totalStations: stations.length,
+                safeStations: stationsByQuality.safe,
+                alertStations: stationsByQuality.warning,
+                criticalStations: stationsByQuality.critical,
+                unknownStations: stationsByQuality.unknown,
+                reportingStations: reportingStations,
+                coveragePercentage: stations.length > 0
+                    ? Math.round(reportingStations / stations.length * 1000) / 10
+                    : 0,
+                stationsByStatus: stationsByStatus,
+                totalReports: totalReports,
+                openReports: totalReports - (reportCounts.resolved || 0),
+                criticalReports: criticalReports,
+                reportsByStatus: reportCounts,
+                avgResponseTimeHours: averageResponseHours,
+                avgResponseTime: formatDuration(averageResponseHours)
+            },
+            generatedAt: new Date()
+        });
+    
+    } catch (error) {
+        console.error('Dashboard stats error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch statistics',
+            message: 'Unable to compute dashboard statistics'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/trends
+ * @desc    Time-bucketed min, max, mean and count of readings per parameter.
+ *          Query: parameter (comma-separated keys), station (ID or code), county,
+ *          days or from/to, interval (hour, day, week, month), groupBy=station, timezone
+ * @access  Public
+ */
+router.get('/trends', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const parameters = req.query.parameter
+            ? String(req.query.parameter).split(',').map(parameter => parameter.trim()).filter(Boolean)
+            : PARAMETER_KEYS;
+        
+        const unknownParameters = parameters.filter(parameter => !PARAMETER_KEYS.includes(parameter));
+        if (unknownParameters.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid parameter',
+                message: `Unknown parameter(s): ${unknownParameters.join(', ')}. Valid parameters: ${PARAMETER_KEYS.join(', ')}`
+            });
+        }
+        
+        const bucketing = parseBucketing(req.query, range);
+        if (bucketing.error) {
+            return res.status(400).json(bucketing.error);
+        }
+        
+        const { interval, timezone } = bucketing;
+        
+        const match = {
+            parameter: { $in: parameters },
+            timestamp: { $gte: range.from, $lte: range.to }
+        };
+        
+        if (req.query.station !== undefined && typeof req.query.station !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid station',
+                message: 'station must be a single station ID or code'
+            });
+        }
+        
+        let station = null;
+        if (req.query.station && req.query.station !== 'all') {
+            station = await Station.findByIdOrCode(req.query.station);
+            
+            if (!station) {
+                return res.status(404).json({
+                    error: 'Station not found',
+                    message: 'No station exists with this ID'
+                });
+            }
+            
+            match.station = station._id;
+        }
+        
+        if (req.query.county) {
+            match.county = String(req.query.county).toLowerCase().trim();
+        }
+        
+        const byStation = !!station || req.query.groupBy === 'station';
+        const buckets = await DataPoint.aggregateBuckets(match, { interval, timezone, byStation });
+        
+        // Station details for labelling per-station series
+        const stationsById = new Map();
+        if (station) {
+            stationsById.set(station.id, station);
+        } else if (byStation) {
+            const stationIds = [...new Set(buckets.map(bucket => bucket._id.station.toString()))];
+            const stations = await Station.find({ _id: { $in: stationIds } }).select('code name');
+            stations.forEach(found => stationsById.set(found.id, found));
+        }
+        
+        const series = new Map();
+        buckets.forEach(({ _id, min, max, mean, count }) => {
+            const stationId = _id.station ? _id.station.toString() : null;
+            const key = `${_id.parameter}:${stationId || 'all'}`;
+            
+            if (!series.has(key)) {
+                const seriesStation = stationId ? stationsById.get(stationId) : null;
+                
+                series.set(key, {
+                    parameter: _id.parameter,
+                    name: PARAMETERS[_id.parameter].name,
+                    unit: PARAMETERS[_id.parameter].unit,
+                    station: seriesStation
+                        ? { id: seriesStation._id, code: seriesStation.code, name: seriesStation.name }
+                        : null,
+                    buckets: []
+                });
+            }
+            
+            series.get(key).buckets.push({
+                start: _id.bucket,
+                min: min,
+                max: max,
+                mean: Math.round(mean * 1000) / 1000,
+                count: count
+            });
+        });
+        
+        res.json({
+            success: true,
+            interval: interval,
+            timezone: timezone,
+            from: range.from,
+            to: range.to,
+            series: [...series.values()]
+        });
+    
+    } catch (error) {
+        console.error('Dashboard trends error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch trends',
+            message: 'Unable to retrieve trend data'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/wqi
+ * @desc    Water Quality Index per station or county, from mean readings in the range.
+ *          Query: groupBy (station or county), county, station, days or from/to, standard
+ * @access  Public
+ */
+router.get('/wqi', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const groupBy = req.query.groupBy || 'station';
+        if (!['station', 'county'].includes(groupBy)) {
+            return res.status(400).json({
+                error: 'Invalid grouping',
+                message: 'groupBy must be station or county'
+            });
+        }
+        
+        const standard = req.query.standard || null;
+        if (standard && !STANDARD_KEYS.includes(standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const match = {
+            parameter: { $in: WQI_PARAMETERS },
+            timestamp: { $gte: range.from, $lte: range.to }
+        };
+        
+        if (req.query.county) {
+            match.county = String(req.query.county).toLowerCase().trim();
+        }
+        
+        if (req.query.station !== undefined && typeof req.query.station !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid station',
+                message: 'station must be a single station ID or code'
+            });
+        }
+        
+        if (req.query.station) {
+            const station = await Station.findByIdOrCode(req.query.station);
+            
+            if (!station) {
+                return res.status(404).json({
+                    error: 'Station not found',
+                    message: 'No station exists with this ID'
+                });
+            }
+            
+            match.station = station._id;
+        }
+        
+        const averages = await DataPoint.averageValues(match, groupBy);
+        let results;
+        
+        if (groupBy === 'station') {
+            const stations = await Station.find({ _id: { $in: [...averages.keys()] } })
+                .select('code name county organization');
+            await Station.applyStandards(stations);
+            
+            results = stations.map(station => ({
+                station: {
+                    id: station._id,
+                    code: station.code,
+                    name: station.name,
+                    county: station.county
+                },
+                ...computeWqi(averages.get(station.id), standard || station.waterStandard)
+            }));
+        } else {
+            results = [...averages.entries()].map(([county, values]) => ({
+                county: county,
+                ...computeWqi(values, standard || DEFAULT_STANDARD)
+            }));
+        }
+        
+        // Worst first; areas without enough data last
+        results.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+        
+        res.json({
+            success: true,
+            method: 'weighted-arithmetic',
+            filters: {
+                groupBy: groupBy,
+                county: match.county || null,
+                standard: standard,
+                from: range.from,
+                to: range.to
+            },
+            results: results
+        });
+    
+    } catch (error) {
+        console.error('Dashboard WQI error:', error);
+        res.status(500).json({
+            error: 'Failed to compute WQI',
+            message: 'Unable to compute water quality index'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/wqi/trend
+ * @desc    Water Quality Index per time bucket.
+ *          Query: station, county, days or from/to, interval, timezone, standard
+ * @access  Public
+ */
+router.get('/wqi/trend', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const bucketing = parseBucketing(req.query, range);
+        if (bucketing.error) {
+            return res.status(400).json(bucketing.error);
+        }
+        
+        const { interval, timezone } = bucketing;
+        
+        if (req.query.standard && !STANDARD_KEYS.includes(req.query.standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const match = {
+            parameter: { $in: WQI_PARAMETERS },
+            timestamp: { $gte: range.from, $lte: range.to }
+        };
+        
+        if (req.query.station !== undefined && typeof req.query.station !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid station',
+                message: 'station must be a single station ID or code'
+            });
+        }
+        
+        let station = null;
+        if (req.query.station && req.query.station !== 'all') {
+            station = await Station.findByIdOrCode(req.query.station);
+            
+            if (!station) {
+                return res.status(404).json({
+                    error: 'Station not found',
+                    message: 'No station exists with this ID'
+                });
+            }
+            
+            await Station.applyStandards([station]);
+            match.station = station._id;
+        }
+        
+        if (req.query.county) {
+            match.county = String(req.query.county).toLowerCase().trim();
+        }
+        
+        const standard = req.query.standard || (station ? station.waterStandard : DEFAULT_STANDARD);
+        const buckets = await DataPoint.aggregateBuckets(match, { interval, timezone });
+        
+        // Combine the per-parameter means of each bucket into one index
+        const valuesByBucket = new Map();
+        buckets.forEach(({ _id, mean }) => {
+            const key = _id.bucket.toISOString();
+            if (!valuesByBucket.has(key)) {
+                valuesByBucket.set(key, {});
+            }
+            valuesByBucket.get(key)[_id.parameter] = mean;
+        });
+        
+        const series = [...valuesByBucket.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([start, values]) => {
+                const { score, category, parametersUsed } = computeWqi(values, standard);
+                return { start, score, category, parametersUsed };
+            });
+        
+        res.json({
+            success: true,
+            method: 'weighted-arithmetic',
+            interval: interval,
+            timezone: timezone,
+            standard: standard,
+            station: station ? { id: station._id, code: station.code, name: station.name } : null,
+            from: range.from,
+            to: range.to,
+            series: series
+        });
+    
+    } catch (error) {
+        console.error('Dashboard WQI trend error:', error);
+        res.status(500).json({
+            error: 'Failed to compute WQI trend',
+            message: 'Unable to compute water quality index trend'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/counties
+ * @desc    Reports, open alerts, average WQI, station density and coverage for each of the
+ *          47 counties. Query: days or from/to, standard, format=geojson (county boundaries
+ *          with the metrics as feature properties)
+ * @access  Public
+ */
+router.get('/counties', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const standard = req.query.standard || null;
+        if (standard && !STANDARD_KEYS.includes(standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const format = req.query.format || 'json';
+        if (!['json', 'geojson'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: 'format must be json or geojson'
+            });
+        }
+        
+        const { counties, unmatched } = await buildCountyMetrics(range, { standard });
+        
+        if (format === 'geojson') {
+            return res.type('application/geo+json').json(toCountyFeatureCollection(counties));
+        }
+        
+        res.json({
+            success: true,
+            filters: {
+                standard: standard || DEFAULT_STANDARD,
+                from: range.from,
+                to: range.to
+            },
+            counties: counties,
+            unmatched: unmatched,
+            generatedAt: new Date()
+        });
+        
+    } catch (error) {
+        console.error('Dashboard counties error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch county statistics',
+            message: 'Unable to compute county statistics'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/counties/:county
+ * @desc    One county's metrics with its stations and most recent reports.
+ *          :county is a county name or code (e.g. homa-bay, "Homa Bay" or 018).
+ *          Query: days or from/to, standard
+ * @access  Public
+ */
+router.get('/counties/:county', async (req, res) => {
+    try {
+        const county = /^\d{1,3}$/.test(req.params.county)
+            ? COUNTIES.find(({ code }) => code === req.params.county.padStart(3, '0'))
+            : findCounty(req.params.county);
+        
+        if (!county) {
+            return res.status(404).json({
+                error: 'County not found',
+                message: 'No Kenyan county matches this name or code'
+            });
+        }
+        
+        const range = parseDateRange(req.query);
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+        
+        const standard = req.query.standard || null;
+        if (standard && !STANDARD_KEYS.includes(standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const [{ counties }, { stations, reports }] = await Promise.all([
+            buildCountyMetrics(range, { standard }),
+            findCountyDetail(county.key)
+        ]);
+        
+        if (standard) {
+            stations.forEach(station => {
+                station.$locals.waterStandard = standard;
+            });
+        }
+        
+        res.json({
+            success: true,
+            filters: {
+                standard: standard || DEFAULT_STANDARD,
+                from: range.from,
+                to: range.to
+            },
+            county: {
+                ...counties.find(({ key }) => key === county.key),
+                bounds: county.bounds
+            },
+            stations: stations.map(station => ({
+                id: station._id,
+                code: station.code,
+                name: station.name,
+                sourceType: station.sourceType,
+                status: station.status,
+                quality: station.waterQuality,
+                locationName: station.locationName,
+                latitude: station.lat,
+                longitude: station.lng,
+                lastReadingAt: station.lastReadingAt
+            })),
+            reports: reports.map(report => ({
+                id: report._id,
+                trackingId: report.trackingId,
+                type: report.type,
+                title: report.title,
+                severity: report.severity,
+                status: report.status,
+                locationName: report.locationName,
+                coordinates: report.coordinates,
+                submittedAt: report.submittedAt
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Dashboard county detail error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch county',
+            message: 'Unable to load county details'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/dashboard/upload
+ * @desc    Upload a CSV file of historical readings (multipart field "file").
+ *          Optional fields: mapping and units (JSON objects keyed by column header),
+ *          station (default station ID or code), dryRun ("true" to preview without importing)
+ * @access  Private (station owners and admins)
+ */
+router.post('/upload', auth, authorize(...MANAGER_ROLES), csvUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file uploaded',
+                message: 'Please attach a CSV file in the "file" field'
+            });
+        }
+        
+        let options;
+        try {
+            options = {
+                mapping: parseJsonField(req.body.mapping, 'mapping'),
+                units: parseJsonField(req.body.units, 'units'),
+                station: req.body.station ? String(req.body.station).trim() : undefined,
+                user: req.user
+            };
+        } catch (parseError) {
+            return res.status(400).json({
+                error: 'Invalid upload options',
+                message: parseError.message
+            });
+        }
+        
+        if (req.body.dryRun === 'true' || req.body.dryRun === true) {
+            const prepared = await prepareImport(req.file.buffer, options);
+            
+            return res.json({
+                success: true,
+                dryRun: true,
+                message: `${prepared.readings} readings ready to import, ${prepared.errors.length} problems found`,
+                ...buildPreview(prepared)
+            });
+        }
+        
+        // Reject files whose columns cannot be mapped before queueing anything
+        const columns = await checkColumns(req.file.buffer, options);
+        
+        const job = await ImportJob.create({
+            uploadedBy: req.user.userId,
+            fileName: req.file.originalname,
+            fileSize: req.file.size,
+            options: {
+                mapping: options.mapping,
+                units: options.units,
+                station: options.station
+            }
+        });
+        
+        startImport(job, req.file.buffer, options);
+        
+        res.status(202).json({
+            success: true,
+            message: 'Import queued. Check the job status for progress and row errors.',
+            jobId: job._id,
+            statusUrl: `/api/dashboard/upload/${job._id}`,
+            columns: columns
+        });
+        
+        console.log(`📤 CSV import ${job._id} queued by ${req.user.email}: ${req.file.originalname}`);
+    
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Invalid CSV file',
+                message: error.message,
+                details: error.details
+            });
+        }
+        
+        console.error('CSV upload error:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'Unable to process the uploaded file. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/dashboard/upload
+ * @desc    List the current user's CSV imports
+ * @access  Private (station owners and admins)
+ */
+router.get('/upload', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+        
+        const query = { uploadedBy: req.user.userId };
+        
+        const [jobs, total] = await Promise.all([
+            ImportJob.find(query)
+                .select('-rowErrors')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            ImportJob.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            jobs: jobs,
+            pagination: {
+                current: page,
+                total: Math.ceil(total / limit),
+                count: total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        });
+    
+    } catch (error) {
+        console.error('Import job list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch imports',
+            message: 'Unable to retrieve import jobs'
+        });
+    }
 });
 
+/**
+ * @route   GET /api/dashboard/upload/:jobId
+ * @desc    Get progress and row errors of a CSV import
+ * @access  Private (uploader or admin)
+ */
+router.get('/upload/:jobId', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+            ? await ImportJob.findById(req.params.jobId)
+            : null;
+        
+        if (!job || (!job.isOwnedBy(req.user.userId) && req.user.role !== 'admin')) {
+            return res.status(404).json({
+                error: 'Import not found',
+                message: 'No import job exists with this ID'
+            });
+        }
+        
+        res.json({
+            success: true,
+            job: job
+        });
+    
+    } catch (error) {
+        console.error('Import job fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch import',
+            message: 'Unable to retrieve import job'
+        });
+    }
+});
+
+/**
+ * Read a time range from from/to (ISO dates) or days (default 30, ending now)
+ * Returns { from, to } or { error }.
+ */
+function parseDateRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    let from;
+    
+    if (query.from) {
+        from = new Date(query.from);
+    } else {
+        const days = query.days === undefined ? 30 : Number(query.days);
+        if (!Number.isFinite(days) || days <= 0 || days > MAX_RANGE_DAYS) {
+            return { error: `days must be between 1 and ${MAX_RANGE_DAYS}` };
+        }
+        from = new Date(to.getTime() - days * INTERVAL_MS.day);
+    }
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+    
+    if (to - from > MAX_RANGE_DAYS * INTERVAL_MS.day) {
+        return { error: `The range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+    
+    return { from, to };
+}
+
+/**
+ * Read and check interval and timezone for bucketed queries
+ * Returns { interval, timezone } or { error } with a response body.
+ */
+function parseBucketing(query, range) {
+    const interval = query.interval || defaultInterval(range);
+    if (!DataPoint.INTERVALS.includes(interval)) {
+        return {
+            error: {
+                error: 'Invalid interval',
+                message: `Interval must be one of: ${DataPoint.INTERVALS.join(', ')}`
+            }
+        };
+    }
+    
+    if ((range.to - range.from) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+        return {
+            error: {
+                error: 'Too many buckets',
+                message: `This range has more than ${MAX_BUCKETS} ${interval} buckets. Choose a longer interval.`
+            }
+        };
+    }
+    
+    const timezone = query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+        return {
+            error: {
+                error: 'Invalid timezone',
+                message: 'Timezone must be an IANA name such as Africa/Nairobi'
+            }
+        };
+    }
+    
+    return { interval, timezone };
+}
+
+/**
+ * Pick a bucket size that gives a readable number of points for the range
+ */
+function defaultInterval({ from, to }) {
+    const days = (to - from) / INTERVAL_MS.day;
+    
+    if (days <= 2) return 'hour';
+    if (days <= 92) return 'day';
+    if (days <= 730) return 'week';
+    return 'month';
+}
+
+/**
+ * Format a duration in hours for display ("45m", "18h", "3d")
+ */
+function formatDuration(hours) {
+    if (hours === null || hours === undefined) return 'N/A';
+    if (hours < 1) return `${Math.round(hours * 60)}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse an optional JSON object sent as a multipart text field
+ */
+function parseJsonField(value, name) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${name} must be a JSON object`);
+        }
+    }
+    
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${name} must be a JSON object`);
+    }
+    
+    return parsed;
+}
+
 module.exports = router;
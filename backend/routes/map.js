@@ -1,9 +1,1030 @@
+/**
+ * Map Routes for Salyte Beacon
+ * Serves water points and reports for the interactive map as GeoJSON, manages map layers and
+ * moderates water points submitted from the map
+ */
+
 const express = require('express');
 const router = express.Router();
 
+// Import models
+const MapLayer = require('../models/MapLayer');
+const WaterPointSubmission = require('../models/WaterPointSubmission');
+const Station = require('../models/Station');
+const User = require('../models/user');
+
+// Import middleware
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
+const ratelimiter = require('../middleware/ratelimiter');
+
+// Import services
+const {
+    parseMapQuery,
+    buildMapFeatures,
+    buildMapClusters,
+    CLUSTER_MAX_ZOOM,
+    CLUSTER_CELL_PIXELS,
+    QUALITY_ALIASES,
+    SOURCE_TYPE_ALIASES
+} = require('../services/mapData');
+const { getLayersFor, serializeLayer } = require('../services/mapLayers');
+const { parseNearestQuery, findNearestSafeSources } = require('../services/safeSources');
+const { parseHeatmapQuery, buildHeatmap, HEATMAP_METRICS } = require('../services/heatmap');
+const { exportLimitFor, scanExportFeatures, createExportWriter, exportHeaders, describeFilters } = require('../services/mapExport');
+const {
+    findNearbyStations,
+    approveSubmission,
+    mergeSubmission,
+    rejectSubmission,
+    DUPLICATE_DISTANCE_METERS
+} = require('../services/waterPoints');
+const { LAYER_SOURCES, QUERY_FIELDS, DEFAULT_LAYERS } = require('../config/mapLayers');
+const { EXPORT_FORMATS, EXPORT_FORMAT_KEYS, MAP_DATA_LICENSE } = require('../config/mapExport');
+const { validateParameterValue } = require('../config/parameters');
+
+// Fields an admin can set on a layer
+const LAYER_FIELDS = ['name', 'description', 'color', 'icon', 'source', 'query', 'defaultVisible', 'roles', 'order', 'enabled'];
+
+// Roles that review water points submitted from the map
+const REVIEWER_ROLES = ['researcher', 'ngo', 'government', 'admin'];
+
 // Example endpoint
 router.get('/', (req, res) => {
-  res.send('Map route is working!');
+    res.send('Map route is working!');
+});
+
+/**
+ * @route   GET /api/map/data
+ * @desc    Get water points and reports as a GeoJSON FeatureCollection, each feature tagged with
+ *          its map layer. Query: layers (comma-separated keys; default all you can see),
+ *          bbox (west,south,east,north), zoom, quality, sourceType,
+ *          range (week, month, quarter, year, all) or days or from/to, county
+ * @access  Public (layers limited to some roles need sign-in)
+ */
+router.get('/data', optionalAuth, async (req, res) => {
+    try {
+        const mapQuery = parseMapQuery(req.query);
+        if (mapQuery.error) {
+            return res.status(400).json({
+                error: 'Invalid map query',
+                message: mapQuery.error
+            });
+        }
+        
+        const layers = await getLayersFor(req.user);
+        const { requested, unknown } = parseRequestedLayers(req.query.layers, layers);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown layer',
+                message: `No map layer available for: ${unknown.join(', ')}`
+            });
+        }
+        
+        const { features, truncated } = await buildMapFeatures(mapQuery, layers, requested);
+        
+        res.type('application/geo+json').json({
+            type: 'FeatureCollection',
+            ...(mapQuery.bbox && { bbox: mapQuery.bbox }),
+            features: features,
+            metadata: {
+                count: features.length,
+                limit: mapQuery.limit,
+                truncated: truncated,
+                zoom: mapQuery.zoom,
+                generatedAt: new Date()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Map data error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch map data',
+            message: 'Unable to retrieve map data'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/clusters
+ * @desc    Get water points and reports for a zoomed-out view grouped into clusters, each with
+ *          its count, dominant quality, count per quality and layer, and bounds; single points
+ *          and every point from zoom 15 on are sent as features. Query: as for /data
+ * @access  Public (layers limited to some roles need sign-in)
+ */
+router.get('/clusters', ratelimiter(300, 15), optionalAuth, async (req, res) => {
+    try {
+        const mapQuery = parseMapQuery(req.query);
+        if (mapQuery.error) {
+            return res.status(400).json({
+                error: 'Invalid map query',
+                message: mapQuery.error
+            });
+        }
+        
+        const layers = await getLayersFor(req.user);
+        const { requested, unknown } = parseRequestedLayers(req.query.layers, layers);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown layer',
+                message: `No map layer available for: ${unknown.join(', ')}`
+            });
+        }
+        
+        const { features, truncated, clustered, points } = await buildMapClusters(mapQuery, layers, requested);
+        
+        res.type('application/geo+json').json({
+            type: 'FeatureCollection',
+            ...(mapQuery.bbox && { bbox: mapQuery.bbox }),
+            features: features,
+            metadata: {
+                count: features.length,
+                points: points,
+                clustered: clustered,
+                cellSize: clustered ? CLUSTER_CELL_PIXELS : null,
+                maxClusterZoom: CLUSTER_MAX_ZOOM,
+                truncated: truncated,
+                zoom: mapQuery.zoom,
+                generatedAt: new Date()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Map cluster error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch map clusters',
+            message: 'Unable to retrieve map data'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/export
+ * @desc    Download the water points and reports matching the map's filters as GeoJSON, KML,
+ *          CSV (latitude and longitude columns) or a zipped Shapefile, with the filters used and
+ *          the data license. Exports stop at the feature limit of your subscription plan.
+ *          Query: format (geojson, kml, csv, shapefile), and the /data filters except zoom
+ * @access  Public (larger exports with a subscription)
+ */
+router.get('/export', ratelimiter(30, 60), optionalAuth, async (req, res) => {
+    try {
+        const format = req.query.format || 'geojson';
+        if (!EXPORT_FORMAT_KEYS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `format must be one of: ${EXPORT_FORMAT_KEYS.join(', ')}`
+            });
+        }
+        
+        // Exports are full resolution whatever the zoom of the view they were taken from
+        const mapQuery = parseMapQuery({ ...req.query, zoom: undefined });
+        if (mapQuery.error) {
+            return res.status(400).json({
+                error: 'Invalid map query',
+                message: mapQuery.error
+            });
+        }
+        
+        const layers = await getLayersFor(req.user);
+        const { requested, unknown } = parseRequestedLayers(req.query.layers, layers);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown layer',
+                message: `No map layer available for: ${unknown.join(', ')}`
+            });
+        }
+        
+        const { plan, limit } = exportLimitFor(req.userDoc);
+        const generatedAt = new Date();
+        const info = {
+            title: 'Salyte Beacon map data',
+            filters: describeFilters(mapQuery, requested),
+            license: MAP_DATA_LICENSE,
+            plan,
+            limit,
+            generatedAt
+        };
+        const writer = createExportWriter(format, info);
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="salyte-map-data-${generatedAt.toISOString().split('T')[0]}.${extension}"`,
+            ...exportHeaders(info),
+            // Whether the limit cut the export short is only known at the end
+            'Trailer': 'X-Export-Truncated'
+        });
+        
+        // The response closes early when the client goes away; the request's own 'close'
+        // fires as soon as its body is read, so it can't tell
+        let closed = false;
+        res.on('close', () => {
+            if (!res.writableFinished) closed = true;
+        });
+        
+        // Write a chunk, waiting for the client to catch up when its buffer is full
+        const send = text => {
+            if (!text || closed || res.write(text)) return Promise.resolve();
+            return new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        };
+        
+        // Text formats are sent as the features are read; the scan stops if the client leaves
+        await send(writer.start());
+        const summary = await scanExportFeatures(mapQuery, layers, requested, limit, async feature => {
+            await send(writer.feature(feature));
+            return !closed;
+        });
+        
+        if (closed) return;
+        
+        await send(writer.end(summary));
+        res.addTrailers({ 'X-Export-Truncated': String(summary.truncated) });
+        res.end();
+        
+    } catch (error) {
+        console.error('Map export error:', error);
+        
+        // Part of the file may already have been sent
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        
+        res.status(500).json({
+            error: 'Failed to export map data',
+            message: 'Unable to retrieve map data'
+        });
+    }
 });
 
+/**
+ * @route   GET /api/map/heatmap
+ * @desc    Get weighted hexagon bins for a map view: report density (metric=reports), reports
+ *          weighted by severity (severity), people affected (affected), or contamination reports
+ *          and contaminated stations weighted by severity (contamination). Each bin has its count,
+ *          weight and intensity (0-1). Query: zoom (required), bbox, range or days or from/to
+ *          (default last 30 days), county, category (report types), radius (hexagon radius in
+ *          pixels, default 20)
+ * @access  Public
+ */
+router.get('/heatmap', ratelimiter(300, 15), async (req, res) => {
+    try {
+        const heatmapQuery = parseHeatmapQuery(req.query);
+        if (heatmapQuery.error) {
+            return res.status(400).json({
+                error: 'Invalid heatmap query',
+                message: heatmapQuery.error
+            });
+        }
+        
+        const { mapQuery, metric, categories, radius } = heatmapQuery;
+        const { features, points, maxWeight, totalWeight, truncated } = await buildHeatmap(heatmapQuery);
+        
+        res.type('application/geo+json').json({
+            type: 'FeatureCollection',
+            ...(mapQuery.bbox && { bbox: mapQuery.bbox }),
+            features: features,
+            metadata: {
+                metric: metric,
+                description: HEATMAP_METRICS[metric],
+                categories: categories,
+                from: mapQuery.since.from || null,
+                to: mapQuery.since.to || null,
+                zoom: mapQuery.zoom,
+                radius: radius,
+                bins: features.length,
+                points: points,
+                maxWeight: maxWeight,
+                totalWeight: totalWeight,
+                truncated: truncated,
+                generatedAt: new Date()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Map heatmap error:', error);
+        res.status(500).json({
+            error: 'Failed to build heatmap',
+            message: 'Unable to retrieve map data'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/nearest-safe
+ * @desc    Get the water sources nearest to a location whose current quality is safe, from a
+ *          recent test, nearest first with their distance (m), last test date and status.
+ *          Query: lat, lng, limit (default 5, max 20), maxDistance (km, default 25, max 200),
+ *          days (test age, default and max 30)
+ * @access  Public
+ */
+router.get('/nearest-safe', async (req, res) => {
+    try {
+        const nearestQuery = parseNearestQuery(req.query);
+        if (nearestQuery.error) {
+            return res.status(400).json({
+                error: 'Invalid search',
+                message: nearestQuery.error
+            });
+        }
+        
+        const sources = await findNearestSafeSources(nearestQuery);
+        
+        res.json({
+            success: true,
+            sources: sources,
+            count: sources.length,
+            search: {
+                latitude: nearestQuery.point.coordinates[1],
+                longitude: nearestQuery.point.coordinates[0],
+                maxDistance: nearestQuery.maxDistanceKm,
+                days: nearestQuery.days
+            }
+        });
+        
+    } catch (error) {
+        console.error('Nearest safe source error:', error);
+        res.status(500).json({
+            error: 'Failed to find safe water',
+            message: 'Unable to search for safe water sources'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/layers
+ * @desc    Get the map layers you can see, in drawing order. Admins also get each layer's
+ *          query, roles and state, and with all=true the disabled layers too
+ * @access  Public (layers limited to some roles need sign-in)
+ */
+router.get('/layers', optionalAuth, async (req, res) => {
+    try {
+        const isAdmin = req.user?.role === 'admin';
+        const layers = isAdmin && req.query.all === 'true'
+            ? await MapLayer.loadAll()
+            : await getLayersFor(req.user);
+        
+        res.json({
+            success: true,
+            layers: layers.map(layer => serializeLayer(layer, { full: isAdmin })),
+            ...(isAdmin && {
+                sources: LAYER_SOURCES,
+                queryFields: QUERY_FIELDS,
+                roles: MapLayer.ROLES
+            })
+        });
+        
+    } catch (error) {
+        console.error('Map layer list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch map layers',
+            message: 'Unable to retrieve map layers'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/map/layers
+ * @desc    Add a map layer. Body: key, name, description, color, icon, source (stations or
+ *          reports), query, defaultVisible, roles, order, enabled
+ * @access  Private (admin only)
+ */
+router.post('/layers', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { key } = req.body;
+        
+        if (DEFAULT_LAYERS.some(layer => layer.key === key) || (key && await MapLayer.exists({ key }))) {
+            return res.status(409).json({
+                error: 'Layer exists',
+                message: `A layer with key ${key} already exists; use PUT /api/map/layers/${key} to change it`
+            });
+        }
+        
+        const layer = new MapLayer({ key, updatedBy: req.user.userId });
+        setLayerFields(layer, req.body);
+        await layer.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Map layer created successfully',
+            layer: layer
+        });
+        
+        console.log(`🗺️ Map layer ${layer.key} created by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Map layer creation error:', error);
+        res.status(500).json({
+            error: 'Failed to create map layer',
+            message: 'Unable to create map layer. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/map/layers/:key
+ * @desc    Change a map layer; changing a built-in layer stores a copy that replaces it
+ * @access  Private (admin only)
+ */
+router.put('/layers/:key', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { key } = req.params;
+        const builtIn = DEFAULT_LAYERS.find(layer => layer.key === key);
+        
+        let layer = await MapLayer.findOne({ key });
+        if (!layer && builtIn) {
+            layer = new MapLayer(builtIn);
+        }
+        
+        if (!layer) {
+            return res.status(404).json({
+                error: 'Layer not found',
+                message: 'No map layer exists with this key'
+            });
+        }
+        
+        setLayerFields(layer, req.body);
+        layer.updatedBy = req.user.userId;
+        await layer.save();
+        
+        res.json({
+            success: true,
+            message: 'Map layer updated successfully',
+            layer: layer
+        });
+        
+        console.log(`🗺️ Map layer ${layer.key} updated by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Map layer update error:', error);
+        res.status(500).json({
+            error: 'Failed to update map layer',
+            message: 'Unable to update map layer. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/map/layers/:key
+ * @desc    Delete a map layer; for a changed built-in layer this restores its defaults
+ * @access  Private (admin only)
+ */
+router.delete('/layers/:key', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { key } = req.params;
+        const isBuiltIn = DEFAULT_LAYERS.some(layer => layer.key === key);
+        const layer = await MapLayer.findOne({ key });
+        
+        if (!layer && isBuiltIn) {
+            return res.status(400).json({
+                error: 'Built-in layer',
+                message: 'Built-in layers cannot be deleted; set enabled to false to hide one'
+            });
+        }
+        
+        if (!layer) {
+            return res.status(404).json({
+                error: 'Layer not found',
+                message: 'No map layer exists with this key'
+            });
+        }
+        
+        await layer.deleteOne();
+        
+        res.json({
+            success: true,
+            message: isBuiltIn ? 'Map layer restored to its defaults' : 'Map layer deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Map layer deletion error:', error);
+        res.status(500).json({
+            error: 'Failed to delete map layer',
+            message: 'Unable to delete map layer. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/map/report
+ * @desc    Submit a water point from the map. It is held for review and shown on the map once
+ *          approved. Body: name, type (source type), quality, latitude, longitude, description,
+ *          locationName, county, testResults ({ ph, tds, turbidity })
+ * @access  Private
+ */
+router.post('/report', ratelimiter(20, 60), auth, async (req, res) => {
+    try {
+        const { name, type, sourceType, quality, latitude, longitude, description, locationName, county } = req.body;
+        
+        const point = parseLocation(latitude, longitude);
+        if (!point) {
+            return res.status(400).json({
+                error: 'Invalid location',
+                message: 'A valid latitude and longitude are required'
+            });
+        }
+        
+        const { testResults, error: testError } = parseTestResults(req.body.testResults);
+        if (testError) {
+            return res.status(400).json({
+                error: 'Invalid test results',
+                message: testError
+            });
+        }
+        
+        const submittedType = sourceType || type;
+        
+        const submission = new WaterPointSubmission({
+            name,
+            sourceType: SOURCE_TYPE_ALIASES[submittedType] || submittedType,
+            reportedQuality: quality ? QUALITY_ALIASES[quality] || quality : undefined,
+            description,
+            locationName,
+            county,
+            location: point,
+            testResults,
+            submittedBy: req.user.userId
+        });
+        await submission.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Water point submitted for review. It will appear on the map once approved.',
+            submission: submission
+        });
+        
+        console.log(`📍 Water point submitted for review: ${submission.name} by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Water point submission error:', error);
+        res.status(500).json({
+            error: 'Failed to submit water point',
+            message: 'Unable to submit water point. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/submissions/mine
+ * @desc    Get your submitted water points with their review status, newest first
+ * @access  Private
+ */
+router.get('/submissions/mine', auth, async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        
+        if (status !== undefined && !WaterPointSubmission.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: `status must be one of: ${WaterPointSubmission.STATUSES.join(', ')}`
+            });
+        }
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        
+        const query = { submittedBy: req.user.userId };
+        if (status) query.status = status;
+        
+        const [submissions, total, user] = await Promise.all([
+            WaterPointSubmission.find(query)
+                .populate('station', 'code name')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            WaterPointSubmission.countDocuments(query),
+            User.findById(req.user.userId).select('activity.dataPointsContributed')
+        ]);
+        
+        res.json({
+            success: true,
+            submissions: submissions.map(submission => serializeSubmission(submission)),
+            dataPointsContributed: user?.activity?.dataPointsContributed || 0,
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+        
+    } catch (error) {
+        console.error('Own water point list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch submissions',
+            message: 'Unable to retrieve your submitted water points'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/submissions
+ * @desc    Get the moderation queue, oldest first. Query: status (default pending), county, page, limit
+ * @access  Private (researcher, ngo, government, admin)
+ */
+router.get('/submissions', auth, authorize(...REVIEWER_ROLES), async (req, res) => {
+    try {
+        const { status = 'pending', county, page = 1, limit = 20 } = req.query;
+        
+        if (status !== 'all' && !WaterPointSubmission.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: `status must be one of: all, ${WaterPointSubmission.STATUSES.join(', ')}`
+            });
+        }
+        
+        if (county !== undefined && typeof county !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: 'county must be a single value'
+            });
+        }
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (county) query.county = county.toLowerCase();
+        
+        const [submissions, total] = await Promise.all([
+            WaterPointSubmission.find(query)
+                .populate('submittedBy', 'firstName lastName activity.dataPointsContributed')
+                .populate('station', 'code name')
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            WaterPointSubmission.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            submissions: submissions.map(submission => serializeSubmission(submission, { reviewer: true })),
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+        
+    } catch (error) {
+        console.error('Water point queue error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch moderation queue',
+            message: 'Unable to retrieve submitted water points'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/map/submissions/:id
+ * @desc    Get a submitted water point with the stations near it, as merge candidates
+ * @access  Private (researcher, ngo, government, admin)
+ */
+router.get('/submissions/:id', auth, authorize(...REVIEWER_ROLES), async (req, res) => {
+    try {
+        const submission = await findSubmission(req.params.id);
+        
+        if (!submission) {
+            return res.status(404).json({
+                error: 'Submission not found',
+                message: 'No submitted water point exists with this ID'
+            });
+        }
+        
+        const nearbyStations = await findNearbyStations(submission.location);
+        
+        res.json({
+            success: true,
+            submission: serializeSubmission(submission, { reviewer: true }),
+            nearbyStations: nearbyStations,
+            duplicateDistance: DUPLICATE_DISTANCE_METERS
+        });
+        
+    } catch (error) {
+        console.error('Water point fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch submission',
+            message: 'Unable to retrieve submitted water point'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/map/submissions/:id/approve
+ * @desc    Approve a submitted water point as a new station. Body: reason, and corrections to
+ *          name, sourceType, locationName or county (required if the submitter gave none)
+ * @access  Private (researcher, ngo, government, admin)
+ */
+router.post('/submissions/:id/approve', auth, authorize(...REVIEWER_ROLES), async (req, res) => {
+    try {
+        const submission = await findPendingSubmission(req, res);
+        if (!submission) return;
+        
+        const { sourceType } = req.body;
+        const changes = {
+            name: req.body.name,
+            sourceType: SOURCE_TYPE_ALIASES[sourceType] || sourceType,
+            locationName: req.body.locationName,
+            county: req.body.county
+        };
+        
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        const station = await approveSubmission(submission, req.user, changes, reason || undefined);
+        
+        res.json({
+            success: true,
+            message: 'Water point approved and added to the map',
+            submission: serializeSubmission(submission, { reviewer: true }),
+            station: station
+        });
+        
+        console.log(`✅ Water point ${submission._id} approved as ${station.code} by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.status === 400) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        if (error.status === 409) {
+            return res.status(409).json({
+                error: 'Already reviewed',
+                message: error.message
+            });
+        }
+        
+        console.error('Water point approval error:', error);
+        res.status(500).json({
+            error: 'Failed to approve water point',
+            message: 'Unable to approve water point. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/map/submissions/:id/merge
+ * @desc    Merge a submitted water point into the existing station it duplicates; its test
+ *          results are added to that station. Body: stationId (ID or code), reason
+ * @access  Private (researcher, ngo, government, admin)
+ */
+router.post('/submissions/:id/merge', auth, authorize(...REVIEWER_ROLES), async (req, res) => {
+    try {
+        const { stationId } = req.body;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        
+        if (!stationId) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'The station to merge into is required'
+            });
+        }
+        
+        const submission = await findPendingSubmission(req, res);
+        if (!submission) return;
+        
+        const station = await Station.findByIdOrCode(String(stationId));
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        await mergeSubmission(submission, station, req.user, reason || undefined);
+        
+        res.json({
+            success: true,
+            message: `Water point merged into ${station.code}`,
+            submission: serializeSubmission(submission, { reviewer: true })
+        });
+        
+        console.log(`🔗 Water point ${submission._id} merged into ${station.code} by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        if (error.status === 409) {
+            return res.status(409).json({
+                error: 'Already reviewed',
+                message: error.message
+            });
+        }
+        
+        console.error('Water point merge error:', error);
+        res.status(500).json({
+            error: 'Failed to merge water point',
+            message: 'Unable to merge water point. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/map/submissions/:id/reject
+ * @desc    Reject a submitted water point. Body: reason (required, shown to the submitter)
+ * @access  Private (researcher, ngo, government, admin)
+ */
+router.post('/submissions/:id/reject', auth, authorize(...REVIEWER_ROLES), async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        
+        if (!reason) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'A reason is required to reject a water point'
+            });
+        }
+        
+        const submission = await findPendingSubmission(req, res);
+        if (!submission) return;
+        
+        await rejectSubmission(submission, req.user, reason);
+        
+        res.json({
+            success: true,
+            message: 'Water point rejected',
+            submission: serializeSubmission(submission, { reviewer: true })
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        if (error.status === 409) {
+            return res.status(409).json({
+                error: 'Already reviewed',
+                message: error.message
+            });
+        }
+        
+        console.error('Water point rejection error:', error);
+        res.status(500).json({
+            error: 'Failed to reject water point',
+            message: 'Unable to reject water point. Please try again.'
+        });
+    }
+});
+
+/**
+ * Copy the admin-settable fields from a request body onto a layer
+ * A new query replaces the old one, so fields left out stop filtering.
+ */
+function setLayerFields(layer, body) {
+    LAYER_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            layer[field] = body[field];
+        }
+    });
+}
+
+/**
+ * Read the comma-separated `layers` query parameter against the layers the user can see
+ * Returns { requested, unknown }; no layers requested means all of them.
+ */
+function parseRequestedLayers(value, layers) {
+    const requested = value
+        ? String(value).split(',').map(key => key.trim()).filter(Boolean)
+        : [];
+    
+    return {
+        requested,
+        unknown: requested.filter(key => !layers.some(layer => layer.key === key))
+    };
+}
+
+/**
+ * Parse latitude and longitude into a GeoJSON point
+ */
+function parseLocation(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    
+    return {
+        type: 'Point',
+        coordinates: [lng, lat]
+    };
+}
+
+/**
+ * Check a submission's optional test results against each parameter's plausible range
+ * Returns { testResults } or { error }.
+ */
+function parseTestResults(raw) {
+    const testResults = {};
+    
+    for (const parameter of WaterPointSubmission.TEST_PARAMETERS) {
+        // The map form used to send pH
+        const value = raw?.[parameter] ?? (parameter === 'ph' ? raw?.pH : undefined);
+        if (value === undefined || value === null || value === '') continue;
+        
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        const error = validateParameterValue(parameter, number);
+        if (error) {
+            return { error };
+        }
+        
+        testResults[parameter] = number;
+    }
+    
+    return { testResults };
+}
+
+function findSubmission(id) {
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) return null;
+    
+    return WaterPointSubmission.findById(id)
+        .populate('submittedBy', 'firstName lastName activity.dataPointsContributed');
+}
+
+/**
+ * Load a submission awaiting review, answering 404 or 409 if there is none
+ */
+async function findPendingSubmission(req, res) {
+    const submission = await findSubmission(req.params.id);
+    
+    if (!submission) {
+        res.status(404).json({
+            error: 'Submission not found',
+            message: 'No submitted water point exists with this ID'
+        });
+        return null;
+    }
+    
+    if (submission.status !== 'pending') {
+        res.status(409).json({
+            error: 'Already reviewed',
+            message: `This water point was already ${submission.status}`
+        });
+        return null;
+    }
+    
+    // Review keeps the submitter as an ID
+    submission.depopulate('submittedBy');
+    
+    return submission;
+}
+
+/**
+ * Submission as shown to its submitter; reviewers also see who submitted it
+ */
+function serializeSubmission(submission, { reviewer = false } = {}) {
+    const { submittedBy, review, ...rest } = submission.toJSON();
+    
+    return {
+        ...rest,
+        latitude: submission.location.coordinates[1],
+        longitude: submission.location.coordinates[0],
+        review: review?.reviewedAt ? { reviewedAt: review.reviewedAt, reason: review.reason } : null,
+        ...(reviewer && {
+            submittedBy: submittedBy,
+            reviewedBy: review?.reviewedBy
+        })
+    };
+}
+
 module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Notification Routes for Salyte Beacon
+ * In-app notifications for the signed-in user
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+// Import models
+const Notification = require('../models/Notification');
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get your notifications, newest first, with the unread count. Query: unread (true)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const { unread, page = 1, limit = 20 } = req.query;
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        
+        const query = { user: req.user.userId };
+        if (unread === 'true') query.readAt = { $exists: false };
+        
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ user: req.user.userId, readAt: { $exists: false } })
+        ]);
+        
+        res.json({
+            success: true,
+            notifications: notifications,
+            unreadCount: unreadCount,
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+        
+    } catch (error) {
+        console.error('Notification list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch notifications',
+            message: 'Unable to retrieve notifications'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all your notifications as read
+ * @access  Private
+ */
+router.post('/read-all', auth, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user.userId, readAt: { $exists: false } },
+            { $set: { readAt: new Date() } }
+        );
+        
+        res.json({
+            success: true,
+            updated: result.modifiedCount
+        });
+        
+    } catch (error) {
+        console.error('Notification read-all error:', error);
+        res.status(500).json({
+            error: 'Failed to update notifications',
+            message: 'Unable to mark notifications as read'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark one of your notifications as read
+ * @access  Private
+ */
+router.post('/:id/read', auth, async (req, res) => {
+    try {
+        const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Notification.findOne({ _id: req.params.id, user: req.user.userId })
+            : null;
+        
+        if (!notification) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                message: 'No notification exists with this ID'
+            });
+        }
+        
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        
+        res.json({
+            success: true,
+            notification: notification
+        });
+        
+    } catch (error) {
+        console.error('Notification read error:', error);
+        res.status(500).json({
+            error: 'Failed to update notification',
+            message: 'Unable to mark notification as read'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,24 +1,1126 @@
+/**
+ * Report Routes for Salyte Beacon
+ * Handles community water report submission, listing, retrieval and updates
+ */
+
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 
-// Example: GET /api/report
-router.get('/', (req, res) => {
-  res.json({ message: 'Report API is working!' });
+// Import models
+const Report = require('../models/Report');
+const Attachment = require('../models/Attachment');
+const User = require('../models/user');
+const ReportSubscription = require('../models/ReportSubscription');
+
+// Import middleware
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
+const ratelimiter = require('../middleware/ratelimiter');
+
+// Import services
+const { notifyReportFollowers, sendSubscriptionConfirmations } = require('../services/reportNotifications');
+const { normalizePhone } = require('../services/sms');
+const { getStorage } = require('../services/storage');
+const { APP_URL, MAIL_LANGUAGES } = require('../config/mail');
+
+// Roles allowed to see reporter contact details, edit any report and change its status
+const STAFF_ROLES = ['government', 'ngo', 'admin'];
+
+// Fields a reporter (or staff member) may change after submission
+const UPDATABLE_FIELDS = [
+    'title', 'description', 'severity', 'affectedPeople', 'incidentDate',
+    'additionalInfo', 'reportedElsewhere', 'locationName', 'county',
+    'reporterName', 'reporterPhone', 'reporterEmail', 'allowFollowUp'
+];
+
+/**
+ * @route   GET /api/report
+ * @desc    Get community reports with optional filters
+ * @access  Public
+ */
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        
+        // Query values can arrive as arrays or objects (?status[$ne]=...), so read them as text
+        const [type, status, severity, county, search] = ['type', 'status', 'severity', 'county', 'search']
+            .map(field => req.query[field] === undefined ? '' : String(req.query[field]).trim());
+        
+        const invalid = [
+            ['type', type, Report.TYPES],
+            ['status', status, Report.STATUSES],
+            ['severity', severity, Report.SEVERITIES]
+        ].find(([, value, allowed]) => value && !allowed.includes(value));
+        
+        if (invalid) {
+            const [field, , allowed] = invalid;
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: `${field} must be one of: ${allowed.join(', ')}`
+            });
+        }
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        
+        // Build query from filters
+        const query = {};
+        if (type) query.type = type;
+        if (status) query.status = status;
+        if (severity) query.severity = severity;
+        if (county) query.county = county.toLowerCase();
+        if (search) query.$text = { $search: search };
+        
+        const [reports, total] = await Promise.all([
+            Report.find(query)
+                .sort({ submittedAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Report.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            reports: reports.map(report => serializeReport(report, req.user)),
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+    
+    } catch (error) {
+        console.error('Report list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch reports',
+            message: 'Unable to retrieve community reports'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/report/track/:trackingId
+ * @desc    Track report progress by tracking ID (redacted, no reporter details)
+ * @access  Public
+ */
+router.get('/track/:trackingId', ratelimiter(30, 15), async (req, res) => {
+    try {
+        const report = await Report.findByTrackingId(req.params.trackingId);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this tracking ID'
+            });
+        }
+        
+        res.json({
+            success: true,
+            report: report.toTrackingJSON()
+        });
+        
+    } catch (error) {
+        console.error('Report tracking error:', error);
+        res.status(500).json({
+            error: 'Tracking failed',
+            message: 'Unable to retrieve report status'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/report/track/:trackingId/follow-up
+ * @desc    Add follow-up information to a report using its follow-up token
+ * @access  Public (requires the token issued at submission)
+ */
+router.post('/track/:trackingId/follow-up', ratelimiter(10, 15), async (req, res) => {
+    try {
+        const { token, message } = req.body;
+        
+        if (typeof token !== 'string' || typeof message !== 'string' || !token || !message.trim()) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'Follow-up token and message are required'
+            });
+        }
+        
+        const report = await Report.findByTrackingId(req.params.trackingId).select('+followUpTokenHash');
+        
+        // Same response for unknown reports and bad tokens to prevent enumeration
+        if (!report || !report.verifyFollowUpToken(token)) {
+            return res.status(401).json({
+                error: 'Invalid token',
+                message: 'Tracking ID or follow-up token is incorrect'
+            });
+        }
+        
+        report.notes.push({
+            text: message.trim(),
+            isPublic: false,
+            source: 'reporter',
+            authorName: report.isAnonymous ? 'Anonymous reporter' : report.reporterName
+        });
+        await report.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Follow-up added to report',
+            report: report.toTrackingJSON()
+        });
+        
+    } catch (error) {
+        console.error('Report follow-up error:', error);
+        res.status(500).json({
+            error: 'Follow-up failed',
+            message: 'Unable to add follow-up. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/report/:id/subscribe
+ * @desc    Follow a report by email, SMS and/or in-app notification. Body: channels, email, phone, language.
+ *          Email addresses and phones are confirmed (link or SMS code) before anything is sent to them.
+ * @access  Public (in-app notifications require sign-in)
+ */
+router.post('/:id/subscribe', ratelimiter(10, 15), optionalAuth, async (req, res) => {
+    try {
+        const { email, phone, language } = req.body;
+        const user = req.userDoc;
+        const channels = parseChannels(req.body.channels);
+        
+        if (!channels) {
+            return res.status(400).json({
+                error: 'No channels chosen',
+                message: `Choose at least one of: ${ReportSubscription.CHANNELS.join(', ')}`
+            });
+        }
+        
+        if (channels.inApp && !user) {
+            return res.status(401).json({
+                error: 'Sign-in required',
+                message: 'Sign in to receive in-app notifications'
+            });
+        }
+        
+        if ((email != null && typeof email !== 'string') || (phone != null && typeof phone !== 'string')) {
+            return res.status(400).json({
+                error: 'Invalid contact',
+                message: 'Email and phone must be text'
+            });
+        }
+        
+        const contactEmail = channels.email ? (email || user?.email || '').toLowerCase().trim() : '';
+        if (channels.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+            return res.status(400).json({
+                error: 'Invalid email',
+                message: 'A valid email address is required for email updates'
+            });
+        }
+        
+        const contactPhone = channels.sms ? normalizePhone(phone || user?.phone) : null;
+        if (channels.sms && !contactPhone) {
+            return res.status(400).json({
+                error: 'Invalid phone number',
+                message: 'A valid phone number is required for SMS updates'
+            });
+        }
+        
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        let subscription = await ReportSubscription.findExisting(report._id, {
+            user: user?._id,
+            email: contactEmail,
+            phone: contactPhone
+        });
+        
+        // A guest subscription becomes a user's only when all its contacts are confirmed as theirs
+        if (subscription && user && !subscription.user) {
+            if (user.isVerified && subscription.email === user.email && !subscription.phone) {
+                subscription.user = user._id;
+            } else {
+                subscription = null;
+            }
+        }
+        
+        const isOwner = !!(subscription && user && subscription.user?.equals(user._id));
+        
+        if (!subscription) {
+            subscription = new ReportSubscription({ report: report._id, user: user?._id });
+        } else if (subscription.status === 'unsubscribed') {
+            // Coming back after unsubscribing needs the contacts confirmed again
+            subscription.status = 'pending';
+            subscription.unsubscribedAt = undefined;
+            subscription.emailConfirmed = false;
+            subscription.phoneConfirmed = false;
+            subscription.channels = {};
+        }
+        
+        // The owner sets their channels; a guest whose contacts all match can only add to them
+        ReportSubscription.CHANNELS.forEach(channel => {
+            subscription.channels[channel] = isOwner
+                ? channels[channel]
+                : subscription.channels[channel] || channels[channel];
+        });
+        
+        // Contacts only change on the owner's or a new subscription; anyone else's already match
+        if (contactEmail && contactEmail !== subscription.email) {
+            subscription.email = contactEmail;
+            subscription.emailConfirmed = false;
+        }
+        
+        if (contactPhone && contactPhone !== subscription.phone) {
+            subscription.phone = contactPhone;
+            subscription.phoneConfirmed = false;
+        }
+        
+        // A verified account's own email address needs no further confirmation
+        if (user?.isVerified && subscription.email === user.email) {
+            subscription.emailConfirmed = true;
+        }
+        
+        if (MAIL_LANGUAGES.includes(language)) {
+            subscription.language = language;
+        } else if (subscription.isNew && user?.preferences?.language) {
+            subscription.language = user.preferences.language;
+        }
+        
+        const emailToken = channels.email && !subscription.emailConfirmed ? subscription.createEmailToken() : null;
+        const phoneCode = channels.sms && !subscription.phoneConfirmed ? subscription.createPhoneCode() : null;
+        
+        subscription.refreshStatus();
+        await subscription.save();
+        
+        const sent = await sendSubscriptionConfirmations(subscription, report, { emailToken, phoneCode });
+        const pendingConfirmation = [];
+        if (emailToken) pendingConfirmation.push('email');
+        if (phoneCode) pendingConfirmation.push('sms');
+        
+        let message = `You are following report ${report.trackingId}`;
+        if (emailToken) message += '. Check your email to confirm your address';
+        if (phoneCode && sent.sms) message += '. Enter the code we texted you to confirm your phone';
+        if (phoneCode && !sent.sms) message += '. Text messages to this number are blocked; reply START to our number to allow them';
+        
+        res.status(201).json({
+            success: true,
+            message: message,
+            subscription: serializeSubscription(subscription),
+            pendingConfirmation: pendingConfirmation
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Report subscribe error:', error);
+        res.status(500).json({
+            error: 'Subscription failed',
+            message: 'Unable to follow report. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/report/subscriptions
+ * @desc    Get the reports you follow
+ * @access  Private
+ */
+router.get('/subscriptions', auth, async (req, res) => {
+    try {
+        const subscriptions = await ReportSubscription.find({
+            user: req.user.userId,
+            status: { $ne: 'unsubscribed' }
+        })
+            .populate('report', 'trackingId title status county')
+            .sort({ createdAt: -1 });
+        
+        res.json({
+            success: true,
+            subscriptions: subscriptions.map(subscription => ({
+                ...serializeSubscription(subscription),
+                email: subscription.email,
+                phone: subscription.phone,
+                language: subscription.language
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Subscription list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch subscriptions',
+            message: 'Unable to retrieve the reports you follow'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/report/subscriptions/confirm-email
+ * @desc    Confirm a subscription's email address from the emailed link, then open the report page
+ * @access  Public (requires the emailed token)
+ */
+router.get('/subscriptions/confirm-email', ratelimiter(20, 15), async (req, res) => {
+    let result = 'invalid';
+    
+    try {
+        const subscription = req.query.token
+            ? await ReportSubscription.findByEmailToken(String(req.query.token))
+            : null;
+        
+        if (subscription && subscription.status !== 'unsubscribed') {
+            subscription.emailConfirmed = true;
+            subscription.emailTokenHash = undefined;
+            subscription.refreshStatus();
+            await subscription.save();
+            result = 'confirmed';
+        }
+    } catch (error) {
+        console.error('Subscription email confirmation error:', error);
+    }
+    
+    res.redirect(`${APP_URL}/report.html?subscription=${result}`);
+});
+
+/**
+ * @route   POST /api/report/subscriptions/:subscriptionId/confirm-phone
+ * @desc    Confirm a subscription's phone with the code sent by SMS
+ * @access  Public (requires the texted code)
+ */
+router.post('/subscriptions/:subscriptionId/confirm-phone', ratelimiter(10, 15), async (req, res) => {
+    try {
+        const { code } = req.body;
+        
+        if (!code) {
+            return res.status(400).json({
+                error: 'Missing code',
+                message: 'The code sent by SMS is required'
+            });
+        }
+        
+        const subscription = mongoose.Types.ObjectId.isValid(req.params.subscriptionId)
+            ? await ReportSubscription.findById(req.params.subscriptionId)
+                .select('+phoneCodeHash +phoneCodeExpires +phoneCodeAttempts')
+            : null;
+        
+        if (!subscription || subscription.status === 'unsubscribed') {
+            return res.status(404).json({
+                error: 'Subscription not found',
+                message: 'No subscription exists with this ID'
+            });
+        }
+        
+        if (subscription.phoneConfirmed) {
+            return res.json({
+                success: true,
+                message: 'Phone number already confirmed',
+                subscription: serializeSubscription(subscription)
+            });
+        }
+        
+        const confirmed = subscription.confirmPhoneCode(code);
+        await subscription.save();
+        
+        if (!confirmed) {
+            return res.status(400).json({
+                error: 'Invalid code',
+                message: 'The code is incorrect or has expired. Subscribe again to get a new code.'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Phone number confirmed',
+            subscription: serializeSubscription(subscription)
+        });
+        
+    } catch (error) {
+        console.error('Subscription phone confirmation error:', error);
+        res.status(500).json({
+            error: 'Confirmation failed',
+            message: 'Unable to confirm phone number. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/report/subscriptions/:subscriptionId/unsubscribe
+ * @desc    Stop following a report from the link in a notification, then open the report page
+ * @access  Public (requires the unsubscribe token)
+ */
+router.get('/subscriptions/:subscriptionId/unsubscribe', ratelimiter(20, 15), async (req, res) => {
+    let result = 'invalid';
+    
+    try {
+        if (await unsubscribeWithToken(req.params.subscriptionId, req.query.token)) {
+            result = 'unsubscribed';
+        }
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+    }
+    
+    res.redirect(`${APP_URL}/report.html?subscription=${result}`);
+});
+
+/**
+ * @route   POST /api/report/subscriptions/:subscriptionId/unsubscribe
+ * @desc    One-click unsubscribe (RFC 8058) used by mail clients' unsubscribe buttons
+ * @access  Public (requires the unsubscribe token)
+ */
+router.post('/subscriptions/:subscriptionId/unsubscribe', ratelimiter(20, 15), async (req, res) => {
+    try {
+        if (!(await unsubscribeWithToken(req.params.subscriptionId, req.query.token))) {
+            return res.status(400).json({
+                error: 'Invalid link',
+                message: 'This unsubscribe link is not valid'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'You will no longer receive updates about this report'
+        });
+        
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({
+            error: 'Unsubscribe failed',
+            message: 'Unable to unsubscribe. Please try again.'
+        });
+    }
 });
 
-// Example: POST /api/report
-router.post('/', (req, res) => {
-  const { title, content } = req.body;
+/**
+ * @route   DELETE /api/report/subscriptions/:subscriptionId
+ * @desc    Stop following a report
+ * @access  Private (subscriber)
+ */
+router.delete('/subscriptions/:subscriptionId', auth, async (req, res) => {
+    try {
+        const subscription = mongoose.Types.ObjectId.isValid(req.params.subscriptionId)
+            ? await ReportSubscription.findOne({ _id: req.params.subscriptionId, user: req.user.userId })
+            : null;
+        
+        if (!subscription) {
+            return res.status(404).json({
+                error: 'Subscription not found',
+                message: 'No subscription exists with this ID'
+            });
+        }
+        
+        subscription.unsubscribe();
+        await subscription.save();
+        
+        res.json({
+            success: true,
+            message: 'You will no longer receive updates about this report'
+        });
+        
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({
+            error: 'Unsubscribe failed',
+            message: 'Unable to unsubscribe. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/report/:id
+ * @desc    Get specific report by ID or tracking ID
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        res.json({
+            success: true,
+            report: serializeReport(report, req.user)
+        });
+    
+    } catch (error) {
+        console.error('Report fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch report',
+            message: 'Unable to retrieve report'
+        });
+    }
+});
 
-  if (!title || !content) {
-    return res.status(400).json({ error: 'Title and content are required' });
-  }
+/**
+ * @route   POST /api/report
+ * @desc    Submit new community report
+ * @access  Public (linked to the user when authenticated)
+ */
+router.post('/', ratelimiter(20, 15), optionalAuth, async (req, res) => {
+    try {
+        const {
+            id, type, title, locationName, county, latitude, longitude, coordinates,
+            severity, affectedPeople, description, incidentDate, reporterName,
+            reporterPhone, reporterEmail, isAnonymous, allowFollowUp, additionalInfo,
+            reportedElsewhere, photos, priority, submittedAt
+        } = req.body;
+        
+        // Validation
+        if (!type || !locationName || !county || !severity || !description) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'Type, location name, county, severity and description are required'
+            });
+        }
+        
+        const point = parseLocation(latitude, longitude, coordinates);
+        if (!point) {
+            return res.status(400).json({
+                error: 'Invalid location',
+                message: 'A valid latitude and longitude are required'
+            });
+        }
+        
+        // Offline-synced reports may be submitted more than once
+        if (id) {
+            const existingReport = await Report.findOne({ clientId: id });
+            if (existingReport) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Report already submitted',
+                    trackingId: existingReport.trackingId,
+                    report: serializeReport(existingReport, req.user)
+                });
+            }
+        }
+        
+        const attachments = await resolveAttachments(photos);
+        if (!attachments) {
+            return res.status(400).json({
+                error: 'Invalid photos',
+                message: 'Photos must reference uploaded attachments that are not used by another report'
+            });
+        }
+        
+        const anonymous = isAnonymous === true || isAnonymous === 'true';
+        
+        const newReport = new Report({
+            trackingId: await Report.generateTrackingId(),
+            clientId: id,
+            type,
+            title: title || generateReportTitle(type, locationName),
+            description,
+            severity,
+            priority: Report.PRIORITIES.includes(priority) ? priority : calculatePriority(type, severity),
+            affectedPeople: parseInt(affectedPeople) || 0,
+            incidentDate: incidentDate || undefined,
+            additionalInfo: additionalInfo || undefined,
+            reportedElsewhere: !!reportedElsewhere,
+            locationName,
+            county,
+            location: point,
+            reporter: req.user?.userId,
+            reporterName: anonymous ? undefined : reporterName,
+            reporterPhone: anonymous ? undefined : reporterPhone,
+            reporterEmail: anonymous ? undefined : reporterEmail,
+            isAnonymous: anonymous,
+            allowFollowUp: !!allowFollowUp,
+            photos: attachments.map(attachment => attachment.toPhotoReference()),
+            submittedAt: submittedAt ? new Date(submittedAt) : undefined
+        });
+        
+        const followUpToken = newReport.issueFollowUpToken();
+        await newReport.save();
+        await linkAttachments(attachments, newReport);
+        
+        // Credit the reporter's activity
+        if (req.user) {
+            await User.updateOne(
+                { _id: req.user.userId },
+                { $inc: { 'activity.reportsSubmitted': 1 } }
+            );
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Report submitted successfully',
+            trackingId: newReport.trackingId,
+            followUpToken: followUpToken,
+            report: serializeReport(newReport, req.user)
+        });
+        
+        console.log(`📋 New report submitted: ${newReport.trackingId} (${type}, ${severity})`);
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Report submission error:', error);
+        res.status(500).json({
+            error: 'Report submission failed',
+            message: 'Unable to submit report. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/report/:id
+ * @desc    Update report details
+ * @access  Private (reporter or staff)
+ */
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        if (!isStaff(req.user) && !report.isOwnedBy(req.user.userId)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only update your own reports'
+            });
+        }
+        
+        // Update allowed fields
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                report[field] = req.body[field];
+            }
+        });
+        
+        // Only staff can re-prioritise a report
+        if (isStaff(req.user) && Report.PRIORITIES.includes(req.body.priority)) {
+            report.priority = req.body.priority;
+        }
+        
+        const { latitude, longitude, coordinates } = req.body;
+        if (latitude !== undefined || longitude !== undefined || coordinates !== undefined) {
+            const point = parseLocation(latitude, longitude, coordinates);
+            if (!point) {
+                return res.status(400).json({
+                    error: 'Invalid location',
+                    message: 'A valid latitude and longitude are required'
+                });
+            }
+            report.location = point;
+        }
+        
+        let attachments = [];
+        const photosChanged = req.body.photos !== undefined;
+        if (photosChanged) {
+            attachments = await resolveAttachments(req.body.photos, report);
+            if (!attachments) {
+                return res.status(400).json({
+                    error: 'Invalid photos',
+                    message: 'Photos must reference uploaded attachments that are not used by another report'
+                });
+            }
+            report.photos = attachments.map(attachment => attachment.toPhotoReference());
+        }
+        
+        await report.save();
+        await linkAttachments(attachments, report);
+        
+        if (photosChanged) {
+            try {
+                await removeDetachedAttachments(report, attachments);
+            } catch (removeError) {
+                console.error('Detached attachment removal error:', removeError);
+            }
+        }
+        
+        res.json({
+            success: true,
+            message: 'Report updated successfully',
+            report: serializeReport(report, req.user)
+        });
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Report update error:', error);
+        res.status(500).json({
+            error: 'Report update failed',
+            message: 'Unable to update report. Please try again.'
+        });
+    }
+});
 
-  // Later you can save to MongoDB, for now we just return what we got
-  res.json({
-    message: 'Report created successfully',
-    report: { title, content }
-  });
+/**
+ * @route   PATCH /api/report/:id/status
+ * @desc    Move report to a new status
+ * @access  Private (government, ngo, admin)
+ */
+router.patch('/:id/status', auth, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        
+        if (!status || typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'New status and a reason for the change are required'
+            });
+        }
+        
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        if (!Report.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `Status must be one of: ${Report.STATUSES.join(', ')}`
+            });
+        }
+        
+        if (!report.canTransitionTo(status)) {
+            return res.status(409).json({
+                error: 'Invalid status transition',
+                message: `Cannot move report from ${report.status} to ${status}`,
+                allowedTransitions: Report.STATUS_TRANSITIONS[report.status]
+            });
+        }
+        
+        const previousStatus = report.status;
+        const updated = await report.claimTransition(status, { user: req.userDoc, reason: reason.trim() });
+        
+        if (!updated) {
+            return res.status(409).json({
+                error: 'Invalid status transition',
+                message: 'The report status was changed by someone else in the meantime; reload it and try again'
+            });
+        }
+        
+        try {
+            await notifyReportFollowers(updated, { type: 'status', previousStatus });
+        } catch (notifyError) {
+            console.error('Report notification error:', notifyError);
+        }
+        
+        res.json({
+            success: true,
+            message: `Report moved to ${status}`,
+            report: serializeReport(updated, req.user)
+        });
+        
+        console.log(`🔄 Report ${updated.trackingId}: ${previousStatus} → ${status} by ${req.user.email}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Report status update error:', error);
+        res.status(500).json({
+            error: 'Status update failed',
+            message: 'Unable to update report status. Please try again.'
+        });
+    }
 });
 
+/**
+ * @route   GET /api/report/:id/history
+ * @desc    Get status change history for a report
+ * @access  Public
+ */
+router.get('/:id/history', optionalAuth, async (req, res) => {
+    try {
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        res.json({
+            success: true,
+            trackingId: report.trackingId,
+            status: report.status,
+            history: serializeReport(report, req.user).statusHistory
+        });
+        
+    } catch (error) {
+        console.error('Report history error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch history',
+            message: 'Unable to retrieve report history'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/report/:id/notes
+ * @desc    Add a staff note to a report, optionally shown on the tracking page
+ * @access  Private (government, ngo, admin)
+ */
+router.post('/:id/notes', auth, authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { text, isPublic } = req.body;
+        
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({
+                error: 'Missing note',
+                message: 'Note text is required'
+            });
+        }
+        
+        const report = await findReport(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: 'No report exists with this ID'
+            });
+        }
+        
+        report.notes.push({
+            text: text.trim(),
+            isPublic: !!isPublic,
+            source: 'staff',
+            author: req.userDoc._id,
+            authorName: req.userDoc.fullName
+        });
+        await report.save();
+        
+        // Public notes are comments on the tracking page, so followers hear about them
+        if (isPublic) {
+            try {
+                await notifyReportFollowers(report, { type: 'comment', note: report.notes[report.notes.length - 1] });
+            } catch (notifyError) {
+                console.error('Report notification error:', notifyError);
+            }
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Note added to report',
+            report: serializeReport(report, req.user)
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Report note error:', error);
+        res.status(500).json({
+            error: 'Failed to add note',
+            message: 'Unable to add note to report'
+        });
+    }
+});
+
+/**
+ * Check whether the authenticated user is a staff member
+ */
+function isStaff(user) {
+    return !!(user && STAFF_ROLES.includes(user.role));
+}
+
+/**
+ * Serialize a report for the requesting user, hiding contact details from the public
+ */
+function serializeReport(report, user) {
+    if (isStaff(user) || (user && report.isOwnedBy(user.userId))) {
+        return report.toJSON();
+    }
+    return report.toPublicJSON();
+}
+
+/**
+ * What a subscriber is told about their subscription; contact details stay private
+ * because anyone who knows an address can subscribe it.
+ */
+function serializeSubscription(subscription) {
+    return {
+        id: subscription._id,
+        report: subscription.report,
+        status: subscription.status,
+        channels: subscription.channels,
+        activeChannels: subscription.activeChannels,
+        emailConfirmed: subscription.emailConfirmed,
+        phoneConfirmed: subscription.phoneConfirmed
+    };
+}
+
+/**
+ * Read requested channels from an array (['email', 'sms']) or an object ({ email: true })
+ * Returns null when none of the known channels is chosen.
+ */
+function parseChannels(channels) {
+    const chosen = Array.isArray(channels)
+        ? ReportSubscription.CHANNELS.filter(channel => channels.includes(channel))
+        : ReportSubscription.CHANNELS.filter(channel => channels && channels[channel] === true);
+    
+    if (chosen.length === 0) return null;
+    
+    return Object.fromEntries(ReportSubscription.CHANNELS.map(channel => [channel, chosen.includes(channel)]));
+}
+
+/**
+ * Unsubscribe using the token from a notification's link
+ * Returns false when the subscription or token is unknown.
+ */
+async function unsubscribeWithToken(subscriptionId, token) {
+    if (!mongoose.Types.ObjectId.isValid(subscriptionId)) return false;
+    
+    const subscription = await ReportSubscription.findById(subscriptionId);
+    if (!subscription || !subscription.verifyUnsubscribeToken(token)) return false;
+    
+    if (subscription.status !== 'unsubscribed') {
+        subscription.unsubscribe();
+        await subscription.save();
+    }
+    return true;
+}
+
+/**
+ * Find a report by MongoDB ID or tracking ID
+ */
+function findReport(id) {
+    if (mongoose.Types.ObjectId.isValid(id)) {
+        return Report.findById(id);
+    }
+    return Report.findByTrackingId(id);
+}
+
+/**
+ * Resolve photo references ({ id } objects or plain IDs) to attachments
+ * Returns null when any reference is unknown or belongs to a different report.
+ */
+async function resolveAttachments(photos, report = null) {
+    if (photos === undefined || photos === null) return [];
+    if (!Array.isArray(photos)) return null;
+    
+    const ids = photos.map(photo => (photo && typeof photo === 'object' ? photo.id || photo.attachment : photo));
+    if (ids.some(id => typeof id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(id))) return null;
+    
+    const attachments = await Attachment.find({
+        _id: { $in: ids },
+        report: { $in: report ? [null, report._id] : [null] }
+    });
+    
+    if (attachments.length !== new Set(ids.map(String)).size) return null;
+    
+    // Keep the order the client sent
+    return ids.map(id => attachments.find(attachment => attachment._id.toString() === String(id)));
+}
+
+/**
+ * Mark attachments as belonging to a report
+ */
+async function linkAttachments(attachments, report) {
+    if (attachments.length === 0) return;
+    
+    await Attachment.updateMany(
+        { _id: { $in: attachments.map(attachment => attachment._id) } },
+        { report: report._id }
+    );
+}
+
+/**
+ * Delete a report's attachments that its photos no longer reference, with their stored files
+ */
+async function removeDetachedAttachments(report, kept) {
+    const detached = await Attachment.find({
+        report: report._id,
+        _id: { $nin: kept.map(attachment => attachment._id) }
+    });
+    if (detached.length === 0) return;
+    
+    const storage = getStorage();
+    await Promise.all(detached.flatMap(attachment =>
+        Object.values(attachment.toObject().storageKeys).map(key => storage.remove(key))));
+    await Attachment.deleteMany({ _id: { $in: detached.map(attachment => attachment._id) } });
+}
+
+/**
+ * Build a GeoJSON point from latitude/longitude or a [lat, lng] pair
+ */
+function parseLocation(latitude, longitude, coordinates) {
+    let lat = parseFloat(latitude);
+    let lng = parseFloat(longitude);
+    
+    if ((isNaN(lat) || isNaN(lng)) && Array.isArray(coordinates) && coordinates.length === 2) {
+        lat = parseFloat(coordinates[0]);
+        lng = parseFloat(coordinates[1]);
+    }
+    
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    
+    return {
+        type: 'Point',
+        coordinates: [lng, lat]
+    };
+}
+
+/**
+ * Generate report title
+ */
+function generateReportTitle(type, locationName) {
+    const titles = {
+        contamination: `Water Contamination in ${locationName}`,
+        shortage: `Water Shortage in ${locationName}`,
+        quality: `Water Quality Issues in ${locationName}`,
+        infrastructure: `Infrastructure Problem in ${locationName}`
+    };
+    return titles[type] || `Water Issue in ${locationName}`;
+}
+
+/**
+ * Calculate report priority
+ */
+function calculatePriority(type, severity) {
+    if (type === 'contamination' || severity === 'high' || severity === 'critical') {
+        return 'urgent';
+    } else if (severity === 'medium') {
+        return 'high';
+    }
+    return 'normal';
+}
+
 module.exports = router;
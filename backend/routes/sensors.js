@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 
+// Import models
+const Station = require('../models/Station');
+
+// Import middleware
+const { deviceOrUserAuth, canSubmitReadings } = require('../middleware/auth');
+
+// Import services
+const { ingestReadings } = require('../services/telemetry');
+
 /**
  * Example: GET /api/sensors
  * Fetch all sensor data
@@ -14,24 +23,60 @@ router.get('/', (req, res) => {
 });
 
 /**
- * Example: POST /api/sensors
- * Save new sensor data
+ * POST /api/sensors
+ * Record a single sensor reading for a station
+ * (batches go to POST /api/stations/:id/readings)
  */
-router.post('/', (req, res) => {
-  const { type, value } = req.body;
+router.post('/', deviceOrUserAuth('readings:write'), async (req, res) => {
+  const { station: stationId, type, value, timestamp } = req.body;
 
-  if (!type || !value) {
+  if (!stationId || !type || value === undefined) {
     return res.status(400).json({
       error: 'Missing fields',
-      message: 'Sensor type and value are required',
+      message: 'Station, sensor type and value are required',
     });
   }
 
-  res.status(201).json({
-    success: true,
-    message: 'Sensor data received',
-    data: { type, value },
-  });
+  try {
+    const station = await Station.findByIdOrCode(stationId);
+
+    if (!station) {
+      return res.status(404).json({
+        error: 'Station not found',
+        message: 'No station exists with this ID',
+      });
+    }
+
+    if (!canSubmitReadings(req, station)) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'You can only submit readings for stations you manage',
+      });
+    }
+
+    const result = await ingestReadings(station, [
+      { parameter: type, value, timestamp: timestamp || new Date() },
+    ]);
+
+    if (result.rejected.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid reading',
+        message: result.rejected[0].reason,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.duplicates > 0 ? 'Sensor data already recorded' : 'Sensor data recorded',
+      data: result.readings[0] || null,
+    });
+  } catch (error) {
+    console.error('Sensor reading error:', error);
+    res.status(500).json({
+      error: 'Failed to record reading',
+      message: 'Unable to store sensor data. Please try again.',
+    });
+  }
 });
 
 module.exports = router;
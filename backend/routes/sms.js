@@ -0,0 +1,208 @@
+/**
+ * SMS Routes for Salyte Beacon
+ * Provider webhooks for inbound messages and delivery receipts, and the SMS log for admins
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+// Import models
+const SmsMessage = require('../models/SmsMessage');
+const SmsOptOut = require('../models/SmsOptOut');
+
+// Import middleware
+const { auth, authorize } = require('../middleware/auth');
+const ratelimiter = require('../middleware/ratelimiter');
+
+// Import services
+const { handleInbound, handleDeliveryReport, normalizePhone, getProvider } = require('../services/sms');
+const { SMS_WEBHOOK_SECRET, SMS_WEBHOOK_BASE_URL } = require('../config/sms');
+
+/**
+ * @route   POST /api/sms/webhooks/inbound
+ * @desc    Receive a text message from the SMS provider; STOP, START and their
+ *          alternatives opt the sender out of or back into text messages
+ * @access  Provider webhook (?secret=, plus X-Twilio-Signature with Twilio)
+ */
+router.post('/webhooks/inbound', ratelimiter(300, 15), verifyWebhook, async (req, res) => {
+    try {
+        const { message, action } = await handleInbound(req.body);
+        
+        replyToProvider(res, {
+            success: true,
+            id: message._id,
+            action: action
+        });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Invalid message',
+                message: error.message
+            });
+        }
+        
+        console.error('Inbound SMS error:', error);
+        res.status(500).json({
+            error: 'Inbound SMS failed',
+            message: 'Unable to process inbound message'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sms/webhooks/delivery
+ * @desc    Receive a delivery receipt from the SMS provider
+ * @access  Provider webhook (?secret=, plus X-Twilio-Signature with Twilio)
+ */
+router.post('/webhooks/delivery', ratelimiter(600, 15), verifyWebhook, async (req, res) => {
+    try {
+        const message = await handleDeliveryReport(req.body);
+        
+        replyToProvider(res, {
+            success: true,
+            updated: !!message,
+            status: message?.status
+        });
+        
+    } catch (error) {
+        console.error('SMS delivery receipt error:', error);
+        res.status(500).json({
+            error: 'Delivery receipt failed',
+            message: 'Unable to process delivery receipt'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sms/messages
+ * @desc    Get sent, queued and received text messages. Query: direction, status, phone
+ * @access  Private (admin)
+ */
+router.get('/messages', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { direction, status, phone, page = 1, limit = 50 } = req.query;
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        
+        const query = {};
+        if (direction) query.direction = direction;
+        if (status) query.status = status;
+        
+        if (phone) {
+            const normalized = normalizePhone(phone);
+            if (!normalized) {
+                return res.status(400).json({
+                    error: 'Invalid phone number',
+                    message: 'Phone must be a valid phone number'
+                });
+            }
+            query.phone = normalized;
+        }
+        
+        const [messages, total] = await Promise.all([
+            SmsMessage.find(query)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            SmsMessage.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            messages: messages,
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+        
+    } catch (error) {
+        console.error('SMS list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch messages',
+            message: 'Unable to retrieve text messages'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sms/opt-outs
+ * @desc    Get phone numbers that opted out of text messages
+ * @access  Private (admin)
+ */
+router.get('/opt-outs', auth, authorize('admin'), async (req, res) => {
+    try {
+        const optOuts = await SmsOptOut.find().sort({ optedOutAt: -1 }).limit(1000);
+        
+        res.json({
+            success: true,
+            optOuts: optOuts
+        });
+        
+    } catch (error) {
+        console.error('SMS opt-out list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch opt-outs',
+            message: 'Unable to retrieve opted-out numbers'
+        });
+    }
+});
+
+/**
+ * Reject webhook calls without the shared secret, or without a valid signature for providers that sign
+ * Without SMS_WEBHOOK_SECRET only the mock provider's webhooks are accepted.
+ */
+function verifyWebhook(req, res, next) {
+    const provider = getProvider();
+    
+    if (!SMS_WEBHOOK_SECRET) {
+        if (provider.name === 'mock') return next();
+        
+        return res.status(503).json({
+            error: 'Webhooks not configured',
+            message: 'Set SMS_WEBHOOK_SECRET to accept provider webhooks'
+        });
+    }
+    
+    const given = Buffer.from(String(req.query.secret || ''));
+    const expected = Buffer.from(SMS_WEBHOOK_SECRET);
+    
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({
+            error: 'Invalid webhook secret',
+            message: 'Webhook secret is missing or incorrect'
+        });
+    }
+    
+    if (provider.verifySignature) {
+        const url = `${SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+        
+        if (!provider.verifySignature(url, req.body || {}, req.headers)) {
+            return res.status(401).json({
+                error: 'Invalid webhook signature',
+                message: 'Webhook signature is missing or incorrect'
+            });
+        }
+    }
+    
+    next();
+}
+
+/**
+ * Answer a webhook in the format the provider expects
+ * Twilio expects TwiML; an empty response sends no reply of its own.
+ */
+function replyToProvider(res, body) {
+    if (getProvider().name === 'twilio') {
+        return res.type('text/xml').send('<Response></Response>');
+    }
+    res.json(body);
+}
+
+module.exports = router;
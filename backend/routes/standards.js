@@ -0,0 +1,324 @@
+/**
+ * Standards Routes for Salyte Beacon
+ * Water quality standards registry, reading classification, per-organization standard choice
+ * and organization members
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const Organization = require('../models/Organization');
+const User = require('../models/user');
+
+// Import middleware
+const { auth, authorize, MANAGER_ROLES } = require('../middleware/auth');
+
+// Import services
+const { resolveOrganization } = require('../services/organizations');
+
+// Import configuration
+const { PARAMETER_KEYS } = require('../config/parameters');
+const {
+    STANDARD_KEYS,
+    DEFAULT_STANDARD,
+    classifyValue,
+    classifyReadings,
+    serializeStandard
+} = require('../config/standards');
+
+/**
+ * @route   GET /api/standards
+ * @desc    List available water quality standards with their limits
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        default: DEFAULT_STANDARD,
+        standards: STANDARD_KEYS.map(serializeStandard)
+    });
+});
+
+/**
+ * @route   POST /api/standards/classify
+ * @desc    Classify readings ({ parameter: value }) as safe, warning or critical
+ * @access  Public
+ */
+router.post('/classify', (req, res) => {
+    const { readings, standard = DEFAULT_STANDARD } = req.body;
+    
+    if (!STANDARD_KEYS.includes(standard)) {
+        return res.status(400).json({
+            error: 'Invalid standard',
+            message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+        });
+    }
+    
+    if (!readings || typeof readings !== 'object' || Array.isArray(readings)) {
+        return res.status(400).json({
+            error: 'Invalid readings',
+            message: 'Readings must be an object of parameter values, e.g. { "ph": 7.2 }'
+        });
+    }
+    
+    const values = {};
+    const parameters = {};
+    
+    for (const [parameter, rawValue] of Object.entries(readings)) {
+        if (!PARAMETER_KEYS.includes(parameter)) {
+            return res.status(400).json({
+                error: 'Invalid parameter',
+                message: `Unknown parameter: ${parameter}`
+            });
+        }
+        
+        values[parameter] = Number(rawValue);
+        parameters[parameter] = classifyValue(parameter, values[parameter], standard) || 'unknown';
+    }
+    
+    res.json({
+        success: true,
+        standard: standard,
+        quality: classifyReadings(values, standard),
+        parameters: parameters
+    });
+});
+
+/**
+ * @route   GET /api/standards/organization
+ * @desc    Get the standard chosen by the current user's organization
+ * @access  Private
+ */
+router.get('/organization', auth, async (req, res) => {
+    try {
+        const { name, status, error, message } = await resolveOrganization(req);
+        
+        if (!name) {
+            return res.status(status).json({ error, message });
+        }
+        
+        const organization = await Organization.findByName(name);
+        const standard = organization ? organization.waterStandard : DEFAULT_STANDARD;
+        
+        res.json({
+            success: true,
+            organization: organization ? organization.name : name,
+            standard: standard,
+            isDefault: !organization,
+            details: serializeStandard(standard)
+        });
+    
+    } catch (error) {
+        console.error('Organization standard fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch standard',
+            message: 'Unable to retrieve organization standard'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/standards/organization
+ * @desc    Choose the standard applied to the organization's stations
+ * @access  Private (manager roles who are members of the organization; admins may name any organization)
+ */
+router.put('/organization', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { standard } = req.body;
+        const { name, status, error, message } = await resolveOrganization(req);
+        
+        if (!name) {
+            return res.status(status).json({ error, message });
+        }
+        
+        if (!STANDARD_KEYS.includes(standard)) {
+            return res.status(400).json({
+                error: 'Invalid standard',
+                message: `Standard must be one of: ${STANDARD_KEYS.join(', ')}`
+            });
+        }
+        
+        const organization = await Organization.findByName(name) || new Organization({ name });
+        organization.waterStandard = standard;
+        organization.updatedBy = req.user.userId;
+        await organization.save();
+        
+        res.json({
+            success: true,
+            message: `${organization.name} now uses ${serializeStandard(standard).name}`,
+            organization: organization
+        });
+        
+        console.log(`📏 ${organization.name} switched to the ${standard.toUpperCase()} standard`);
+    
+    } catch (error) {
+        console.error('Organization standard update error:', error);
+        res.status(500).json({
+            error: 'Failed to update standard',
+            message: 'Unable to update organization standard. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/standards/organization/members
+ * @desc    List the members of an organization (query: organization)
+ * @access  Private (admin)
+ */
+router.get('/organization/members', auth, authorize('admin'), async (req, res) => {
+    try {
+        const name = requireOrganizationName(req.query.organization, res);
+        if (!name) return;
+        
+        const organization = await Organization.findByName(name)
+            .populate('members', 'firstName lastName email role');
+        
+        res.json({
+            success: true,
+            organization: organization ? organization.name : name,
+            members: organization ? organization.members : []
+        });
+        
+    } catch (error) {
+        console.error('Organization members fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch members',
+            message: 'Unable to retrieve organization members'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/standards/organization/members
+ * @desc    Add a user to an organization ({ organization, userId })
+ * @access  Private (admin)
+ */
+router.post('/organization/members', auth, authorize('admin'), async (req, res) => {
+    try {
+        const name = requireOrganizationName(req.body.organization, res);
+        if (!name) return;
+        
+        const { userId } = req.body;
+        const user = typeof userId === 'string' && /^[0-9a-fA-F]{24}$/.test(userId)
+            ? await User.findById(userId).select('_id')
+            : null;
+        
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'No user exists with this ID'
+            });
+        }
+        
+        const organization = await Organization.findByName(name) || new Organization({ name });
+        if (!organization.members.some(id => id.equals(user._id))) {
+            organization.members.push(user._id);
+        }
+        organization.updatedBy = req.user.userId;
+        await organization.save();
+        
+        res.json({
+            success: true,
+            message: `User added to ${organization.name}`,
+            organization: organization
+        });
+        
+        console.log(`👥 User ${user._id} added to ${organization.name}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Organization member add error:', error);
+        res.status(500).json({
+            error: 'Failed to add member',
+            message: 'Unable to add organization member. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/standards/organization/members/:userId
+ * @desc    Remove a user from an organization (query: organization)
+ * @access  Private (admin)
+ */
+router.delete('/organization/members/:userId', auth, authorize('admin'), async (req, res) => {
+    try {
+        const name = requireOrganizationName(req.query.organization, res);
+        if (!name) return;
+        
+        const organization = await Organization.findByName(name);
+        const index = organization
+            ? organization.members.findIndex(id => id.toString() === req.params.userId)
+            : -1;
+        
+        if (index === -1) {
+            return res.status(404).json({
+                error: 'Member not found',
+                message: 'The user is not a member of this organization'
+            });
+        }
+        
+        organization.members.splice(index, 1);
+        organization.updatedBy = req.user.userId;
+        await organization.save();
+        
+        res.json({
+            success: true,
+            message: `User removed from ${organization.name}`,
+            organization: organization
+        });
+        
+        console.log(`👥 User ${req.params.userId} removed from ${organization.name}`);
+        
+    } catch (error) {
+        console.error('Organization member removal error:', error);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            message: 'Unable to remove organization member. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/standards/:key
+ * @desc    Get one standard with its limits
+ * @access  Public
+ */
+router.get('/:key', (req, res) => {
+    const key = req.params.key.toLowerCase();
+    
+    if (!STANDARD_KEYS.includes(key)) {
+        return res.status(404).json({
+            error: 'Standard not found',
+            message: `Available standards: ${STANDARD_KEYS.join(', ')}`
+        });
+    }
+    
+    res.json({
+        success: true,
+        standard: serializeStandard(key)
+    });
+});
+
+/**
+ * Organization name given to an admin route; sends a 400 and returns null when missing
+ */
+function requireOrganizationName(organization, res) {
+    if (typeof organization === 'string' && organization.trim()) {
+        return organization.trim();
+    }
+    
+    res.status(400).json({
+        error: 'Organization required',
+        message: 'Name the organization with organization'
+    });
+    return null;
+}
+
+module.exports = router;
@@ -0,0 +1,686 @@
+/**
+ * Station Routes for Salyte Beacon
+ * Handles monitoring stations, their sensor channels and telemetry ingestion
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const Station = require('../models/Station');
+const Sensor = require('../models/Sensor');
+const DataPoint = require('../models/DataPoint');
+const DeviceKey = require('../models/DeviceKey');
+const Organization = require('../models/Organization');
+
+// Import middleware
+const { auth, authorize, deviceOrUserAuth, canSubmitReadings, MANAGER_ROLES } = require('../middleware/auth');
+
+// Import services
+const { ingestReadings } = require('../services/telemetry');
+const { isMemberOf } = require('../services/organizations');
+const { PARAMETER_KEYS } = require('../config/parameters');
+
+// Fields that can be set when creating or updating a station; `organization` only to an
+// organization the user is a member of (checkStationOrganization)
+const STATION_FIELDS = ['name', 'description', 'sourceType', 'locationName', 'county', 'organization', 'status', 'installedAt'];
+
+/**
+ * @route   GET /api/stations
+ * @desc    Get monitoring stations with latest readings
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { county, status, sourceType, search, page = 1, limit = 100 } = req.query;
+        
+        // Query values can arrive as arrays or objects (?status[$ne]=...), so only text is accepted
+        const notText = Object.entries({ county, status, sourceType, search })
+            .find(([, value]) => value !== undefined && typeof value !== 'string');
+        
+        if (notText) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: `${notText[0]} must be a single value`
+            });
+        }
+        
+        const invalid = [
+            ['status', status, Station.STATUSES],
+            ['sourceType', sourceType, Station.SOURCE_TYPES]
+        ].find(([, value, allowed]) => value && !allowed.includes(value));
+        
+        if (invalid) {
+            const [field, , allowed] = invalid;
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: `${field} must be one of: ${allowed.join(', ')}`
+            });
+        }
+        
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+        
+        // Build query from filters
+        const query = { status: { $ne: 'decommissioned' } };
+        if (county) query.county = county.toLowerCase();
+        if (status) query.status = status;
+        if (sourceType) query.sourceType = sourceType;
+        if (search) query.$text = { $search: search };
+        
+        const [stations, total] = await Promise.all([
+            Station.find(query)
+                .sort({ name: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Station.countDocuments(query)
+        ]);
+        
+        await Station.applyStandards(stations);
+        
+        res.json({
+            success: true,
+            stations: stations,
+            pagination: {
+                current: pageNumber,
+                total: Math.ceil(total / pageSize),
+                count: total,
+                hasNext: pageNumber * pageSize < total,
+                hasPrev: pageNumber > 1
+            }
+        });
+    
+    } catch (error) {
+        console.error('Station list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stations',
+            message: 'Unable to retrieve monitoring stations'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/stations/:id
+ * @desc    Get station details with its sensor channels
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        const sensors = await Sensor.find({ station: station._id }).sort({ parameter: 1 });
+        await Station.applyStandards([station]);
+        
+        res.json({
+            success: true,
+            station: station,
+            sensors: sensors
+        });
+    
+    } catch (error) {
+        console.error('Station fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch station',
+            message: 'Unable to retrieve station'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/stations
+ * @desc    Register a new monitoring station
+ * @access  Private (organization, researcher, government, ngo, admin)
+ */
+router.post('/', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { code, latitude, longitude } = req.body;
+        
+        if (!code || !req.body.name || !req.body.county) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'Station code, name and county are required'
+            });
+        }
+        
+        const point = parseLocation(latitude, longitude);
+        if (!point) {
+            return res.status(400).json({
+                error: 'Invalid location',
+                message: 'A valid latitude and longitude are required'
+            });
+        }
+        
+        const refused = await checkStationOrganization(req);
+        if (refused) {
+            return res.status(refused.status).json({ error: refused.error, message: refused.message });
+        }
+        
+        if (await Station.findByCode(code)) {
+            return res.status(409).json({
+                error: 'Station already exists',
+                message: 'A station with this code already exists'
+            });
+        }
+        
+        const station = new Station({
+            code,
+            location: point,
+            owner: req.user.userId
+        });
+        
+        STATION_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                station[field] = req.body[field];
+            }
+        });
+        
+        await station.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Station registered successfully',
+            station: station
+        });
+        
+        console.log(`📡 New station registered: ${station.code} (${station.name})`);
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Station creation error:', error);
+        res.status(500).json({
+            error: 'Station registration failed',
+            message: 'Unable to register station. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/stations/:id
+ * @desc    Update station details
+ * @access  Private (station owner or admin)
+ */
+router.put('/:id', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!station.isManagedBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only update stations you manage'
+            });
+        }
+        
+        const refused = await checkStationOrganization(req);
+        if (refused) {
+            return res.status(refused.status).json({ error: refused.error, message: refused.message });
+        }
+        
+        STATION_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                station[field] = req.body[field];
+            }
+        });
+        
+        const { latitude, longitude } = req.body;
+        if (latitude !== undefined || longitude !== undefined) {
+            const point = parseLocation(latitude, longitude);
+            if (!point) {
+                return res.status(400).json({
+                    error: 'Invalid location',
+                    message: 'A valid latitude and longitude are required'
+                });
+            }
+            station.location = point;
+        }
+        
+        await station.save();
+        
+        res.json({
+            success: true,
+            message: 'Station updated successfully',
+            station: station
+        });
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Station update error:', error);
+        res.status(500).json({
+            error: 'Station update failed',
+            message: 'Unable to update station. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/stations/:id/sensors
+ * @desc    Add a sensor channel to a station
+ * @access  Private (station owner or admin)
+ */
+router.post('/:id/sensors', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { parameter, model, manufacturer, serialNumber, calibratedAt } = req.body;
+        
+        if (!PARAMETER_KEYS.includes(parameter)) {
+            return res.status(400).json({
+                error: 'Invalid parameter',
+                message: `Parameter must be one of: ${PARAMETER_KEYS.join(', ')}`
+            });
+        }
+        
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!station.isManagedBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only add sensors to stations you manage'
+            });
+        }
+        
+        if (await Sensor.exists({ station: station._id, parameter })) {
+            return res.status(409).json({
+                error: 'Sensor already exists',
+                message: `Station already has a ${parameter} sensor channel`
+            });
+        }
+        
+        const sensor = await Sensor.create({
+            station: station._id,
+            parameter,
+            model,
+            manufacturer,
+            serialNumber,
+            calibratedAt
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Sensor channel added',
+            sensor: sensor
+        });
+    
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Sensor creation error:', error);
+        res.status(500).json({
+            error: 'Sensor creation failed',
+            message: 'Unable to add sensor channel. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/stations/:id/readings
+ * @desc    Get raw readings for a station
+ * @access  Public
+ */
+router.get('/:id/readings', async (req, res) => {
+    try {
+        const { parameter, limit = 500 } = req.query;
+        
+        if (parameter !== undefined && !PARAMETER_KEYS.includes(parameter)) {
+            return res.status(400).json({
+                error: 'Invalid parameter',
+                message: `Parameter must be one of: ${PARAMETER_KEYS.join(', ')}`
+            });
+        }
+        
+        const from = req.query.from ? new Date(String(req.query.from)) : null;
+        const to = req.query.to ? new Date(String(req.query.to)) : null;
+        
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: 'from and to must be valid dates'
+            });
+        }
+        
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        const query = { station: station._id };
+        if (parameter) query.parameter = parameter;
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = from;
+            if (to) query.timestamp.$lte = to;
+        }
+        
+        const readings = await DataPoint.find(query)
+            .sort({ timestamp: -1 })
+            .limit(Math.min(Math.max(parseInt(limit) || 500, 1), 5000))
+            .select('parameter value unit timestamp source');
+        
+        res.json({
+            success: true,
+            station: station.code,
+            readings: readings
+        });
+    
+    } catch (error) {
+        console.error('Station readings error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch readings',
+            message: 'Unable to retrieve station readings'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/stations/:id/readings
+ * @desc    Ingest a batch of timestamped readings for a station
+ * @access  Private (device key for this station, or station owner or admin)
+ */
+router.post('/:id/readings', deviceOrUserAuth('readings:write'), async (req, res) => {
+    try {
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!canSubmitReadings(req, station)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only submit readings for stations you manage'
+            });
+        }
+        
+        await handleIngestion(station, req.body.readings, res);
+    
+    } catch (error) {
+        console.error('Telemetry ingestion error:', error);
+        res.status(500).json({
+            error: 'Ingestion failed',
+            message: 'Unable to store readings. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/stations/:id/keys
+ * @desc    List device keys issued for a station
+ * @access  Private (station owner or admin)
+ */
+router.get('/:id/keys', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!station.isManagedBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only view keys for stations you manage'
+            });
+        }
+        
+        const keys = await DeviceKey.find({ station: station._id }).sort({ createdAt: -1 });
+        
+        res.json({
+            success: true,
+            keys: keys
+        });
+        
+    } catch (error) {
+        console.error('Device key list error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch device keys',
+            message: 'Unable to retrieve device keys'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/stations/:id/keys
+ * @desc    Issue a device API key bound to a station (shown only once)
+ * @access  Private (station owner or admin)
+ */
+router.post('/:id/keys', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { name, scopes = ['readings:write'], expiresAt } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({
+                error: 'Missing device name',
+                message: 'A name for the device is required'
+            });
+        }
+        
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !DeviceKey.SCOPES.includes(scope))) {
+            return res.status(400).json({
+                error: 'Invalid scopes',
+                message: `Scopes must be one or more of: ${DeviceKey.SCOPES.join(', ')}`
+            });
+        }
+        
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!station.isManagedBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only issue keys for stations you manage'
+            });
+        }
+        
+        const { deviceKey, apiKey } = await DeviceKey.issue({
+            station: station._id,
+            name,
+            scopes,
+            expiresAt,
+            createdBy: req.user.userId
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Device key issued. Store it now, it will not be shown again.',
+            apiKey: apiKey,
+            key: deviceKey
+        });
+        
+        console.log(`🔑 Device key ${deviceKey.keyId} issued for station ${station.code}`);
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error.message
+            });
+        }
+        
+        console.error('Device key issue error:', error);
+        res.status(500).json({
+            error: 'Failed to issue device key',
+            message: 'Unable to issue device key. Please try again.'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/stations/:id/keys/:keyId
+ * @desc    Revoke a device key
+ * @access  Private (station owner or admin)
+ */
+router.delete('/:id/keys/:keyId', auth, authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const station = await Station.findByIdOrCode(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: 'No station exists with this ID'
+            });
+        }
+        
+        if (!station.isManagedBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'You can only revoke keys for stations you manage'
+            });
+        }
+        
+        const deviceKey = await DeviceKey.findOne({ station: station._id, keyId: req.params.keyId });
+        
+        if (!deviceKey) {
+            return res.status(404).json({
+                error: 'Device key not found',
+                message: 'No device key exists with this ID for the station'
+            });
+        }
+        
+        if (!deviceKey.revokedAt) {
+            deviceKey.revokedAt = new Date();
+            deviceKey.revokedBy = req.user.userId;
+            await deviceKey.save();
+        }
+        
+        res.json({
+            success: true,
+            message: 'Device key revoked',
+            key: deviceKey
+        });
+        
+        console.log(`🔒 Device key ${deviceKey.keyId} revoked for station ${station.code}`);
+        
+    } catch (error) {
+        console.error('Device key revoke error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke device key',
+            message: 'Unable to revoke device key. Please try again.'
+        });
+    }
+});
+
+/**
+ * Run ingestion for a station and send the batch summary
+ */
+async function handleIngestion(station, readings, res) {
+    try {
+        const result = await ingestReadings(station, readings);
+        const { readings: stored, ...summary } = result;
+        
+        // 207 when part of the batch was rejected
+        res.status(summary.rejected.length > 0 ? 207 : 201).json({
+            success: summary.rejected.length < summary.received,
+            station: station.code,
+            ...summary
+        });
+    
+    } catch (error) {
+        if (error.status === 400 || error.status === 413) {
+            return res.status(error.status).json({
+                error: 'Invalid batch',
+                message: error.message
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check the organization named in a station create or update request
+ * Users may only name organizations they are members of; admins any; an empty name clears it.
+ * Returns { status, error, message } when refused, otherwise null.
+ */
+async function checkStationOrganization(req) {
+    const { organization } = req.body;
+    if (organization === undefined || organization === null) return null;
+    
+    if (typeof organization !== 'string') {
+        return {
+            status: 400,
+            error: 'Invalid organization',
+            message: 'Organization must be a name'
+        };
+    }
+    
+    if (!organization.trim() || req.user.role === 'admin') return null;
+    
+    if (!await isMemberOf(req.user.userId, Organization.toNameKey(organization))) {
+        return {
+            status: 403,
+            error: 'Access forbidden',
+            message: 'You can only register stations under organizations you are a member of'
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Build a GeoJSON point from latitude and longitude
+ */
+function parseLocation(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    
+    return {
+        type: 'Point',
+        coordinates: [lng, lat]
+    };
+}
+
+module.exports = router;
@@ -19,24 +19,38 @@ const sensorRoutes = require('./routes/sensors');
 const mapRoutes = require('./routes/map');
 const dashboardRoutes = require('./routes/dashboard');
 const reportRoutes = require('./routes/report');
+const attachmentRoutes = require('./routes/attachments');
+const stationRoutes = require('./routes/stations');
+const standardRoutes = require('./routes/standards');
+const alertRoutes = require('./routes/alerts');
+const smsRoutes = require('./routes/sms');
+const notificationRoutes = require('./routes/notifications');
+
+// Import background jobs
+const { startEscalationScheduler } = require('./services/escalation');
+const { startMailQueue } = require('./services/mail');
+const { startSmsQueue } = require('./services/sms');
+const { recoverInterruptedImports } = require('./services/csvImport');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Connect to database
-connectDB();
+const databaseReady = connectDB();
 
 // ✅ CORS middleware (very important: place BEFORE routes)
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Export-Plan', 'X-Export-Limit', 'X-Export-Generated-At', 'X-Export-Filters', 'X-Export-License']
 }));
 
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Export-Plan', 'X-Export-Limit', 'X-Export-Generated-At', 'X-Export-Filters', 'X-Export-License']
 }));
 
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -68,6 +82,13 @@ app.use('/api/sensors', sensorRoutes);
 app.use('/api/map', mapRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/report', reportRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/standards', standardRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -90,7 +111,11 @@ app.get('/api/docs', (req, res) => {
                 'POST /api/auth/login': 'User authentication',
                 'POST /api/auth/signup': 'User registration',
                 'POST /api/auth/check-email': 'Check email availability',
-                'POST /api/auth/forgot-password': 'Password reset request'
+                'POST /api/auth/forgot-password': 'Password reset request (emails a reset link)',
+                'POST /api/auth/reset-password': 'Reset password with emailed token',
+                'GET /api/auth/verify-email': 'Confirm email from the emailed link (redirects to login)',
+                'POST /api/auth/verify-email': 'Confirm email with the emailed token',
+                'POST /api/auth/resend-verification': 'Send a new email verification link'
             },
             chat: {
                 'POST /api/chat': 'Send message to AI assistant',
@@ -100,22 +125,106 @@ app.get('/api/docs', (req, res) => {
             sensors: {
                 'GET /api/sensors': 'Get sensor marketplace data',
                 'GET /api/sensors/:id': 'Get specific sensor details',
-                'GET /api/sensors/search': 'Search sensors'
+                'GET /api/sensors/search': 'Search sensors',
+                'POST /api/sensors': 'Record a single sensor reading'
+            },
+            stations: {
+                'GET /api/stations': 'Get monitoring stations with latest readings',
+                'GET /api/stations/:id': 'Get station details and sensor channels',
+                'POST /api/stations': 'Register monitoring station',
+                'PUT /api/stations/:id': 'Update station details',
+                'POST /api/stations/:id/sensors': 'Add sensor channel to station',
+                'GET /api/stations/:id/readings': 'Get station readings',
+                'POST /api/stations/:id/readings': 'Ingest batch of timestamped readings (user token or device key)',
+                'GET /api/stations/:id/keys': 'List device keys for station',
+                'POST /api/stations/:id/keys': 'Issue device API key',
+                'DELETE /api/stations/:id/keys/:keyId': 'Revoke device API key'
+            },
+            standards: {
+                'GET /api/standards': 'List water quality standards (WHO, KEBS, EPA) and their limits',
+                'GET /api/standards/:key': 'Get one standard',
+                'POST /api/standards/classify': 'Classify readings as safe, warning or critical',
+                'GET /api/standards/organization': 'Get your organization\'s standard',
+                'PUT /api/standards/organization': 'Choose your organization\'s standard'
+            },
+            alerts: {
+                'GET /api/alerts': 'Get station alerts (status, station, county, priority, parameter, acknowledged, unread) with priority counts',
+                'GET /api/alerts/:id': 'Get one alert',
+                'POST /api/alerts/:id/acknowledge': 'Acknowledge an alert for the team (optional comment)',
+                'POST /api/alerts/:id/escalate': 'Escalate an alert to a higher priority (reason required)',
+                'POST /api/alerts/:id/read': 'Mark an alert as read for yourself',
+                'POST /api/alerts/read-all': 'Mark all matching open alerts as read for yourself',
+                'GET /api/alerts/escalation-policies': 'Get escalation steps for unacknowledged alerts per priority',
+                'PUT /api/alerts/escalation-policies/:priority': 'Replace the escalation steps for a priority (admin)',
+                'GET /api/alerts/rules': 'Get your organization\'s alert rules',
+                'POST /api/alerts/rules': 'Create a threshold or rate-of-change alert rule',
+                'PUT /api/alerts/rules/:ruleId': 'Update an alert rule',
+                'DELETE /api/alerts/rules/:ruleId': 'Delete an alert rule'
+            },
+            sms: {
+                'POST /api/sms/webhooks/inbound': 'SMS provider webhook for inbound messages (STOP/START opt-out and opt-in)',
+                'POST /api/sms/webhooks/delivery': 'SMS provider webhook for delivery receipts',
+                'GET /api/sms/messages': 'Get sent, queued and received text messages (admin)',
+                'GET /api/sms/opt-outs': 'Get opted-out phone numbers (admin)'
             },
             map: {
-                'GET /api/map/data': 'Get map GeoJSON data',
-                'GET /api/map/layers': 'Get available map layers',
-                'POST /api/map/report': 'Report water quality data point'
+                'GET /api/map/data': 'Get water points and reports as GeoJSON (layers, bbox, zoom, quality, sourceType, range)',
+                'GET /api/map/clusters': 'Get map data grouped into clusters for zoomed-out views (as /data)',
+                'GET /api/map/export': 'Download filtered map data as GeoJSON, KML, CSV or zipped Shapefile (format, plan limits apply)',
+                'GET /api/map/heatmap': 'Get weighted hexagon bins of reports, severity, affected people or contamination (zoom, bbox, days, category, metric)',
+                'GET /api/map/nearest-safe': 'Find the nearest water sources tested safe (lat, lng, limit, maxDistance, days)',
+                'GET /api/map/layers': 'Get the map layers you can see',
+                'POST /api/map/layers': 'Add a map layer (admin)',
+                'PUT /api/map/layers/:key': 'Change a map layer (admin)',
+                'DELETE /api/map/layers/:key': 'Delete a map layer or restore a built-in one (admin)',
+                'POST /api/map/report': 'Submit a water point for review',
+                'GET /api/map/submissions/mine': 'Get your submitted water points and their status',
+                'GET /api/map/submissions': 'Get the water point moderation queue (reviewers)',
+                'GET /api/map/submissions/:id': 'Get a submitted water point with nearby stations (reviewers)',
+                'POST /api/map/submissions/:id/approve': 'Approve a water point as a new station (reviewers)',
+                'POST /api/map/submissions/:id/merge': 'Merge a water point into an existing station (reviewers)',
+                'POST /api/map/submissions/:id/reject': 'Reject a water point with a reason (reviewers)'
             },
             dashboard: {
-                'GET /api/dashboard/stats': 'Get dashboard statistics',
-                'GET /api/dashboard/trends': 'Get trend data',
-                'POST /api/dashboard/upload': 'Upload CSV data'
+                'GET /api/dashboard/stats': 'Get station quality, report and coverage statistics (county, days or from/to)',
+                'GET /api/dashboard/trends': 'Get bucketed min/max/mean/count per parameter, station and interval',
+                'GET /api/dashboard/wqi': 'Get the Water Quality Index per station or county',
+                'GET /api/dashboard/wqi/trend': 'Get the Water Quality Index per time bucket',
+                'GET /api/dashboard/counties': 'Get reports, open alerts, WQI, station density and coverage per county (format=geojson for boundaries)',
+                'GET /api/dashboard/counties/:county': 'Get one county\'s metrics, stations and recent reports',
+                'POST /api/dashboard/upload': 'Upload CSV data (dryRun=true for a preview, otherwise queued import)',
+                'GET /api/dashboard/upload': 'List own CSV imports',
+                'GET /api/dashboard/upload/:jobId': 'Get CSV import progress and row errors'
             },
             report: {
                 'GET /api/report': 'Get community reports',
                 'POST /api/report': 'Submit new report',
-                'GET /api/report/:id': 'Get specific report'
+                'GET /api/report/:id': 'Get specific report',
+                'PUT /api/report/:id': 'Update report details',
+                'PATCH /api/report/:id/status': 'Change report status',
+                'GET /api/report/:id/history': 'Get report status history',
+                'POST /api/report/:id/notes': 'Add staff note to report',
+                'GET /api/report/track/:trackingId': 'Track report by tracking ID',
+                'POST /api/report/track/:trackingId/follow-up': 'Add reporter follow-up with token',
+                'POST /api/report/:id/subscribe': 'Follow a report by email, SMS or in-app notification',
+                'GET /api/report/subscriptions': 'Get the reports you follow',
+                'GET /api/report/subscriptions/confirm-email': 'Confirm a subscription email address (emailed link)',
+                'POST /api/report/subscriptions/:subscriptionId/confirm-phone': 'Confirm a subscription phone with the SMS code',
+                'GET /api/report/subscriptions/:subscriptionId/unsubscribe': 'Unsubscribe from a notification link',
+                'POST /api/report/subscriptions/:subscriptionId/unsubscribe': 'One-click unsubscribe (RFC 8058)',
+                'DELETE /api/report/subscriptions/:subscriptionId': 'Stop following a report'
+            },
+            notifications: {
+                'GET /api/notifications': 'Get your in-app notifications and unread count',
+                'POST /api/notifications/read-all': 'Mark all notifications as read',
+                'POST /api/notifications/:id/read': 'Mark a notification as read'
+            },
+            attachments: {
+                'POST /api/attachments': 'Upload report photos (multipart)',
+                'GET /api/attachments/:id': 'Get photo (EXIF stripped)',
+                'GET /api/attachments/:id/thumbnail': 'Get photo thumbnail',
+                'GET /api/attachments/:id/original': 'Get original photo (staff only)',
+                'DELETE /api/attachments/:id': 'Delete photo'
             }
         }
     });
@@ -169,6 +278,20 @@ app.use((error, req, res, next) => {
         });
     }
     
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(415).json({
+            error: 'Unsupported file type',
+            message: error.message
+        });
+    }
+    
+    if (error.name === 'MulterError') {
+        return res.status(400).json({
+            error: 'Upload error',
+            message: error.message
+        });
+    }
+    
     // Default server error
     res.status(error.status || 500).json({
         error: 'Internal server error',
@@ -252,7 +375,19 @@ const server = app.listen(PORT, () => {
         console.log('   • /api/map/* (Map Data)');
         console.log('   • /api/dashboard/* (Dashboard Data)');
         console.log('   • /api/report/* (Community Reports)');
+        console.log('   • /api/standards/* (Water Quality Standards)');
+        console.log('   • /api/alerts/* (Station Alerts)');
+        console.log('   • /api/sms/* (SMS Gateway)');
+        console.log('   • /api/notifications/* (In-app Notifications)');
     }
+    
+    startEscalationScheduler();
+    startMailQueue();
+    startSmsQueue();
+    
+    databaseReady
+        .then(() => recoverInterruptedImports())
+        .catch(error => console.error('Import recovery error:', error));
 });
 
 // Export app for testing
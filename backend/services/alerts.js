@@ -0,0 +1,262 @@
+/**
+ * Alert Rules Engine for Salyte Beacon
+ * Evaluates new readings against the station's water standard and its organization's
+ * alert rules, opening, updating and closing alerts
+ */
+
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const DataPoint = require('../models/DataPoint');
+const Organization = require('../models/Organization');
+const User = require('../models/user');
+const { emailUser } = require('./mail');
+const { smsUser } = require('./sms');
+const { membersOf } = require('./organizations');
+const { PARAMETERS } = require('../config/parameters');
+const { DEFAULT_STANDARD, getStandard, classifyValue, describeLimit } = require('../config/standards');
+const { APP_URL } = require('../config/mail');
+
+// Alert priority for readings outside a standard's limits
+const STANDARD_PRIORITIES = {
+    warning: 'high',
+    critical: 'critical'
+};
+
+/**
+ * Evaluate a station's newly stored readings
+ * Only parameters whose latest value came from these readings are evaluated,
+ * so backfilled history never opens alerts. Returns counts of opened, updated and closed alerts.
+ */
+async function evaluateReadings(station, readings) {
+    const summary = { opened: 0, updated: 0, closed: 0 };
+    
+    const parameters = [...new Set(readings.map(reading => reading.parameter))].filter(parameter => {
+        const latest = station.latestReadings.get(parameter);
+        return latest && readings.some(reading =>
+            reading.parameter === parameter && reading.timestamp.getTime() === latest.timestamp.getTime());
+    });
+    
+    if (parameters.length === 0) return summary;
+    
+    const [standards, rules, openAlerts] = await Promise.all([
+        Organization.standardsFor([station.organization]),
+        AlertRule.findActiveFor(station.organization),
+        Alert.findOpenForStation(station._id)
+    ]);
+    
+    const standard = (station.organization && standards.get(Organization.toNameKey(station.organization))) || DEFAULT_STANDARD;
+    const openByRule = new Map(openAlerts.map(alert => [alert.ruleKey, alert]));
+    
+    for (const parameter of parameters) {
+        const latest = station.latestReadings.get(parameter);
+        const findings = [checkStandard(parameter, latest, standard)];
+        
+        for (const rule of rules.filter(rule => rule.parameter === parameter)) {
+            findings.push(await checkRule(rule, station, latest));
+        }
+        
+        for (const finding of findings) {
+            const outcome = await applyFinding(station, finding, latest, openByRule.get(finding.ruleKey));
+            if (outcome) summary[outcome] += 1;
+        }
+    }
+    
+    return summary;
+}
+
+/**
+ * Check the latest reading against the station's water standard
+ */
+function checkStandard(parameter, latest, standard) {
+    const quality = classifyValue(parameter, latest.value, standard);
+    const name = PARAMETERS[parameter].name;
+    
+    return {
+        ruleKey: `standard:${parameter}`,
+        ruleType: 'standard',
+        standard: standard,
+        parameter: parameter,
+        triggered: quality === 'warning' || quality === 'critical',
+        priority: STANDARD_PRIORITIES[quality],
+        title: `${name} ${quality === 'critical' ? 'Critical' : 'Warning'}`,
+        message: `${name} ${formatValue(parameter, latest.value)} is outside the ${getStandard(standard).name} ` +
+            `safe range (${describeLimit(parameter, standard)})`
+    };
+}
+
+/**
+ * Check an organization rule against the latest reading and the stored history before it
+ */
+async function checkRule(rule, station, latest) {
+    const finding = {
+        ruleKey: `rule:${rule._id}`,
+        ruleType: rule.type,
+        rule: rule._id,
+        parameter: rule.parameter,
+        triggered: false,
+        priority: rule.priority,
+        title: rule.name,
+        message: rule.condition
+    };
+    
+    if (rule.type === 'threshold') {
+        if (rule.consecutive <= 1) {
+            finding.triggered = rule.isBreachedBy(latest.value);
+            return finding;
+        }
+        
+        const recent = await DataPoint.find({
+            station: station._id,
+            parameter: rule.parameter,
+            timestamp: { $lte: latest.timestamp }
+        })
+            .sort({ timestamp: -1 })
+            .limit(rule.consecutive)
+            .select('value');
+        
+        finding.triggered = recent.length === rule.consecutive &&
+            recent.every(dataPoint => rule.isBreachedBy(dataPoint.value));
+        return finding;
+    }
+    
+    // Rate of change: largest difference between the latest reading and any reading in the window
+    const [range] = await DataPoint.aggregate([
+        {
+            $match: {
+                station: station._id,
+                parameter: rule.parameter,
+                timestamp: {
+                    $gte: new Date(latest.timestamp.getTime() - rule.windowMinutes * 60 * 1000),
+                    $lt: latest.timestamp
+                }
+            }
+        },
+        { $group: { _id: null, min: { $min: '$value' }, max: { $max: '$value' } } }
+    ]);
+    
+    if (range) {
+        const change = Math.max(latest.value - range.min, range.max - latest.value);
+        finding.triggered = change > rule.maxChange;
+        finding.message = `${rule.condition} (changed by ${formatValue(rule.parameter, roundValue(change))})`;
+    }
+    
+    return finding;
+}
+
+/**
+ * Open, update or close the alert for one finding
+ * Returns 'opened', 'updated', 'closed' or null when nothing changed.
+ */
+async function applyFinding(station, finding, latest, openAlert) {
+    if (!finding.triggered) {
+        if (!openAlert) return null;
+        
+        await openAlert.close('recovered').save();
+        return 'closed';
+    }
+    
+    const { triggered, ...details } = finding;
+    
+    if (openAlert) {
+        openAlert.updatePriority(details.priority);
+        openAlert.set({
+            title: details.title,
+            message: details.message,
+            standard: details.standard,
+            value: latest.value,
+            lastTriggeredAt: latest.timestamp,
+            triggerCount: openAlert.triggerCount + 1
+        });
+        await openAlert.save();
+        return 'updated';
+    }
+    
+    let alert;
+    try {
+        alert = await Alert.create({
+            ...details,
+            station: station._id,
+            county: station.county,
+            organizationKey: station.organization ? Organization.toNameKey(station.organization) : undefined,
+            value: latest.value,
+            unit: latest.unit,
+            openedAt: latest.timestamp,
+            lastTriggeredAt: latest.timestamp
+        });
+    } catch (error) {
+        // A concurrent batch opened the same alert first
+        if (error.code === 11000) return null;
+        throw error;
+    }
+    
+    await notifyAlertOpened(alert, station);
+    return 'opened';
+}
+
+/**
+ * Tell the station's owner and its organization's members about a new alert
+ * Delivery failures are logged; the alert itself is already stored.
+ */
+async function notifyAlertOpened(alert, station) {
+    let recipients;
+    try {
+        const members = await membersOf(alert.organizationKey);
+        recipients = await User.find({ _id: { $in: [station.owner, ...members].filter(Boolean) } })
+            .select('_id firstName lastName email phone preferences');
+    } catch (error) {
+        console.error(`Alert notification error for alert ${alert._id}:`, error);
+        return;
+    }
+    
+    const data = {
+        title: alert.title,
+        message: alert.message,
+        priority: alert.priority,
+        stationName: station.name || 'a monitoring station',
+        county: alert.county,
+        url: `${APP_URL}/dashboard.html`
+    };
+    
+    for (const user of recipients) {
+        try {
+            await emailUser(user, 'alertOpened', data);
+        } catch (error) {
+            console.error(`Alert email error for alert ${alert._id}:`, error);
+        }
+        
+        try {
+            await smsUser(user, 'alertOpened', data);
+        } catch (error) {
+            console.error(`Alert SMS error for alert ${alert._id}:`, error);
+        }
+    }
+}
+
+/**
+ * Close the open alerts raised by a rule, e.g. when it is deleted or disabled
+ */
+async function closeRuleAlerts(ruleId) {
+    const closedAt = new Date();
+    const result = await Alert.updateMany(
+        { rule: ruleId, status: 'open' },
+        {
+            $set: { status: 'closed', closedAt: closedAt, closeReason: 'rule-removed' },
+            $push: { history: { event: 'closed', note: 'rule-removed', at: closedAt } }
+        }
+    );
+    return result.modifiedCount;
+}
+
+function formatValue(parameter, value) {
+    const unit = PARAMETERS[parameter].unit;
+    return unit === 'pH' ? `${value}` : `${value} ${unit}`;
+}
+
+function roundValue(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    evaluateReadings,
+    closeRuleAlerts
+};
@@ -0,0 +1,188 @@
+/**
+ * County Statistics for Salyte Beacon
+ * Per-county reports, open alerts, average WQI, station density and coverage, matched to the
+ * bundled county boundaries for the dashboard choropleth
+ */
+
+const Alert = require('../models/Alert');
+const DataPoint = require('../models/DataPoint');
+const Report = require('../models/Report');
+const Station = require('../models/Station');
+
+const { COUNTIES, COUNTY_BOUNDARIES, matchCounty } = require('../config/counties');
+const { WQI_PARAMETERS, computeWqi } = require('./wqi');
+const { DEFAULT_STANDARD } = require('../config/standards');
+
+/**
+ * Metrics for every county over a date range
+ * Stored county names are matched to the 47 counties; counts under names that match none
+ * are returned in `unmatched` rather than dropped.
+ * Returns { counties, unmatched }.
+ */
+async function buildCountyMetrics({ from, to }, { standard = null } = {}) {
+    const [stations, reportingStations, reports, openAlerts, means] = await Promise.all([
+        Station.aggregate([
+            { $match: { status: { $ne: 'decommissioned' } } },
+            { $group: { _id: '$county', count: { $sum: 1 } } }
+        ]),
+        // Stations with at least one reading in the range
+        DataPoint.aggregate([
+            { $match: { timestamp: { $gte: from, $lte: to } } },
+            { $group: { _id: { county: '$county', station: '$station' } } },
+            { $group: { _id: '$_id.county', count: { $sum: 1 } } }
+        ]),
+        Report.aggregate([
+            { $match: { submittedAt: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: '$county',
+                    count: { $sum: 1 },
+                    open: { $sum: { $cond: [{ $ne: ['$status', 'resolved'] }, 1, 0] } }
+                }
+            }
+        ]),
+        Alert.aggregate([
+            { $match: { status: 'open' } },
+            { $group: { _id: '$county', count: { $sum: 1 } } }
+        ]),
+        // Mean and count per parameter, so that names matching the same county can be combined
+        DataPoint.aggregate([
+            { $match: { parameter: { $in: WQI_PARAMETERS }, timestamp: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: { county: '$county', parameter: '$parameter' },
+                    mean: { $avg: '$value' },
+                    count: { $sum: 1 }
+                }
+            }
+        ])
+    ]);
+    
+    const totals = new Map(COUNTIES.map(county => [county.key, {
+        stations: 0,
+        reportingStations: 0,
+        reports: 0,
+        openReports: 0,
+        openAlerts: 0,
+        readings: {}
+    }]));
+    const unmatched = new Map();
+    
+    const add = (name, field, amount) => {
+        const key = matchCounty(name);
+        
+        if (key) {
+            totals.get(key)[field] += amount;
+        } else if (amount > 0) {
+            const label = name || 'unspecified';
+            if (!unmatched.has(label)) {
+                unmatched.set(label, { county: name || null, stations: 0, reportingStations: 0, reports: 0, openReports: 0, openAlerts: 0 });
+            }
+            unmatched.get(label)[field] += amount;
+        }
+    };
+    
+    stations.forEach(({ _id, count }) => add(_id, 'stations', count));
+    reportingStations.forEach(({ _id, count }) => add(_id, 'reportingStations', count));
+    reports.forEach(({ _id, count, open }) => {
+        add(_id, 'reports', count);
+        add(_id, 'openReports', open);
+    });
+    openAlerts.forEach(({ _id, count }) => add(_id, 'openAlerts', count));
+    
+    means.forEach(({ _id, mean, count }) => {
+        const key = matchCounty(_id.county);
+        if (!key) return;
+        
+        const readings = totals.get(key).readings;
+        const sum = readings[_id.parameter] || { total: 0, count: 0 };
+        readings[_id.parameter] = { total: sum.total + mean * count, count: sum.count + count };
+    });
+    
+    const counties = COUNTIES.map(county => {
+        const total = totals.get(county.key);
+        const values = {};
+        Object.entries(total.readings).forEach(([parameter, { total: sum, count }]) => {
+            values[parameter] = sum / count;
+        });
+        
+        const wqi = computeWqi(values, standard || DEFAULT_STANDARD);
+        
+        return {
+            code: county.code,
+            key: county.key,
+            name: county.name,
+            areaKm2: county.areaKm2,
+            stations: total.stations,
+            reportingStations: total.reportingStations,
+            reports: total.reports,
+            openReports: total.openReports,
+            openAlerts: total.openAlerts,
+            wqi: wqi.score,
+            wqiCategory: wqi.category,
+            wqiLabel: wqi.label,
+            // Stations per 1,000 km²
+            stationDensity: Math.round(total.stations / county.areaKm2 * 1000 * 100) / 100,
+            // Share of stations with readings in the range; null where there are no stations
+            coverage: total.stations > 0
+                ? Math.round(total.reportingStations / total.stations * 1000) / 10
+                : null
+        };
+    });
+    
+    return {
+        counties,
+        unmatched: [...unmatched.values()]
+    };
+}
+
+/**
+ * Stations and recent reports in one county, for drilling down from the map
+ * Stored names are matched the same way as for the metrics.
+ */
+async function findCountyDetail(key, { reportLimit = 20 } = {}) {
+    const [stationNames, reportNames] = await Promise.all([
+        Station.distinct('county'),
+        Report.distinct('county')
+    ]);
+    const inCounty = names => names.filter(name => matchCounty(name) === key);
+    
+    const [stations, reports] = await Promise.all([
+        Station.find({ county: { $in: inCounty(stationNames) }, status: { $ne: 'decommissioned' } })
+            .select('code name sourceType status locationName county location organization lastReadingAt latestReadings')
+            .sort({ name: 1 }),
+        Report.find({ county: { $in: inCounty(reportNames) } })
+            .select('trackingId type title severity status locationName county location submittedAt')
+            .sort({ submittedAt: -1 })
+            .limit(reportLimit)
+    ]);
+    
+    await Station.applyStandards(stations);
+    
+    return { stations, reports };
+}
+
+/**
+ * The county boundaries with each county's metrics in its feature properties
+ */
+function toCountyFeatureCollection(counties) {
+    const metricsByKey = new Map(counties.map(county => [county.key, county]));
+    
+    return {
+        type: 'FeatureCollection',
+        attribution: COUNTY_BOUNDARIES.attribution,
+        license: COUNTY_BOUNDARIES.license,
+        features: COUNTY_BOUNDARIES.features.map(feature => ({
+            type: 'Feature',
+            id: feature.id,
+            geometry: feature.geometry,
+            properties: metricsByKey.get(feature.properties.key)
+        }))
+    };
+}
+
+module.exports = {
+    buildCountyMetrics,
+    findCountyDetail,
+    toCountyFeatureCollection
+};
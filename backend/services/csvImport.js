@@ -0,0 +1,554 @@
+/**
+ * CSV Import Service for Salyte Beacon
+ * Maps spreadsheet columns to stations and parameters, validates rows and imports readings
+ */
+
+const { Readable } = require('stream');
+const { setImmediate: yieldToEventLoop } = require('timers/promises');
+const { parse } = require('csv-parse');
+
+const ImportJob = require('../models/ImportJob');
+const Station = require('../models/Station');
+const { PARAMETERS, PARAMETER_KEYS, validateParameterValue, convertToCanonicalUnit } = require('../config/parameters');
+const { ingestReadings, MAX_BATCH_SIZE } = require('./telemetry');
+
+const PREVIEW_SIZE = 20;
+
+// The file is fed to the parser in chunks, and other requests get a turn every YIELD_EVERY rows
+const CHUNK_SIZE = 64 * 1024;
+const YIELD_EVERY = 500;
+
+// Column targets other than parameters; "parameter", "value" and "unit" describe long-format files
+const FIELD_TARGETS = ['station', 'timestamp', 'parameter', 'value', 'unit', 'ignore'];
+
+// Header spellings recognised without an explicit mapping (compared after matchKey)
+const FIELD_ALIASES = {
+    station: ['station', 'station code', 'station id', 'site', 'site code', 'site id'],
+    timestamp: ['timestamp', 'date', 'datetime', 'date time', 'sample date', 'sampled at', 'time'],
+    parameter: ['parameter', 'determinand', 'analyte'],
+    value: ['value', 'reading', 'result'],
+    unit: ['unit', 'units']
+};
+
+const PARAMETER_ALIASES = {
+    ph: ['ph'],
+    dissolvedOxygen: ['do', 'dissolved oxygen'],
+    turbidity: ['turb'],
+    temperature: ['temp', 'water temperature'],
+    conductivity: ['ec', 'electrical conductivity'],
+    coliform: ['coliform', 'coliforms', 'total coliforms'],
+    tds: ['total dissolved solids'],
+    chlorine: ['chlorine', 'residual chlorine'],
+    nitrate: ['nitrates', 'no3'],
+    fluoride: ['fluorides']
+};
+
+/**
+ * Reduce a header or parameter name to lowercase letters and digits
+ */
+function matchKey(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Lookup from matchKey(alias) to parameter key
+const PARAMETER_LOOKUP = new Map();
+PARAMETER_KEYS.forEach(key => {
+    [key, PARAMETERS[key].name, ...(PARAMETER_ALIASES[key] || [])]
+        .forEach(alias => PARAMETER_LOOKUP.set(matchKey(alias), key));
+});
+
+function findParameter(name) {
+    return PARAMETER_LOOKUP.get(matchKey(name)) || null;
+}
+
+/**
+ * Split "Turbidity (NTU)" or "Temperature [°F]" into a name and a unit
+ */
+function splitHeader(header) {
+    const match = String(header).match(/^(.*?)\s*[([]([^)\]]*)[)\]]\s*$/);
+    
+    if (!match) {
+        return { name: String(header).trim(), unit: null };
+    }
+    
+    return { name: match[1].trim(), unit: match[2].trim() || null };
+}
+
+function createError(message, status = 400, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Work out what each column holds
+ * `mapping` maps a header to a field target or parameter key; `units` maps a header to its unit.
+ */
+function buildColumnMap(headers, { mapping = {}, units = {}, station } = {}) {
+    const columnMap = {
+        station: null,
+        timestamp: null,
+        parameter: null,
+        value: null,
+        unit: null,
+        parameters: [],
+        ignored: []
+    };
+    const problems = [];
+    
+    Object.keys(mapping).forEach(header => {
+        if (!headers.includes(header)) {
+            problems.push(`Mapped column "${header}" is not in the file`);
+        }
+    });
+    
+    headers.forEach((header, index) => {
+        const { name, unit } = splitHeader(header);
+        let target = mapping[header];
+        
+        if (target !== undefined && !FIELD_TARGETS.includes(target) && !PARAMETER_KEYS.includes(target)) {
+            problems.push(`Column "${header}" is mapped to unknown target "${target}"`);
+            return;
+        }
+        
+        if (target === undefined) {
+            target = Object.keys(FIELD_ALIASES).find(field =>
+                FIELD_ALIASES[field].some(alias => matchKey(alias) === matchKey(name))
+            ) || findParameter(name);
+        }
+        
+        if (!target || target === 'ignore') {
+            columnMap.ignored.push(header);
+            return;
+        }
+        
+        if (PARAMETER_KEYS.includes(target)) {
+            columnMap.parameters.push({
+                index,
+                header,
+                parameter: target,
+                unit: units[header] || unit
+            });
+            return;
+        }
+        
+        if (columnMap[target] !== null) {
+            problems.push(`More than one column maps to ${target}`);
+            return;
+        }
+        
+        columnMap[target] = index;
+    });
+    
+    if (columnMap.timestamp === null) {
+        problems.push('No timestamp column found');
+    }
+    
+    if (columnMap.station === null && !station) {
+        problems.push('No station column found and no default station given');
+    }
+    
+    const isLongFormat = columnMap.parameter !== null || columnMap.value !== null;
+    if (isLongFormat && (columnMap.parameter === null || columnMap.value === null)) {
+        problems.push('Long-format files need both a parameter and a value column');
+    }
+    
+    if (!isLongFormat && columnMap.parameters.length === 0) {
+        problems.push('No parameter columns found');
+    }
+    
+    if (problems.length > 0) {
+        throw createError('The CSV columns could not be mapped', 400, problems);
+    }
+    
+    return columnMap;
+}
+
+/**
+ * Describe the resolved mapping for API responses
+ */
+function describeColumns(headers, columnMap) {
+    return headers.map((header, index) => {
+        const parameterColumn = columnMap.parameters.find(column => column.index === index);
+        
+        if (parameterColumn) {
+            return {
+                header,
+                target: parameterColumn.parameter,
+                unit: parameterColumn.unit || PARAMETERS[parameterColumn.parameter].unit
+            };
+        }
+        
+        const field = ['station', 'timestamp', 'parameter', 'value', 'unit']
+            .find(target => columnMap[target] === index);
+        
+        return { header, target: field || 'ignore' };
+    });
+}
+
+/**
+ * Parse a timestamp cell
+ * ISO 8601 is preferred; DD/MM/YYYY [HH:mm[:ss]] is read day-first, in server local time.
+ */
+function parseTimestamp(text) {
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    
+    if (dayFirst) {
+        const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = dayFirst.map(part => part && Number(part));
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        
+        // Reject dates that rolled over, e.g. 31/02/2024
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+    
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate one cell and convert it to a canonical reading
+ * Returns { reading }, { error } or {} for an empty cell.
+ */
+function readCell(parameter, rawValue, unit) {
+    if (rawValue === undefined || rawValue === '') {
+        return {};
+    }
+    
+    const number = Number(rawValue);
+    if (!Number.isFinite(number)) {
+        return { error: `"${rawValue}" is not a number` };
+    }
+    
+    const converted = convertToCanonicalUnit(parameter, number, unit);
+    if (converted.error) {
+        return { error: converted.error };
+    }
+    
+    const value = Math.round(converted.value * 1000) / 1000;
+    const rangeError = validateParameterValue(parameter, value);
+    if (rangeError) {
+        return { error: rangeError };
+    }
+    
+    return {
+        reading: {
+            parameter,
+            value,
+            unit: PARAMETERS[parameter].unit
+        }
+    };
+}
+
+/**
+ * Stream of { record, info } for each row of an uploaded file
+ */
+function parseRows(buffer, options = {}) {
+    function* chunks() {
+        for (let start = 0; start < buffer.length; start += CHUNK_SIZE) {
+            yield buffer.subarray(start, start + CHUNK_SIZE);
+        }
+    }
+    
+    return Readable.from(chunks()).pipe(parse({
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true,
+        ...options
+    }));
+}
+
+/**
+ * Parse errors from csv-parse become 400s; anything else is passed on
+ */
+function toParseError(error) {
+    return error instanceof Error && String(error.code).startsWith('CSV_')
+        ? createError(`The file is not valid CSV: ${error.message}`)
+        : error;
+}
+
+/**
+ * Check that the header row can be mapped, without reading the rest of the file
+ */
+async function checkColumns(buffer, { mapping, units, station } = {}) {
+    let headers = null;
+    try {
+        for await (const { record } of parseRows(buffer, { to_line: 1 })) {
+            headers = record;
+        }
+    } catch (error) {
+        throw toParseError(error);
+    }
+    
+    if (!headers) {
+        throw createError('The file is empty');
+    }
+    
+    const columnMap = buildColumnMap(headers, { mapping, units, station });
+    return describeColumns(headers, columnMap);
+}
+
+/**
+ * Parse and validate a CSV file without writing anything
+ * Rows are read from a stream, so a large file does not hold up other requests. Readings are
+ * grouped by station; rows that fail are reported with their line number.
+ */
+async function prepareImport(buffer, { mapping, units, station: defaultStation, user } = {}) {
+    let headers = null;
+    let columnMap = null;
+    
+    const stationCache = new Map();
+    const resolveStation = async (reference) => {
+        if (!stationCache.has(reference)) {
+            const station = await Station.findByIdOrCode(reference);
+            
+            if (!station) {
+                stationCache.set(reference, { error: `Unknown station "${reference}"` });
+            } else if (!station.isManagedBy(user)) {
+                stationCache.set(reference, { error: `You do not manage station ${station.code}` });
+            } else {
+                stationCache.set(reference, { station });
+            }
+        }
+        return stationCache.get(reference);
+    };
+    
+    const groups = new Map();
+    const errors = [];
+    let readingCount = 0;
+    let rows = 0;
+    
+    // Validate one data row, adding its readings to `groups` and its problems to `errors`
+    const readRow = async (record, row) => {
+        const cell = index => (index === null ? undefined : record[index]);
+        
+        const stationReference = cell(columnMap.station) || defaultStation;
+        if (!stationReference) {
+            errors.push({ row, column: headers[columnMap.station], message: 'Station is missing' });
+            return;
+        }
+        
+        const { station, error: stationError } = await resolveStation(stationReference);
+        if (stationError) {
+            errors.push({ row, column: headers[columnMap.station], message: stationError });
+            return;
+        }
+        
+        const timestampText = cell(columnMap.timestamp);
+        const timestamp = timestampText ? parseTimestamp(timestampText) : null;
+        if (!timestamp) {
+            errors.push({
+                row,
+                column: headers[columnMap.timestamp],
+                message: timestampText ? `"${timestampText}" is not a valid date` : 'Timestamp is missing'
+            });
+            return;
+        }
+        
+        if (timestamp.getTime() > Date.now()) {
+            errors.push({ row, column: headers[columnMap.timestamp], message: 'Timestamp is in the future' });
+            return;
+        }
+        
+        const cells = columnMap.parameters.map(column => ({
+            column: column.header,
+            parameter: column.parameter,
+            value: cell(column.index),
+            unit: column.unit
+        }));
+        
+        if (columnMap.parameter !== null) {
+            const parameterName = cell(columnMap.parameter);
+            const parameter = findParameter(parameterName);
+            
+            if (!parameter) {
+                errors.push({ row, column: headers[columnMap.parameter], message: `Unknown parameter "${parameterName || ''}"` });
+                return;
+            }
+            
+            cells.push({
+                column: headers[columnMap.value],
+                parameter,
+                value: cell(columnMap.value),
+                unit: cell(columnMap.unit) || (units && units[headers[columnMap.value]])
+            });
+        }
+        
+        if (!groups.has(station.id)) {
+            groups.set(station.id, { station, readings: [] });
+        }
+        const group = groups.get(station.id);
+        
+        cells.forEach(({ column, parameter, value, unit }) => {
+            const { reading, error } = readCell(parameter, value, unit);
+            
+            if (error) {
+                errors.push({ row, column, message: error });
+            } else if (reading) {
+                group.readings.push({ ...reading, timestamp, row });
+                readingCount++;
+            }
+        });
+    };
+    
+    try {
+        for await (const { record, info } of parseRows(buffer)) {
+            if (!headers) {
+                headers = record;
+                columnMap = buildColumnMap(headers, { mapping, units, station: defaultStation });
+                continue;
+            }
+            
+            rows++;
+            if (rows % YIELD_EVERY === 0) await yieldToEventLoop();
+            
+            await readRow(record, info.lines);
+        }
+    } catch (error) {
+        throw toParseError(error);
+    }
+    
+    if (rows === 0) {
+        throw createError('The file needs a header row and at least one data row');
+    }
+    
+    return {
+        headers,
+        columns: describeColumns(headers, columnMap),
+        ignoredColumns: columnMap.ignored,
+        rows,
+        readings: readingCount,
+        groups,
+        errors
+    };
+}
+
+/**
+ * Summarise a prepared import for a dry-run response
+ */
+function buildPreview(prepared, { errorLimit = 100 } = {}) {
+    const groups = [...prepared.groups.values()];
+    
+    const preview = groups
+        .flatMap(({ station, readings }) => readings.map(reading => ({
+            row: reading.row,
+            station: station.code,
+            parameter: reading.parameter,
+            value: reading.value,
+            unit: reading.unit,
+            timestamp: reading.timestamp
+        })))
+        .sort((a, b) => a.row - b.row)
+        .slice(0, PREVIEW_SIZE);
+    
+    return {
+        summary: {
+            rows: prepared.rows,
+            readings: prepared.readings,
+            errors: prepared.errors.length,
+            stations: groups.map(({ station, readings }) => ({
+                id: station._id,
+                code: station.code,
+                name: station.name,
+                readings: readings.length
+            }))
+        },
+        columns: prepared.columns,
+        ignoredColumns: prepared.ignoredColumns,
+        preview,
+        errors: prepared.errors.slice(0, errorLimit)
+    };
+}
+
+/**
+ * Import a prepared file, updating the job as each batch is stored
+ */
+async function runImport(job, prepared) {
+    job.totals.rows = prepared.rows;
+    job.totals.readings = prepared.readings;
+    job.addRowErrors(prepared.errors);
+    await job.save();
+    
+    for (const { station, readings } of prepared.groups.values()) {
+        for (let start = 0; start < readings.length; start += MAX_BATCH_SIZE) {
+            const batch = readings.slice(start, start + MAX_BATCH_SIZE);
+            const result = await ingestReadings(
+                station,
+                batch.map(({ row, ...reading }) => reading),
+                { source: 'upload', requireSensor: false }
+            );
+            
+            job.totals.processed += batch.length;
+            job.totals.stored += result.stored;
+            job.totals.duplicates += result.duplicates;
+            job.addRowErrors(result.rejected.map(({ index, reason }) => ({
+                row: batch[index].row,
+                column: batch[index].parameter,
+                message: reason
+            })));
+            
+            await job.save();
+        }
+    }
+}
+
+/**
+ * Process an import job in the background
+ * The upload request returns as soon as the job is queued.
+ */
+function startImport(job, buffer, options) {
+    setImmediate(async () => {
+        try {
+            job.status = 'processing';
+            job.startedAt = new Date();
+            await job.save();
+            
+            const prepared = await prepareImport(buffer, options);
+            await runImport(job, prepared);
+            
+            job.status = 'completed';
+            job.completedAt = new Date();
+            await job.save();
+            
+            console.log(`📥 Import ${job._id} completed: ${job.totals.stored} readings stored, ${job.errorCount} errors`);
+        
+        } catch (error) {
+            console.error('CSV import error:', error);
+            
+            job.status = 'failed';
+            job.failureReason = error.details ? `${error.message}: ${error.details.join('; ')}` : error.message;
+            job.completedAt = new Date();
+            await job.save().catch(saveError => console.error('Import job save error:', saveError));
+        }
+    });
+}
+
+/**
+ * Fail imports that were queued or running when the server stopped
+ * Uploads are only held in memory, so these files have to be uploaded again; readings already
+ * stored are kept and are counted as duplicates on the second upload.
+ */
+async function recoverInterruptedImports() {
+    const result = await ImportJob.updateMany(
+        { status: { $in: ['queued', 'processing'] } },
+        {
+            status: 'failed',
+            failureReason: 'The server restarted before this import finished. Upload the file again to import the remaining rows.',
+            completedAt: new Date()
+        }
+    );
+    
+    if (result.modifiedCount > 0) {
+        console.log(`📥 ${result.modifiedCount} interrupted CSV import(s) marked as failed`);
+    }
+}
+
+module.exports = {
+    checkColumns,
+    prepareImport,
+    buildPreview,
+    startImport,
+    recoverInterruptedImports
+};
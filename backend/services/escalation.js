@@ -0,0 +1,216 @@
+/**
+ * Alert Escalation Scheduler for Salyte Beacon
+ * Periodically applies escalation policies to open alerts nobody has acknowledged,
+ * recording each step in the alert's history and notifying the people brought in
+ */
+
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Station = require('../models/Station');
+const User = require('../models/user');
+const { emailUser } = require('./mail');
+const { smsUser } = require('./sms');
+const { membersOf } = require('./organizations');
+const { MANAGER_ROLES } = require('../middleware/auth');
+const { ESCALATION_TARGETS, CHECK_INTERVAL_MS } = require('../config/escalation');
+const { APP_URL } = require('../config/mail');
+
+// Alerts handled per priority in one run; the rest are picked up by the next run
+const BATCH_LIMIT = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Start checking for due escalation steps in the background
+ */
+function startEscalationScheduler(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    
+    timer = setInterval(runScheduled, intervalMs);
+    timer.unref(); // Never keep the process alive just for escalations
+    
+    console.log(`⏰ Alert escalation scheduler running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+function stopEscalationScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * One scheduled run; skipped while the previous run is still going
+ */
+async function runScheduled() {
+    if (running) return;
+    running = true;
+    
+    try {
+        await runEscalations();
+    } catch (error) {
+        console.error('Alert escalation error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Take every escalation step that is due at `now`; returns the number of steps taken
+ */
+async function runEscalations(now = new Date()) {
+    const policies = await EscalationPolicy.loadAll();
+    let taken = 0;
+    
+    for (const [priority, steps] of Object.entries(policies)) {
+        if (steps.length === 0) continue;
+        
+        const alerts = await Alert.find({
+            status: 'open',
+            priority: priority,
+            'acknowledgement.at': { $exists: false },
+            escalationLevel: { $lt: steps.length },
+            escalationStartedAt: { $lte: new Date(now.getTime() - steps[0].afterMinutes * 60 * 1000) }
+        })
+            .sort({ escalationStartedAt: 1 })
+            .limit(BATCH_LIMIT);
+        
+        for (const alert of alerts) {
+            taken += await escalateAlert(alert, steps, now);
+        }
+    }
+    
+    return taken;
+}
+
+/**
+ * Take the alert's due steps, timed from when it reached its current priority
+ * The update only applies if no other run, acknowledgement or priority change got there first.
+ */
+async function escalateAlert(alert, steps, now) {
+    const minutesWaiting = (now.getTime() - alert.escalationStartedAt.getTime()) / (60 * 1000);
+    const due = steps
+        .map((step, index) => ({ ...step, index }))
+        .filter(step => step.index >= alert.escalationLevel && minutesWaiting >= step.afterMinutes);
+    
+    if (due.length === 0) return 0;
+    
+    const entries = [];
+    const notified = new Map();
+    for (const step of due) {
+        const recipients = await resolveRecipients(step.target, alert);
+        recipients.forEach(user => notified.set(user._id.toString(), user));
+        
+        entries.push({
+            event: 'escalation-step',
+            priority: alert.priority,
+            target: step.target,
+            recipients: recipients.map(user => user._id),
+            note: `Not acknowledged after ${formatMinutes(step.afterMinutes)}; escalated to ` +
+                `${ESCALATION_TARGETS[step.target].toLowerCase()}` +
+                (recipients.length === 0 ? ' (no matching accounts)' : ''),
+            at: now
+        });
+    }
+    
+    const result = await Alert.updateOne(
+        {
+            _id: alert._id,
+            status: 'open',
+            priority: alert.priority,
+            escalationLevel: alert.escalationLevel,
+            escalationStartedAt: alert.escalationStartedAt,
+            'acknowledgement.at': { $exists: false }
+        },
+        {
+            $set: { escalationLevel: due[due.length - 1].index + 1 },
+            $push: { history: { $each: entries } }
+        }
+    );
+    
+    if (result.modifiedCount === 0) return 0;
+    
+    entries.forEach(entry => {
+        console.log(`⏫ Alert ${alert._id} (${alert.priority}) escalated to ${entry.target}: ${entry.recipients.length} recipient(s)`);
+    });
+    
+    await notifyRecipients(alert, [...notified.values()], now);
+    
+    return entries.length;
+}
+
+/**
+ * Accounts an escalation target stands for, for one alert
+ * The organization's accounts are its members.
+ */
+async function resolveRecipients(target, alert) {
+    const query = {};
+    
+    switch (target) {
+        case 'organization':
+            query._id = { $in: await membersOf(alert.organizationKey) };
+            query.role = { $in: MANAGER_ROLES };
+            break;
+        case 'county-officer':
+            if (!alert.county) return [];
+            query.role = 'government';
+            query.location = new RegExp(`^\\s*${escapeRegex(alert.county)}(\\s+county)?\\s*$`, 'i');
+            break;
+        case 'regional-admin':
+            query.role = 'admin';
+            break;
+        default:
+            return [];
+    }
+    
+    return User.find(query).select('_id firstName lastName email phone preferences');
+}
+
+/**
+ * Email and text the people an alert was escalated to
+ * Delivery failures are logged; the escalation itself is already recorded.
+ */
+async function notifyRecipients(alert, recipients, now) {
+    if (recipients.length === 0) return;
+    
+    const station = await Station.findById(alert.station).select('name');
+    const data = {
+        title: alert.title,
+        message: alert.message,
+        priority: alert.priority,
+        stationName: station?.name || 'a monitoring station',
+        county: alert.county,
+        openFor: formatMinutes(Math.round((now.getTime() - alert.escalationStartedAt.getTime()) / (60 * 1000))),
+        url: `${APP_URL}/dashboard.html`
+    };
+    
+    // Each channel separately, so a failed email does not stop the text message
+    for (const user of recipients) {
+        try {
+            await emailUser(user, 'alertEscalation', data);
+        } catch (error) {
+            console.error(`Escalation email error for alert ${alert._id}:`, error);
+        }
+        
+        try {
+            await smsUser(user, 'alertEscalation', data);
+        } catch (error) {
+            console.error(`Escalation SMS error for alert ${alert._id}:`, error);
+        }
+    }
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    if (minutes < 1440) return `${Math.round(minutes / 60 * 10) / 10} h`;
+    return `${Math.round(minutes / 1440 * 10) / 10} days`;
+}
+
+module.exports = {
+    startEscalationScheduler,
+    stopEscalationScheduler,
+    runEscalations
+};
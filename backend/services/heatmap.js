@@ -0,0 +1,268 @@
+/**
+ * Heatmap Service for Salyte Beacon
+ * Weighted hexagonal bins of report density, report severity, affected people or contamination
+ * for a map view, so that hotspots can be drawn without sending every point
+ */
+
+const Report = require('../models/Report');
+const Station = require('../models/Station');
+const { parseMapQuery, reportQuery, pixelExpression, unprojectPixels } = require('./mapData');
+
+/**
+ * What a heatmap measures
+ * contamination adds stations whose readings are outside safe limits to contamination reports,
+ * weighted on the same scale as report severity.
+ */
+const HEATMAP_METRICS = {
+    reports: 'Number of reports',
+    severity: 'Reports weighted by severity',
+    affected: 'People affected',
+    contamination: 'Contamination reports and contaminated stations, weighted by severity'
+};
+
+const SEVERITY_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 4 };
+const QUALITY_WEIGHTS = { warning: 2, critical: 4 };
+
+// Hexagon radius (centre to corner) in screen pixels at the requested zoom
+const DEFAULT_RADIUS_PIXELS = 20;
+const MIN_RADIUS_PIXELS = 5;
+const MAX_RADIUS_PIXELS = 100;
+
+// Window used when no range, days or from/to is given
+const DEFAULT_DAYS = 30;
+
+// Most bins returned per source for one heatmap, heaviest first
+const MAX_BINS = 10000;
+
+const REPORT_TYPES = Report.schema.path('type').enumValues;
+
+/**
+ * Read heatmap query parameters
+ * Query: as for the map (bbox, zoom, range or days or from/to, county, quality, sourceType), plus
+ * metric, category (comma-separated report types) and radius (pixels). zoom is required; the
+ * window defaults to the last 30 days.
+ * Returns { mapQuery, metric, categories, radius } or { error }.
+ */
+function parseHeatmapQuery(query) {
+    const metric = query.metric || 'reports';
+    if (!HEATMAP_METRICS[metric]) {
+        return { error: `metric must be one of: ${Object.keys(HEATMAP_METRICS).join(', ')}` };
+    }
+    
+    if (query.zoom === undefined || query.zoom === '') {
+        return { error: 'zoom is required' };
+    }
+    
+    const windowGiven = ['range', 'days', 'from', 'to'].some(field => query[field] !== undefined && query[field] !== '');
+    const mapQuery = parseMapQuery(windowGiven ? query : { ...query, days: DEFAULT_DAYS });
+    if (mapQuery.error) return { error: mapQuery.error };
+    
+    let categories = null;
+    if (query.category && query.category !== 'all') {
+        if (metric === 'contamination') {
+            return { error: 'category does not apply to the contamination metric' };
+        }
+        
+        categories = String(query.category).split(',').map(item => item.trim()).filter(Boolean);
+        if (categories.some(category => !REPORT_TYPES.includes(category))) {
+            return { error: `category must be one of: ${REPORT_TYPES.join(', ')}` };
+        }
+    }
+    
+    const radius = query.radius === undefined ? DEFAULT_RADIUS_PIXELS : Number(query.radius);
+    if (!Number.isFinite(radius) || radius < MIN_RADIUS_PIXELS || radius > MAX_RADIUS_PIXELS) {
+        return { error: `radius must be from ${MIN_RADIUS_PIXELS} to ${MAX_RADIUS_PIXELS} pixels` };
+    }
+    
+    return { mapQuery, metric, categories, radius };
+}
+
+/**
+ * Hexagon bins for a parsed heatmap query, as GeoJSON polygon features
+ * Points are binned in the database, so only bins come back. Each bin has its number of points,
+ * summed weight and intensity (weight relative to the heaviest bin); bins with no weight are left out.
+ * Returns { features, points, maxWeight, totalWeight, truncated }.
+ */
+async function buildHeatmap({ mapQuery, metric, categories, radius }) {
+    const zoom = Math.floor(mapQuery.zoom);
+    const bins = new Map();
+    let truncated = false;
+    
+    const addBins = result => {
+        result.bins.forEach(({ _id, count, weight }) => {
+            const key = `${_id.q}:${_id.r}`;
+            const bin = bins.get(key) || { count: 0, weight: 0 };
+            bin.count += count;
+            bin.weight += weight;
+            bins.set(key, bin);
+        });
+        truncated = truncated || result.truncated;
+    };
+    
+    const layerQuery = metric === 'contamination'
+        ? { reportType: ['contamination'] }
+        : { reportType: categories || [] };
+    addBins(await groupBins(Report, reportQuery(mapQuery, { query: layerQuery }), reportWeightExpression(metric), zoom, radius));
+    
+    if (metric === 'contamination') {
+        const { filter, qualities } = mapQuery;
+        const stages = [{ $addFields: { quality: await Station.waterQualityExpression(filter) } }];
+        if (qualities) stages.push({ $match: { quality: { $in: qualities } } });
+        
+        const weight = {
+            $switch: {
+                branches: Object.entries(QUALITY_WEIGHTS).map(([quality, value]) => ({ case: { $eq: ['$quality', quality] }, then: value })),
+                default: 0
+            }
+        };
+        addBins(await groupBins(Station, filter, weight, zoom, radius, stages));
+    }
+    
+    const maxWeight = Math.max(0, ...[...bins.values()].map(bin => bin.weight));
+    const totalWeight = [...bins.values()].reduce((sum, bin) => sum + bin.weight, 0);
+    const points = [...bins.values()].reduce((sum, bin) => sum + bin.count, 0);
+    
+    const features = [...bins.entries()].map(([key, bin]) => ({
+        type: 'Feature',
+        id: `hex-${zoom}-${key}`,
+        geometry: hexPolygon(key, zoom, radius, mapQuery.precision),
+        properties: {
+            id: `hex-${zoom}-${key}`,
+            count: bin.count,
+            weight: bin.weight,
+            intensity: Math.round(bin.weight / maxWeight * 1000) / 1000
+        }
+    }));
+    
+    return { features, points, maxWeight, totalWeight, truncated };
+}
+
+/**
+ * Sum the weights of the documents matching `match` per hexagon bin; `stages` run before weighing
+ * Returns { bins: [{ _id: { q, r }, count, weight }], truncated }.
+ */
+async function groupBins(Model, match, weight, zoom, radius, stages = []) {
+    const bins = await Model.aggregate([
+        { $match: match },
+        ...stages,
+        {
+            $project: {
+                lng: { $arrayElemAt: ['$location.coordinates', 0] },
+                lat: { $arrayElemAt: ['$location.coordinates', 1] },
+                weight: weight
+            }
+        },
+        { $match: { weight: { $gt: 0 } } },
+        ...hexCellStages(zoom, radius),
+        {
+            $group: {
+                _id: { q: '$q', r: '$r' },
+                count: { $sum: 1 },
+                weight: { $sum: '$weight' }
+            }
+        },
+        { $sort: { weight: -1 } },
+        { $limit: MAX_BINS + 1 }
+    ]).allowDiskUse(true);
+    
+    return {
+        bins: bins.slice(0, MAX_BINS),
+        truncated: bins.length > MAX_BINS
+    };
+}
+
+/**
+ * Aggregation expression for a report's weight under a metric
+ */
+function reportWeightExpression(metric) {
+    switch (metric) {
+        case 'affected':
+            return { $ifNull: ['$affectedPeople', 0] };
+        case 'severity':
+        case 'contamination':
+            return {
+                $switch: {
+                    branches: Object.entries(SEVERITY_WEIGHTS).map(([severity, value]) => ({ case: { $eq: ['$severity', severity] }, then: value })),
+                    default: 0
+                }
+            };
+        default:
+            return { $literal: 1 };
+    }
+}
+
+/**
+ * Aggregation stages adding the pointy-top hexagon (q, r axial coordinates) containing a
+ * document's lng and lat, on a grid in Web Mercator pixels at the zoom level
+ * Coordinates are rounded in cube coordinates, correcting the component that moved most;
+ * rounding adds 0.5 and floors, like Math.round, since $round rounds halves to even.
+ */
+function hexCellStages(zoom, radius) {
+    const { x, y } = pixelExpression(zoom);
+    const round = value => ({ $floor: { $add: [value, 0.5] } });
+    const distance = (a, b) => ({ $abs: { $subtract: [a, b] } });
+    const qMovedMost = { $and: [{ $gt: ['$qDiff', '$rDiff'] }, { $gt: ['$qDiff', '$sDiff'] }] };
+    
+    return [
+        {
+            $addFields: {
+                rawQ: { $divide: [{ $subtract: [{ $multiply: [Math.sqrt(3) / 3, x] }, { $divide: [y, 3] }] }, radius] },
+                rawR: { $divide: [{ $multiply: [2 / 3, y] }, radius] }
+            }
+        },
+        { $addFields: { rawS: { $subtract: [{ $multiply: [-1, '$rawQ'] }, '$rawR'] } } },
+        { $addFields: { roundedQ: round('$rawQ'), roundedR: round('$rawR'), roundedS: round('$rawS') } },
+        {
+            $addFields: {
+                qDiff: distance('$roundedQ', '$rawQ'),
+                rDiff: distance('$roundedR', '$rawR'),
+                sDiff: distance('$roundedS', '$rawS')
+            }
+        },
+        {
+            $addFields: {
+                q: { $cond: [qMovedMost, { $subtract: [{ $multiply: [-1, '$roundedR'] }, '$roundedS'] }, '$roundedQ'] },
+                r: {
+                    $cond: [
+                        { $and: [{ $not: [qMovedMost] }, { $gt: ['$rDiff', '$sDiff'] }] },
+                        { $subtract: [{ $multiply: [-1, '$roundedQ'] }, '$roundedS'] },
+                        '$roundedR'
+                    ]
+                }
+            }
+        }
+    ];
+}
+
+/**
+ * GeoJSON polygon of a hexagon cell
+ */
+function hexPolygon(key, zoom, radius, precision = 6) {
+    const [q, r] = key.split(':').map(Number);
+    const centerX = radius * Math.sqrt(3) * (q + r / 2);
+    const centerY = radius * 3 / 2 * r;
+    const factor = 10 ** precision;
+    const ring = [];
+    
+    for (let corner = 0; corner < 6; corner++) {
+        const angle = (60 * corner - 30) * Math.PI / 180;
+        const [lng, lat] = unprojectPixels(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle), zoom);
+        ring.push([Math.round(lng * factor) / factor, Math.round(lat * factor) / factor]);
+    }
+    
+    // Pixel y grows southwards, so the corners above run clockwise; GeoJSON wants counter-clockwise
+    ring.reverse();
+    ring.push(ring[0]);
+    
+    return {
+        type: 'Polygon',
+        coordinates: [ring]
+    };
+}
+
+module.exports = {
+    parseHeatmapQuery,
+    buildHeatmap,
+    HEATMAP_METRICS,
+    SEVERITY_WEIGHTS
+};
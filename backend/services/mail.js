@@ -0,0 +1,292 @@
+/**
+ * Email Delivery Service for Salyte Beacon
+ * Renders localized templates, queues messages and sends them through the configured transport,
+ * retrying failed sends in the background
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EmailMessage = require('../models/EmailMessage');
+const { EMAIL_TEMPLATES, UNSUBSCRIBE_LABELS } = require('../config/emailTemplates');
+const {
+    MAIL_TRANSPORT, MAIL_FROM, MAIL_DIR, SMTP, MAIL_LANGUAGES, DEFAULT_LANGUAGE, QUEUE_INTERVAL_MS
+} = require('../config/mail');
+
+// Messages sent per queue run; the rest are picked up by the next run
+const BATCH_LIMIT = 100;
+
+// Messages left in "sending" this long are assumed lost and queued again
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+/**
+ * Prints messages to the server log instead of sending them
+ */
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+    
+    async send(message) {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: `<${crypto.randomUUID()}@console>` };
+    }
+}
+
+/**
+ * Writes each message as an .eml file, for opening in a mail client during development
+ */
+class FileTransport {
+    constructor(dir) {
+        this.name = 'file';
+        this.dir = path.resolve(dir);
+        this.mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    
+    async send(message) {
+        const info = await this.mailer.sendMail(message);
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, fileName), info.message);
+        
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * Delivers through an SMTP server
+ */
+class SmtpTransport {
+    constructor(options) {
+        if (!options.host) {
+            throw new Error('SMTP_HOST is required for the smtp mail transport');
+        }
+        
+        this.name = 'smtp';
+        this.mailer = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+    
+    async send(message) {
+        const info = await this.mailer.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * Available transports, selected with MAIL_TRANSPORT
+ */
+const transports = {
+    console: () => new ConsoleTransport(),
+    file: () => new FileTransport(MAIL_DIR),
+    smtp: () => new SmtpTransport(SMTP)
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport instance
+ */
+function getTransport() {
+    if (!transport) {
+        if (!transports[MAIL_TRANSPORT]) {
+            throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+        }
+        
+        transport = transports[MAIL_TRANSPORT]();
+    }
+    
+    return transport;
+}
+
+/**
+ * Render a template in a language, falling back to English
+ * `data.unsubscribeUrl` adds an unsubscribe link at the bottom.
+ */
+function renderTemplate(templateKey, language, data) {
+    const template = EMAIL_TEMPLATES[templateKey];
+    
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateKey}`);
+    }
+    
+    const resolved = MAIL_LANGUAGES.includes(language) && template[language] ? language : DEFAULT_LANGUAGE;
+    const content = template[resolved];
+    const paragraphs = content.body(data).filter(Boolean);
+    const subject = content.subject(data);
+    
+    const text = [
+        ...paragraphs,
+        data.url ? `${content.action}: ${data.url}` : null,
+        '— Salyte Beacon',
+        data.unsubscribeUrl ? `${UNSUBSCRIBE_LABELS[resolved]}: ${data.unsubscribeUrl}` : null
+    ].filter(Boolean).join('\n\n');
+    
+    const html = [
+        ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        data.url
+            ? `<p><a href="${escapeHtml(data.url)}" style="display:inline-block;padding:10px 18px;background:#0d6efd;` +
+                `color:#ffffff;text-decoration:none;border-radius:4px">${escapeHtml(content.action)}</a></p>`
+            : null,
+        '<p style="color:#6c757d">— Salyte Beacon</p>',
+        data.unsubscribeUrl
+            ? `<p style="font-size:12px"><a href="${escapeHtml(data.unsubscribeUrl)}" style="color:#6c757d">` +
+                `${escapeHtml(UNSUBSCRIBE_LABELS[resolved])}</a></p>`
+            : null
+    ].filter(Boolean).join('\n');
+    
+    return { language: resolved, subject, text, html };
+}
+
+/**
+ * Whether a user wants an email of the template's category
+ * Account emails (password reset, verification) always go out.
+ */
+function wantsEmail(user, templateKey) {
+    if (!user?.email) return false;
+    if (EMAIL_TEMPLATES[templateKey]?.category !== 'notification') return true;
+    return user.preferences?.emailNotifications !== false;
+}
+
+/**
+ * Render a template and queue it for sending
+ */
+async function queueEmail({ to, template, language, data, user }) {
+    const rendered = renderTemplate(template, language, data);
+    
+    const message = await EmailMessage.create({
+        to: to,
+        user: user,
+        template: template,
+        language: rendered.language,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+        unsubscribeUrl: data.unsubscribeUrl
+    });
+    
+    // Send right away rather than waiting for the next scheduled run
+    setImmediate(runScheduled);
+    
+    return message;
+}
+
+/**
+ * Queue a template for a user in their language, if their preferences allow it
+ * Returns the queued message, or null when the user opted out.
+ */
+function emailUser(user, template, data) {
+    if (!wantsEmail(user, template)) return Promise.resolve(null);
+    
+    return queueEmail({
+        to: user.email,
+        template: template,
+        language: user.preferences?.language,
+        data: { name: user.firstName, ...data },
+        user: user._id
+    });
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Start sending queued messages in the background
+ */
+function startMailQueue(intervalMs = QUEUE_INTERVAL_MS) {
+    if (timer) return;
+    
+    timer = setInterval(runScheduled, intervalMs);
+    timer.unref(); // Never keep the process alive just for the mail queue
+    
+    console.log(`📬 Mail queue running every ${Math.round(intervalMs / 1000)}s (${MAIL_TRANSPORT} transport)`);
+}
+
+function stopMailQueue() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * One scheduled run; skipped while the previous run is still going
+ */
+async function runScheduled() {
+    if (running) return;
+    running = true;
+    
+    try {
+        await processQueue();
+    } catch (error) {
+        console.error('Mail queue error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Send every message that is due; returns counts of sent and failed attempts
+ */
+async function processQueue(now = new Date()) {
+    const summary = { sent: 0, failed: 0 };
+    
+    await EmailMessage.releaseStale(STALE_SEND_MS, now);
+    
+    for (let count = 0; count < BATCH_LIMIT; count++) {
+        const message = await EmailMessage.claimNext(now);
+        if (!message) break;
+        
+        try {
+            const activeTransport = getTransport();
+            const info = await activeTransport.send({
+                from: MAIL_FROM,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                ...(message.unsubscribeUrl && {
+                    list: { unsubscribe: message.unsubscribeUrl },
+                    headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+                })
+            });
+            
+            message.markSent(activeTransport.name, info.messageId);
+            summary.sent += 1;
+        } catch (error) {
+            message.markFailed(error);
+            summary.failed += 1;
+            
+            console.error(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}, ` +
+                `${message.status === 'failed' ? 'giving up' : 'will retry'}):`, error.message);
+        }
+        
+        await message.save();
+    }
+    
+    return summary;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    renderTemplate,
+    queueEmail,
+    emailUser,
+    startMailQueue,
+    stopMailQueue,
+    processQueue,
+    getTransport
+};
@@ -0,0 +1,743 @@
+/**
+ * Map Data Service for Salyte Beacon
+ * Reads map queries (bounding box, zoom, quality, source type and date range) and
+ * serves monitoring stations and community reports as GeoJSON features, each in its map layer,
+ * or grouped into clusters for zoomed-out views
+ */
+
+const Station = require('../models/Station');
+const Report = require('../models/Report');
+const { QUALITY_CLASSES } = require('../config/standards');
+const { stationMatchesLayer, stationLayerExpression, reportLayerFilter } = require('./mapLayers');
+
+// Names used by the map's filters for the standard-based quality classes and source types
+const QUALITY_ALIASES = { moderate: 'warning', unsafe: 'critical' };
+const SOURCE_TYPE_ALIASES = { treatment: 'treatment-plant', treatment_plant: 'treatment-plant' };
+
+// Named ranges of the map's date filter, in days
+const DATE_RANGES = { week: 7, month: 30, quarter: 90, year: 365 };
+
+// Most stations read for one request; quality is worked out per station after the query
+const MAX_SCANNED = 5000;
+
+// Most features returned up to each zoom level; zoomed-out views get fewer, most recent first
+const FEATURE_LIMITS = [
+    { maxZoom: 6, limit: 500 },
+    { maxZoom: 10, limit: 2000 },
+    { maxZoom: Infinity, limit: 5000 }
+];
+
+// Widest slice of a bounding box queried as one polygon, and the longest polygon edge
+const MAX_SLICE_DEGREES = 90;
+const EDGE_STEP_DEGREES = 1;
+
+// Polygons cannot touch the poles
+const MAX_LATITUDE = 89.9;
+
+// Clusters are the cells of a grid this many pixels wide at the requested zoom
+const CLUSTER_CELL_PIXELS = 80;
+
+// From this zoom on, features are sent one by one instead of clustered
+const CLUSTER_MAX_ZOOM = 15;
+
+// Most grid cells returned per source for one clustered view, most populated first
+const MAX_CLUSTER_CELLS = 2000;
+
+// Most stations read by one scan, in batches
+const CLUSTER_SCAN_LIMIT = 100000;
+const CLUSTER_BATCH_SIZE = 1000;
+
+// Web Mercator stops short of the poles
+const MERCATOR_MAX_LATITUDE = 85.05112878;
+
+const STATION_FIELDS = 'code name description sourceType locationName county location organization status lastReadingAt latestReadings updatedAt';
+const REPORT_FIELDS = 'trackingId title type severity status county locationName location submittedAt updatedAt';
+
+/**
+ * Read map query parameters
+ * Query: bbox (west,south,east,north), zoom (0-22), quality, sourceType (comma-separated),
+ * range (week, month, quarter, year, all) or days or from/to, county.
+ * quality and sourceType only apply to stations; the date range is the last reading for
+ * stations and the submission date for reports.
+ * Returns { filter, area, since, county, qualities, zoom, limit, precision, bbox } or { error }.
+ */
+function parseMapQuery(query) {
+    const filter = { status: { $ne: 'decommissioned' } };
+    
+    let bbox = null;
+    let area = null;
+    if (query.bbox) {
+        bbox = parseBbox(query.bbox);
+        if (!bbox) {
+            return { error: 'bbox must be west,south,east,north in degrees (longitude -180 to 180, latitude -90 to 90)' };
+        }
+        area = {
+            $or: bboxToPolygons(bbox).map(polygon => ({
+                location: { $geoWithin: { $geometry: polygon } }
+            }))
+        };
+        Object.assign(filter, area);
+    }
+    
+    let zoom = null;
+    if (query.zoom !== undefined && query.zoom !== '') {
+        zoom = Number(query.zoom);
+        if (!Number.isFinite(zoom) || zoom < 0 || zoom > 22) {
+            return { error: 'zoom must be between 0 and 22' };
+        }
+    }
+    
+    let qualities = null;
+    if (query.quality && query.quality !== 'all') {
+        qualities = splitList(query.quality).map(quality => QUALITY_ALIASES[quality] || quality);
+        const unknown = qualities.filter(quality => !QUALITY_CLASSES.includes(quality));
+        if (unknown.length > 0) {
+            return { error: `quality must be one of: ${QUALITY_CLASSES.join(', ')}` };
+        }
+    }
+    
+    if (query.sourceType && query.sourceType !== 'all') {
+        const sourceTypes = splitList(query.sourceType).map(type => SOURCE_TYPE_ALIASES[type] || type);
+        if (sourceTypes.some(type => !Station.SOURCE_TYPES.includes(type))) {
+            return { error: `sourceType must be one of: ${Station.SOURCE_TYPES.join(', ')}` };
+        }
+        filter.sourceType = { $in: sourceTypes };
+    }
+    
+    const county = query.county ? String(query.county).toLowerCase().trim() : null;
+    if (county) filter.county = county;
+    
+    const since = parseSince(query);
+    if (since.error) return { error: since.error };
+    if (since.from || since.to) {
+        filter.lastReadingAt = dateCondition(since);
+    }
+    
+    return {
+        filter,
+        area,
+        since,
+        county,
+        qualities,
+        zoom,
+        bbox,
+        limit: featureLimit(zoom),
+        precision: coordinatePrecision(zoom)
+    };
+}
+
+/**
+ * Find the stations matching a parsed map query, classified under their organization's standard
+ * Returns { stations, truncated }.
+ */
+async function findMapStations({ filter, qualities, limit }) {
+    const scanLimit = qualities ? MAX_SCANNED : limit;
+    
+    const stations = await Station.find(filter)
+        .select(STATION_FIELDS)
+        .sort({ lastReadingAt: -1, _id: 1 })
+        .limit(scanLimit + 1);
+    
+    await Station.applyStandards(stations);
+    
+    const matching = qualities
+        ? stations.slice(0, scanLimit).filter(station => qualities.includes(station.waterQuality))
+        : stations;
+    
+    return {
+        stations: matching.slice(0, limit),
+        truncated: matching.length > limit || stations.length > scanLimit
+    };
+}
+
+/**
+ * Features for a map query, each tagged with the first of `layers` it matches
+ * Only features whose layer is in `requested` (layer keys; all layers when empty) are returned.
+ * Returns { features, truncated }.
+ */
+async function buildMapFeatures(mapQuery, layers, requested = []) {
+    const shown = layer => requested.length === 0 || requested.includes(layer.key);
+    const stationLayers = layers.filter(layer => layer.source === 'stations');
+    const reportLayers = layers.filter(layer => layer.source === 'reports');
+    const features = [];
+    let truncated = false;
+    
+    if (stationLayers.some(shown)) {
+        const result = await findMapStations(mapQuery);
+        truncated = result.truncated;
+        
+        result.stations.forEach(station => {
+            const layer = stationLayers.find(candidate => stationMatchesLayer(candidate, station));
+            if (layer && shown(layer)) {
+                features.push(stationToFeature(station, mapQuery.precision, layer.key));
+            }
+        });
+    }
+    
+    if (reportLayers.some(shown)) {
+        const result = await findMapReports(mapQuery, reportLayers.filter(shown));
+        truncated = truncated || result.truncated;
+        
+        result.reports.forEach(({ report, layer }) => {
+            features.push(reportToFeature(report, mapQuery.precision, layer.key));
+        });
+    }
+    
+    return { features, truncated };
+}
+
+/**
+ * Find the reports in view for each reports layer, in layer order; a report is only
+ * given to the first layer it matches
+ * Returns { reports: [{ report, layer }], truncated }.
+ */
+async function findMapReports(mapQuery, layers) {
+    const { limit } = mapQuery;
+    const seen = new Set();
+    const reports = [];
+    let truncated = false;
+    
+    for (const layer of layers) {
+        const matches = await Report.find(reportQuery(mapQuery, layer))
+            .select(REPORT_FIELDS)
+            .sort({ submittedAt: -1 })
+            .limit(limit + 1);
+        
+        truncated = truncated || matches.length > limit;
+        matches.slice(0, limit).forEach(report => {
+            if (seen.has(report.id)) return;
+            seen.add(report.id);
+            reports.push({ report, layer });
+        });
+    }
+    
+    return { reports, truncated };
+}
+
+/**
+ * MongoDB query for the reports of a reports layer matching a parsed map query
+ */
+function reportQuery({ area, since, county }, layer) {
+    const conditions = [reportLayerFilter(layer), { location: { $exists: true } }];
+    if (area) conditions.push(area);
+    if (county) conditions.push({ county });
+    if (since.from || since.to) conditions.push({ submittedAt: dateCondition(since) });
+    
+    return { $and: conditions };
+}
+
+/**
+ * Features for a map query grouped into clusters on a pixel grid
+ * The grid cells are grouped in the database, so only cells come back rather than every point.
+ * Cells with one feature return it as is; the others return a cluster with its count, the
+ * count per quality class and layer, its dominant quality and its bounds. At CLUSTER_MAX_ZOOM
+ * and above, or without a zoom, this is buildMapFeatures.
+ * Returns { features, truncated, clustered, points }.
+ */
+async function buildMapClusters(mapQuery, layers, requested = []) {
+    if (mapQuery.zoom === null || mapQuery.zoom >= CLUSTER_MAX_ZOOM) {
+        const result = await buildMapFeatures(mapQuery, layers, requested);
+        return { ...result, clustered: false, points: result.features.length };
+    }
+    
+    const shown = layer => requested.length === 0 || requested.includes(layer.key);
+    const stationLayers = layers.filter(layer => layer.source === 'stations');
+    const reportLayers = layers.filter(layer => layer.source === 'reports').filter(shown);
+    const zoom = Math.floor(mapQuery.zoom);
+    const groups = [];
+    let truncated = false;
+    
+    if (stationLayers.some(shown)) {
+        const result = await groupStations(mapQuery, stationLayers, stationLayers.filter(shown), zoom);
+        groups.push(...result.cells.map(cell => ({ ...cell, source: 'stations' })));
+        truncated = result.truncated;
+    }
+    
+    // A report is only counted in the first layer it matches
+    for (const [index, layer] of reportLayers.entries()) {
+        const earlier = reportLayers.slice(0, index).map(candidate => reportLayerFilter(candidate));
+        if (earlier.some(filter => Object.keys(filter).length === 0)) break;
+        
+        const match = earlier.length > 0
+            ? { $and: [reportQuery(mapQuery, layer), { $nor: earlier }] }
+            : reportQuery(mapQuery, layer);
+        const result = await groupCells(Report, match, zoom, { layer: { $literal: layer.key }, quality: { $literal: null } });
+        groups.push(...result.cells.map(cell => ({ ...cell, source: 'reports' })));
+        truncated = truncated || result.truncated;
+    }
+    
+    const cells = new Map();
+    groups.forEach(group => {
+        const key = `${group._id.x}:${group._id.y}`;
+        const cell = cells.get(key) || {
+            count: 0,
+            lngSum: 0,
+            latSum: 0,
+            bounds: [group.west, group.south, group.east, group.north],
+            qualities: {},
+            layers: {},
+            reports: 0,
+            single: null
+        };
+        
+        cell.count += group.count;
+        cell.lngSum += group.lngSum;
+        cell.latSum += group.latSum;
+        cell.bounds = [
+            Math.min(cell.bounds[0], group.west), Math.min(cell.bounds[1], group.south),
+            Math.max(cell.bounds[2], group.east), Math.max(cell.bounds[3], group.north)
+        ];
+        group.classes.forEach(({ layer, quality, count }) => {
+            cell.layers[layer] = (cell.layers[layer] || 0) + count;
+            if (quality) {
+                cell.qualities[quality] = (cell.qualities[quality] || 0) + count;
+            } else {
+                cell.reports += count;
+            }
+        });
+        cell.single = { source: group.source, id: group.first, layer: group.classes[0].layer };
+        cells.set(key, cell);
+    });
+    
+    const singles = await loadSingleFeatures([...cells.values()].filter(cell => cell.count === 1), mapQuery.precision);
+    const features = [...cells.entries()]
+        .map(([key, cell]) => cell.count === 1
+            ? singles.get(cell.single.id.toString())
+            : clusterToFeature(key, cell, zoom, mapQuery.precision))
+        .filter(Boolean);
+    const points = [...cells.values()].reduce((sum, cell) => sum + cell.count, 0);
+    
+    return { features, truncated, clustered: true, points };
+}
+
+/**
+ * Grid cells of the stations matching a parsed map query, by layer and quality class
+ * Quality is worked out in the database under each station's organization's standard.
+ * Returns { cells, truncated }.
+ */
+async function groupStations({ filter, qualities }, layers, shownLayers, zoom) {
+    const layerMatch = { layer: { $in: shownLayers.map(layer => layer.key) } };
+    if (qualities) layerMatch.quality = { $in: qualities };
+    
+    return groupCells(Station, filter, zoom, { layer: '$layer', quality: '$quality' }, [
+        { $addFields: { quality: await Station.waterQualityExpression(filter) } },
+        { $addFields: { layer: stationLayerExpression(layers) } },
+        { $match: layerMatch }
+    ]);
+}
+
+/**
+ * Group the documents matching `match` into cells of the cluster grid at a zoom level
+ * `classes` gives the layer and quality counted per cell; `stages` run before grouping.
+ * Returns { cells: [{ _id: { x, y }, count, lngSum, latSum, west, south, east, north,
+ * classes: [{ layer, quality, count }], first }], truncated }.
+ */
+async function groupCells(Model, match, zoom, classes, stages = []) {
+    const cells = await Model.aggregate([
+        { $match: match },
+        ...stages,
+        {
+            $project: {
+                lng: { $arrayElemAt: ['$location.coordinates', 0] },
+                lat: { $arrayElemAt: ['$location.coordinates', 1] },
+                layer: classes.layer,
+                quality: classes.quality
+            }
+        },
+        { $addFields: gridCellExpression(zoom) },
+        {
+            $group: {
+                _id: { x: '$x', y: '$y', layer: '$layer', quality: '$quality' },
+                count: { $sum: 1 },
+                lngSum: { $sum: '$lng' },
+                latSum: { $sum: '$lat' },
+                west: { $min: '$lng' },
+                south: { $min: '$lat' },
+                east: { $max: '$lng' },
+                north: { $max: '$lat' },
+                first: { $first: '$_id' }
+            }
+        },
+        {
+            $group: {
+                _id: { x: '$_id.x', y: '$_id.y' },
+                count: { $sum: '$count' },
+                lngSum: { $sum: '$lngSum' },
+                latSum: { $sum: '$latSum' },
+                west: { $min: '$west' },
+                south: { $min: '$south' },
+                east: { $max: '$east' },
+                north: { $max: '$north' },
+                classes: { $push: { layer: '$_id.layer', quality: '$_id.quality', count: '$count' } },
+                first: { $first: '$first' }
+            }
+        },
+        { $sort: { count: -1 } },
+        { $limit: MAX_CLUSTER_CELLS + 1 }
+    ]).allowDiskUse(true);
+    
+    return {
+        cells: cells.slice(0, MAX_CLUSTER_CELLS),
+        truncated: cells.length > MAX_CLUSTER_CELLS
+    };
+}
+
+/**
+ * Aggregation fields x and y: the cluster grid cell of a document's lng and lat, counted in
+ * CLUSTER_CELL_PIXELS squares of Web Mercator pixels at the zoom level
+ */
+function gridCellExpression(zoom) {
+    const { x, y } = pixelExpression(zoom);
+    
+    return {
+        x: { $floor: { $divide: [x, CLUSTER_CELL_PIXELS] } },
+        y: { $floor: { $divide: [y, CLUSTER_CELL_PIXELS] } }
+    };
+}
+
+/**
+ * Aggregation expressions for the Web Mercator pixel position of a document's lng and lat
+ * fields at a zoom level (256px tiles)
+ */
+function pixelExpression(zoom, lng = '$lng', lat = '$lat') {
+    const worldPixels = 256 * 2 ** zoom;
+    const clamped = { $min: [{ $max: [lat, -MERCATOR_MAX_LATITUDE] }, MERCATOR_MAX_LATITUDE] };
+    const sin = { $sin: { $degreesToRadians: clamped } };
+    
+    return {
+        x: { $multiply: [{ $divide: [{ $add: [lng, 180] }, 360] }, worldPixels] },
+        y: {
+            $multiply: [
+                {
+                    $subtract: [
+                        0.5,
+                        { $divide: [{ $ln: { $divide: [{ $add: [1, sin] }, { $subtract: [1, sin] }] } }, 4 * Math.PI] }
+                    ]
+                },
+                worldPixels
+            ]
+        }
+    };
+}
+
+/**
+ * Features for the cells holding a single station or report, by document ID
+ */
+async function loadSingleFeatures(cells, precision) {
+    const idsOf = source => cells.filter(cell => cell.single.source === source).map(cell => cell.single.id);
+    const layerOf = new Map(cells.map(cell => [cell.single.id.toString(), cell.single.layer]));
+    const features = new Map();
+    
+    const [stations, reports] = await Promise.all([
+        Station.find({ _id: { $in: idsOf('stations') } }).select(STATION_FIELDS),
+        Report.find({ _id: { $in: idsOf('reports') } }).select(REPORT_FIELDS)
+    ]);
+    await Station.applyStandards(stations);
+    
+    stations.forEach(station => {
+        features.set(station.id, stationToFeature(station, precision, layerOf.get(station.id)));
+    });
+    reports.forEach(report => {
+        features.set(report.id, reportToFeature(report, precision, layerOf.get(report.id)));
+    });
+    
+    return features;
+}
+
+/**
+ * Call `onStation` for every station matching a parsed map query, classified under its
+ * organization's standard, reading at most CLUSTER_SCAN_LIMIT stations; the scan waits for
+ * `onStation` when it returns a promise, and stops early when it returns (or resolves to) false
+ * Returns whether more stations matched than were read.
+ */
+async function scanStations({ filter, qualities }, onStation) {
+    const cursor = Station.find(filter)
+        .select(STATION_FIELDS)
+        .limit(CLUSTER_SCAN_LIMIT + 1)
+        .cursor({ batchSize: CLUSTER_BATCH_SIZE });
+    let batch = [];
+    let scanned = 0;
+    let stopped = false;
+    
+    const flush = async () => {
+        await Station.applyStandards(batch);
+        for (const station of batch) {
+            if (qualities && !qualities.includes(station.waterQuality)) continue;
+            if (await onStation(station) === false) {
+                stopped = true;
+                break;
+            }
+        }
+        batch = [];
+    };
+    
+    for await (const station of cursor) {
+        if (++scanned > CLUSTER_SCAN_LIMIT) break;
+        
+        batch.push(station);
+        if (batch.length === CLUSTER_BATCH_SIZE) {
+            await flush();
+            if (stopped) break;
+        }
+    }
+    if (!stopped) await flush();
+    
+    return scanned > CLUSTER_SCAN_LIMIT;
+}
+
+/**
+ * GeoJSON feature for a cluster, placed at the mean position of its members
+ */
+function clusterToFeature(key, cell, zoom, precision = 6) {
+    const lng = roundTo(cell.lngSum / cell.count, precision);
+    const lat = roundTo(cell.latSum / cell.count, precision);
+    
+    return {
+        type: 'Feature',
+        id: `cluster-${zoom}-${key}`,
+        geometry: {
+            type: 'Point',
+            coordinates: [lng, lat]
+        },
+        properties: {
+            id: `cluster-${zoom}-${key}`,
+            kind: 'cluster',
+            cluster: true,
+            count: cell.count,
+            stations: cell.count - cell.reports,
+            reports: cell.reports,
+            dominantQuality: mostCommon(cell.qualities, QUALITY_CLASSES),
+            dominantLayer: mostCommon(cell.layers),
+            qualities: cell.qualities,
+            layers: cell.layers,
+            bounds: cell.bounds.map(value => roundTo(value, precision)),
+            coordinates: `${lat}, ${lng}`
+        }
+    };
+}
+
+/**
+ * [lng, lat] of a Web Mercator pixel position at a zoom level
+ */
+function unprojectPixels(x, y, zoom) {
+    const worldPixels = 256 * 2 ** zoom;
+    const lng = x / worldPixels * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / worldPixels))) * 180 / Math.PI;
+    
+    return [lng, lat];
+}
+
+/**
+ * Key with the highest count; ties go to the key latest in `order` (for qualities, the worst)
+ */
+function mostCommon(counts, order = []) {
+    let best = null;
+    
+    Object.entries(counts).forEach(([key, count]) => {
+        if (best === null || count > counts[best] ||
+            (count === counts[best] && order.indexOf(key) > order.indexOf(best))) {
+            best = key;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * GeoJSON feature for a station, with the properties the map's popups show
+ */
+function stationToFeature(station, precision = 6, layerKey = null) {
+    const [lng, lat] = station.location.coordinates.map(value => roundTo(value, precision));
+    const testResults = {};
+    
+    (station.latestReadings || new Map()).forEach((reading, parameter) => {
+        testResults[parameter] = reading.value;
+    });
+    
+    return {
+        type: 'Feature',
+        id: station.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [lng, lat]
+        },
+        properties: {
+            id: station.id,
+            kind: 'station',
+            layer: layerKey,
+            code: station.code,
+            name: station.name,
+            type: station.sourceType,
+            quality: station.waterQuality,
+            standard: station.waterStandard,
+            status: station.status,
+            description: station.description,
+            locationName: station.locationName,
+            county: station.county,
+            lastUpdated: station.lastReadingAt || station.updatedAt,
+            testResults: Object.keys(testResults).length > 0 ? testResults : null,
+            coordinates: `${lat}, ${lng}`
+        }
+    };
+}
+
+/**
+ * GeoJSON feature for a community report, without reporter details
+ */
+function reportToFeature(report, precision = 6, layerKey = null) {
+    const [lng, lat] = report.location.coordinates.map(value => roundTo(value, precision));
+    
+    return {
+        type: 'Feature',
+        id: report.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [lng, lat]
+        },
+        properties: {
+            id: report.id,
+            kind: 'report',
+            layer: layerKey,
+            trackingId: report.trackingId,
+            name: report.title,
+            type: report.type,
+            severity: report.severity,
+            status: report.status,
+            locationName: report.locationName,
+            county: report.county,
+            submittedAt: report.submittedAt,
+            lastUpdated: report.updatedAt || report.submittedAt,
+            coordinates: `${lat}, ${lng}`
+        }
+    };
+}
+
+/**
+ * Parse "west,south,east,north"; west may exceed east for boxes crossing the antimeridian
+ */
+function parseBbox(value) {
+    const parts = String(value).split(',').map(part => Number(part.trim()));
+    if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+    
+    const [west, south, east, north] = parts;
+    if (west < -180 || west > 180 || east < -180 || east > 180 || west === east) return null;
+    if (south < -90 || north > 90 || south >= north) return null;
+    
+    return [west, south, east, north];
+}
+
+/**
+ * Cover a bounding box with GeoJSON polygons a 2dsphere query can use
+ * Edges along parallels get a vertex every degree, since polygon edges are great circles.
+ */
+function bboxToPolygons([west, south, east, north]) {
+    const bottom = Math.max(south, -MAX_LATITUDE);
+    const top = Math.min(north, MAX_LATITUDE);
+    const spans = west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+    const polygons = [];
+    
+    spans.forEach(([from, to]) => {
+        for (let start = from; start < to; start += MAX_SLICE_DEGREES) {
+            const end = Math.min(start + MAX_SLICE_DEGREES, to);
+            const steps = Math.max(Math.ceil((end - start) / EDGE_STEP_DEGREES), 1);
+            const lower = [];
+            const upper = [];
+            
+            for (let i = 0; i <= steps; i++) {
+                const lng = start + (end - start) * i / steps;
+                lower.push([lng, bottom]);
+                upper.unshift([lng, top]);
+            }
+            
+            polygons.push({
+                type: 'Polygon',
+                coordinates: [[...lower, ...upper, lower[0]]]
+            });
+        }
+    });
+    
+    return polygons;
+}
+
+/**
+ * Read the date range for lastReadingAt from range, days or from/to
+ * Returns { from, to } (either may be missing) or { error }.
+ */
+function parseSince(query) {
+    if (query.range && query.range !== 'all') {
+        if (!DATE_RANGES[query.range]) {
+            return { error: `range must be one of: ${Object.keys(DATE_RANGES).join(', ')}, all` };
+        }
+        return { from: new Date(Date.now() - DATE_RANGES[query.range] * 24 * 60 * 60 * 1000) };
+    }
+    
+    if (query.days !== undefined && query.days !== '') {
+        const days = Number(query.days);
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'days must be a positive number' };
+        }
+        return { from: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+    
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return { error: 'from and to must be valid dates' };
+    }
+    
+    if (from && to && from >= to) {
+        return { error: 'from must be before to' };
+    }
+    
+    return { from, to };
+}
+
+function dateCondition({ from, to }) {
+    const condition = {};
+    if (from) condition.$gte = from;
+    if (to) condition.$lte = to;
+    return condition;
+}
+
+function featureLimit(zoom) {
+    if (zoom === null) return FEATURE_LIMITS[FEATURE_LIMITS.length - 1].limit;
+    return FEATURE_LIMITS.find(({ maxZoom }) => zoom <= maxZoom).limit;
+}
+
+/**
+ * Decimal places worth sending at a zoom level: about a tenth of a 256px tile's pixel
+ */
+function coordinatePrecision(zoom) {
+    if (zoom === null) return 6;
+    const pixelsPerDegree = 256 * 2 ** zoom / 360;
+    return Math.min(Math.max(Math.ceil(Math.log10(pixelsPerDegree * 10)), 2), 6);
+}
+
+function roundTo(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function splitList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    parseMapQuery,
+    buildMapFeatures,
+    buildMapClusters,
+    findMapStations,
+    findMapReports,
+    scanStations,
+    reportQuery,
+    stationToFeature,
+    reportToFeature,
+    bboxToPolygons,
+    pixelExpression,
+    unprojectPixels,
+    CLUSTER_MAX_ZOOM,
+    CLUSTER_CELL_PIXELS,
+    QUALITY_ALIASES,
+    SOURCE_TYPE_ALIASES
+};
@@ -0,0 +1,326 @@
+/**
+ * Map Export Service for Salyte Beacon
+ * Writes the map's filtered water points and reports as GeoJSON, KML, CSV or a zipped
+ * Shapefile, with the filters used and the data license, capped by subscription plan
+ */
+
+const Report = require('../models/Report');
+const { scanStations, reportQuery, stationToFeature, reportToFeature } = require('./mapData');
+const { stationMatchesLayer } = require('./mapLayers');
+const { buildShapefileZip } = require('./shapefile');
+const { EXPORT_LIMITS } = require('../config/mapExport');
+
+const REPORT_FIELDS = 'trackingId title type severity status county locationName location submittedAt updatedAt';
+const BATCH_SIZE = 1000;
+
+// Columns of CSV exports and attributes of Shapefile exports (dBASE names are 10 characters at most)
+const COLUMNS = [
+    { key: 'id', field: 'ID', length: 24, value: properties => properties.id },
+    { key: 'kind', field: 'KIND', length: 7, value: properties => properties.kind },
+    { key: 'layer', field: 'LAYER', length: 40, value: properties => properties.layer },
+    { key: 'reference', field: 'REFERENCE', length: 20, value: properties => properties.code || properties.trackingId },
+    { key: 'name', field: 'NAME', length: 200, value: properties => properties.name },
+    { key: 'type', field: 'TYPE', length: 20, value: properties => properties.type },
+    { key: 'quality', field: 'QUALITY', length: 10, value: properties => properties.quality },
+    { key: 'severity', field: 'SEVERITY', length: 10, value: properties => properties.severity },
+    { key: 'status', field: 'STATUS', length: 15, value: properties => properties.status },
+    { key: 'locationName', field: 'LOCATION', length: 200, value: properties => properties.locationName },
+    { key: 'county', field: 'COUNTY', length: 40, value: properties => properties.county },
+    { key: 'lastUpdated', field: 'UPDATED', length: 24, value: properties => toIsoString(properties.lastUpdated) }
+];
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+    safe: 'ff45a728',
+    warning: 'ff07c1ff',
+    critical: 'ff4535dc',
+    unknown: 'ff7d756c',
+    report: 'ffc1426f'
+};
+
+/**
+ * Subscription plan an export is capped by, and its feature limit
+ * Lapsed paid plans count as free.
+ */
+function exportLimitFor(userDoc) {
+    let plan = 'anonymous';
+    
+    if (userDoc) {
+        const subscription = userDoc.subscription?.type || 'free';
+        plan = subscription !== 'free' && userDoc.isSubscriptionActive ? subscription : 'free';
+    }
+    
+    return { plan, limit: EXPORT_LIMITS[plan] };
+}
+
+/**
+ * Call `onFeature` for each feature matching a parsed map query, stations first, each tagged
+ * with its layer as on the map, stopping after `limit` features
+ * The scan waits for `onFeature` when it returns a promise, e.g. until the client can take more,
+ * and stops when it returns (or resolves to) false.
+ * Returns { count, truncated }.
+ */
+async function scanExportFeatures(mapQuery, layers, requested, limit, onFeature) {
+    const shown = layer => requested.length === 0 || requested.includes(layer.key);
+    const stationLayers = layers.filter(layer => layer.source === 'stations');
+    const reportLayers = layers.filter(layer => layer.source === 'reports').filter(shown);
+    let count = 0;
+    let truncated = false;
+    
+    // Resolves to false once the limit is reached or onFeature asks to stop, which stops the scan
+    let stopped = false;
+    const add = async feature => {
+        if (count === limit) {
+            truncated = true;
+            return false;
+        }
+        
+        count += 1;
+        stopped = await onFeature(feature) === false;
+        return !stopped;
+    };
+    
+    if (stationLayers.some(shown)) {
+        const stationsTruncated = await scanStations(mapQuery, station => {
+            const layer = stationLayers.find(candidate => stationMatchesLayer(candidate, station));
+            if (!layer || !shown(layer)) return true;
+            
+            return add(stationToFeature(station, 6, layer.key));
+        });
+        truncated = truncated || stationsTruncated;
+    }
+    
+    const seenReports = new Set();
+    for (const layer of reportLayers) {
+        if (truncated || stopped) break;
+        
+        const cursor = Report.find(reportQuery(mapQuery, layer))
+            .select(REPORT_FIELDS)
+            .sort({ submittedAt: -1 })
+            .cursor({ batchSize: BATCH_SIZE });
+        
+        for await (const report of cursor) {
+            if (seenReports.has(report.id)) continue;
+            seenReports.add(report.id);
+            
+            if (!await add(reportToFeature(report, 6, layer.key))) break;
+        }
+    }
+    
+    return { count, truncated };
+}
+
+/**
+ * Writer for an export format: `start()` and `feature(feature)` return text to send as the
+ * features are read, and `end(summary)` the rest; Shapefiles are built whole in `end`
+ * `info` is { title, filters, license, plan, limit, generatedAt }.
+ */
+function createExportWriter(format, info) {
+    switch (format) {
+        case 'geojson':
+            return geojsonWriter(info);
+        case 'kml':
+            return kmlWriter(info);
+        case 'csv':
+            return csvWriter();
+        case 'shapefile':
+            return shapefileWriter(info);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+function geojsonWriter(info) {
+    let first = true;
+    
+    return {
+        start: () => `{"type":"FeatureCollection","name":${JSON.stringify(info.title)},"license":${JSON.stringify(info.license)},"features":[\n`,
+        feature: feature => {
+            const text = (first ? '' : ',\n') + JSON.stringify(feature);
+            first = false;
+            return text;
+        },
+        end: summary => `\n],"metadata":${JSON.stringify({ ...exportMetadata(info), ...summary })}}\n`
+    };
+}
+
+function kmlWriter(info) {
+    const styles = Object.entries(KML_STYLES).map(([key, color]) =>
+        `<Style id="${key}"><IconStyle><color>${color}</color><Icon><href>http://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon></IconStyle></Style>`);
+    
+    return {
+        start: () => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            `<name>${escapeXml(info.title)}</name>`,
+            `<description>${escapeXml(describeExport(info))}</description>`,
+            ...styles,
+            ''
+        ].join('\n'),
+        feature: feature => {
+            const properties = feature.properties;
+            const [lng, lat] = feature.geometry.coordinates;
+            const data = COLUMNS
+                .map(column => [column.key, column.value(properties)])
+                .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            
+            return [
+                '<Placemark>',
+                `<name>${escapeXml(properties.name || properties.code || properties.trackingId || '')}</name>`,
+                properties.description ? `<description>${escapeXml(properties.description)}</description>` : '',
+                `<styleUrl>#${properties.kind === 'report' ? 'report' : properties.quality || 'unknown'}</styleUrl>`,
+                `<ExtendedData>${data}</ExtendedData>`,
+                `<Point><coordinates>${lng},${lat}</coordinates></Point>`,
+                '</Placemark>\n'
+            ].join('');
+        },
+        end: summary => [
+            summary.truncated ? `<!-- Export stopped at the ${info.limit}-feature limit of the ${info.plan} plan -->` : '',
+            '</Document>',
+            '</kml>',
+            ''
+        ].join('\n')
+    };
+}
+
+/**
+ * CSV with latitude and longitude columns, the header on the first line
+ * The export details have no place in plain CSV; they go in the response headers (exportHeaders).
+ */
+function csvWriter() {
+    const header = [...COLUMNS.map(column => column.key), 'latitude', 'longitude'];
+    
+    return {
+        start: () => header.join(',') + '\n',
+        feature: feature => {
+            const [lng, lat] = feature.geometry.coordinates;
+            const values = COLUMNS.map(column => column.value(feature.properties));
+            return [...values.map(csvCell), lat, lng].join(',') + '\n';
+        },
+        end: () => ''
+    };
+}
+
+/**
+ * Features are kept until the end, when the .shp, .shx and .dbf can be written
+ */
+function shapefileWriter(info) {
+    const features = [];
+    
+    return {
+        start: () => '',
+        feature: feature => {
+            features.push(feature);
+            return '';
+        },
+        end: summary => buildShapefileZip(features, {
+            name: 'salyte-map-data',
+            fields: COLUMNS.map(column => ({
+                name: column.field,
+                length: column.length,
+                value: feature => column.value(feature.properties)
+            })),
+            extraFiles: {
+                'README.txt': describeExport(info) + (summary.truncated
+                    ? `\nExport stopped at the ${info.limit}-feature limit of the ${info.plan} plan.`
+                    : '') + '\n'
+            }
+        })
+    };
+}
+
+function exportMetadata(info) {
+    return {
+        filters: info.filters,
+        plan: info.plan,
+        limit: info.limit,
+        generatedAt: info.generatedAt
+    };
+}
+
+/**
+ * Plain-text summary of an export: title, date, filters, limit and license
+ */
+function describeExport(info) {
+    return [
+        info.title,
+        `Generated: ${info.generatedAt.toISOString()}`,
+        `Filters: ${listFilters(info.filters)}`,
+        `Limit: ${info.limit} features (${info.plan} plan)`,
+        `License: ${info.license}`
+    ].join('\n');
+}
+
+/**
+ * Response headers with the export details, for every format
+ * Characters outside printable ASCII are percent-encoded, as header values can't carry them.
+ */
+function exportHeaders(info) {
+    const headerValue = text => String(text).replace(/[^\x20-\x7e]/g, character => encodeURIComponent(character));
+    
+    return {
+        'X-Export-Plan': info.plan,
+        'X-Export-Limit': String(info.limit),
+        'X-Export-Generated-At': info.generatedAt.toISOString(),
+        'X-Export-Filters': headerValue(listFilters(info.filters)),
+        'X-Export-License': headerValue(info.license)
+    };
+}
+
+function listFilters(filters) {
+    const listed = Object.entries(filters)
+        .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+        .map(([name, value]) => `${name}=${Array.isArray(value) ? value.join(',') : toIsoString(value)}`);
+    
+    return listed.length > 0 ? listed.join('; ') : 'none';
+}
+
+/**
+ * Filters of a parsed map query as listed in an export
+ */
+function describeFilters(mapQuery, requested) {
+    return {
+        layers: requested,
+        bbox: mapQuery.bbox,
+        quality: mapQuery.qualities,
+        sourceType: mapQuery.filter.sourceType?.$in || null,
+        county: mapQuery.county,
+        from: mapQuery.since.from || null,
+        to: mapQuery.since.to || null
+    };
+}
+
+/**
+ * Quote a CSV value when needed; text that spreadsheets would run as a formula is prefixed with '
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toIsoString(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+module.exports = {
+    exportLimitFor,
+    scanExportFeatures,
+    createExportWriter,
+    exportHeaders,
+    describeFilters
+};
@@ -0,0 +1,111 @@
+/**
+ * Map Layer Service for Salyte Beacon
+ * Which map layers a user can see, and which layer each station or report belongs to
+ */
+
+const MapLayer = require('../models/MapLayer');
+
+/**
+ * Enabled layers the user's role can see, in order
+ */
+async function getLayersFor(user) {
+    const layers = await MapLayer.loadAll();
+    return layers.filter(layer => layer.enabled && canViewLayer(layer, user));
+}
+
+/**
+ * Layers without roles are public; admins see every layer
+ */
+function canViewLayer(layer, user) {
+    if (!layer.roles || layer.roles.length === 0) return true;
+    if (!user) return false;
+    return user.role === 'admin' || layer.roles.includes(user.role);
+}
+
+/**
+ * Whether a station matches a stations layer's query (stations must have their standard applied)
+ */
+function stationMatchesLayer(layer, station) {
+    const query = layer.query || {};
+    
+    return includes(query.quality, station.waterQuality) &&
+        includes(query.sourceType, station.sourceType) &&
+        includes(query.status, station.status) &&
+        includes(query.county, station.county);
+}
+
+/**
+ * Aggregation expression for the key of the first stations layer a station matches, or null
+ * The station's quality class must already be in its `quality` field.
+ */
+function stationLayerExpression(layers) {
+    const fields = { quality: '$quality', sourceType: '$sourceType', status: '$status', county: '$county' };
+    const branches = layers.map(layer => {
+        const query = layer.query || {};
+        const conditions = Object.entries(fields)
+            .filter(([field]) => query[field]?.length)
+            .map(([field, path]) => ({ $in: [path, query[field]] }));
+        
+        return { case: { $and: conditions }, then: layer.key };
+    });
+    
+    return branches.length > 0 ? { $switch: { branches, default: null } } : null;
+}
+
+/**
+ * MongoDB filter for the reports in a reports layer
+ */
+function reportLayerFilter(layer, now = new Date()) {
+    const query = layer.query || {};
+    const filter = {};
+    
+    if (query.reportType?.length) filter.type = { $in: query.reportType };
+    if (query.severity?.length) filter.severity = { $in: query.severity };
+    if (query.status?.length) filter.status = { $in: query.status };
+    if (query.county?.length) filter.county = { $in: query.county };
+    if (query.days) filter.submittedAt = { $gte: new Date(now.getTime() - query.days * 24 * 60 * 60 * 1000) };
+    
+    return filter;
+}
+
+/**
+ * Layer as shown to map users; admins also get its query, roles and state
+ */
+function serializeLayer(layer, { full = false } = {}) {
+    const serialized = {
+        key: layer.key,
+        name: layer.name,
+        description: layer.description,
+        color: layer.color,
+        icon: layer.icon,
+        source: layer.source,
+        defaultVisible: layer.defaultVisible,
+        order: layer.order
+    };
+    
+    if (full) {
+        Object.assign(serialized, {
+            query: layer.query,
+            roles: layer.roles,
+            enabled: layer.enabled,
+            isBuiltIn: layer.isBuiltIn,
+            isCustomized: layer.isCustomized,
+            updatedAt: layer.updatedAt || null
+        });
+    }
+    
+    return serialized;
+}
+
+function includes(list, value) {
+    return !list || list.length === 0 || list.includes(value);
+}
+
+module.exports = {
+    getLayersFor,
+    canViewLayer,
+    stationMatchesLayer,
+    stationLayerExpression,
+    reportLayerFilter,
+    serializeLayer
+};
@@ -0,0 +1,88 @@
+/**
+ * Organization Membership for Salyte Beacon
+ * Users belong to the organizations whose member lists name them; admins manage those lists, and
+ * stations may only be registered under organizations their owner belongs to
+ */
+
+const Organization = require('../models/Organization');
+
+/**
+ * Names of the organizations a user is a member of
+ */
+async function organizationsOf(userId) {
+    if (!userId) return [];
+    
+    const organizations = await Organization.find({ members: userId }).select('name').sort({ name: 1 });
+    return organizations.map(organization => organization.name);
+}
+
+/**
+ * Check whether a user is a member of the organization with this name key
+ */
+async function isMemberOf(userId, organizationKey) {
+    if (!userId || !organizationKey) return false;
+    
+    return !!(await Organization.exists({ nameKey: organizationKey, members: userId }));
+}
+
+/**
+ * Members of the organization with this name key
+ */
+async function membersOf(organizationKey) {
+    if (!organizationKey) return [];
+    
+    const organization = await Organization.findOne({ nameKey: organizationKey }).select('members');
+    return organization ? organization.members : [];
+}
+
+/**
+ * Organization a request acts for
+ * Admins may name any organization with `organization`; other users act for their organization
+ * and name one only when they belong to several.
+ * Returns { name } or { status, error, message }.
+ */
+async function resolveOrganization(req) {
+    const requested = req.body?.organization || req.query.organization;
+    const requestedName = typeof requested === 'string' && requested.trim() ? requested.trim() : null;
+    
+    if (requestedName && req.user.role === 'admin') {
+        return { name: requestedName };
+    }
+    
+    const names = await organizationsOf(req.user.userId);
+    
+    if (names.length === 0) {
+        return {
+            status: 400,
+            error: 'No organization',
+            message: 'Ask an admin to add you to your organization to manage its settings'
+        };
+    }
+    
+    if (requestedName) {
+        const name = names.find(candidate => Organization.toNameKey(candidate) === Organization.toNameKey(requestedName));
+        
+        return name ? { name } : {
+            status: 403,
+            error: 'Access forbidden',
+            message: 'You can only act for organizations you are a member of'
+        };
+    }
+    
+    if (names.length > 1) {
+        return {
+            status: 400,
+            error: 'Organization required',
+            message: `You belong to several organizations; name one with organization (${names.join(', ')})`
+        };
+    }
+    
+    return { name: names[0] };
+}
+
+module.exports = {
+    organizationsOf,
+    isMemberOf,
+    membersOf,
+    resolveOrganization
+};
@@ -0,0 +1,51 @@
+/**
+ * Photo Processing Service for Salyte Beacon
+ * Produces public copies and thumbnails of uploaded photos, without EXIF metadata
+ */
+
+const sharp = require('sharp');
+
+const PUBLIC_MAX_DIMENSION = 1600;
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Process an uploaded image buffer
+ * Public copies and thumbnails are re-encoded without metadata, which removes EXIF GPS tags.
+ * The original is kept untouched for authorised staff.
+ */
+async function processPhoto(buffer) {
+    const image = sharp(buffer, { failOn: 'error' });
+    const metadata = await image.metadata();
+    
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const publicCopy = await sharp(buffer)
+        .rotate()
+        .resize({
+            width: PUBLIC_MAX_DIMENSION,
+            height: PUBLIC_MAX_DIMENSION,
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+    
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+    
+    return {
+        original: buffer,
+        public: publicCopy.data,
+        thumbnail: thumbnail,
+        width: publicCopy.info.width,
+        height: publicCopy.info.height,
+        format: metadata.format,
+        hadExif: !!metadata.exif
+    };
+}
+
+module.exports = {
+    processPhoto
+};
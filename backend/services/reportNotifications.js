@@ -0,0 +1,191 @@
+/**
+ * Report Notifications for Salyte Beacon
+ * Tells a report's reporter and followers about status changes and public comments
+ * on the channels each of them chose
+ */
+
+const Notification = require('../models/Notification');
+const ReportSubscription = require('../models/ReportSubscription');
+const User = require('../models/user');
+const { emailUser, queueEmail } = require('./mail');
+const { smsUser, queueSms, normalizePhone } = require('./sms');
+const { APP_URL } = require('../config/mail');
+
+// Longest comment excerpt put in a text message
+const SMS_EXCERPT_LENGTH = 200;
+
+/**
+ * Notify the reporter and every active subscriber of a report
+ * `event` is { type: 'status', previousStatus } or { type: 'comment', note }.
+ * Each address gets one message per event, even if it both reported and follows the report.
+ * Returns the number of notifications sent per channel.
+ */
+async function notifyReportFollowers(report, event) {
+    const template = event.type === 'status' ? 'reportStatus' : 'reportComment';
+    const data = buildTemplateData(report, event);
+    const smsData = { ...data, text: excerpt(data.text) };
+    
+    const reached = new Set();
+    const summary = { email: 0, sms: 0, inApp: 0 };
+    
+    const deliver = async (channel, address, send) => {
+        const key = `${channel}:${address}`;
+        if (!address || reached.has(key)) return;
+        
+        try {
+            if (await send()) {
+                reached.add(key);
+                summary[channel] += 1;
+            }
+        } catch (error) {
+            console.error(`Report ${report.trackingId} ${channel} notification error:`, error);
+        }
+    };
+    
+    // The reporter: by account preferences, or for guests the follow-up consent given at submission
+    if (report.reporter) {
+        const reporter = await User.findById(report.reporter).select('firstName email phone preferences');
+        
+        if (reporter) {
+            await deliver('email', reporter.email, () => emailUser(reporter, template, data));
+            await deliver('sms', normalizePhone(reporter.phone), () => smsUser(reporter, template, smsData));
+            await deliver('inApp', reporter._id.toString(), () => createInAppNotification(reporter._id, report, event, data));
+        }
+    } else if (report.allowFollowUp) {
+        await deliver('email', report.reporterEmail, () => queueEmail({
+            to: report.reporterEmail,
+            template: template,
+            data: { name: report.reporterName || report.reporterEmail, ...data }
+        }));
+        await deliver('sms', normalizePhone(report.reporterPhone), () => queueSms({
+            to: report.reporterPhone,
+            template: template,
+            data: smsData
+        }));
+    }
+    
+    const subscriptions = await ReportSubscription.find({ report: report._id, status: 'active' })
+        .populate('user', 'firstName');
+    
+    for (const subscription of subscriptions) {
+        const unsubscribeUrl = getUnsubscribeUrl(subscription);
+        const name = subscription.user?.firstName || subscription.email;
+        
+        if (subscription.isChannelReady('email')) {
+            await deliver('email', subscription.email, () => queueEmail({
+                to: subscription.email,
+                template: template,
+                language: subscription.language,
+                data: { name, ...data, unsubscribeUrl },
+                user: subscription.user?._id
+            }));
+        }
+        
+        if (subscription.isChannelReady('sms')) {
+            await deliver('sms', subscription.phone, () => queueSms({
+                to: subscription.phone,
+                template: template,
+                language: subscription.language,
+                data: smsData,
+                user: subscription.user?._id
+            }));
+        }
+        
+        if (subscription.isChannelReady('inApp')) {
+            const userId = subscription.user._id;
+            await deliver('inApp', userId.toString(), () => createInAppNotification(userId, report, event, data));
+        }
+    }
+    
+    return summary;
+}
+
+/**
+ * Send the confirmation email link and SMS code for a new subscription's unconfirmed contacts
+ * Returns which confirmations went out; a phone that opted out of SMS gets no code.
+ */
+async function sendSubscriptionConfirmations(subscription, report, { emailToken, phoneCode } = {}) {
+    const sent = { email: false, sms: false };
+    
+    if (emailToken) {
+        sent.email = !!(await queueEmail({
+            to: subscription.email,
+            template: 'subscriptionConfirm',
+            language: subscription.language,
+            data: {
+                name: subscription.email,
+                trackingId: report.trackingId,
+                title: report.title,
+                url: `${APP_URL}/api/report/subscriptions/confirm-email?token=${emailToken}`
+            },
+            user: subscription.user
+        }));
+    }
+    
+    if (phoneCode) {
+        sent.sms = !!(await queueSms({
+            to: subscription.phone,
+            template: 'subscriptionCode',
+            language: subscription.language,
+            data: { trackingId: report.trackingId, code: phoneCode },
+            user: subscription.user
+        }));
+    }
+    
+    return sent;
+}
+
+/**
+ * One-click unsubscribe link for a subscription
+ */
+function getUnsubscribeUrl(subscription) {
+    return `${APP_URL}/api/report/subscriptions/${subscription._id}/unsubscribe?token=${subscription.unsubscribeToken()}`;
+}
+
+function buildTemplateData(report, event) {
+    const data = {
+        trackingId: report.trackingId,
+        title: report.title,
+        url: `${APP_URL}/report.html?track=${encodeURIComponent(report.trackingId)}`
+    };
+    
+    if (event.type === 'status') {
+        const change = report.statusHistory[report.statusHistory.length - 1];
+        return {
+            ...data,
+            previousStatus: event.previousStatus,
+            status: report.status,
+            reason: (change?.reason || '').replace(/[.\s]+$/, '')
+        };
+    }
+    
+    return {
+        ...data,
+        authorName: event.note.authorName || 'Salyte Beacon',
+        text: event.note.text
+    };
+}
+
+function createInAppNotification(userId, report, event, data) {
+    return Notification.create({
+        user: userId,
+        type: event.type === 'status' ? 'report-status' : 'report-comment',
+        title: event.type === 'status'
+            ? `Report ${report.trackingId} is now ${report.status}`
+            : `New update on report ${report.trackingId}`,
+        message: event.type === 'status' ? data.reason : excerpt(data.text, 1000),
+        link: `/report.html?track=${encodeURIComponent(report.trackingId)}`,
+        report: report._id
+    });
+}
+
+function excerpt(text, length = SMS_EXCERPT_LENGTH) {
+    if (!text || text.length <= length) return text;
+    return text.slice(0, length - 1).trimEnd() + '…';
+}
+
+module.exports = {
+    notifyReportFollowers,
+    sendSubscriptionConfirmations,
+    getUnsubscribeUrl
+};
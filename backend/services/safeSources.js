@@ -0,0 +1,119 @@
+/**
+ * Safe Water Finder for Salyte Beacon
+ * Finds the water sources nearest to a location whose current quality is safe, based on a
+ * recent test, for the map and the AI assistant
+ */
+
+const Station = require('../models/Station');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// Search radius in kilometres
+const DEFAULT_MAX_DISTANCE_KM = 25;
+const MAX_DISTANCE_KM = 200;
+
+// Readings older than the station model's stale cutoff no longer count towards quality
+const MAX_TEST_AGE_DAYS = Station.STALE_READING_MS / (24 * 60 * 60 * 1000);
+
+// Nearest candidates read per search; quality is worked out per station after the query
+const SCAN_LIMIT = 500;
+
+/**
+ * Read a nearest safe source query
+ * Query: lat/latitude and lng/longitude (required), limit, maxDistance (km), days (test age).
+ * Returns { point, limit, maxDistanceKm, days } or { error }.
+ */
+function parseNearestQuery(query) {
+    const lat = Number(query.lat ?? query.latitude);
+    const lng = Number(query.lng ?? query.longitude);
+    
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: 'A valid lat and lng are required' };
+    }
+    
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+    
+    const maxDistanceKm = query.maxDistance === undefined ? DEFAULT_MAX_DISTANCE_KM : Number(query.maxDistance);
+    if (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0 || maxDistanceKm > MAX_DISTANCE_KM) {
+        return { error: `maxDistance must be more than 0 and at most ${MAX_DISTANCE_KM} km` };
+    }
+    
+    const days = query.days === undefined ? MAX_TEST_AGE_DAYS : Number(query.days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_TEST_AGE_DAYS) {
+        return { error: `days must be more than 0 and at most ${MAX_TEST_AGE_DAYS}` };
+    }
+    
+    return {
+        point: { type: 'Point', coordinates: [lng, lat] },
+        limit,
+        maxDistanceKm,
+        days
+    };
+}
+
+/**
+ * Nearest stations classed safe under their organization's standard and tested in the last
+ * `days` days, nearest first, with their distance in metres
+ */
+async function findNearestSafeSources({ point, limit = DEFAULT_LIMIT, maxDistanceKm = DEFAULT_MAX_DISTANCE_KM, days = MAX_TEST_AGE_DAYS }) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    // $geoNear uses the stations' 2dsphere index and returns the nearest first
+    const candidates = await Station.aggregate([
+        {
+            $geoNear: {
+                near: point,
+                distanceField: 'distance',
+                maxDistance: maxDistanceKm * 1000,
+                spherical: true,
+                query: {
+                    status: { $ne: 'decommissioned' },
+                    lastReadingAt: { $gte: since }
+                }
+            }
+        },
+        { $limit: SCAN_LIMIT }
+    ]);
+    
+    const distances = new Map(candidates.map(candidate => [candidate._id.toString(), candidate.distance]));
+    const stations = await Station.applyStandards(candidates.map(candidate => Station.hydrate(candidate)));
+    
+    return stations
+        .filter(station => station.waterQuality === 'safe')
+        .slice(0, limit)
+        .map(station => toSafeSource(station, distances.get(station.id)));
+}
+
+/**
+ * A safe source as returned to the map and the assistant
+ */
+function toSafeSource(station, distance) {
+    const [longitude, latitude] = station.location.coordinates;
+    
+    return {
+        id: station.id,
+        code: station.code,
+        name: station.name,
+        sourceType: station.sourceType,
+        status: station.status,
+        quality: station.waterQuality,
+        standard: station.waterStandard,
+        locationName: station.locationName,
+        county: station.county,
+        latitude,
+        longitude,
+        distance: Math.round(distance),
+        lastTestedAt: station.lastReadingAt
+    };
+}
+
+module.exports = {
+    parseNearestQuery,
+    findNearestSafeSources,
+    DEFAULT_MAX_DISTANCE_KM,
+    MAX_TEST_AGE_DAYS
+};
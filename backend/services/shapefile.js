@@ -0,0 +1,218 @@
+/**
+ * Shapefile Writer for Salyte Beacon
+ * Writes point features as an ESRI Shapefile (.shp, .shx, .dbf, .prj, .cpg) in WGS 84, packed
+ * into a zip archive for download
+ */
+
+const zlib = require('zlib');
+
+const SHAPE_POINT = 1;
+const FILE_CODE = 9994;
+const SHAPE_VERSION = 1000;
+const HEADER_BYTES = 100;
+
+// A point record is an 8-byte header and 20 bytes of content (shape type, x, y)
+const POINT_CONTENT_BYTES = 20;
+const POINT_RECORD_BYTES = 8 + POINT_CONTENT_BYTES;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Zip archive holding a point shapefile named `name`, plus any `extraFiles` ({ filename: text })
+ * `fields` are the attribute columns: [{ name (10 characters at most), length, value(feature) }].
+ */
+function buildShapefileZip(features, { name, fields, extraFiles = {} }) {
+    const points = features.map(feature => feature.geometry.coordinates);
+    
+    return buildZip({
+        [`${name}.shp`]: writeShp(points),
+        [`${name}.shx`]: writeShx(points),
+        [`${name}.dbf`]: writeDbf(features, fields),
+        [`${name}.prj`]: Buffer.from(WGS84_PRJ),
+        [`${name}.cpg`]: Buffer.from('UTF-8'),
+        ...Object.fromEntries(Object.entries(extraFiles).map(([filename, text]) => [filename, Buffer.from(text)]))
+    });
+}
+
+function writeShp(points) {
+    const buffer = Buffer.alloc(HEADER_BYTES + points.length * POINT_RECORD_BYTES);
+    writeShapeHeader(buffer, points);
+    
+    points.forEach(([x, y], index) => {
+        const offset = HEADER_BYTES + index * POINT_RECORD_BYTES;
+        buffer.writeInt32BE(index + 1, offset);
+        buffer.writeInt32BE(POINT_CONTENT_BYTES / 2, offset + 4);
+        buffer.writeInt32LE(SHAPE_POINT, offset + 8);
+        buffer.writeDoubleLE(x, offset + 12);
+        buffer.writeDoubleLE(y, offset + 20);
+    });
+    
+    return buffer;
+}
+
+function writeShx(points) {
+    const buffer = Buffer.alloc(HEADER_BYTES + points.length * 8);
+    writeShapeHeader(buffer, points);
+    
+    points.forEach((point, index) => {
+        const offset = HEADER_BYTES + index * 8;
+        buffer.writeInt32BE((HEADER_BYTES + index * POINT_RECORD_BYTES) / 2, offset);
+        buffer.writeInt32BE(POINT_CONTENT_BYTES / 2, offset + 4);
+    });
+    
+    return buffer;
+}
+
+/**
+ * Main file header shared by .shp and .shx; lengths are in 16-bit words
+ */
+function writeShapeHeader(buffer, points) {
+    // Reduced rather than spread, since an export can hold more points than a call takes arguments
+    const bounds = points.length > 0
+        ? points.reduce(([west, south, east, north], [x, y]) =>
+            [Math.min(west, x), Math.min(south, y), Math.max(east, x), Math.max(north, y)],
+        [Infinity, Infinity, -Infinity, -Infinity])
+        : [0, 0, 0, 0];
+    
+    buffer.writeInt32BE(FILE_CODE, 0);
+    buffer.writeInt32BE(buffer.length / 2, 24);
+    buffer.writeInt32LE(SHAPE_VERSION, 28);
+    buffer.writeInt32LE(SHAPE_POINT, 32);
+    bounds.forEach((value, index) => buffer.writeDoubleLE(value, 36 + index * 8));
+}
+
+/**
+ * dBASE III attribute table with one text column per field
+ */
+function writeDbf(features, fields) {
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+    const buffer = Buffer.alloc(headerLength + features.length * recordLength + 1, 0x20);
+    const today = new Date();
+    
+    buffer.fill(0, 0, headerLength);
+    buffer.writeUInt8(0x03, 0);
+    buffer.writeUInt8(today.getUTCFullYear() - 1900, 1);
+    buffer.writeUInt8(today.getUTCMonth() + 1, 2);
+    buffer.writeUInt8(today.getUTCDate(), 3);
+    buffer.writeUInt32LE(features.length, 4);
+    buffer.writeUInt16LE(headerLength, 8);
+    buffer.writeUInt16LE(recordLength, 10);
+    
+    fields.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        buffer.write(field.name.slice(0, 10), offset, 'ascii');
+        buffer.write('C', offset + 11, 'ascii');
+        buffer.writeUInt8(field.length, offset + 16);
+    });
+    buffer.writeUInt8(0x0d, headerLength - 1);
+    
+    features.forEach((feature, index) => {
+        let offset = headerLength + index * recordLength + 1;
+        
+        fields.forEach(field => {
+            fitText(field.value(feature), field.length).copy(buffer, offset);
+            offset += field.length;
+        });
+    });
+    buffer.writeUInt8(0x1a, buffer.length - 1);
+    
+    return buffer;
+}
+
+/**
+ * UTF-8 bytes of a value, cut to `length` bytes without splitting a character
+ */
+function fitText(value, length) {
+    const bytes = Buffer.from(value === null || value === undefined ? '' : String(value), 'utf8');
+    if (bytes.length <= length) return bytes;
+    
+    let end = length;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+    
+    return bytes.subarray(0, end);
+}
+
+/**
+ * Zip archive of { filename: Buffer }, deflated
+ */
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    const { time, date } = dosDateTime(new Date());
+    let offset = 0;
+    
+    Object.entries(files).forEach(([filename, data]) => {
+        const name = Buffer.from(filename, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const checksum = crc32(data);
+        
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    });
+    
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function dosDateTime(moment) {
+    return {
+        time: (moment.getHours() << 11) | (moment.getMinutes() << 5) | Math.floor(moment.getSeconds() / 2),
+        date: ((moment.getFullYear() - 1980) << 9) | ((moment.getMonth() + 1) << 5) | moment.getDate()
+    };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+    buildShapefileZip,
+    buildZip
+};
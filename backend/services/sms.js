@@ -0,0 +1,480 @@
+/**
+ * SMS Gateway Service for Salyte Beacon
+ * Queues localized text messages and sends them through the configured provider, handles
+ * delivery receipts and inbound messages, and honours opt-out keywords and per-recipient limits
+ */
+
+const crypto = require('crypto');
+
+const SmsMessage = require('../models/SmsMessage');
+const SmsOptOut = require('../models/SmsOptOut');
+const { SMS_TEMPLATES } = require('../config/smsTemplates');
+const { MAIL_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/mail');
+const {
+    SMS_PROVIDER, AFRICASTALKING, TWILIO, DEFAULT_COUNTRY_CODE, OPT_OUT_KEYWORDS, OPT_IN_KEYWORDS,
+    MAX_PER_RECIPIENT_PER_HOUR, MAX_LENGTH, QUEUE_INTERVAL_MS
+} = require('../config/sms');
+
+// Messages sent per queue run; the rest are picked up by the next run
+const BATCH_LIMIT = 100;
+
+// Messages left in "sending" this long are assumed lost and queued again
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Logs messages instead of sending them
+ * Webhooks take simple JSON: { from, text } inbound and { id, status } for receipts.
+ */
+class MockSmsProvider {
+    constructor() {
+        this.name = 'mock';
+    }
+    
+    async send({ to, body }) {
+        console.log(`📱 SMS to ${to}: ${body}`);
+        return { providerMessageId: `mock-${crypto.randomUUID()}` };
+    }
+    
+    parseInbound(fields) {
+        return { from: fields.from, text: fields.text, providerMessageId: fields.id };
+    }
+    
+    parseDeliveryReport(fields) {
+        return { providerMessageId: fields.id, status: fields.status, error: fields.error };
+    }
+}
+
+/**
+ * Africa's Talking bulk SMS API (the sandbox when the username is "sandbox")
+ */
+class AfricasTalkingProvider {
+    constructor(options) {
+        if (!options.apiKey) {
+            throw new Error('AT_API_KEY is required for the africastalking SMS provider');
+        }
+        
+        this.name = 'africastalking';
+        this.options = options;
+        this.endpoint = options.username === 'sandbox'
+            ? 'https://api.sandbox.africastalking.com/version1/messaging'
+            : 'https://api.africastalking.com/version1/messaging';
+    }
+    
+    async send({ to, body }) {
+        const form = new URLSearchParams({ username: this.options.username, to: to, message: body });
+        if (this.options.senderId) form.set('from', this.options.senderId);
+        
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                apiKey: this.options.apiKey,
+                Accept: 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: form
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Africa's Talking responded ${response.status}: ${await response.text()}`);
+        }
+        
+        const data = await response.json();
+        const recipient = data.SMSMessageData?.Recipients?.[0];
+        
+        // 100 Processed, 101 Sent, 102 Queued
+        if (!recipient || ![100, 101, 102].includes(recipient.statusCode)) {
+            throw new Error(`Africa's Talking rejected the message: ${recipient?.status || data.SMSMessageData?.Message}`);
+        }
+        
+        return { providerMessageId: recipient.messageId };
+    }
+    
+    parseInbound(fields) {
+        return { from: fields.from, text: fields.text, providerMessageId: fields.id };
+    }
+    
+    parseDeliveryReport(fields) {
+        const statuses = { Success: 'delivered', Failed: 'undelivered', Rejected: 'undelivered' };
+        return {
+            providerMessageId: fields.id,
+            status: statuses[fields.status] || 'sent',
+            error: fields.failureReason
+        };
+    }
+}
+
+/**
+ * Twilio Programmable Messaging
+ * Twilio answers STOP and START itself and blocks opted-out numbers, so no keyword replies are sent.
+ */
+class TwilioProvider {
+    constructor(options) {
+        if (!options.accountSid || !options.authToken || !(options.from || options.messagingServiceSid)) {
+            throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM are required for the twilio SMS provider');
+        }
+        
+        this.name = 'twilio';
+        this.options = options;
+        this.handlesKeywordReplies = true;
+        this.endpoint = `https://api.twilio.com/2010-04-01/Accounts/${options.accountSid}/Messages.json`;
+    }
+    
+    async send({ to, body }) {
+        const form = new URLSearchParams({ To: to, Body: body });
+        if (this.options.messagingServiceSid) {
+            form.set('MessagingServiceSid', this.options.messagingServiceSid);
+        } else {
+            form.set('From', this.options.from);
+        }
+        
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: 'Basic ' + Buffer.from(`${this.options.accountSid}:${this.options.authToken}`).toString('base64'),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: form
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(`Twilio rejected the message: ${data.message || response.status}`);
+        }
+        
+        return { providerMessageId: data.sid };
+    }
+    
+    /**
+     * Check the X-Twilio-Signature of a webhook call: base64 HMAC-SHA1, keyed with the auth token,
+     * of the full URL followed by each POST field name and value in field name order
+     */
+    verifySignature(url, fields, headers) {
+        const signature = headers['x-twilio-signature'];
+        if (!signature) return false;
+        
+        const payload = Object.keys(fields).sort().reduce((text, key) => {
+            const values = Array.isArray(fields[key]) ? fields[key] : [fields[key]];
+            return text + values.map(value => key + value).join('');
+        }, url);
+        
+        const expected = Buffer.from(crypto.createHmac('sha1', this.options.authToken).update(payload, 'utf8').digest('base64'));
+        const given = Buffer.from(String(signature));
+        
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+    
+    parseInbound(fields) {
+        return { from: fields.From, text: fields.Body, providerMessageId: fields.MessageSid };
+    }
+    
+    parseDeliveryReport(fields) {
+        const statuses = { delivered: 'delivered', undelivered: 'undelivered', failed: 'undelivered' };
+        return {
+            providerMessageId: fields.MessageSid,
+            status: statuses[fields.MessageStatus] || 'sent',
+            error: fields.ErrorCode ? `Twilio error ${fields.ErrorCode}` : undefined
+        };
+    }
+}
+
+/**
+ * Available providers, selected with SMS_PROVIDER
+ */
+const providers = {
+    mock: () => new MockSmsProvider(),
+    africastalking: () => new AfricasTalkingProvider(AFRICASTALKING),
+    twilio: () => new TwilioProvider(TWILIO)
+};
+
+let provider = null;
+
+/**
+ * Get the configured provider instance
+ */
+function getProvider() {
+    if (!provider) {
+        if (!providers[SMS_PROVIDER]) {
+            throw new Error(`Unknown SMS provider: ${SMS_PROVIDER}`);
+        }
+        
+        provider = providers[SMS_PROVIDER]();
+    }
+    
+    return provider;
+}
+
+/**
+ * Convert a phone number to E.164, adding the default country code to local numbers
+ * Returns null for anything that can't be a phone number.
+ */
+function normalizePhone(phone) {
+    if (!phone) return null;
+    
+    let digits = String(phone).trim().replace(/[\s\-().]/g, '');
+    
+    if (digits.startsWith('+')) {
+        digits = digits.slice(1);
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+        digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+    } else if (!digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+        digits = DEFAULT_COUNTRY_CODE + digits;
+    }
+    
+    return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Render a template in a language, falling back to English
+ */
+function renderSms(templateKey, language, data = {}) {
+    const template = SMS_TEMPLATES[templateKey];
+    
+    if (!template) {
+        throw new Error(`Unknown SMS template: ${templateKey}`);
+    }
+    
+    const resolved = MAIL_LANGUAGES.includes(language) && template[language] ? language : DEFAULT_LANGUAGE;
+    let body = template[resolved](data).replace(/\s+/g, ' ').trim();
+    
+    if (body.length > MAX_LENGTH) {
+        body = body.slice(0, MAX_LENGTH - 1) + '…';
+    }
+    
+    return { language: resolved, body };
+}
+
+/**
+ * Render a template and queue it for sending
+ * Returns the queued message, or null when the number is invalid or has opted out.
+ */
+async function queueSms({ to, template, language, data, user }) {
+    const phone = normalizePhone(to);
+    if (!phone) return null;
+    
+    if (!SMS_TEMPLATES[template]?.keywordReply && await SmsOptOut.isOptedOut(phone)) {
+        return null;
+    }
+    
+    const rendered = renderSms(template, language, data);
+    
+    const message = await SmsMessage.create({
+        phone: phone,
+        user: user,
+        template: template,
+        language: rendered.language,
+        body: rendered.body
+    });
+    
+    // Send right away rather than waiting for the next scheduled run
+    setImmediate(runScheduled);
+    
+    return message;
+}
+
+/**
+ * Queue a template for a user in their language, if they turned SMS notifications on
+ */
+function smsUser(user, template, data) {
+    if (!user?.phone || !user.preferences?.smsNotifications) return Promise.resolve(null);
+    
+    return queueSms({
+        to: user.phone,
+        template: template,
+        language: user.preferences.language,
+        data: data,
+        user: user._id
+    });
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Start sending queued messages in the background
+ */
+function startSmsQueue(intervalMs = QUEUE_INTERVAL_MS) {
+    if (timer) return;
+    
+    timer = setInterval(runScheduled, intervalMs);
+    timer.unref(); // Never keep the process alive just for the SMS queue
+    
+    console.log(`📱 SMS queue running every ${Math.round(intervalMs / 1000)}s (${SMS_PROVIDER} provider)`);
+}
+
+function stopSmsQueue() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * One scheduled run; skipped while the previous run is still going
+ */
+async function runScheduled() {
+    if (running) return;
+    running = true;
+    
+    try {
+        await processQueue();
+    } catch (error) {
+        console.error('SMS queue error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Send every message that is due
+ * Messages to opted-out numbers are cancelled, and messages over a recipient's hourly limit
+ * wait until a slot frees up. Returns counts of sent, failed, deferred and cancelled messages.
+ */
+async function processQueue(now = new Date()) {
+    const summary = { sent: 0, failed: 0, deferred: 0, cancelled: 0 };
+    
+    await SmsMessage.releaseStale(STALE_SEND_MS, now);
+    
+    for (let count = 0; count < BATCH_LIMIT; count++) {
+        const message = await SmsMessage.claimNext(now);
+        if (!message) break;
+        
+        const keywordReply = !!SMS_TEMPLATES[message.template]?.keywordReply;
+        
+        if (!keywordReply && await SmsOptOut.isOptedOut(message.phone)) {
+            message.status = 'cancelled';
+            message.lockedAt = undefined;
+            await message.save();
+            summary.cancelled += 1;
+            continue;
+        }
+        
+        if (!keywordReply) {
+            const sentTimes = await SmsMessage.sentTimesSince(message.phone, new Date(now.getTime() - HOUR_MS));
+            
+            if (sentTimes.length >= MAX_PER_RECIPIENT_PER_HOUR) {
+                const freeAt = sentTimes[sentTimes.length - MAX_PER_RECIPIENT_PER_HOUR].getTime() + HOUR_MS;
+                await message.defer(new Date(freeAt)).save();
+                summary.deferred += 1;
+                continue;
+            }
+        }
+        
+        try {
+            const activeProvider = getProvider();
+            const result = await activeProvider.send({ to: message.phone, body: message.body });
+            
+            message.markSent(activeProvider.name, result.providerMessageId);
+            summary.sent += 1;
+        } catch (error) {
+            message.markFailed(error);
+            summary.failed += 1;
+            
+            console.error(`SMS ${message._id} to ${message.phone} failed (attempt ${message.attempts}, ` +
+                `${message.status === 'failed' ? 'giving up' : 'will retry'}):`, error.message);
+        }
+        
+        await message.save();
+    }
+    
+    return summary;
+}
+
+/**
+ * Record a delivery receipt from the provider's webhook
+ * Returns the updated message, or null if it is unknown or already has a final status.
+ */
+async function handleDeliveryReport(fields) {
+    const activeProvider = getProvider();
+    const report = activeProvider.parseDeliveryReport(fields);
+    
+    if (!report.providerMessageId || !['delivered', 'undelivered'].includes(report.status)) {
+        return null;
+    }
+    
+    const update = { status: report.status };
+    if (report.status === 'delivered') update.deliveredAt = new Date();
+    if (report.error) update.lastError = String(report.error).slice(0, 500);
+    
+    return SmsMessage.findOneAndUpdate(
+        {
+            provider: activeProvider.name,
+            providerMessageId: report.providerMessageId,
+            status: 'sent'
+        },
+        { $set: update },
+        { new: true }
+    );
+}
+
+/**
+ * Record an inbound message from the provider's webhook and act on opt-out and opt-in keywords
+ * Returns the stored message and the action taken ('opted-out', 'opted-in' or null).
+ */
+async function handleInbound(fields) {
+    const activeProvider = getProvider();
+    const inbound = activeProvider.parseInbound(fields);
+    const phone = normalizePhone(inbound.from);
+    
+    if (!phone) {
+        const error = new Error('Inbound message has no valid sender number');
+        error.status = 400;
+        throw error;
+    }
+    
+    const word = String(inbound.text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+    const keyword = [...OPT_OUT_KEYWORDS, ...OPT_IN_KEYWORDS].find(candidate => candidate === word);
+    
+    const message = await SmsMessage.create({
+        direction: 'inbound',
+        phone: phone,
+        body: String(inbound.text || '').slice(0, 1600),
+        status: 'received',
+        provider: activeProvider.name,
+        providerMessageId: inbound.providerMessageId,
+        keyword: keyword
+    });
+    
+    let action = null;
+    
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+        await SmsOptOut.optOut(phone, keyword);
+        await SmsMessage.updateMany(
+            { direction: 'outbound', phone: phone, status: 'queued' },
+            { $set: { status: 'cancelled' } }
+        );
+        action = 'opted-out';
+    } else if (OPT_IN_KEYWORDS.includes(keyword)) {
+        await SmsOptOut.optIn(phone);
+        action = 'opted-in';
+    }
+    
+    if (action && !activeProvider.handlesKeywordReplies) {
+        await queueSms({
+            to: phone,
+            template: action === 'opted-out' ? 'optedOut' : 'optedIn',
+            language: keyword === 'ACHA' || keyword === 'ANZA' ? 'sw' : DEFAULT_LANGUAGE
+        });
+    }
+    
+    if (action) {
+        console.log(`📱 ${phone} ${action} with ${keyword}`);
+    }
+    
+    return { message, action };
+}
+
+module.exports = {
+    normalizePhone,
+    renderSms,
+    queueSms,
+    smsUser,
+    startSmsQueue,
+    stopSmsQueue,
+    processQueue,
+    handleDeliveryReport,
+    handleInbound,
+    getProvider
+};
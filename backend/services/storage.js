@@ -0,0 +1,86 @@
+/**
+ * File Storage Service for Salyte Beacon
+ * Storage abstraction for uploaded files, backed by the local disk by default
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores files under a root directory, addressed by relative keys
+ */
+class LocalDiskStorage {
+    constructor(rootDir) {
+        this.rootDir = path.resolve(rootDir);
+    }
+    
+    /**
+     * Resolve a storage key to an absolute path inside the root directory
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+    
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return key;
+    }
+    
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+    
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+/**
+ * Available storage drivers, selected with STORAGE_DRIVER
+ */
+const drivers = {
+    local: () => new LocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'))
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage instance
+ */
+function getStorage() {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        
+        if (!drivers[driver]) {
+            throw new Error(`Unknown storage driver: ${driver}`);
+        }
+        
+        storage = drivers[driver]();
+    }
+    
+    return storage;
+}
+
+module.exports = {
+    getStorage,
+    LocalDiskStorage
+};
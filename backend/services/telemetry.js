@@ -0,0 +1,203 @@
+/**
+ * Telemetry Service for Salyte Beacon
+ * Validates and stores batches of station readings, keeping latest values up to date
+ */
+
+const DataPoint = require('../models/DataPoint');
+const Sensor = require('../models/Sensor');
+const { PARAMETERS, validateParameterValue } = require('../config/parameters');
+const { evaluateReadings } = require('./alerts');
+
+const MAX_BATCH_SIZE = 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // readings may be at most 5 minutes in the future
+
+/**
+ * Validate and normalise one reading
+ * Returns { reading } or { error }.
+ */
+function normalizeReading(raw, sensorsByParameter, requireSensor) {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'Reading must be an object' };
+    }
+    
+    const parameter = raw.parameter || raw.type;
+    const value = typeof raw.value === 'string' ? parseFloat(raw.value) : raw.value;
+    
+    const valueError = validateParameterValue(parameter, value);
+    if (valueError) {
+        return { error: valueError };
+    }
+    
+    if (raw.unit && raw.unit !== PARAMETERS[parameter].unit) {
+        return { error: `Unit for ${parameter} must be ${PARAMETERS[parameter].unit}` };
+    }
+    
+    if (!raw.timestamp) {
+        return { error: 'Timestamp is required' };
+    }
+    
+    const timestamp = new Date(raw.timestamp);
+    if (isNaN(timestamp.getTime())) {
+        return { error: 'Timestamp is not a valid date' };
+    }
+    
+    if (timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return { error: 'Timestamp is in the future' };
+    }
+    
+    const sensor = sensorsByParameter.get(parameter);
+    if (requireSensor && !sensor) {
+        return { error: `Station has no active sensor channel for ${parameter}` };
+    }
+    
+    return {
+        reading: {
+            sensor: sensor?._id,
+            parameter,
+            value,
+            unit: PARAMETERS[parameter].unit,
+            timestamp
+        }
+    };
+}
+
+/**
+ * Store a batch of readings for one station
+ * Readings already stored (same station, parameter and timestamp) are counted as duplicates and
+ * skipped, so a retried batch does not update the station or its alerts again.
+ */
+async function ingestReadings(station, rawReadings, { source = 'sensor', requireSensor = true } = {}) {
+    if (!Array.isArray(rawReadings) || rawReadings.length === 0) {
+        const error = new Error('Readings must be a non-empty array');
+        error.status = 400;
+        throw error;
+    }
+    
+    if (rawReadings.length > MAX_BATCH_SIZE) {
+        const error = new Error(`A batch may contain at most ${MAX_BATCH_SIZE} readings`);
+        error.status = 413;
+        throw error;
+    }
+    
+    const sensors = await Sensor.find({ station: station._id, status: { $ne: 'inactive' } });
+    const sensorsByParameter = new Map(sensors.map(sensor => [sensor.parameter, sensor]));
+    
+    const accepted = [];
+    const rejected = [];
+    
+    rawReadings.forEach((raw, index) => {
+        const { reading, error } = normalizeReading(raw, sensorsByParameter, requireSensor);
+        
+        if (error) {
+            rejected.push({ index, reason: error });
+            return;
+        }
+        
+        accepted.push({
+            ...reading,
+            station: station._id,
+            location: station.location,
+            county: station.county,
+            source
+        });
+    });
+    
+    const inserted = await insertReadings(accepted);
+    let alerts = { opened: 0, updated: 0, closed: 0 };
+    
+    if (inserted.length > 0) {
+        await updateLatestReadings(station, inserted, source);
+        alerts = await evaluateAlerts(station, inserted);
+    }
+    
+    return {
+        received: rawReadings.length,
+        stored: inserted.length,
+        duplicates: accepted.length - inserted.length,
+        rejected,
+        alerts,
+        readings: inserted
+    };
+}
+
+/**
+ * Run the alert rules for stored readings
+ * Readings are already saved, so a failure here is logged rather than failing the batch.
+ */
+async function evaluateAlerts(station, readings) {
+    try {
+        return await evaluateReadings(station, readings);
+    } catch (error) {
+        console.error('Alert evaluation error:', error);
+        return { opened: 0, updated: 0, closed: 0 };
+    }
+}
+
+/**
+ * Insert readings, tolerating duplicates; returns the readings that were newly stored
+ */
+async function insertReadings(readings) {
+    if (readings.length === 0) return [];
+    
+    try {
+        await DataPoint.insertMany(readings, { ordered: false });
+        return readings;
+    } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        
+        if (writeErrors.length === 0 || writeErrors.some(writeError => (writeError.code ?? writeError.err?.code) !== 11000)) {
+            throw error;
+        }
+        
+        const duplicates = new Set(writeErrors.map(writeError => writeError.index ?? writeError.err?.index));
+        return readings.filter((reading, index) => !duplicates.has(index));
+    }
+}
+
+/**
+ * Refresh the station's latest value per parameter and the sensors' last reading time
+ */
+async function updateLatestReadings(station, readings, source) {
+    const newestByParameter = new Map();
+    
+    readings.forEach(reading => {
+        const current = newestByParameter.get(reading.parameter);
+        if (!current || reading.timestamp > current.timestamp) {
+            newestByParameter.set(reading.parameter, reading);
+        }
+    });
+    
+    newestByParameter.forEach((reading, parameter) => {
+        const latest = station.latestReadings.get(parameter);
+        if (!latest || reading.timestamp > latest.timestamp) {
+            station.latestReadings.set(parameter, {
+                value: reading.value,
+                unit: reading.unit,
+                timestamp: reading.timestamp
+            });
+        }
+        
+        if (!station.lastReadingAt || reading.timestamp > station.lastReadingAt) {
+            station.lastReadingAt = reading.timestamp;
+        }
+    });
+    
+    // Live sensor data means the station is reporting
+    if (source === 'sensor' && station.status === 'offline') {
+        station.status = 'online';
+    }
+    
+    await station.save();
+    
+    await Promise.all([...newestByParameter.values()]
+        .filter(reading => reading.sensor)
+        .map(reading => Sensor.updateOne(
+            { _id: reading.sensor, $or: [{ lastReadingAt: null }, { lastReadingAt: { $lt: reading.timestamp } }] },
+            { lastReadingAt: reading.timestamp }
+        )));
+}
+
+module.exports = {
+    ingestReadings,
+    MAX_BATCH_SIZE
+};
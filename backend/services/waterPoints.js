@@ -0,0 +1,180 @@
+/**
+ * Water Point Service for Salyte Beacon
+ * Reviews water points submitted from the map: approving creates a station, merging adds the
+ * submission's test results to an existing one, and submitters are credited and told the outcome
+ */
+
+const Station = require('../models/Station');
+const WaterPointSubmission = require('../models/WaterPointSubmission');
+const Counter = require('../models/Counter');
+const Notification = require('../models/Notification');
+const User = require('../models/user');
+const { ingestReadings } = require('./telemetry');
+
+// Stations this close to a submission are offered as merge candidates
+const DUPLICATE_DISTANCE_METERS = 250;
+
+/**
+ * Stations near a submitted point, nearest first
+ */
+function findNearbyStations(location, maxDistance = DUPLICATE_DISTANCE_METERS) {
+    return Station.find({
+        location: {
+            $nearSphere: {
+                $geometry: location,
+                $maxDistance: maxDistance
+            }
+        }
+    })
+        .select('code name sourceType status county location')
+        .limit(5);
+}
+
+/**
+ * Approve a submission as a new station
+ * `changes` may correct the name, sourceType, locationName and county; a county is required.
+ * The submission is claimed before the station is created, so two reviewers can't both approve it.
+ */
+async function approveSubmission(submission, reviewer, changes = {}, reason) {
+    WaterPointSubmission.REVIEW_CORRECTIONS.forEach(field => {
+        if (changes[field] !== undefined) {
+            submission[field] = changes[field];
+        }
+    });
+    
+    if (!submission.county) {
+        const error = new Error('A county is required to approve a water point');
+        error.status = 400;
+        throw error;
+    }
+    
+    // Catch bad corrections before the submission is claimed
+    await submission.validate();
+    
+    await claimReview(submission, 'approved', reviewer, reason);
+    
+    let station;
+    try {
+        station = new Station({
+            code: await nextStationCode(),
+            name: submission.name,
+            description: submission.description,
+            sourceType: submission.sourceType,
+            locationName: submission.locationName,
+            county: submission.county,
+            location: submission.location,
+            owner: reviewer.userId
+        });
+        await station.save();
+    } catch (error) {
+        await submission.releaseReview();
+        throw error;
+    }
+    
+    submission.station = station._id;
+    await submission.save();
+    
+    await addTestResults(submission, station);
+    await creditSubmitter(submission);
+    await notifySubmitter(submission, `${submission.name} was approved and is now on the map as ${station.code}.`);
+    
+    return station;
+}
+
+/**
+ * Merge a submission into an existing station it duplicates
+ */
+async function mergeSubmission(submission, station, reviewer, reason) {
+    await claimReview(submission, 'merged', reviewer, reason);
+    
+    submission.station = station._id;
+    await submission.save();
+    
+    await addTestResults(submission, station);
+    await creditSubmitter(submission);
+    await notifySubmitter(submission, `${submission.name} was already on the map as ${station.name} (${station.code}); your details were added to it.`);
+    
+    return station;
+}
+
+/**
+ * Reject a submission
+ */
+async function rejectSubmission(submission, reviewer, reason) {
+    await claimReview(submission, 'rejected', reviewer, reason);
+    
+    await notifySubmitter(submission, `${submission.name} was not added to the map: ${reason}`);
+}
+
+/**
+ * Claim a pending submission for one review decision; throws 409 if another reviewer decided first
+ */
+async function claimReview(submission, status, reviewer, reason) {
+    if (!await submission.claimReview(status, reviewer.userId, reason)) {
+        const error = new Error('This water point was already reviewed by someone else');
+        error.status = 409;
+        throw error;
+    }
+}
+
+/**
+ * Store the submission's test results as manual readings of the station
+ */
+async function addTestResults(submission, station) {
+    const readings = submission.toReadings();
+    if (readings.length === 0) return;
+    
+    try {
+        await ingestReadings(station, readings, { source: 'manual', requireSensor: false });
+    } catch (error) {
+        console.error(`Water point ${submission._id} test result error:`, error);
+    }
+}
+
+/**
+ * Count an accepted submission towards the submitter's contributions
+ */
+function creditSubmitter(submission) {
+    return User.updateOne(
+        { _id: submission.submittedBy },
+        { $inc: { 'activity.dataPointsContributed': 1 } }
+    );
+}
+
+/**
+ * Tell the submitter the outcome in the app; a failure here does not undo the review
+ */
+async function notifySubmitter(submission, message) {
+    try {
+        await Notification.create({
+            user: submission.submittedBy,
+            type: 'water-point-review',
+            title: `Water point ${submission.status}: ${submission.name}`,
+            message: message,
+            link: '/cartomap.html?contributions=true'
+        });
+    } catch (error) {
+        console.error(`Water point ${submission._id} notification error:`, error);
+    }
+}
+
+/**
+ * Next free code for a community-submitted station (CWP-NNNNN)
+ */
+async function nextStationCode() {
+    let code;
+    
+    do {
+        code = `CWP-${String(await Counter.next('community-water-point')).padStart(5, '0')}`;
+    } while (await Station.exists({ code }));
+    
+    return code;
+}
+
+module.exports = {
+    findNearbyStations,
+    approveSubmission,
+    mergeSubmission,
+    rejectSubmission,
+    DUPLICATE_DISTANCE_METERS
+};
@@ -0,0 +1,135 @@
+/**
+ * Water Quality Index Service for Salyte Beacon
+ * Weighted-arithmetic WQI combining several parameters into one score and category
+ */
+
+const { getStandard, DEFAULT_STANDARD } = require('../config/standards');
+
+// Parameters combined into the index
+const WQI_PARAMETERS = ['ph', 'dissolvedOxygen', 'turbidity', 'conductivity', 'temperature', 'coliform'];
+
+// A score needs at least this many of the parameters above
+const MIN_PARAMETERS = 3;
+
+// Value of each parameter in ideal water
+const IDEAL_VALUES = {
+    ph: 7,
+    dissolvedOxygen: 14.6,
+    turbidity: 0,
+    conductivity: 0,
+    temperature: 20,
+    coliform: 0
+};
+
+// Permissible ranges for parameters a standard sets no limit for
+const FALLBACK_LIMITS = {
+    temperature: [10, 30],
+    conductivity: [0, 1500]
+};
+
+// A zero limit (no coliform allowed) is scored against the 1 CFU/100ml detection limit
+const DETECTION_LIMIT = 1;
+
+// Score bands; lower is better, above 100 the water is unsuitable for drinking
+const CATEGORIES = [
+    { max: 25, category: 'excellent', label: 'Excellent' },
+    { max: 50, category: 'good', label: 'Good' },
+    { max: 75, category: 'poor', label: 'Poor' },
+    { max: 100, category: 'very-poor', label: 'Very Poor' },
+    { max: Infinity, category: 'unsuitable', label: 'Unsuitable' }
+];
+
+/**
+ * Permissible range of a parameter under a standard
+ */
+function getLimits(parameter, standardKey) {
+    const limits = getStandard(standardKey).limits[parameter]?.safe || FALLBACK_LIMITS[parameter];
+    if (!limits) return null;
+    
+    const [min, max] = limits;
+    return [min, max === 0 ? DETECTION_LIMIT : max];
+}
+
+/**
+ * Sub-index (quality rating) and unit weight of one parameter
+ * Returns null when the parameter cannot be rated under the standard.
+ */
+function rateParameter(parameter, value, standardKey) {
+    const limits = getLimits(parameter, standardKey);
+    const ideal = IDEAL_VALUES[parameter];
+    
+    if (!limits || typeof value !== 'number' || !Number.isFinite(value)) {
+        return null;
+    }
+    
+    const [min, max] = limits;
+    
+    // Dissolved oxygen is limited from below; pH and temperature may deviate either way
+    let permissible = max;
+    if (parameter === 'dissolvedOxygen' || (value < ideal && min > 0)) {
+        permissible = min;
+    }
+    
+    if (permissible === ideal || !Number.isFinite(permissible)) {
+        return null;
+    }
+    
+    return {
+        subIndex: Math.max(100 * (value - ideal) / (permissible - ideal), 0),
+        weight: 1 / (Number.isFinite(max) && max > 0 ? max : permissible)
+    };
+}
+
+/**
+ * Category for a score
+ */
+function categorize(score) {
+    if (score === null) {
+        return { category: 'insufficient-data', label: 'Insufficient Data' };
+    }
+    
+    const { category, label } = CATEGORIES.find(band => score <= band.max);
+    return { category, label };
+}
+
+/**
+ * Compute the WQI from mean parameter values ({ parameter: value })
+ */
+function computeWqi(values, standardKey = DEFAULT_STANDARD) {
+    const parameters = {};
+    let weightedSum = 0;
+    let weightTotal = 0;
+    
+    WQI_PARAMETERS.forEach(parameter => {
+        const rating = rateParameter(parameter, values[parameter], standardKey);
+        if (!rating) return;
+        
+        weightedSum += rating.subIndex * rating.weight;
+        weightTotal += rating.weight;
+        
+        parameters[parameter] = {
+            value: Math.round(values[parameter] * 1000) / 1000,
+            subIndex: Math.round(rating.subIndex * 10) / 10
+        };
+    });
+    
+    const parametersUsed = Object.keys(parameters).length;
+    const score = parametersUsed >= MIN_PARAMETERS
+        ? Math.round(weightedSum / weightTotal * 10) / 10
+        : null;
+    
+    return {
+        score,
+        ...categorize(score),
+        standard: standardKey,
+        parametersUsed,
+        parameters
+    };
+}
+
+module.exports = {
+    WQI_PARAMETERS,
+    MIN_PARAMETERS,
+    CATEGORIES,
+    computeWqi
+};
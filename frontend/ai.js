@@ -8,6 +8,9 @@ let currentChatId = null;
 let chatHistory = [];
 let isTyping = false;
 
+// Questions about the nearest safe water are sent with the user's location
+const NEAREST_WATER_PATTERN = /\b(nearest|closest|nearby|near me|close to me|around me)\b/i;
+
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize AI chat functionality
     initializeAIChat();
@@ -111,6 +114,8 @@ async function sendMessage() {
     showTypingIndicator();
     
     try {
+        const location = NEAREST_WATER_PATTERN.test(message) ? await getBrowserLocation() : null;
+        
         // Send to AI API
         const response = await fetch('/api/chat', {
             method: 'POST',
@@ -121,7 +126,8 @@ async function sendMessage() {
             body: JSON.stringify({
                 message: message,
                 chatId: currentChatId,
-                context: getChatContext()
+                context: getChatContext(),
+                location: location
             })
         });
         
@@ -581,6 +587,22 @@ function getAuthToken() {
     return sessionStorage.getItem('authToken') || localStorage.getItem('authToken') || '';
 }
 
+function getBrowserLocation() {
+    // Resolves to null if location is unavailable or denied
+    return new Promise(resolve => {
+        if (!navigator.geolocation) {
+            resolve(null);
+            return;
+        }
+        
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+            () => resolve(null),
+            { timeout: 10000, maximumAge: 300000 }
+        );
+    });
+}
+
 function loadChatHistory() {
     // Mock loading chat history from localStorage
     const saved = localStorage.getItem('salyteAIChats');
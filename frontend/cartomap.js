@@ -11,19 +11,46 @@ let userLocation = null;
 let isFullscreen = false;
 let isSatelliteView = false;
 let selectedPoint = null;
+let mapDataRequest = 0;
+let mapMoveTimer = null;
+let clusterGroup = null;
+let safeSources = [];
+
+// Layer configuration, replaced by the server's layers once loaded
+let layerConfig = {
+    waterQuality: { name: 'Water Quality Points', color: '#0d6efd', icon: 'fa-tint', enabled: true },
+    contaminated: { name: 'Contaminated Areas', color: '#dc3545', icon: 'fa-exclamation-triangle', enabled: true },
+    safeBoreholes: { name: 'Safe Boreholes', color: '#198754', icon: 'fa-check-circle', enabled: true },
+    activeProjects: { name: 'Active Projects', color: '#ffc107', icon: 'fa-hammer', enabled: false },
+    treatmentPlants: { name: 'Treatment Plants', color: '#0dcaf0', icon: 'fa-industry', enabled: false }
+};
+
+// Marker colors per quality class; warning and critical are the server's standard-based classes
+const QUALITY_COLORS = {
+    safe: '#198754',
+    moderate: '#ffc107',
+    warning: '#ffc107',
+    unsafe: '#dc3545',
+    critical: '#dc3545',
+    unknown: '#6c757d'
+};
 
-// Layer configuration
-const layerConfig = {
-    waterQuality: { name: 'Water Quality Points', color: '#0d6efd', enabled: true },
-    contaminated: { name: 'Contaminated Areas', color: '#dc3545', enabled: true },
-    safeBoreholes: { name: 'Safe Boreholes', color: '#198754', enabled: true },
-    activeProjects: { name: 'Active Projects', color: '#ffc107', enabled: false },
-    treatmentPlants: { name: 'Treatment Plants', color: '#0dcaf0', enabled: false }
+// Badge classes for the review status of submitted water points
+const CONTRIBUTION_BADGES = {
+    pending: 'bg-secondary',
+    approved: 'bg-success',
+    merged: 'bg-info',
+    rejected: 'bg-danger'
 };
 
 // Initialize map on page load
 document.addEventListener('DOMContentLoaded', function() {
     initializeMap();
+
+    // Review notifications link here
+    if (new URLSearchParams(window.location.search).get('contributions') === 'true') {
+        showContributions();
+    }
 });
 
 /**
@@ -47,9 +74,9 @@ function initializeMap() {
 
         // Initialize layer groups
         initializeLayerGroups();
-
-        // Load initial data
-        loadMapData();
+        
+        // Load layers from the server, then the initial data
+        loadMapLayers();
 
         // Setup event listeners
         setupMapEventListeners();
@@ -81,24 +108,93 @@ function initializeLayerGroups() {
             layerGroups[layerId].addTo(map);
         }
     });
+
+    // Clusters mix layers, so they have a group of their own
+    if (!clusterGroup) {
+        clusterGroup = L.layerGroup().addTo(map);
+    }
+}
+
+/**
+ * Load the map layers available to the user, then the map data
+ * The built-in layers in layerConfig stay in use if the server cannot be reached.
+ */
+async function loadMapLayers() {
+    try {
+        const response = await fetch('/api/map/layers', { headers: getAuthHeaders() });
+
+        if (response.ok) {
+            const { layers } = await response.json();
+
+            Object.values(layerGroups).forEach(layer => map.removeLayer(layer));
+            layerGroups = {};
+            layerConfig = {};
+            layers.forEach(layer => {
+                layerConfig[layer.key] = {
+                    name: layer.name,
+                    description: layer.description,
+                    color: layer.color,
+                    icon: layer.icon,
+                    enabled: layer.defaultVisible
+                };
+            });
+
+            initializeLayerGroups();
+            renderLayerControls();
+        }
+    } catch (error) {
+        console.error('Error loading map layers:', error);
+    }
+
+    loadMapData();
 }
 
 /**
- * Load map data from API or use mock data
+ * Show a switch for each map layer in the sidebar
+ */
+function renderLayerControls() {
+    const container = document.querySelector('.layer-controls');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(layerConfig).map(([key, layer]) => `
+        <div class="form-check form-switch">
+            <input class="form-check-input" type="checkbox" id="${key}Layer" data-layer="${key}" ${layer.enabled ? 'checked' : ''}>
+            <label class="form-check-label" for="${key}Layer" ${layer.description ? `title="${escapeHtml(layer.description)}"` : ''}>
+                <i class="fas ${layer.icon} me-2" style="color: ${layer.color};"></i>${escapeHtml(layer.name)}
+            </label>
+        </div>
+    `).join('');
+}
+
+/**
+ * Load map data for the visible area and current filters from the API
+ * When it can't be loaded the map is left empty with an error, never filled with sample data.
  */
 async function loadMapData() {
+    // Only the latest request updates the map when the user pans quickly
+    const request = ++mapDataRequest;
+
+    // Nothing to fetch with every layer switched off
+    if (!Object.values(layerConfig).some(layer => layer.enabled)) {
+        processMapData({ features: [] });
+        return;
+    }
+
     try {
         showMapLoading(true);
 
-        // Try to fetch real data from API
-        const response = await fetch('/api/map/data');
-        let mapData;
+        // Zoomed-out views come back as clusters
+        const response = await fetch(`/api/map/clusters?${buildMapDataQuery()}`, { headers: getAuthHeaders() });
+        const mapData = await response.json().catch(() => ({}));
 
-        if (response.ok) {
-            mapData = await response.json();
-        } else {
-            // Use mock data if API fails
-            mapData = getMockMapData();
+        if (request !== mapDataRequest) return;
+
+        if (!response.ok) {
+            throw new Error(mapData.message || `Server responded with ${response.status}`);
+        }
+
+        if (mapData.metadata && mapData.metadata.truncated) {
+            showNotification('Showing the most recently updated water points. Zoom in to see more.', 'info');
         }
 
         // Process and display data
@@ -106,16 +202,52 @@ async function loadMapData() {
         updateStatistics(mapData);
 
     } catch (error) {
+        if (request !== mapDataRequest) return;
+
         console.error('Error loading map data:', error);
-        // Use mock data as fallback
-        const mockData = getMockMapData();
-        processMapData(mockData);
-        updateStatistics(mockData);
+        const emptyData = { features: [] };
+        processMapData(emptyData);
+        updateStatistics(emptyData);
+        showNotification(`Could not load water points: ${error.message}`, 'error');
     } finally {
         showMapLoading(false);
     }
 }
 
+/**
+ * Query string for the visible area, zoom level and sidebar filters
+ */
+function buildMapDataQuery() {
+    const params = new URLSearchParams();
+    const bounds = map.getBounds();
+
+    // Leaflet longitudes run past ±180 when the world wraps; the API expects them wrapped
+    if (bounds.getEast() - bounds.getWest() < 360) {
+        const wrap = lng => ((lng + 180) % 360 + 360) % 360 - 180;
+        const clamp = lat => Math.min(Math.max(lat, -90), 90);
+        params.set('bbox', [
+            wrap(bounds.getWest()), clamp(bounds.getSouth()),
+            wrap(bounds.getEast()), clamp(bounds.getNorth())
+        ].map(value => value.toFixed(5)).join(','));
+    }
+    params.set('zoom', map.getZoom());
+
+    // Only layers switched on are fetched; switching one on reloads the data
+    const visibleLayers = Object.keys(layerConfig).filter(key => layerConfig[key].enabled);
+    params.set('layers', visibleLayers.join(','));
+
+    const filters = {
+        range: document.getElementById('dateRange')?.value,
+        quality: document.getElementById('qualityFilter')?.value,
+        sourceType: document.getElementById('sourceFilter')?.value
+    };
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value && value !== 'all') params.set(name, value);
+    });
+
+    return params.toString();
+}
+
 /**
  * Process and display map data
  */
@@ -123,11 +255,20 @@ function processMapData(data) {
     // Clear existing markers
     currentMarkers = [];
     Object.values(layerGroups).forEach(layer => layer.clearLayers());
+    if (clusterGroup) clusterGroup.clearLayers();
 
     // Process each data point
     data.features.forEach(feature => {
         const { geometry, properties } = feature;
         const [lng, lat] = geometry.coordinates;
+
+        if (properties.cluster) {
+            const clusterMarker = createClusterMarker(lat, lng, properties);
+            currentMarkers.push(clusterMarker);
+            clusterGroup.addLayer(clusterMarker);
+            return;
+        }
+
         const marker = createMarker(lat, lng, properties);
         
         if (marker) {
@@ -141,7 +282,50 @@ function processMapData(data) {
         }
     });
 
-    console.log(`Loaded ${currentMarkers.length} water points on map`);
+    console.log(`Loaded ${countPoints(currentMarkers)} water points on map`);
+}
+
+/**
+ * Create a cluster marker sized by its count and colored by its dominant quality
+ * Clicking it zooms to the points it holds.
+ */
+function createClusterMarker(lat, lng, properties) {
+    const { count, dominantQuality, dominantLayer, bounds } = properties;
+    const color = dominantQuality
+        ? QUALITY_COLORS[dominantQuality]
+        : layerConfig[dominantLayer]?.color || QUALITY_COLORS.unknown;
+    const size = count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 44 : 52;
+    const label = count < 1000 ? count : `${Math.floor(count / 1000)}k`;
+
+    const icon = L.divIcon({
+        className: 'custom-marker',
+        html: `<div class="cluster-marker" style="background-color: ${color}; width: ${size}px; height: ${size}px; line-height: ${size - 6}px;">${label}</div>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+
+    const marker = L.marker([lat, lng], { icon: icon, title: `${count} points` });
+
+    marker.on('click', function() {
+        const [west, south, east, north] = bounds;
+
+        // Points sharing one spot only separate once clustering stops
+        if (west === east && south === north) {
+            map.setView([lat, lng], Math.max(map.getZoom() + 2, 15));
+        } else {
+            map.fitBounds([[south, west], [north, east]], { padding: [40, 40] });
+        }
+    });
+    marker.properties = properties;
+
+    return marker;
+}
+
+/**
+ * Number of water points behind a set of markers, counting every point in a cluster
+ */
+function countPoints(markers) {
+    return markers.reduce((total, marker) => total + (marker.properties.count || 1), 0);
 }
 
 /**
@@ -150,14 +334,15 @@ function processMapData(data) {
 function createMarker(lat, lng, properties) {
     const { name, type, quality, lastUpdated, description, testResults } = properties;
     
-    // Create custom icon based on quality
-    const icon = createCustomIcon(quality, type);
+    // Create custom icon based on quality; reports take their layer's look
+    const isReport = properties.kind === 'report';
+    const icon = isReport ? createLayerIcon(properties.layer) : createCustomIcon(quality, type);
     
     // Create marker
     const marker = L.marker([lat, lng], { icon: icon });
     
     // Create popup content
-    const popupContent = createPopupContent(properties);
+    const popupContent = isReport ? createReportPopupContent(properties) : createPopupContent(properties);
     marker.bindPopup(popupContent, {
         maxWidth: 300,
         className: 'custom-popup'
@@ -167,6 +352,7 @@ function createMarker(lat, lng, properties) {
     marker.on('click', function(e) {
         selectWaterPoint(properties, e.latlng);
     });
+    marker.properties = properties;
 
     return marker;
 }
@@ -175,14 +361,7 @@ function createMarker(lat, lng, properties) {
  * Create custom icon based on water quality and type
  */
 function createCustomIcon(quality, type) {
-    const colorMap = {
-        safe: '#198754',
-        moderate: '#ffc107',
-        unsafe: '#dc3545',
-        unknown: '#6c757d'
-    };
-
-    const color = colorMap[quality] || colorMap.unknown;
+    const color = QUALITY_COLORS[quality] || QUALITY_COLORS.unknown;
     
     return L.divIcon({
         className: 'custom-marker',
@@ -192,6 +371,42 @@ function createCustomIcon(quality, type) {
     });
 }
 
+/**
+ * Create icon in a layer's color and symbol
+ */
+function createLayerIcon(layerKey) {
+    const layer = layerConfig[layerKey] || { color: '#6c757d', icon: 'fa-map-marker-alt' };
+    
+    return L.divIcon({
+        className: 'custom-marker',
+        html: `<div class="layer-marker" style="background-color: ${layer.color}; color: white; width: 26px; height: 26px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; font-size: 12px;"><i class="fas ${layer.icon}"></i></div>`,
+        iconSize: [26, 26],
+        iconAnchor: [13, 13]
+    });
+}
+
+/**
+ * Create popup content for a community report
+ */
+function createReportPopupContent(properties) {
+    const { name, type, severity, status, locationName, submittedAt, trackingId, layer } = properties;
+    
+    return `
+        <div class="water-point-popup">
+            <h6>${escapeHtml(name)}</h6>
+            <p class="small text-muted">${escapeHtml(layerConfig[layer]?.name || 'Community report')}</p>
+            <p><strong>Issue:</strong> ${type}</p>
+            <p><strong>Severity:</strong> <span class="quality-badge ${severity}">${severity.toUpperCase()}</span></p>
+            <p><strong>Status:</strong> ${status.replace('-', ' ')}</p>
+            ${locationName ? `<p><strong>Location:</strong> ${escapeHtml(locationName)}</p>` : ''}
+            <p class="small text-muted">Reported: ${new Date(submittedAt).toLocaleDateString()}</p>
+            <a class="btn btn-primary btn-sm w-100 mt-2" href="report.html?track=${encodeURIComponent(trackingId)}">
+                Track Report
+            </a>
+        </div>
+    `;
+}
+
 /**
  * Create popup content for water point
  */
@@ -205,7 +420,7 @@ function createPopupContent(properties) {
         testResultsHTML = `
             <div class="test-results mt-2">
                 <strong>Test Results:</strong><br>
-                ${testResults.pH ? `pH: ${testResults.pH}<br>` : ''}
+                ${testResults.ph ? `pH: ${testResults.ph}<br>` : ''}
                 ${testResults.tds ? `TDS: ${testResults.tds} ppm<br>` : ''}
                 ${testResults.turbidity ? `Turbidity: ${testResults.turbidity} NTU<br>` : ''}
             </div>
@@ -234,9 +449,12 @@ function createPopupContent(properties) {
 function getLayerIdFromProperties(properties) {
     const { type, quality } = properties;
     
+    // Server features carry the layer they belong to
+    if (properties.layer) return properties.layer;
+    
     if (type === 'borehole' && quality === 'safe') return 'safeBoreholes';
-    if (quality === 'unsafe' || properties.contaminated) return 'contaminated';
-    if (type === 'treatment_plant') return 'treatmentPlants';
+    if (quality === 'unsafe' || quality === 'critical' || properties.contaminated) return 'contaminated';
+    if (type === 'treatment_plant' || type === 'treatment-plant') return 'treatmentPlants';
     if (properties.isProject) return 'activeProjects';
     
     return 'waterQuality';
@@ -253,13 +471,15 @@ function setupMapEventListeners() {
         }
     });
 
-    // Layer toggle event listeners
-    const layerCheckboxes = document.querySelectorAll('.layer-controls input[type="checkbox"]');
-    layerCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', function() {
-            toggleLayer(this.id, this.checked);
+    // Layer toggle event listeners (the switches are replaced once the server's layers load)
+    const layerControls = document.querySelector('.layer-controls');
+    if (layerControls) {
+        layerControls.addEventListener('change', function(e) {
+            if (e.target.matches('input[type="checkbox"]')) {
+                toggleLayer(e.target.dataset.layer || e.target.id.replace(/Layer$/, ''), e.target.checked);
+            }
         });
-    });
+    }
 
     // Filter event listeners
     const filterSelects = document.querySelectorAll('.filter-controls select');
@@ -267,6 +487,12 @@ function setupMapEventListeners() {
         select.addEventListener('change', applyFilters);
     });
 
+    // Reload the visible area after panning or zooming
+    map.on('moveend', function() {
+        clearTimeout(mapMoveTimer);
+        mapMoveTimer = setTimeout(loadMapData, 300);
+    });
+
     // Search functionality
     const locationSearch = document.getElementById('locationSearch');
     if (locationSearch) {
@@ -281,9 +507,7 @@ function setupMapEventListeners() {
 /**
  * Toggle layer visibility
  */
-function toggleLayer(layerId, isVisible) {
-    const layerKey = layerId.replace('Layer', '');
-    
+function toggleLayer(layerKey, isVisible) {
     if (layerGroups[layerKey]) {
         if (isVisible) {
             layerGroups[layerKey].addTo(map);
@@ -293,72 +517,18 @@ function toggleLayer(layerId, isVisible) {
         
         layerConfig[layerKey].enabled = isVisible;
         console.log(`${layerConfig[layerKey].name} layer ${isVisible ? 'enabled' : 'disabled'}`);
+        
+        // Hidden layers are not fetched, and clusters count every visible layer, so reload
+        loadMapData();
     }
 }
 
 /**
  * Apply filters to map data
+ * Filtering happens on the server so only matching points in view are sent.
  */
 function applyFilters() {
-    const dateRange = document.getElementById('dateRange').value;
-    const qualityFilter = document.getElementById('qualityFilter').value;
-    const sourceFilter = document.getElementById('sourceFilter').value;
-
-    // Clear existing markers
-    Object.values(layerGroups).forEach(layer => layer.clearLayers());
-
-    // Filter markers based on criteria
-    const filteredMarkers = currentMarkers.filter(marker => {
-        const properties = marker.properties || {};
-        
-        // Date filter
-        if (dateRange && dateRange !== 'all') {
-            const cutoffDate = getDateFromFilter(dateRange);
-            const markerDate = new Date(properties.lastUpdated);
-            if (markerDate < cutoffDate) return false;
-        }
-        
-        // Quality filter
-        if (qualityFilter && qualityFilter !== 'all') {
-            if (properties.quality !== qualityFilter) return false;
-        }
-        
-        // Source type filter
-        if (sourceFilter && sourceFilter !== 'all') {
-            if (properties.type !== sourceFilter) return false;
-        }
-        
-        return true;
-    });
-
-    // Re-add filtered markers to appropriate layers
-    filteredMarkers.forEach(marker => {
-        const layerId = getLayerIdFromProperties(marker.properties);
-        if (layerGroups[layerId] && layerConfig[layerId].enabled) {
-            layerGroups[layerId].addLayer(marker);
-        }
-    });
-
-    console.log(`Applied filters: ${filteredMarkers.length} markers visible`);
-}
-
-/**
- * Get date cutoff from filter value
- */
-function getDateFromFilter(filter) {
-    const now = new Date();
-    switch (filter) {
-        case 'week':
-            return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        case 'month':
-            return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        case 'quarter':
-            return new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        case 'year':
-            return new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        default:
-            return new Date(0); // Beginning of time
-    }
+    loadMapData();
 }
 
 /**
@@ -590,13 +760,28 @@ function calculateStatistics(data) {
         projects: 0
     };
 
+    // The server reports standard-based classes
+    const groupOf = quality => ({ warning: 'moderate', critical: 'unsafe' }[quality] || quality);
+
     data.features.forEach(feature => {
-        const { quality, isProject } = feature.properties;
+        const { kind, quality, isProject, layer } = feature.properties;
+        const group = groupOf(quality);
+        
+        if (kind === 'report') return;
         
-        if (isProject) {
+        // Clusters carry their counts per quality class and layer
+        if (kind === 'cluster') {
+            Object.entries(feature.properties.qualities).forEach(([clusterQuality, count]) => {
+                stats[groupOf(clusterQuality)] = (stats[groupOf(clusterQuality)] || 0) + count;
+            });
+            stats.projects += feature.properties.layers.activeProjects || 0;
+            return;
+        }
+        
+        if (isProject || layer === 'activeProjects') {
             stats.projects++;
         } else {
-            stats[quality] = (stats[quality] || 0) + 1;
+            stats[group] = (stats[group] || 0) + 1;
         }
     });
 
@@ -661,56 +846,114 @@ function handleMapClickForAddPoint(e) {
 }
 
 /**
- * Submit new water point
+ * Submit new water point for review
  */
 async function submitWaterPoint() {
-    const form = document.getElementById('addPointForm');
-    const formData = new FormData(form);
-    
+    const value = id => document.getElementById(id).value.trim();
+    const number = id => value(id) === '' ? null : parseFloat(value(id));
+
     const pointData = {
-        name: formData.get('pointName'),
-        type: formData.get('pointType'),
-        quality: formData.get('qualityStatus'),
-        latitude: parseFloat(formData.get('pointLat')),
-        longitude: parseFloat(formData.get('pointLng')),
-        description: formData.get('pointDescription'),
+        name: value('pointName'),
+        type: value('pointType'),
+        quality: value('qualityStatus'),
+        latitude: number('pointLat'),
+        longitude: number('pointLng'),
+        description: value('pointDescription'),
         testResults: {
-            pH: formData.get('phValue') ? parseFloat(formData.get('phValue')) : null,
-            tds: formData.get('tdsValue') ? parseFloat(formData.get('tdsValue')) : null,
-            turbidity: formData.get('turbidityValue') ? parseFloat(formData.get('turbidityValue')) : null
+            ph: number('phValue'),
+            tds: number('tdsValue'),
+            turbidity: number('turbidityValue')
         }
     };
 
+    if (!pointData.name || !pointData.type || pointData.latitude === null || pointData.longitude === null) {
+        showNotification('Please enter a name and type, and click the map to select the location.', 'warning');
+        return;
+    }
+
+    if (!getAuthToken()) {
+        showNotification('Please sign in to add water points.', 'warning');
+        return;
+    }
+
     try {
         const response = await fetch('/api/map/report', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
             body: JSON.stringify(pointData)
         });
+        const result = await response.json();
 
-        if (response.ok) {
-            showNotification('Water point added successfully!', 'success');
-            
-            // Close modal
-            const modal = bootstrap.Modal.getInstance(document.getElementById('addPointModal'));
-            modal.hide();
-            
-            // Clear temp marker
-            if (window.tempAddMarker) {
-                map.removeLayer(window.tempAddMarker);
-                delete window.tempAddMarker;
-            }
-            
-            // Reload map data
-            loadMapData();
-            
-        } else {
-            throw new Error('Failed to save water point');
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to save water point');
         }
-        
+
+        showNotification(result.message, 'success');
+
+        // Close modal
+        const modal = bootstrap.Modal.getInstance(document.getElementById('addPointModal'));
+        modal.hide();
+        document.getElementById('addPointForm').reset();
+
+        // Clear temp marker; the point appears on the map once a reviewer approves it
+        if (window.tempAddMarker) {
+            map.removeLayer(window.tempAddMarker);
+            delete window.tempAddMarker;
+        }
+
     } catch (error) {
         console.error('Error submitting water point:', error);
-        showNotification('Failed to add water point. Please try again.', 'error');
+        showNotification(error.message || 'Failed to add water point. Please try again.', 'error');
+    }
+}
+
+/**
+ * Show the status of the user's submitted water points
+ */
+async function showContributions() {
+    const list = document.getElementById('contributionsList');
+    const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('contributionsModal'));
+
+    if (!getAuthToken()) {
+        showNotification('Please sign in to see your contributions.', 'warning');
+        return;
+    }
+
+    list.innerHTML = '<p class="text-muted">Loading...</p>';
+    modal.show();
+
+    try {
+        const response = await fetch('/api/map/submissions/mine?limit=50', { headers: getAuthHeaders() });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to load contributions');
+        }
+
+        document.getElementById('contributionsCount').textContent = result.dataPointsContributed;
+
+        if (result.submissions.length === 0) {
+            list.innerHTML = '<p class="text-muted">You have not submitted any water points yet.</p>';
+            return;
+        }
+
+        list.innerHTML = result.submissions.map(submission => `
+            <div class="border-bottom py-2">
+                <div class="d-flex justify-content-between align-items-center">
+                    <strong>${escapeHtml(submission.name)}</strong>
+                    <span class="badge ${CONTRIBUTION_BADGES[submission.status]}">${submission.status}</span>
+                </div>
+                <div class="small text-muted">
+                    ${submission.sourceType.replace('-', ' ')} · submitted ${new Date(submission.createdAt).toLocaleDateString()}
+                    ${submission.station ? ` · station ${escapeHtml(submission.station.code)}` : ''}
+                </div>
+                ${submission.review?.reason ? `<div class="small">${escapeHtml(submission.review.reason)}</div>` : ''}
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error loading contributions:', error);
+        list.innerHTML = `<p class="text-danger">${escapeHtml(error.message)}</p>`;
     }
 }
 
@@ -731,30 +974,37 @@ function reportContamination() {
 }
 
 /**
- * Export map data
+ * Download the points matching the map's layers and filters in the chosen format
  */
-function exportMapData() {
-    const exportData = {
-        timestamp: new Date().toISOString(),
-        filters: {
-            dateRange: document.getElementById('dateRange').value,
-            quality: document.getElementById('qualityFilter').value,
-            source: document.getElementById('sourceFilter').value
-        },
-        statistics: calculateStatistics({ features: currentMarkers.map(m => ({ properties: m.properties })) }),
-        totalPoints: currentMarkers.length
-    };
-
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+async function exportMapData() {
+    const format = document.getElementById('exportFormat')?.value || 'geojson';
+    const params = new URLSearchParams(buildMapDataQuery());
+    params.set('format', format);
+    params.delete('zoom');
     
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `salyte-map-data-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    
-    URL.revokeObjectURL(url);
-    showNotification('Map data exported successfully', 'success');
+    try {
+        const response = await fetch(`/api/map/export?${params}`, { headers: getAuthHeaders() });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const blob = await response.blob();
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `salyte-map-data.${format}`;
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+        showNotification(`Map data exported (up to ${response.headers.get('X-Export-Limit')} features on your plan)`, 'success');
+    } catch (error) {
+        console.error('Error exporting map data:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+    }
 }
 
 /**
@@ -788,7 +1038,7 @@ function createPointDetailsHTML(properties) {
             <div class="card mt-3">
                 <div class="card-header"><h6 class="mb-0">Test Results</h6></div>
                 <div class="card-body">
-                    ${testResults.pH ? `<p><strong>pH:</strong> ${testResults.pH}</p>` : ''}
+                    ${testResults.ph ? `<p><strong>pH:</strong> ${testResults.ph}</p>` : ''}
                     ${testResults.tds ? `<p><strong>TDS:</strong> ${testResults.tds} ppm</p>` : ''}
                     ${testResults.turbidity ? `<p><strong>Turbidity:</strong> ${testResults.turbidity} NTU</p>` : ''}
                     ${testResults.chlorine ? `<p><strong>Chlorine:</strong> ${testResults.chlorine} mg/L</p>` : ''}
@@ -827,6 +1077,91 @@ function createPointDetailsHTML(properties) {
     `;
 }
 
+/**
+ * Remember the clicked water point for directions
+ */
+function selectWaterPoint(properties, latlng) {
+    selectedPoint = { ...properties, lat: latlng.lat, lng: latlng.lng };
+}
+
+/**
+ * Find the nearest water sources tested safe, from the user's location or the map centre
+ */
+async function findSafeWater() {
+    const list = document.getElementById('safeSourcesList');
+    let origin = userLocation;
+
+    if (!origin) {
+        const center = map.getCenter();
+        origin = { lat: center.lat, lng: center.lng };
+        getCurrentLocation();
+        showNotification('Searching around the map centre. Allow location access for results near you.', 'info');
+    }
+
+    list.innerHTML = '<p class="small text-muted mb-0">Searching...</p>';
+
+    try {
+        const params = new URLSearchParams({ lat: origin.lat.toFixed(6), lng: origin.lng.toFixed(6), limit: 5 });
+        const response = await fetch(`/api/map/nearest-safe?${params}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Search failed');
+        }
+
+        safeSources = result.sources;
+
+        if (safeSources.length === 0) {
+            list.innerHTML = `<p class="small text-muted mb-0">No source tested safe in the last ${result.search.days} days within ${result.search.maxDistance} km.</p>`;
+            return;
+        }
+
+        list.innerHTML = safeSources.map((source, index) => `
+            <div class="safe-source">
+                <div class="d-flex justify-content-between">
+                    <strong>${escapeHtml(source.name)}</strong>
+                    <span class="safe-source-distance">${formatDistance(source.distance)}</span>
+                </div>
+                <div class="text-muted">
+                    ${source.sourceType.replace('-', ' ')} · ${source.status} · tested ${new Date(source.lastTestedAt).toLocaleDateString()}
+                </div>
+                <div class="mt-1">
+                    <button class="btn btn-outline-primary btn-sm" onclick="showSafeSource(${index})">Show</button>
+                    <button class="btn btn-outline-success btn-sm" onclick="directionsToSafeSource(${index})">Directions</button>
+                </div>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error finding safe water:', error);
+        list.innerHTML = '';
+        showNotification('Could not search for safe water. Please try again.', 'error');
+    }
+}
+
+/**
+ * Zoom the map to a safe source from the search results
+ */
+function showSafeSource(index) {
+    const source = safeSources[index];
+    if (source) goToLocation(source.latitude, source.longitude, 16);
+}
+
+/**
+ * Open directions to a safe source from the search results
+ */
+function directionsToSafeSource(index) {
+    const source = safeSources[index];
+    if (!source) return;
+
+    selectedPoint = { ...source, lat: source.latitude, lng: source.longitude };
+    getDirections();
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
 /**
  * Get directions to selected point
  */
@@ -882,122 +1217,27 @@ function showNotification(message, type = 'info') {
 }
 
 /**
- * Mock map data for testing
+ * Escape text from the server before putting it in HTML
  */
-function getMockMapData() {
-    return {
-        type: "FeatureCollection",
-        features: [
-            {
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [36.8219, -1.2921] // Nairobi
-                },
-                properties: {
-                    id: "wp001",
-                    name: "Nairobi City Water Point",
-                    type: "borehole",
-                    quality: "safe",
-                    description: "Community borehole serving central Nairobi",
-                    lastUpdated: "2025-01-15T10:30:00Z",
-                    peopleServed: 500,
-                    testResults: {
-                        pH: 7.2,
-                        tds: 245,
-                        turbidity: 0.8
-                    },
-                    coordinates: "-1.2921, 36.8219"
-                }
-            },
-            {
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [36.8300, -1.2800]
-                },
-                properties: {
-                    id: "wp002",
-                    name: "Kasarani Water Station",
-                    type: "well",
-                    quality: "moderate",
-                    description: "Shallow well in Kasarani area",
-                    lastUpdated: "2025-01-14T15:45:00Z",
-                    peopleServed: 200,
-                    testResults: {
-                        pH: 6.8,
-                        tds: 450,
-                        turbidity: 2.1
-                    },
-                    coordinates: "-1.2800, 36.8300"
-                }
-            },
-            {
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [36.8100, -1.3000]
-                },
-                properties: {
-                    id: "wp003",
-                    name: "Kibera Community Source",
-                    type: "spring",
-                    quality: "unsafe",
-                    description: "Natural spring requiring treatment",
-                    lastUpdated: "2025-01-13T08:20:00Z",
-                    peopleServed: 300,
-                    contaminated: true,
-                    testResults: {
-                        pH: 5.9,
-                        tds: 780,
-                        turbidity: 15.2
-                    },
-                    coordinates: "-1.3000, 36.8100"
-                }
-            },
-            {
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [36.8500, -1.2700]
-                },
-                properties: {
-                    id: "wp004",
-                    name: "Eastlands Treatment Plant",
-                    type: "treatment_plant",
-                    quality: "safe",
-                    description: "Municipal water treatment facility",
-                    lastUpdated: "2025-01-15T12:00:00Z",
-                    peopleServed: 5000,
-                    testResults: {
-                        pH: 7.5,
-                        tds: 180,
-                        turbidity: 0.3,
-                        chlorine: 0.8
-                    },
-                    coordinates: "-1.2700, 36.8500"
-                }
-            },
-            {
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [36.8000, -1.2600]
-                },
-                properties: {
-                    id: "wp005",
-                    name: "Westlands Borehole Project",
-                    type: "borehole",
-                    quality: "unknown",
-                    description: "New borehole under construction",
-                    lastUpdated: "2025-01-10T09:15:00Z",
-                    isProject: true,
-                    peopleServed: 0,
-                    coordinates: "-1.2600, 36.8000"
-                }
-            }
-        ]
-    };
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+/**
+ * Stored sign-in token, if any
+ */
+function getAuthToken() {
+    return sessionStorage.getItem('authToken') || localStorage.getItem('authToken') || '';
+}
+
+/**
+ * Authorization header for API calls when signed in
+ */
+function getAuthHeaders() {
+    const token = getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
 }
 
 /**
@@ -1050,6 +1290,10 @@ window.reportSafeSource = reportSafeSource;
 window.reportContamination = reportContamination;
 window.exportMapData = exportMapData;
 window.submitWaterPoint = submitWaterPoint;
+window.showContributions = showContributions;
+window.findSafeWater = findSafeWater;
+window.showSafeSource = showSafeSource;
+window.directionsToSafeSource = directionsToSafeSource;
 window.viewPointDetails = viewPointDetails;
 window.getDirections = getDirections;
 
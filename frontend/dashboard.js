@@ -9,14 +9,36 @@ let dashboardMap;
 let waterQualityChart;
 let issueDistributionChart;
 let countyAnalysisChart;
+let countyLayer;
+let heatmapLayer;
+let countyMetrics = null;
+let countyChartKeys = [];
 let dashboardData = {
     stations: [],
     reports: [],
     metrics: {},
-    parameters: {}
+    parameters: {},
+    alerts: null
 };
+let waterStandards = {};
+let defaultWaterStandard = 'who';
 let updateInterval;
 let isRealTimeEnabled = true;
+let criticalActionsOnly = false;
+
+// Short parameter names for action item badges
+const PARAMETER_LABELS = {
+    ph: 'pH',
+    dissolvedOxygen: 'DO',
+    turbidity: 'Turbidity',
+    temperature: 'Temperature',
+    conductivity: 'Conductivity',
+    coliform: 'Coliform',
+    tds: 'TDS',
+    chlorine: 'Chlorine',
+    nitrate: 'Nitrate',
+    fluoride: 'Fluoride'
+};
 
 // Initialize dashboard on page load
 document.addEventListener('DOMContentLoaded', function() {
@@ -42,12 +64,9 @@ function initializeDashboard() {
     // Setup real-time updates
     setupRealTimeUpdates();
     
-    // Load recent reports
+    // Load recent reports (action items are drawn once alerts have loaded)
     loadRecentReports();
     
-    // Load action items
-    loadActionItems();
-    
     console.log('Dashboard initialized successfully');
 }
 
@@ -73,12 +92,23 @@ function setupEventListeners() {
         trendTimeframe.addEventListener('change', updateWaterQualityChart);
     }
     
+    const trendParameter = document.getElementById('trendParameter');
+    if (trendParameter) {
+        trendParameter.addEventListener('change', updateWaterQualityChart);
+    }
+    
     // Map view toggles
     const mapViewRadios = document.querySelectorAll('input[name="mapView"]');
     mapViewRadios.forEach(radio => {
         radio.addEventListener('change', updateMapView);
     });
     
+    // Heatmap metric selector
+    const heatmapMetric = document.getElementById('heatmapMetric');
+    if (heatmapMetric) {
+        heatmapMetric.addEventListener('change', loadHeatmapView);
+    }
+    
     // County metric selector
     const countyMetric = document.getElementById('countyMetric');
     if (countyMetric) {
@@ -89,6 +119,7 @@ function setupEventListeners() {
     const parameterStation = document.getElementById('parameterStation');
     if (parameterStation) {
         parameterStation.addEventListener('change', updateWaterParameters);
+        parameterStation.addEventListener('change', updateWaterQualityChart);
     }
     
     // Action items filters
@@ -123,9 +154,16 @@ function initializeDashboardMap() {
             attribution: '© OpenStreetMap contributors'
         }).addTo(dashboardMap);
         
+        // Heat bins are built for the view, so they are reloaded when it changes
+        dashboardMap.on('moveend', () => {
+            if (document.getElementById('heatmap')?.checked) {
+                loadHeatmapView();
+            }
+        });
+        
         // Load stations on map
         loadStationsOnMap();
-        
+    
     } catch (error) {
         console.error('Error initializing dashboard map:', error);
         mapContainer.innerHTML = '<p class="text-center text-muted p-4">Map not available</p>';
@@ -136,7 +174,7 @@ function initializeDashboardMap() {
  * Load stations on map
  */
 function loadStationsOnMap() {
-    const stations = getMockStations();
+    const stations = dashboardData.stations;
     
     stations.forEach(station => {
         const markerColor = getMarkerColor(station.status, station.waterQuality);
@@ -156,7 +194,7 @@ function loadStationsOnMap() {
                 <h6>${station.name}</h6>
                 <p><strong>Status:</strong> <span class="station-status ${station.status}">${station.status.toUpperCase()}</span></p>
                 <p><strong>Water Quality:</strong> ${station.waterQuality}</p>
-                <p><strong>pH Level:</strong> ${station.parameters.ph}</p>
+                <p><strong>pH Level:</strong> ${station.parameters.ph ?? 'N/A'}</p>
                 <p><strong>Last Updated:</strong> ${formatTime(station.lastUpdated)}</p>
                 <button class="btn btn-sm btn-primary mt-1" onclick="viewStationDetails('${station.id}')">
                     View Details
@@ -191,12 +229,8 @@ function getMarkerColor(status, quality) {
 function updateMapView(e) {
     const viewType = e.target.id;
     
-    // Clear existing layers (except base map)
-    dashboardMap.eachLayer(layer => {
-        if (layer instanceof L.CircleMarker || layer instanceof L.Marker) {
-            dashboardMap.removeLayer(layer);
-        }
-    });
+    clearMapMarkers();
+    document.getElementById('heatmapMetric')?.classList.toggle('d-none', viewType !== 'heatmap');
     
     switch (viewType) {
         case 'stations':
@@ -208,6 +242,30 @@ function updateMapView(e) {
         case 'heatmap':
             loadHeatmapView();
             break;
+        case 'counties':
+            loadCountyChoropleth();
+            break;
+    }
+}
+
+/**
+ * Clear existing marker layers (except base map)
+ */
+function clearMapMarkers() {
+    dashboardMap.eachLayer(layer => {
+        if (layer instanceof L.CircleMarker || layer instanceof L.Marker) {
+            dashboardMap.removeLayer(layer);
+        }
+    });
+    
+    if (countyLayer) {
+        dashboardMap.removeLayer(countyLayer);
+        countyLayer = null;
+    }
+    
+    if (heatmapLayer) {
+        dashboardMap.removeLayer(heatmapLayer);
+        heatmapLayer = null;
     }
 }
 
@@ -245,17 +303,66 @@ function loadReportsOnMap() {
 }
 
 /**
- * Load heatmap view
+ * Load heatmap view: hexagon bins for the visible area, shaded by their weight
  */
-function loadHeatmapView() {
-    // This would typically use a heatmap library like Leaflet.heat
-    // For now, we'll show a placeholder
-    const center = dashboardMap.getCenter();
+async function loadHeatmapView() {
+    if (!dashboardMap) return;
+    
+    const bounds = dashboardMap.getBounds();
+    const params = new URLSearchParams({
+        metric: document.getElementById('heatmapMetric')?.value || 'reports',
+        bbox: [
+            Math.max(bounds.getWest(), -180),
+            Math.max(bounds.getSouth(), -90),
+            Math.min(bounds.getEast(), 180),
+            Math.min(bounds.getNorth(), 90)
+        ].map(value => value.toFixed(4)).join(','),
+        zoom: dashboardMap.getZoom(),
+        days: 30
+    });
     
-    const heatmapInfo = L.popup()
-        .setLatLng(center)
-        .setContent('Heatmap view coming soon - This will show water quality intensity across regions')
-        .openOn(dashboardMap);
+    try {
+        const response = await fetch(`/api/map/heatmap?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const heatmap = await response.json();
+        
+        // The view may have changed while loading
+        if (!document.getElementById('heatmap')?.checked) return;
+        
+        if (heatmapLayer) {
+            dashboardMap.removeLayer(heatmapLayer);
+        }
+        
+        heatmapLayer = L.geoJSON(heatmap, {
+            style: feature => ({
+                fillColor: getHeatColor(feature.properties.intensity),
+                fillOpacity: 0.25 + feature.properties.intensity * 0.5,
+                color: getHeatColor(feature.properties.intensity),
+                weight: 1
+            }),
+            onEachFeature: (feature, layer) => {
+                const { count, weight } = feature.properties;
+                layer.bindTooltip(`${heatmap.metadata.description}: ${weight}<br>${count} ${count === 1 ? 'point' : 'points'}`, { sticky: true });
+            }
+        }).addTo(dashboardMap);
+    } catch (error) {
+        console.error('Error loading heatmap:', error);
+        showNotification('Unable to load heatmap', 'error');
+    }
+}
+
+/**
+ * Heat colour from yellow (low) to dark red (high) for an intensity from 0 to 1
+ */
+function getHeatColor(intensity) {
+    if (intensity > 0.8) return '#bd0026';
+    if (intensity > 0.6) return '#e31a1c';
+    if (intensity > 0.4) return '#fc4e2a';
+    if (intensity > 0.2) return '#fd8d3c';
+    return '#fecc5c';
 }
 
 /**
@@ -278,19 +385,31 @@ async function loadDashboardData() {
         showLoadingState();
         
         // In a real application, these would be API calls
-        const [stationsData, reportsData, metricsData] = await Promise.all([
+        const [stationsData, reportsData, metricsData, alertsData] = await Promise.all([
             loadStationsData(),
             loadReportsData(),
-            loadMetricsData()
+            loadMetricsData(),
+            loadAlertsData(),
+            loadWaterStandards()
         ]);
         
         dashboardData.stations = stationsData;
         dashboardData.reports = reportsData;
         dashboardData.metrics = metricsData;
+        dashboardData.alerts = alertsData;
+        attachStationAlerts();
         
+        // Redraw station markers with the loaded data
+        if (dashboardMap && document.getElementById('stations')?.checked) {
+            clearMapMarkers();
+            loadStationsOnMap();
+        }
+        
+        updateStationSelector();
         updateMetricCards();
+        loadActionItems();
         hideLoadingState();
-        
+    
     } catch (error) {
         console.error('Error loading dashboard data:', error);
         showNotification('Failed to load dashboard data', 'error');
@@ -299,14 +418,133 @@ async function loadDashboardData() {
 }
 
 /**
- * Load stations data (mock)
+ * Load stations data, falling back to mock stations when the API has none
  */
 async function loadStationsData() {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
+    try {
+        const response = await fetch('/api/stations');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { stations } = await response.json();
+        if (stations.length > 0) {
+            return stations.map(normalizeStation);
+        }
+    } catch (error) {
+        console.error('Error loading stations:', error);
+    }
+    
     return getMockStations();
 }
 
+/**
+ * Load open alerts raised by the alert rules engine; returns null when the API is unavailable
+ */
+async function loadAlertsData() {
+    try {
+        const params = new URLSearchParams({ status: 'open', limit: 200 });
+        if (criticalActionsOnly) {
+            params.set('priority', 'critical');
+        }
+        
+        const response = await fetch(`/api/alerts?${params}`, { headers: getAuthHeaders() });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { alerts } = await response.json();
+        return alerts;
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+        return null;
+    }
+}
+
+/**
+ * Show each loaded station's open alerts in its details
+ */
+function attachStationAlerts() {
+    if (!dashboardData.alerts) return;
+    
+    dashboardData.stations.forEach(station => {
+        const stationAlerts = dashboardData.alerts.filter(alert => alert.station && alert.station.id === station.id);
+        if (stationAlerts.length === 0) return;
+        
+        station.alerts = stationAlerts.map(alert => ({
+            type: alert.title,
+            message: alert.message,
+            severity: alert.priority,
+            timestamp: alert.openedAt
+        }));
+    });
+}
+
+/**
+ * Load water quality standards so parameter badges use the server's limits
+ */
+async function loadWaterStandards() {
+    try {
+        const response = await fetch('/api/standards');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        defaultWaterStandard = data.default;
+        waterStandards = {};
+        data.standards.forEach(standard => {
+            waterStandards[standard.key] = standard.limits;
+        });
+    } catch (error) {
+        console.error('Error loading water standards:', error);
+    }
+}
+
+/**
+ * Convert an API station to the shape used by the dashboard
+ */
+function normalizeStation(station) {
+    const parameters = {};
+    Object.entries(station.latestReadings || {}).forEach(([parameter, reading]) => {
+        parameters[parameter] = reading.value;
+    });
+    
+    return {
+        id: station.id,
+        code: station.code,
+        name: station.name,
+        location: station.locationName || station.county,
+        lat: station.lat,
+        lng: station.lng,
+        status: station.status,
+        waterQuality: station.waterQuality || 'unknown',
+        waterStandard: station.waterStandard,
+        lastUpdated: station.lastReadingAt || station.updatedAt,
+        parameters: parameters,
+        alerts: station.alerts || []
+    };
+}
+
+/**
+ * Fill the parameter station selector with loaded stations
+ */
+function updateStationSelector() {
+    const select = document.getElementById('parameterStation');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '<option value="all">All Stations Average</option>';
+    dashboardData.stations.forEach(station => select.add(new Option(station.name, station.id)));
+    
+    if ([...select.options].some(option => option.value === selected)) {
+        select.value = selected;
+    }
+}
+
 /**
  * Load reports data (mock)
  */
@@ -316,10 +554,24 @@ async function loadReportsData() {
 }
 
 /**
- * Load metrics data (mock)
+ * Load metrics data, falling back to mock metrics when there are no stations
  */
 async function loadMetricsData() {
-    await new Promise(resolve => setTimeout(resolve, 200));
+    try {
+        const response = await fetch('/api/dashboard/stats');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { stats } = await response.json();
+        if (stats.totalStations > 0) {
+            return stats;
+        }
+    } catch (error) {
+        console.error('Error loading metrics:', error);
+    }
+    
     return {
         totalStations: 245,
         safeStations: 187,
@@ -398,32 +650,7 @@ function initializeWaterQualityChart() {
         type: 'line',
         data: {
             labels: trendData.labels,
-            datasets: [
-                {
-                    label: 'Safe Stations',
-                    data: trendData.safe,
-                    borderColor: '#28a745',
-                    backgroundColor: 'rgba(40, 167, 69, 0.1)',
-                    tension: 0.4,
-                    fill: true
-                },
-                {
-                    label: 'Warning Stations',
-                    data: trendData.warning,
-                    borderColor: '#ffc107',
-                    backgroundColor: 'rgba(255, 193, 7, 0.1)',
-                    tension: 0.4,
-                    fill: true
-                },
-                {
-                    label: 'Critical Stations',
-                    data: trendData.critical,
-                    borderColor: '#dc3545',
-                    backgroundColor: 'rgba(220, 53, 69, 0.1)',
-                    tension: 0.4,
-                    fill: true
-                }
-            ]
+            datasets: getStationTrendDatasets(trendData)
         },
         options: {
             responsive: true,
@@ -461,6 +688,78 @@ function initializeWaterQualityChart() {
             }
         }
     });
+    
+    // Replace the placeholder with stored history once it loads
+    updateWaterQualityChart();
+}
+
+/**
+ * Chart datasets for station counts by quality class
+ */
+function getStationTrendDatasets(trendData) {
+    return [
+        {
+            label: 'Safe Stations',
+            data: trendData.safe,
+            borderColor: '#28a745',
+            backgroundColor: 'rgba(40, 167, 69, 0.1)',
+            tension: 0.4,
+            fill: true
+        },
+        {
+            label: 'Warning Stations',
+            data: trendData.warning,
+            borderColor: '#ffc107',
+            backgroundColor: 'rgba(255, 193, 7, 0.1)',
+            tension: 0.4,
+            fill: true
+        },
+        {
+            label: 'Critical Stations',
+            data: trendData.critical,
+            borderColor: '#dc3545',
+            backgroundColor: 'rgba(220, 53, 69, 0.1)',
+            tension: 0.4,
+            fill: true
+        }
+    ];
+}
+
+/**
+ * Chart datasets for one parameter's bucketed readings
+ */
+function getParameterTrendDatasets(trend) {
+    const datasets = [
+        {
+            label: `Average ${trend.name}`,
+            data: trend.mean,
+            borderColor: '#0d6efd',
+            backgroundColor: 'rgba(13, 110, 253, 0.1)',
+            tension: 0.4,
+            fill: false
+        },
+        {
+            label: 'Maximum',
+            data: trend.max,
+            borderColor: '#dc3545',
+            borderDash: [5, 5],
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false
+        },
+        {
+            label: 'Minimum',
+            data: trend.min,
+            borderColor: '#28a745',
+            borderDash: [5, 5],
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false
+        }
+    ];
+    
+    // Index trends have a single value per bucket
+    return datasets.filter(dataset => Array.isArray(dataset.data));
 }
 
 /**
@@ -512,20 +811,14 @@ function initializeCountyAnalysisChart() {
     const ctx = document.getElementById('countyAnalysisChart');
     if (!ctx) return;
     
-    const countyData = getCountyData();
-    
     countyAnalysisChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: countyData.labels,
+            labels: [],
             datasets: [{
-                label: 'Water Quality Score',
-                data: countyData.scores,
-                backgroundColor: countyData.scores.map(score => {
-                    if (score >= 80) return '#28a745';
-                    if (score >= 60) return '#ffc107';
-                    return '#dc3545';
-                }),
+                label: getMetricLabel('wqi'),
+                data: [],
+                backgroundColor: [],
                 borderColor: '#fff',
                 borderWidth: 1
             }]
@@ -533,6 +826,12 @@ function initializeCountyAnalysisChart() {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Clicking a county's bar opens its stations and reports
+            onClick: function(event, elements) {
+                if (elements.length > 0) {
+                    showCountyDetail(countyChartKeys[elements[0].index]);
+                }
+            },
             plugins: {
                 legend: {
                     display: false
@@ -540,7 +839,7 @@ function initializeCountyAnalysisChart() {
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            return 'Quality Score: ' + context.parsed.y + '/100';
+                            return context.dataset.label + ': ' + context.parsed.y;
                         }
                     }
                 }
@@ -555,43 +854,307 @@ function initializeCountyAnalysisChart() {
                 y: {
                     title: {
                         display: true,
-                        text: 'Quality Score'
+                        text: getMetricLabel('wqi')
                     },
-                    beginAtZero: true,
-                    max: 100
+                    beginAtZero: true
                 }
             }
         }
     });
+    
+    updateCountyAnalysis();
 }
 
 /**
- * Update water quality chart based on timeframe
+ * Update water quality chart based on timeframe, parameter and station
+ * Shows stored readings when there are any, otherwise the mock station trend.
  */
-function updateWaterQualityChart() {
-    const timeframe = document.getElementById('trendTimeframe').value;
-    const newData = generateTrendData(parseInt(timeframe));
+async function updateWaterQualityChart() {
+    if (!waterQualityChart) return;
+    
+    const timeframe = parseInt(document.getElementById('trendTimeframe').value);
+    const parameter = document.getElementById('trendParameter')?.value || 'ph';
+    const station = document.getElementById('parameterStation')?.value || 'all';
     
-    waterQualityChart.data.labels = newData.labels;
-    waterQualityChart.data.datasets[0].data = newData.safe;
-    waterQualityChart.data.datasets[1].data = newData.warning;
-    waterQualityChart.data.datasets[2].data = newData.critical;
+    const trend = await loadTrendData(timeframe, parameter, station);
+    const yAxis = waterQualityChart.options.scales.y;
+    
+    if (trend) {
+        waterQualityChart.data.labels = trend.labels;
+        waterQualityChart.data.datasets = getParameterTrendDatasets(trend);
+        yAxis.title.text = trend.unit ? `${trend.name} (${trend.unit})` : trend.name;
+        yAxis.beginAtZero = false;
+    } else {
+        const newData = generateTrendData(timeframe);
+        waterQualityChart.data.labels = newData.labels;
+        waterQualityChart.data.datasets = getStationTrendDatasets(newData);
+        yAxis.title.text = 'Number of Stations';
+        yAxis.beginAtZero = true;
+    }
     
     waterQualityChart.update('active');
 }
 
 /**
- * Update county analysis chart
+ * Load bucketed history for one parameter; returns null when nothing is stored
+ */
+async function loadTrendData(days, parameter, station) {
+    if (parameter === 'wqi') {
+        return loadWqiTrendData(days, station);
+    }
+    
+    try {
+        const params = new URLSearchParams({ days, parameter });
+        if (station && station !== 'all') {
+            params.set('station', station);
+        }
+        
+        const response = await fetch(`/api/dashboard/trends?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { series, interval } = await response.json();
+        const trend = series[0];
+        if (!trend || trend.buckets.length === 0) {
+            return null;
+        }
+        
+        return {
+            name: trend.name,
+            unit: trend.unit,
+            labels: trend.buckets.map(bucket => formatBucketLabel(bucket.start, interval)),
+            mean: trend.buckets.map(bucket => bucket.mean),
+            min: trend.buckets.map(bucket => bucket.min),
+            max: trend.buckets.map(bucket => bucket.max)
+        };
+    } catch (error) {
+        console.error('Error loading trend data:', error);
+        return null;
+    }
+}
+
+/**
+ * Load the Water Quality Index per time bucket; returns null when no bucket has a score
  */
-function updateCountyAnalysis() {
+async function loadWqiTrendData(days, station) {
+    try {
+        const params = new URLSearchParams({ days });
+        if (station && station !== 'all') {
+            params.set('station', station);
+        }
+        
+        const response = await fetch(`/api/dashboard/wqi/trend?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { series, interval } = await response.json();
+        const scored = series.filter(bucket => bucket.score !== null);
+        if (scored.length === 0) {
+            return null;
+        }
+        
+        return {
+            name: 'Water Quality Index',
+            unit: 'lower is better',
+            labels: scored.map(bucket => formatBucketLabel(bucket.start, interval)),
+            mean: scored.map(bucket => bucket.score)
+        };
+    } catch (error) {
+        console.error('Error loading WQI trend:', error);
+        return null;
+    }
+}
+
+/**
+ * Colour for a Water Quality Index score, following the index's category bands
+ */
+function getWqiColor(score) {
+    if (score <= 25) return '#28a745';
+    if (score <= 50) return '#20c997';
+    if (score <= 75) return '#ffc107';
+    if (score <= 100) return '#fd7e14';
+    return '#dc3545';
+}
+
+/**
+ * Format a trend bucket start for the chart axis
+ */
+function formatBucketLabel(dateString, interval) {
+    const date = new Date(dateString);
+    
+    if (interval === 'hour') {
+        return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+    if (interval === 'month') {
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Update county analysis chart, and the county map when it is shown
+ */
+async function updateCountyAnalysis() {
+    if (!countyAnalysisChart) return;
+    
+    countyMetrics = await loadCountyMetrics();
+    
     const metric = document.getElementById('countyMetric').value;
     const newData = getCountyData(metric);
+    const dataset = countyAnalysisChart.data.datasets[0];
+    const yAxis = countyAnalysisChart.options.scales.y;
+    const max = Math.max(0, ...newData.scores);
     
+    countyChartKeys = newData.keys;
     countyAnalysisChart.data.labels = newData.labels;
-    countyAnalysisChart.data.datasets[0].data = newData.scores;
-    countyAnalysisChart.data.datasets[0].label = getMetricLabel(metric);
+    dataset.data = newData.scores;
+    dataset.label = getMetricLabel(metric);
+    dataset.backgroundColor = newData.scores.map(score => getCountyColor(metric, score, max));
+    yAxis.title.text = getMetricLabel(metric);
+    yAxis.max = metric === 'coverage' ? 100 : undefined;
     
     countyAnalysisChart.update('active');
+    
+    if (document.getElementById('counties')?.checked) {
+        loadCountyChoropleth();
+    }
+}
+
+/**
+ * Load county boundaries with each county's metrics over the last 30 days
+ * Returns the GeoJSON FeatureCollection, or null when it cannot be loaded.
+ */
+async function loadCountyMetrics() {
+    try {
+        const response = await fetch('/api/dashboard/counties?format=geojson&days=30');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading county metrics:', error);
+        return null;
+    }
+}
+
+/**
+ * Shade counties on the map by the selected county metric
+ */
+function loadCountyChoropleth() {
+    if (!dashboardMap || !countyMetrics) return;
+    
+    const metric = document.getElementById('countyMetric')?.value || 'wqi';
+    const max = Math.max(0, ...countyMetrics.features.map(feature => feature.properties[metric] ?? 0));
+    
+    // Zoom out to the whole country only when the county view is first shown
+    const firstShown = !countyLayer;
+    if (countyLayer) {
+        dashboardMap.removeLayer(countyLayer);
+    }
+    
+    countyLayer = L.geoJSON(countyMetrics, {
+        style: feature => ({
+            fillColor: getCountyColor(metric, feature.properties[metric], max),
+            fillOpacity: 0.7,
+            color: '#fff',
+            weight: 1
+        }),
+        onEachFeature: (feature, layer) => {
+            const county = feature.properties;
+            const value = county[metric] ?? 'No data';
+            
+            layer.bindTooltip(`<strong>${escapeHtml(county.name)}</strong><br>${getMetricLabel(metric)}: ${value}`, { sticky: true });
+            layer.on('click', () => showCountyDetail(county.key));
+        }
+    }).addTo(dashboardMap);
+    
+    if (firstShown) {
+        dashboardMap.fitBounds(countyLayer.getBounds());
+    }
+}
+
+/**
+ * Colour for a county's metric value; grey where there is no value
+ */
+function getCountyColor(metric, value, max) {
+    if (value === null || value === undefined) return '#dee2e6';
+    if (metric === 'wqi') return getWqiColor(value);
+    
+    if (metric === 'coverage') {
+        if (value >= 80) return '#28a745';
+        if (value >= 60) return '#ffc107';
+        return '#dc3545';
+    }
+    
+    // Counts and density: darker blue for higher values
+    const shades = ['#deebf7', '#9ecae1', '#6baed6', '#3182bd', '#08519c'];
+    if (max === 0) return shades[0];
+    return shades[Math.min(shades.length - 1, Math.floor(value / max * shades.length))];
+}
+
+/**
+ * Show a county's metrics, stations and recent reports below the map
+ */
+async function showCountyDetail(countyKey) {
+    const container = document.getElementById('countyDetail');
+    if (!container || !countyKey) return;
+    
+    container.classList.remove('d-none');
+    container.innerHTML = '<p class="text-muted mb-0"><i class="fas fa-spinner fa-spin me-1"></i>Loading county...</p>';
+    
+    try {
+        const response = await fetch(`/api/dashboard/counties/${encodeURIComponent(countyKey)}?days=30`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { county, stations, reports } = await response.json();
+        const [west, south, east, north] = county.bounds;
+        
+        if (dashboardMap) {
+            dashboardMap.fitBounds([[south, west], [north, east]]);
+        }
+        
+        container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <h6 class="mb-0">${escapeHtml(county.name)} County</h6>
+                <button type="button" class="btn-close btn-sm" aria-label="Close" onclick="document.getElementById('countyDetail').classList.add('d-none')"></button>
+            </div>
+            <div class="county-metrics mb-2">
+                <span>WQI: <strong>${county.wqi ?? 'N/A'}</strong></span>
+                <span>Reports: <strong>${county.reports}</strong></span>
+                <span>Open alerts: <strong>${county.openAlerts}</strong></span>
+                <span>Stations: <strong>${county.stations}</strong> (${county.stationDensity} per 1,000 km²)</span>
+                <span>Coverage: <strong>${county.coverage === null ? 'N/A' : county.coverage + '%'}</strong></span>
+            </div>
+            <div class="row">
+                <div class="col-md-6">
+                    <div class="county-list-title">Stations</div>
+                    ${stations.length === 0 ? '<p class="text-muted small mb-0">No stations</p>' : stations.map(station => `
+                        <div class="county-list-item">
+                            <span class="station-marker ${escapeHtml(station.quality)}"></span>
+                            ${escapeHtml(station.name)} <span class="text-muted">(${escapeHtml(station.code)})</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="col-md-6">
+                    <div class="county-list-title">Recent Reports</div>
+                    ${reports.length === 0 ? '<p class="text-muted small mb-0">No reports</p>' : reports.map(report => `
+                        <div class="county-list-item">
+                            ${escapeHtml(report.title)}
+                            <span class="text-muted">${escapeHtml(report.status)}, ${formatTime(report.submittedAt)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading county details:', error);
+        container.innerHTML = '<p class="text-muted mb-0">Unable to load county details</p>';
+    }
 }
 
 /**
@@ -629,31 +1192,55 @@ function loadRecentReports() {
 }
 
 /**
- * Load action items
+ * Load action items from open alerts, most urgent first
+ * Falls back to mock items when alerts could not be loaded.
  */
 function loadActionItems() {
     const tableBody = document.getElementById('actionItemsTable');
     if (!tableBody) return;
     
-    const actionItems = getMockActionItems();
+    const actionItems = dashboardData.alerts
+        ? dashboardData.alerts.map(alertToActionItem).sort(compareActionItems)
+        : getMockActionItems().filter(item => !criticalActionsOnly || item.priority === 'critical');
+    
+    if (actionItems.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="6" class="text-muted text-center">No open action items</td></tr>';
+        return;
+    }
     
     const itemsHTML = actionItems.map(item => `
-        <tr>
+        <tr class="${item.isRead === false ? 'unread' : ''}">
             <td>
                 <span class="priority-badge ${item.priority}">${item.priority}</span>
             </td>
             <td>
-                <div class="fw-semibold">${item.location}</div>
-                <small class="text-muted">${item.coordinates}</small>
+                <div class="fw-semibold">${escapeHtml(item.location)}</div>
+                <small class="text-muted">${escapeHtml(item.coordinates)}</small>
             </td>
             <td>
-                <div>${item.issue}</div>
-                <small class="text-muted">${item.description}</small>
+                <div>${escapeHtml(item.issue)}</div>
+                <small class="text-muted">${escapeHtml(item.description)}</small>
+                ${item.acknowledgement ? `
+                    <small class="d-block text-success">
+                        <i class="fas fa-check me-1"></i>Acknowledged by ${escapeHtml(item.acknowledgement.byName || 'a team member')}
+                        ${item.acknowledgement.comment ? `: ${escapeHtml(item.acknowledgement.comment)}` : ''}
+                    </small>
+                ` : ''}
+                ${item.escalation ? `
+                    <small class="d-block text-warning">
+                        <i class="fas fa-arrow-up me-1"></i>Escalated by ${escapeHtml(item.escalation.byName || 'a team member')}: ${escapeHtml(item.escalation.reason)}
+                    </small>
+                ` : ''}
+                ${item.escalationStep ? `
+                    <small class="d-block text-danger">
+                        <i class="fas fa-bell me-1"></i>${escapeHtml(item.escalationStep.note)}
+                    </small>
+                ` : ''}
             </td>
             <td>
                 <div class="parameter-list">
                     ${item.parameters.map(param => `
-                        <span class="badge bg-light text-dark me-1">${param}</span>
+                        <span class="badge bg-light text-dark me-1">${escapeHtml(param)}</span>
                     `).join('')}
                 </div>
             </td>
@@ -666,7 +1253,7 @@ function loadActionItems() {
                     <button class="btn btn-outline-primary" onclick="viewStationDetails('${item.stationId}')" title="View Details">
                         <i class="fas fa-eye"></i>
                     </button>
-                    <button class="btn btn-outline-success" onclick="acknowledgeAction('${item.id}')" title="Acknowledge">
+                    <button class="btn btn-outline-success" onclick="acknowledgeAction('${item.id}')" title="Acknowledge" ${item.acknowledgement ? 'disabled' : ''}>
                         <i class="fas fa-check"></i>
                     </button>
                     <button class="btn btn-outline-warning" onclick="escalateAction('${item.id}')" title="Escalate">
@@ -680,6 +1267,56 @@ function loadActionItems() {
     tableBody.innerHTML = itemsHTML;
 }
 
+/**
+ * Convert an alert to an action item row
+ */
+function alertToActionItem(alert) {
+    const station = alert.station || {};
+    const coordinates = station.location?.coordinates;
+    const unit = alert.unit && alert.unit !== 'pH' ? ` ${alert.unit}` : '';
+    
+    return {
+        id: alert.id,
+        stationId: station.id,
+        priority: alert.priority,
+        location: station.name || 'Unknown station',
+        coordinates: coordinates ? `${coordinates[1].toFixed(4)}, ${coordinates[0].toFixed(4)}` : (station.county || ''),
+        issue: alert.title,
+        description: alert.message || '',
+        parameters: [`${PARAMETER_LABELS[alert.parameter] || alert.parameter}: ${alert.value}${unit}`],
+        lastUpdated: alert.lastTriggeredAt,
+        duration: formatAlertDuration(alert.durationMs),
+        // Who acknowledged is only sent to users who may act on the alert
+        acknowledgement: alert.isAcknowledged ? alert.acknowledgement || {} : null,
+        escalation: alert.escalations?.length > 0 ? alert.escalations[alert.escalations.length - 1] : null,
+        escalationStep: (alert.history || []).filter(entry => entry.event === 'escalation-step').pop() || null,
+        isRead: alert.isRead
+    };
+}
+
+/**
+ * Order action items by priority, then most recently triggered
+ */
+function compareActionItems(a, b) {
+    const rank = ['critical', 'high', 'medium', 'low'];
+    return rank.indexOf(a.priority) - rank.indexOf(b.priority) ||
+        new Date(b.lastUpdated) - new Date(a.lastUpdated);
+}
+
+/**
+ * Format how long an alert has been open, e.g. "30 min", "2 hours", "3 days"
+ */
+function formatAlertDuration(ms) {
+    const minutes = Math.max(Math.floor(ms / 60000), 1);
+    if (minutes < 60) return `${minutes} min`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return hours === 1 ? '1 hour' : `${hours} hours`;
+    
+    const days = Math.floor(hours / 24);
+    return days === 1 ? '1 day' : `${days} days`;
+}
+
 /**
  * Setup real-time updates
  */
@@ -711,9 +1348,8 @@ async function refreshDashboardData(showLoading = true) {
         updateWaterQualityChart();
         updateCountyAnalysis();
         
-        // Reload reports and action items
+        // Reload reports (action items are redrawn with the dashboard data)
         loadRecentReports();
-        loadActionItems();
         
         // Update water parameters
         updateWaterParameters();
@@ -725,7 +1361,7 @@ async function refreshDashboardData(showLoading = true) {
             hideRefreshingState();
             showNotification('Dashboard data refreshed', 'success');
         }
-        
+    
     } catch (error) {
         console.error('Error refreshing dashboard data:', error);
         if (showLoading) {
@@ -741,17 +1377,30 @@ async function refreshDashboardData(showLoading = true) {
 function updateWaterParameters() {
     const station = document.getElementById('parameterStation').value;
     const parameters = getWaterParameters(station);
+    const units = {
+        ph: '',
+        dissolvedOxygen: ' mg/L',
+        turbidity: ' NTU',
+        temperature: '°C',
+        conductivity: ' µS/cm',
+        coliform: ' CFU/100ml'
+    };
     
-    // Update parameter displays (they're already in HTML, this would update values)
-    // In a real app, this would fetch current parameter values
-    console.log('Updated parameters for station:', station);
+    document.querySelectorAll('.parameter-item[data-parameter]').forEach(item => {
+        const parameter = item.dataset.parameter;
+        const valueElement = item.querySelector('.parameter-value');
+        
+        if (valueElement && parameters[parameter] !== undefined) {
+            valueElement.textContent = `${Math.round(parameters[parameter] * 10) / 10}${units[parameter] || ''}`;
+        }
+    });
 }
 
 /**
  * View station details
  */
 function viewStationDetails(stationId) {
-    const station = getMockStations().find(s => s.id === stationId);
+    const station = dashboardData.stations.find(s => s.id === stationId);
     if (!station) {
         showNotification('Station not found', 'error');
         return;
@@ -785,17 +1434,17 @@ function viewStationDetails(stationId) {
                             <div class="parameter-item">
                                 <div class="parameter-label">pH Level</div>
                                 <div class="parameter-value">${station.parameters.ph}</div>
-                                <div class="parameter-status ${getParameterStatus(station.parameters.ph, 'ph')}">${getParameterStatusText(station.parameters.ph, 'ph')}</div>
+                                <div class="parameter-status ${getParameterStatus(station.parameters.ph, 'ph', station.waterStandard)}">${getParameterStatusText(station.parameters.ph, 'ph', station.waterStandard)}</div>
                             </div>
                             <div class="parameter-item">
                                 <div class="parameter-label">Dissolved Oxygen</div>
                                 <div class="parameter-value">${station.parameters.dissolvedOxygen} mg/L</div>
-                                <div class="parameter-status ${getParameterStatus(station.parameters.dissolvedOxygen, 'do')}">${getParameterStatusText(station.parameters.dissolvedOxygen, 'do')}</div>
+                                <div class="parameter-status ${getParameterStatus(station.parameters.dissolvedOxygen, 'do', station.waterStandard)}">${getParameterStatusText(station.parameters.dissolvedOxygen, 'do', station.waterStandard)}</div>
                             </div>
                             <div class="parameter-item">
                                 <div class="parameter-label">Turbidity</div>
                                 <div class="parameter-value">${station.parameters.turbidity} NTU</div>
-                                <div class="parameter-status ${getParameterStatus(station.parameters.turbidity, 'turbidity')}">${getParameterStatusText(station.parameters.turbidity, 'turbidity')}</div>
+                                <div class="parameter-status ${getParameterStatus(station.parameters.turbidity, 'turbidity', station.waterStandard)}">${getParameterStatusText(station.parameters.turbidity, 'turbidity', station.waterStandard)}</div>
                             </div>
                             <div class="parameter-item">
                                 <div class="parameter-label">Temperature</div>
@@ -836,7 +1485,18 @@ function viewStationDetails(stationId) {
 /**
  * Get parameter status
  */
-function getParameterStatus(value, type) {
+function getParameterStatus(value, type, standardKey) {
+    const parameter = type === 'do' ? 'dissolvedOxygen' : type;
+    const limits = (waterStandards[standardKey] || waterStandards[defaultWaterStandard] || {})[parameter];
+    
+    // Classify with the standard's limits once loaded (a null maximum means no upper limit)
+    if (limits) {
+        const within = ([min, max]) => value >= min && (max === null || value <= max);
+        if (within(limits.safe)) return 'safe';
+        if (within(limits.acceptable)) return 'warning';
+        return 'critical';
+    }
+    
     switch (type) {
         case 'ph':
             if (value >= 6.5 && value <= 8.5) return 'safe';
@@ -858,8 +1518,8 @@ function getParameterStatus(value, type) {
 /**
  * Get parameter status text
  */
-function getParameterStatusText(value, type) {
-    const status = getParameterStatus(value, type);
+function getParameterStatusText(value, type, standardKey) {
+    const status = getParameterStatus(value, type, standardKey);
     switch (status) {
         case 'safe': return 'Normal';
         case 'warning': return 'Warning';
@@ -869,56 +1529,158 @@ function getParameterStatusText(value, type) {
 }
 
 /**
- * Acknowledge action item
+ * Acknowledge action item for the team, with an optional comment
  */
-function acknowledgeAction(actionId) {
-    if (confirm('Mark this action item as acknowledged?')) {
-        // In a real app, this would make an API call
+async function acknowledgeAction(actionId) {
+    const comment = prompt('Acknowledge this action item. Add a comment for your team (optional):');
+    if (comment === null) return;
+    
+    if (await sendAlertAction(actionId, 'acknowledge', { comment })) {
         showNotification('Action item acknowledged', 'success');
-        loadActionItems(); // Reload action items
     }
 }
 
 /**
- * Escalate action item
+ * Escalate action item to the next priority tier; a reason is required
  */
-function escalateAction(actionId) {
-    if (confirm('Escalate this action item to higher priority?')) {
-        // In a real app, this would make an API call
-        showNotification('Action item escalated', 'warning');
-        loadActionItems(); // Reload action items
+async function escalateAction(actionId) {
+    const reason = prompt('Why should this action item be escalated to a higher priority?');
+    if (reason === null) return;
+    
+    if (!reason.trim()) {
+        showNotification('A reason is required to escalate', 'warning');
+        return;
+    }
+    
+    const alert = await sendAlertAction(actionId, 'escalate', { reason });
+    if (alert) {
+        showNotification(`Action item escalated to ${alert.priority} priority`, 'warning');
     }
 }
 
 /**
- * Filter critical actions only
+ * Send an acknowledge or escalate request and redraw the action items with the result
  */
-function filterCriticalActions() {
-    const table = document.getElementById('actionItemsTable');
-    const rows = table.querySelectorAll('tr');
+async function sendAlertAction(alertId, action, body) {
+    if (!getAuthToken()) {
+        showNotification('Sign in to update action items', 'warning');
+        return null;
+    }
     
-    rows.forEach(row => {
-        const priorityBadge = row.querySelector('.priority-badge');
-        if (priorityBadge) {
-            const priority = priorityBadge.classList.contains('critical');
-            row.style.display = priority ? '' : 'none';
+    try {
+        const response = await fetch(`/api/alerts/${alertId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...getAuthHeaders()
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            showNotification(data.message || 'Unable to update action item', 'error');
+            return null;
         }
-    });
+        
+        // The response has the station ID only; keep the loaded station details
+        const existing = (dashboardData.alerts || []).find(alert => alert.id === alertId);
+        if (existing) {
+            Object.assign(existing, data.alert, { station: existing.station });
+        }
+        
+        loadActionItems();
+        return data.alert;
+    } catch (error) {
+        console.error(`Error sending ${action} request:`, error);
+        showNotification('Unable to update action item', 'error');
+        return null;
+    }
+}
+
+/**
+ * Toggle between critical action items and all open items (filtered by the server)
+ */
+async function filterCriticalActions() {
+    criticalActionsOnly = !criticalActionsOnly;
+    
+    const button = document.getElementById('filterCritical');
+    if (button) {
+        button.innerHTML = criticalActionsOnly
+            ? '<i class="fas fa-filter me-1"></i>Show All'
+            : '<i class="fas fa-filter me-1"></i>Critical Only';
+    }
+    
+    const alerts = await loadAlertsData();
+    if (alerts) {
+        dashboardData.alerts = alerts;
+    }
+    loadActionItems();
     
-    showNotification('Showing critical actions only', 'info');
+    showNotification(criticalActionsOnly ? 'Showing critical actions only' : 'Showing all open actions', 'info');
 }
 
 /**
- * Mark all actions as read
+ * Mark all open action items as read for the current user
  */
-function markAllActionsRead() {
-    if (confirm('Mark all action items as read?')) {
-        // In a real app, this would make an API call
+async function markAllActionsRead() {
+    if (!getAuthToken()) {
+        showNotification('Sign in to track read action items', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/alerts/read-all', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...getAuthHeaders()
+            },
+            body: JSON.stringify(criticalActionsOnly ? { priority: 'critical' } : {})
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            showNotification(data.message || 'Unable to mark action items as read', 'error');
+            return;
+        }
+        
+        (dashboardData.alerts || []).forEach(alert => {
+            alert.isRead = true;
+        });
+        loadActionItems();
+        
         showNotification('All action items marked as read', 'success');
-        loadActionItems(); // Reload action items
+    } catch (error) {
+        console.error('Error marking action items as read:', error);
+        showNotification('Unable to mark action items as read', 'error');
     }
 }
 
+/**
+ * Escape text for insertion into HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Stored sign-in token, if any
+ */
+function getAuthToken() {
+    return sessionStorage.getItem('authToken') || localStorage.getItem('authToken') || '';
+}
+
+/**
+ * Authorization header for API calls when signed in
+ */
+function getAuthHeaders() {
+    const token = getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
 /**
  * Export dashboard report
  */
@@ -968,7 +1730,10 @@ function generateDashboardCSV(data) {
         ['Safe Stations', data.metrics.safeStations, 'Good', new Date().toISOString()],
         ['Alert Stations', data.metrics.alertStations, 'Warning', new Date().toISOString()],
         ['Critical Stations', data.metrics.criticalStations, 'Critical', new Date().toISOString()],
-        ['Coverage Percentage', data.metrics.coveragePercentage + '%', 'Good', new Date().toISOString()]
+        ['Coverage Percentage', data.metrics.coveragePercentage + '%', 'Good', new Date().toISOString()],
+        ['Open Reports', data.metrics.openReports ?? 'N/A', 'Active', new Date().toISOString()],
+        ['Critical Reports', data.metrics.criticalReports ?? 'N/A', 'Critical', new Date().toISOString()],
+        ['Average Response Time', data.metrics.avgResponseTime, 'Active', new Date().toISOString()]
     ];
     
     return [headers, ...rows].map(row => row.join(',')).join('\n');
@@ -1164,24 +1929,21 @@ function generateTrendData(days = 30) {
 }
 
 /**
- * Get county data
+ * Get the counties with the highest values of a metric, for the county chart
+ * Counties without a value (no WQI, or no stations for coverage) are left out.
  */
-function getCountyData(metric = 'quality') {
-    const counties = ['Nairobi', 'Mombasa', 'Kisumu', 'Nakuru', 'Eldoret', 'Thika', 'Malindi', 'Garissa'];
-    
-    let scores;
-    switch (metric) {
-        case 'reports':
-            scores = [45, 32, 28, 38, 22, 18, 15, 12];
-            break;
-        case 'coverage':
-            scores = [85, 72, 68, 78, 65, 60, 55, 42];
-            break;
-        default: // quality
-            scores = [78, 85, 72, 80, 68, 75, 65, 58];
-    }
+function getCountyData(metric = 'wqi', limit = 10) {
+    const counties = (countyMetrics?.features || [])
+        .map(feature => feature.properties)
+        .filter(county => county[metric] !== null && county[metric] !== undefined)
+        .sort((a, b) => b[metric] - a[metric])
+        .slice(0, limit);
     
-    return { labels: counties, scores };
+    return {
+        keys: counties.map(county => county.key),
+        labels: counties.map(county => county.name),
+        scores: counties.map(county => county[metric])
+    };
 }
 
 /**
@@ -1189,8 +1951,10 @@ function getCountyData(metric = 'quality') {
  */
 function getMetricLabel(metric) {
     const labels = {
-        quality: 'Water Quality Score',
+        wqi: 'Water Quality Index (lower is better)',
         reports: 'Number of Reports',
+        openAlerts: 'Open Alerts',
+        stationDensity: 'Stations per 1,000 km²',
         coverage: 'Coverage Percentage'
     };
     return labels[metric] || 'Metric Value';
@@ -1200,6 +1964,28 @@ function getMetricLabel(metric) {
  * Get water parameters for station
  */
 function getWaterParameters(stationId) {
+    const stations = stationId === 'all'
+        ? dashboardData.stations
+        : dashboardData.stations.filter(station => station.id === stationId);
+    
+    // Latest value per parameter, averaged over the selected stations
+    const totals = {};
+    stations.forEach(station => {
+        Object.entries(station.parameters || {}).forEach(([parameter, value]) => {
+            totals[parameter] = totals[parameter] || { sum: 0, count: 0 };
+            totals[parameter].sum += value;
+            totals[parameter].count += 1;
+        });
+    });
+    
+    if (Object.keys(totals).length > 0) {
+        const parameters = {};
+        Object.entries(totals).forEach(([parameter, { sum, count }]) => {
+            parameters[parameter] = sum / count;
+        });
+        return parameters;
+    }
+    
     // Mock parameter data
     return {
         ph: 7.2 + (Math.random() - 0.5) * 0.8,
@@ -27,6 +27,12 @@ function initializeLoginPage() {
     // Keyboard shortcuts
     initializeKeyboardShortcuts();
     
+    // Result of following an email verification link
+    showEmailVerificationResult();
+    
+    // Password reset link (login.html?reset=<token>)
+    initializePasswordReset();
+    
     console.log('Login page initialized successfully');
 }
 
@@ -524,7 +530,7 @@ document.addEventListener('click', function(e) {
     }
 });
 
-function handleForgotPassword() {
+async function handleForgotPassword() {
     const email = document.getElementById('email').value;
     
     if (!email) {
@@ -533,11 +539,109 @@ function handleForgotPassword() {
         return;
     }
     
-    // Mock password reset
-    showNotification(`Password reset link sent to ${email} (demo)`, 'success');
+    try {
+        const response = await fetch('/api/auth/forgot-password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Password reset failed');
+        }
+        
+        showNotification(data.message, 'success');
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        showNotification('Unable to send a password reset link. Please try again later.', 'error');
+    }
+}
+
+/**
+ * Show the outcome of an email verification link (login.html?verified=1 or 0)
+ */
+function showEmailVerificationResult() {
+    const verified = new URLSearchParams(window.location.search).get('verified');
+    
+    if (verified === '1') {
+        showNotification('Your email address is confirmed. You can now sign in.', 'success');
+    } else if (verified === '0') {
+        showNotification('This verification link is invalid or has expired.', 'warning');
+    }
+}
+
+/**
+ * Swap the sign-in form for the new password form when opened from a reset link
+ */
+function initializePasswordReset() {
+    const token = new URLSearchParams(window.location.search).get('reset');
+    const resetForm = document.getElementById('resetPasswordForm');
+    
+    if (!token || !resetForm) return;
+    
+    // Keep the token out of the address bar and browser history
+    window.history.replaceState({}, '', window.location.pathname);
     
-    // In a real implementation, you would call:
-    // await fetch('/api/auth/forgot-password', { method: 'POST', ... })
+    document.getElementById('loginForm').classList.add('d-none');
+    document.querySelector('.oauth-section')?.classList.add('d-none');
+    resetForm.classList.remove('d-none');
+    
+    resetForm.addEventListener('submit', event => {
+        event.preventDefault();
+        handlePasswordReset(token);
+    });
+}
+
+async function handlePasswordReset(token) {
+    const passwordInput = document.getElementById('newPassword');
+    const confirmInput = document.getElementById('confirmNewPassword');
+    const submitButton = document.querySelector('#resetPasswordForm .reset-btn');
+    
+    if (passwordInput.value.length < 8) {
+        setFieldError(passwordInput, 'Password must be at least 8 characters');
+        return;
+    }
+    setFieldSuccess(passwordInput);
+    
+    if (confirmInput.value !== passwordInput.value) {
+        setFieldError(confirmInput, 'Passwords do not match');
+        return;
+    }
+    setFieldSuccess(confirmInput);
+    
+    submitButton.disabled = true;
+    
+    try {
+        const response = await fetch('/api/auth/reset-password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ token, newPassword: passwordInput.value })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Password reset failed');
+        }
+        
+        showNotification('Your password has been reset. You can now sign in.', 'success');
+        
+        document.getElementById('resetPasswordForm').classList.add('d-none');
+        document.getElementById('loginForm').classList.remove('d-none');
+        document.querySelector('.oauth-section')?.classList.remove('d-none');
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        showNotification(error.message || 'Unable to reset your password. Please try again.', 'error');
+        submitButton.disabled = false;
+    }
 }
 
 /**
@@ -47,6 +47,9 @@ function initializeCommunityReporting() {
     // Setup auto-save
     setupAutoSave();
     
+    // Handle subscription confirmation and unsubscribe links
+    handleSubscriptionLinks();
+    
     console.log('Community Reporting initialized successfully');
 }
 
@@ -614,7 +617,7 @@ function updateUploadAreaText() {
         uploadText.innerHTML = `
             <i class="fas fa-cloud-upload-alt fa-2x mb-2"></i>
             <p class="mb-1"><strong>Click to upload photos</strong> or drag and drop</p>
-            <small class="text-muted">Maximum 5 photos, 10MB each (JPG, PNG, HEIC)</small>
+            <small class="text-muted">Maximum 5 photos, 10MB each (JPG, PNG, WebP)</small>
         `;
     } else {
         uploadText.innerHTML = `
@@ -668,7 +671,7 @@ function handleDrop(e) {
 function processFiles(files) {
     const maxFiles = 5;
     const maxFileSize = 10 * 1024 * 1024; // 10MB
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/heic', 'image/webp'];
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
     
     // Check if adding these files would exceed the limit
     if (uploadedPhotos.length + files.length > maxFiles) {
@@ -863,14 +866,20 @@ async function handleFormSubmission(e) {
             result = await submitOffline(reportData);
         }
         
+        // The server issues the authoritative tracking ID
+        reportData.trackingId = result.trackingId;
+        if (result.followUpToken) {
+            saveFollowUpToken(result.trackingId, result.followUpToken);
+        }
+        
         // Show success modal
         showSuccessModal(result.trackingId);
         
         // Reset form
         resetForm();
         
-        // Add to local reports for immediate display
-        allReports.unshift(reportData);
+        // Add to local reports for immediate display (server copy references uploaded photos by URL)
+        allReports.unshift(result.report || reportData);
         filteredReports = [...allReports];
         renderReports();
         updateStatistics();
@@ -891,13 +900,16 @@ async function handleFormSubmission(e) {
  * Submit report online
  */
 async function submitOnline(reportData) {
+    // Photos are uploaded first and referenced by attachment ID
+    const photos = await uploadPhotos(reportData.photos || []);
+    
     const response = await fetch('/api/reports', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'X-Requested-With': 'XMLHttpRequest'
         },
-        body: JSON.stringify(reportData)
+        body: JSON.stringify({ ...reportData, photos })
     });
     
     if (!response.ok) {
@@ -907,6 +919,48 @@ async function submitOnline(reportData) {
     return await response.json();
 }
 
+/**
+ * Upload report photos and return attachment references
+ */
+async function uploadPhotos(photos) {
+    if (photos.length === 0) return [];
+    
+    const formData = new FormData();
+    photos.forEach(photo => {
+        const blob = photo.file || dataUrlToBlob(photo.data || photo.dataUrl);
+        formData.append('photos', blob, photo.name);
+    });
+    
+    const response = await fetch('/api/attachments', {
+        method: 'POST',
+        headers: {
+            'X-Requested-With': 'XMLHttpRequest'
+        },
+        body: formData
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Photo upload failed! status: ${response.status}`);
+    }
+    
+    const { attachments } = await response.json();
+    return attachments.map(attachment => ({ id: attachment.id }));
+}
+
+/**
+ * Convert a data URL (as kept for offline reports) back to a Blob
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = header.match(/data:(.*?);/)[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
 /**
  * Submit report offline
  */
@@ -1023,7 +1077,16 @@ function showSuccessModal(trackingId) {
 }
 
 /**
- * Generate tracking ID
+ * Save follow-up token so the reporter can add information later without an account
+ */
+function saveFollowUpToken(trackingId, token) {
+    const tokens = JSON.parse(localStorage.getItem('salyte_followup_tokens') || '{}');
+    tokens[trackingId] = token;
+    localStorage.setItem('salyte_followup_tokens', JSON.stringify(tokens));
+}
+
+/**
+ * Generate tracking ID (temporary, for reports saved offline)
  */
 function generateTrackingId() {
     const date = new Date();
@@ -1105,7 +1168,8 @@ async function loadReports() {
             const response = await fetch('/api/reports');
             
             if (response.ok) {
-                allReports = await response.json();
+                const data = await response.json();
+                allReports = data.reports || [];
             } else {
                 throw new Error('Failed to load reports from server');
             }
@@ -1754,6 +1818,15 @@ function clearForm() {
     }
 }
 
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 /**
  * Format date for display
  */
@@ -1942,8 +2015,8 @@ function populateReportDetailsModal(report) {
                             <h6>Photos (${report.photos.length})</h6>
                             <div class="photo-gallery">
                                 ${report.photos.map((photo, index) => `
-                                    <div class="photo-item" onclick="viewPhotoFullscreen('${photo.data}', '${photo.name}')">
-                                        <img src="${photo.data}" alt="${photo.name}" loading="lazy">
+                                    <div class="photo-item" onclick="viewPhotoFullscreen('${photo.url || photo.data}', '${photo.name}')">
+                                        <img src="${photo.thumbnailUrl || photo.data}" alt="${photo.name}" loading="lazy">
                                         <div class="photo-overlay">
                                             <i class="fas fa-expand"></i>
                                         </div>
@@ -1963,6 +2036,24 @@ function populateReportDetailsModal(report) {
                     </div>
                 ` : ''}
                 
+                ${report.statusHistory && report.statusHistory.length > 0 ? `
+                    <div class="row mb-3">
+                        <div class="col-12">
+                            <h6>Status Timeline</h6>
+                            <ul class="status-timeline list-unstyled">
+                                ${report.statusHistory.map(entry => `
+                                    <li class="mb-2">
+                                        <span class="status-badge status-${entry.to}">${entry.to.toUpperCase().replace('-', ' ')}</span>
+                                        <small class="text-muted ms-2">${formatDetailedDate(entry.changedAt)}</small>
+                                        ${entry.changedByName ? `<small class="text-muted"> by ${entry.changedByName}</small>` : ''}
+                                        ${entry.reason ? `<div class="small">${entry.reason}</div>` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </div>
+                    </div>
+                ` : ''}
+                
                 <div class="row">
                     <div class="col-12">
                         <h6>Report Information</h6>
@@ -2069,7 +2160,7 @@ function showReportOnMap(lat, lng) {
 /**
  * View photo in fullscreen
  */
-function viewPhotoFullscreen(photoData, photoName) {
+function viewPhotoFullscreen(photoUrl, photoName) {
     // Create fullscreen photo modal
     const fullscreenModal = document.createElement('div');
     fullscreenModal.className = 'photo-fullscreen-modal';
@@ -2077,7 +2168,7 @@ function viewPhotoFullscreen(photoData, photoName) {
         <div class="fullscreen-backdrop" onclick="closePhotoFullscreen()">
             <div class="fullscreen-content">
                 <button class="fullscreen-close" onclick="closePhotoFullscreen()">&times;</button>
-                <img src="${photoData}" alt="${photoName}" class="fullscreen-image">
+                <img src="${photoUrl}" alt="${photoName}" class="fullscreen-image">
                 <div class="fullscreen-caption">${photoName}</div>
             </div>
         </div>
@@ -2143,6 +2234,8 @@ function showTrackingModal(trackingId) {
                             You can track your report status using the tracking ID: <strong>${trackingId}</strong>
                         </div>
                         
+                        <div class="tracking-status mb-3" id="trackingStatus"></div>
+                        
                         <div class="tracking-options">
                             <h6>How to track your report:</h6>
                             <ul>
@@ -2179,6 +2272,56 @@ function showTrackingModal(trackingId) {
     trackingModal.addEventListener('hidden.bs.modal', () => {
         trackingModal.remove();
     });
+    
+    if (isOnline) {
+        loadTrackingStatus(trackingId);
+    }
+}
+
+/**
+ * Load current status of a tracked report into the tracking modal
+ */
+async function loadTrackingStatus(trackingId) {
+    const container = document.getElementById('trackingStatus');
+    if (!container) return;
+    
+    try {
+        const response = await fetch(`/api/report/track/${encodeURIComponent(trackingId)}`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { report } = await response.json();
+        const statusClass = String(report.status).replace(/[^a-z-]/g, '');
+        
+        container.innerHTML = `
+            <h6>Current Status</h6>
+            <p>
+                <span class="status-badge status-${statusClass}">${escapeHtml(String(report.status).toUpperCase().replace('-', ' '))}</span>
+                <small class="text-muted ms-2">Last updated ${formatDate(report.lastUpdated)}</small>
+            </p>
+            <ul class="status-timeline list-unstyled">
+                ${report.timeline.map(entry => `
+                    <li class="mb-1">
+                        <i class="fas fa-check-circle text-success me-2"></i>
+                        ${escapeHtml(entry.status.charAt(0).toUpperCase() + entry.status.slice(1).replace('-', ' '))}
+                        <small class="text-muted ms-2">${formatDetailedDate(entry.changedAt)}</small>
+                    </li>
+                `).join('')}
+            </ul>
+            ${report.publicNotes.length > 0 ? `
+                <h6>Updates</h6>
+                ${report.publicNotes.map(note => `
+                    <p class="mb-1">${escapeHtml(note.text)} <small class="text-muted">${formatDate(note.createdAt)}</small></p>
+                `).join('')}
+            ` : ''}
+        `;
+        
+    } catch (error) {
+        console.error('Error loading tracking status:', error);
+        container.innerHTML = '<p class="text-muted">Status is not available yet. Please check back later.</p>';
+    }
 }
 
 /**
@@ -2342,6 +2485,7 @@ function followReport(reportId) {
  * Show follow modal
  */
 function showFollowModal(trackingId) {
+    const signedIn = !!getAuthToken();
     const followModal = document.createElement('div');
     followModal.className = 'modal fade';
     followModal.innerHTML = `
@@ -2356,15 +2500,38 @@ function showFollowModal(trackingId) {
                     
                     <form id="followForm">
                         <div class="mb-3">
-                            <label for="followEmail" class="form-label">Email Address</label>
-                            <input type="email" class="form-control" id="followEmail" required>
-                            <div class="form-text">We'll send you updates via email</div>
+                            <label class="form-label">Send me updates by</label>
+                            <div class="form-check">
+                                <input type="checkbox" class="form-check-input" id="followChannelEmail" checked>
+                                <label class="form-check-label" for="followChannelEmail">Email</label>
+                            </div>
+                            <div class="form-check">
+                                <input type="checkbox" class="form-check-input" id="followChannelSms">
+                                <label class="form-check-label" for="followChannelSms">SMS</label>
+                            </div>
+                            ${signedIn ? `
+                                <div class="form-check">
+                                    <input type="checkbox" class="form-check-input" id="followChannelInApp" checked>
+                                    <label class="form-check-label" for="followChannelInApp">In-app notifications</label>
+                                </div>
+                            ` : ''}
+                        </div>
+                        
+                        <div class="mb-3">
+                            <label for="followEmail" class="form-label">Email Address${signedIn ? ' (optional)' : ''}</label>
+                            <input type="email" class="form-control" id="followEmail">
+                            <div class="form-text">${signedIn ? 'Leave blank to use your account email' : 'We\'ll email you a link to confirm your address'}</div>
                         </div>
                         
                         <div class="mb-3">
-                            <label for="followPhone" class="form-label">Phone Number (optional)</label>
+                            <label for="followPhone" class="form-label">Phone Number</label>
                             <input type="tel" class="form-control" id="followPhone">
-                            <div class="form-text">For SMS notifications on critical updates</div>
+                            <div class="form-text">We'll text you a code to confirm your number</div>
+                        </div>
+                        
+                        <div class="mb-3 d-none" id="followCodeGroup">
+                            <label for="followCode" class="form-label">SMS Confirmation Code</label>
+                            <input type="text" class="form-control" id="followCode" inputmode="numeric" maxlength="6">
                         </div>
                         
                         <div class="mb-3 form-check">
@@ -2377,7 +2544,7 @@ function showFollowModal(trackingId) {
                 </div>
                 <div class="modal-footer">
                     <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                    <button type="button" class="btn btn-primary" onclick="subscribeToUpdates('${trackingId}')">
+                    <button type="button" class="btn btn-primary" id="followSubmit" onclick="subscribeToUpdates('${trackingId}')">
                         <i class="fas fa-bell me-1"></i>Follow Updates
                     </button>
                 </div>
@@ -2397,11 +2564,24 @@ function showFollowModal(trackingId) {
 
 /**
  * Subscribe to report updates
+ * Unconfirmed phones get an SMS code, entered in the same modal; emails are confirmed by link.
  */
-function subscribeToUpdates(trackingId) {
+async function subscribeToUpdates(trackingId) {
     const form = document.getElementById('followForm');
-    const email = document.getElementById('followEmail').value;
-    const phone = document.getElementById('followPhone').value;
+    const submitButton = document.getElementById('followSubmit');
+    
+    // Second step: the modal is waiting for the SMS code
+    if (form.dataset.subscriptionId) {
+        return confirmFollowPhone(form.dataset.subscriptionId);
+    }
+    
+    const channels = {
+        email: document.getElementById('followChannelEmail').checked,
+        sms: document.getElementById('followChannelSms').checked,
+        inApp: !!document.getElementById('followChannelInApp')?.checked
+    };
+    const email = document.getElementById('followEmail').value.trim();
+    const phone = document.getElementById('followPhone').value.trim();
     const consent = document.getElementById('followConsent').checked;
     
     if (!form.checkValidity() || !consent) {
@@ -2409,12 +2589,137 @@ function subscribeToUpdates(trackingId) {
         return;
     }
     
-    // Mock subscription - in real app, this would call an API
-    setTimeout(() => {
-        showNotification('Successfully subscribed to updates!', 'success');
+    if (!channels.email && !channels.sms && !channels.inApp) {
+        showNotification('Choose at least one way to receive updates', 'warning');
+        return;
+    }
+    
+    if (channels.sms && !phone) {
+        showNotification('Enter a phone number for SMS updates', 'warning');
+        return;
+    }
+    
+    if (channels.email && !email && !getAuthToken()) {
+        showNotification('Enter an email address for email updates', 'warning');
+        return;
+    }
+    
+    setLoadingState(submitButton, true);
+    
+    try {
+        const response = await fetch(`/api/report/${encodeURIComponent(trackingId)}/subscribe`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...getAuthHeaders()
+            },
+            body: JSON.stringify({
+                channels,
+                email: email || undefined,
+                phone: phone || undefined,
+                language: navigator.language ? navigator.language.slice(0, 2) : undefined
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showNotification(data.message, 'success', 8000);
+        
+        if (data.pendingConfirmation.includes('sms')) {
+            form.dataset.subscriptionId = data.subscription.id;
+            document.getElementById('followCodeGroup').classList.remove('d-none');
+            document.getElementById('followCode').focus();
+            submitButton.dataset.originalText = '<i class="fas fa-check me-1"></i>Confirm Phone';
+            return;
+        }
+        
+        const modal = bootstrap.Modal.getInstance(document.querySelector('.modal.show'));
+        if (modal) modal.hide();
+    } catch (error) {
+        console.error('Subscription error:', error);
+        showNotification(error.message || 'Unable to follow this report. Please try again.', 'error');
+    } finally {
+        setLoadingState(submitButton, false);
+    }
+}
+
+/**
+ * Confirm the follower's phone with the code sent by SMS
+ */
+async function confirmFollowPhone(subscriptionId) {
+    const code = document.getElementById('followCode').value.trim();
+    const submitButton = document.getElementById('followSubmit');
+    
+    if (!/^\d{6}$/.test(code)) {
+        showNotification('Enter the 6-digit code we texted you', 'warning');
+        return;
+    }
+    
+    setLoadingState(submitButton, true);
+    
+    try {
+        const response = await fetch(`/api/report/subscriptions/${subscriptionId}/confirm-phone`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showNotification('Phone confirmed. You will receive SMS updates for this report.', 'success');
         const modal = bootstrap.Modal.getInstance(document.querySelector('.modal.show'));
         if (modal) modal.hide();
-    }, 500);
+    } catch (error) {
+        console.error('Phone confirmation error:', error);
+        showNotification(error.message || 'Unable to confirm your phone. Please try again.', 'error');
+    } finally {
+        setLoadingState(submitButton, false);
+    }
+}
+
+/**
+ * Show the outcome of a subscription link (?subscription=) and open a tracked report (?track=)
+ */
+function handleSubscriptionLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const messages = {
+        confirmed: ['Email confirmed. You will receive updates for this report.', 'success'],
+        unsubscribed: ['You will no longer receive updates about this report.', 'info'],
+        invalid: ['This link is invalid or has already been used.', 'error']
+    };
+    
+    if (messages[params.get('subscription')]) {
+        showNotification(...messages[params.get('subscription')]);
+    }
+    
+    if (params.get('track')) {
+        showTrackingModal(params.get('track'));
+    }
+    
+    if (params.has('subscription') || params.has('track')) {
+        window.history.replaceState({}, '', window.location.pathname);
+    }
+}
+
+/**
+ * Stored sign-in token, if any
+ */
+function getAuthToken() {
+    return sessionStorage.getItem('authToken') || localStorage.getItem('authToken') || '';
+}
+
+/**
+ * Authorization header for API calls when signed in
+ */
+function getAuthHeaders() {
+    const token = getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
 }
 
 /**